@@ -53,9 +53,74 @@ function serializeOptions(options) {
 // Export minimal API for renderer
 contextBridge.exposeInMainWorld('api', {
   // API key management
-  getApiKey: async () => ipcRenderer.invoke('get-api-key'),
+  hasApiKey: async () => ipcRenderer.invoke('has-api-key'),
   saveApiKey: async (apiKey) => ipcRenderer.invoke('save-api-key', apiKey),
   
+  // Chat requests (sent from the main process)
+  chat: {
+    send: async (requestId, params) => ipcRenderer.invoke('chat:send', requestId, params),
+    cancel: async (requestId) => ipcRenderer.invoke('chat:cancel', requestId),
+    countTokens: async (params) => ipcRenderer.invoke('chat:count-tokens', params),
+    onChunk: (callback) => {
+      const subscription = (event, chunk) => callback(chunk);
+      ipcRenderer.on('chat:chunk', subscription);
+      return () => ipcRenderer.removeListener('chat:chunk', subscription);
+    }
+  },
+  
+  // Attachments (files are read and stored by the main process)
+  attachments: {
+    pick: async () => ipcRenderer.invoke('attachments:pick'),
+    add: async (file) => ipcRenderer.invoke('attachments:add', file),
+    read: async (id) => ipcRenderer.invoke('attachments:read', id)
+  },
+  
+  // Available models with their limits
+  models: {
+    list: async (options) => ipcRenderer.invoke('models:list', options)
+  },
+  
+  // Personas (presets of prompt, model, face and voice)
+  personas: {
+    list: async () => ipcRenderer.invoke('personas:list'),
+    save: async (persona) => ipcRenderer.invoke('personas:save', persona),
+    duplicate: async (id) => ipcRenderer.invoke('personas:duplicate', id),
+    delete: async (id) => ipcRenderer.invoke('personas:delete', id),
+    export: async (id) => ipcRenderer.invoke('personas:export', id || null),
+    import: async () => ipcRenderer.invoke('personas:import')
+  },
+  
+  // Outbox (messages written while offline)
+  outbox: {
+    list: async () => ipcRenderer.invoke('outbox:list'),
+    add: async (item) => ipcRenderer.invoke('outbox:add', item),
+    update: async (id, changes) => ipcRenderer.invoke('outbox:update', id, changes),
+    remove: async (id) => ipcRenderer.invoke('outbox:remove', id)
+  },
+  
+  // Full-text search across every conversation
+  search: {
+    query: async (query, filters) => ipcRenderer.invoke('search:query', query, filters),
+    models: async () => ipcRenderer.invoke('search:models')
+  },
+  
+  // Local tools Claude can call
+  tools: {
+    list: async () => ipcRenderer.invoke('tools:list'),
+    run: async (name, input) => ipcRenderer.invoke('tools:run', name, input)
+  },
+  
+  // Token usage report
+  usage: {
+    getReport: async () => ipcRenderer.invoke('usage:get-report'),
+    openReport: async () => ipcRenderer.invoke('usage:open-report'),
+    onUpdated: (callback) => {
+      const subscription = () => callback();
+      ipcRenderer.on('usage-updated', subscription);
+      return () => ipcRenderer.removeListener('usage-updated', subscription);
+    }
+  },
+  
   // Platform info
   getPlatformInfo: async () => ipcRenderer.invoke('get-platform-info'),
   
@@ -68,10 +133,24 @@ contextBridge.exposeInMainWorld('api', {
   saveMessageHistory: async (history) => ipcRenderer.invoke('save-message-history', history),
   getMessageHistory: async () => ipcRenderer.invoke('get-message-history'),
   
+  // Conversations
+  conversations: {
+    list: async () => ipcRenderer.invoke('list-conversations'),
+    get: async (id) => ipcRenderer.invoke('get-conversation', id),
+    getActive: async () => ipcRenderer.invoke('get-active-conversation'),
+    create: async (fields) => ipcRenderer.invoke('create-conversation', fields),
+    save: async (id, updates) => ipcRenderer.invoke('save-conversation', id, updates),
+    setActive: async (id) => ipcRenderer.invoke('set-active-conversation', id),
+    delete: async (id) => ipcRenderer.invoke('delete-conversation', id),
+    export: async (ids, options) => ipcRenderer.invoke('export:conversations', ids, options),
+    import: async () => ipcRenderer.invoke('import:conversations')
+  },
+  
   // Configuration
   getConfig: async () => ipcRenderer.invoke('get-config'),
   saveConfig: async (config) => ipcRenderer.invoke('save-config', config),
   resetConfig: async () => ipcRenderer.invoke('reset-config'),
+  getApiInfo: async () => ipcRenderer.invoke('api:info'),
   
   // Environment
   isDev: async () => ipcRenderer.invoke('is-dev-mode'),
@@ -105,6 +184,26 @@ contextBridge.exposeInMainWorld('api', {
     ipcRenderer.on('clear-history', subscription);
     return () => ipcRenderer.removeListener('clear-history', subscription);
   },
+  onNewConversation: (callback) => {
+    const subscription = (event) => callback();
+    ipcRenderer.on('new-conversation', subscription);
+    return () => ipcRenderer.removeListener('new-conversation', subscription);
+  },
+  onOpenSearch: (callback) => {
+    const subscription = (event) => callback();
+    ipcRenderer.on('open-search', subscription);
+    return () => ipcRenderer.removeListener('open-search', subscription);
+  },
+  onOpenImport: (callback) => {
+    const subscription = (event) => callback();
+    ipcRenderer.on('open-import', subscription);
+    return () => ipcRenderer.removeListener('open-import', subscription);
+  },
+  onOpenExport: (callback) => {
+    const subscription = (event) => callback();
+    ipcRenderer.on('open-export', subscription);
+    return () => ipcRenderer.removeListener('open-export', subscription);
+  },
   onOpenSettings: (callback) => {
     const subscription = (event) => callback();
     ipcRenderer.on('open-settings', subscription);
@@ -0,0 +1,308 @@
+/**
+ * Anthropic API Client for Claude Desktop
+ *
+ * The Anthropic provider. Runs in the main process so the API key never
+ * reaches the renderer. Builds Messages API requests, streams server-sent
+ * events back to the caller (collecting any tool calls) and maps error
+ * responses to typed errors; retries and the auth header come from ApiClient.
+ * With prompt caching on, cache_control breakpoints mark the system prompt
+ * and the history so later turns read the repeated prefix from the cache.
+ * With extended thinking on, the thinking blocks come back alongside the
+ * text so they can be shown, and sent back with tool results as the API
+ * requires.
+ */
+
+const config = require('./config');
+const { ApiClient, ApiError, ERROR_TYPES, ERROR_MESSAGES, parseToolInput } = require('./api-client');
+
+const ANTHROPIC_API_VERSION = '2023-06-01';
+
+const CACHE_CONTROL = { type: 'ephemeral' };
+
+// Content blocks holding the model's reasoning; redacted ones carry encrypted data instead of text
+const THINKING_BLOCK_TYPES = ['thinking', 'redacted_thinking'];
+
+class AnthropicClient extends ApiClient {
+  constructor(options = {}) {
+    super({
+      serviceName: 'Anthropic API',
+      ...options,
+      getEndpoint: options.getEndpoint || (() => options.endpoint || config.apiEndpoint)
+    });
+    this.apiVersion = options.apiVersion || ANTHROPIC_API_VERSION;
+  }
+  
+  buildHeaders() {
+    return super.buildHeaders({ 'anthropic-version': this.apiVersion });
+  }
+  
+  // Build the request body from the renderer's parameters
+  buildRequest(params, { stream = true } = {}) {
+    const request = {
+      model: params.model,
+      max_tokens: params.maxTokens,
+      messages: params.messages,
+      stream
+    };
+    
+    // Extended thinking only works at the default temperature
+    if (params.thinking) {
+      request.thinking = { type: 'enabled', budget_tokens: params.thinking.budgetTokens };
+    } else if (typeof params.temperature === 'number') {
+      request.temperature = params.temperature;
+    }
+    
+    // System is a top-level parameter, not a message
+    if (params.system) {
+      request.system = params.system;
+    }
+    
+    if (Array.isArray(params.tools) && params.tools.length > 0) {
+      request.tools = params.tools;
+    }
+    
+    if (params.promptCaching) {
+      addCacheBreakpoints(request);
+    }
+    
+    return request;
+  }
+  
+  // Send a Messages API request and wait for the whole reply, retrying transient failures
+  async send(params, { signal, onRetry } = {}) {
+    const request = this.buildRequest(params, { stream: false });
+    
+    return this.withRetries(async () => {
+      const response = await this.request(this.getEndpoint(), {
+        method: 'POST',
+        headers: await this.buildHeaders(),
+        body: JSON.stringify(request),
+        signal
+      });
+      if (!response.ok) {
+        throw await this.createErrorFromResponse(response);
+      }
+      
+      const message = await response.json();
+      const content = Array.isArray(message.content) ? message.content : [];
+      return {
+        text: content.filter(block => block.type === 'text').map(block => block.text).join(''),
+        thinking: content.filter(block => THINKING_BLOCK_TYPES.includes(block.type)),
+        model: message.model || request.model,
+        stopReason: message.stop_reason || null,
+        usage: message.usage || null,
+        toolCalls: content.filter(block => block.type === 'tool_use')
+          .map(block => ({ id: block.id, name: block.name, input: block.input || {} }))
+      };
+    }, { signal, onRetry });
+  }
+  
+  // Send a streaming Messages API request, retrying transient failures
+  // Calls onText(delta, fullText) for every text delta as it arrives,
+  // onThinking(delta) for every thinking delta and
+  // onRetry({ attempt, maxRetries, delayMs, errorType }) before each retry
+  async stream(params, { signal, onText, onThinking, onRetry } = {}) {
+    const request = this.buildRequest(params);
+    let textReceived = false;
+    
+    return this.withRetries(() => this.streamOnce(request, {
+      signal,
+      onText: (delta, fullText) => {
+        textReceived = true;
+        if (onText) onText(delta, fullText);
+      },
+      onThinking: (delta) => {
+        textReceived = true;
+        if (onThinking) onThinking(delta);
+      }
+    }), {
+      signal,
+      onRetry,
+      // Once text or thinking has been shown a retry would duplicate it, so give up
+      canRetry: () => !textReceived
+    });
+  }
+  
+  // Make a single streaming request without retries
+  async streamOnce(request, { signal, onText, onThinking } = {}) {
+    const response = await this.request(this.getEndpoint(), {
+      method: 'POST',
+      headers: await this.buildHeaders(),
+      body: JSON.stringify(request),
+      signal
+    });
+    
+    if (!response.ok) {
+      throw await this.createErrorFromResponse(response);
+    }
+    
+    const result = {
+      text: '',
+      thinking: [],
+      model: request.model,
+      stopReason: null,
+      usage: null,
+      toolCalls: []
+    };
+    
+    // Tool inputs arrive as JSON fragments, collected by content block index
+    const toolInputs = new Map();
+    // Thinking blocks, by content block index, with the signature the API checks when they are sent back
+    const thinkingBlocks = new Map();
+    
+    // Handle a single parsed server-sent event
+    const handleEvent = (eventType, data) => {
+      switch (eventType) {
+        case 'message_start':
+          result.model = data.message?.model || result.model;
+          result.usage = data.message?.usage || null;
+          break;
+        case 'content_block_start':
+          if (data.content_block?.type === 'tool_use') {
+            const { id, name } = data.content_block;
+            toolInputs.set(data.index, { id, name, json: '' });
+          } else if (THINKING_BLOCK_TYPES.includes(data.content_block?.type)) {
+            const block = data.content_block.type === 'thinking'
+              ? { type: 'thinking', thinking: '', signature: '' }
+              : { type: 'redacted_thinking', data: data.content_block.data };
+            thinkingBlocks.set(data.index, block);
+            result.thinking.push(block);
+          }
+          break;
+        case 'content_block_delta':
+          if (data.delta?.type === 'text_delta') {
+            result.text += data.delta.text;
+            if (onText) onText(data.delta.text, result.text);
+          } else if (data.delta?.type === 'thinking_delta' && thinkingBlocks.has(data.index)) {
+            thinkingBlocks.get(data.index).thinking += data.delta.thinking;
+            if (onThinking) onThinking(data.delta.thinking);
+          } else if (data.delta?.type === 'signature_delta' && thinkingBlocks.has(data.index)) {
+            thinkingBlocks.get(data.index).signature += data.delta.signature;
+          } else if (data.delta?.type === 'input_json_delta' && toolInputs.has(data.index)) {
+            toolInputs.get(data.index).json += data.delta.partial_json;
+          }
+          break;
+        case 'content_block_stop':
+          if (toolInputs.has(data.index)) {
+            const { id, name, json } = toolInputs.get(data.index);
+            result.toolCalls.push({ id, name, input: parseToolInput(json) });
+            toolInputs.delete(data.index);
+          }
+          break;
+        case 'message_delta':
+          result.stopReason = data.delta?.stop_reason || result.stopReason;
+          if (data.usage) {
+            result.usage = { ...(result.usage || {}), ...data.usage };
+          }
+          break;
+        case 'error':
+          throw this.createApiError(null, data.error?.type, data.error?.message);
+        default:
+          // ping and message_stop carry no content
+          break;
+      }
+    };
+    
+    await this.readServerSentEvents(response, handleEvent, result);
+    return result;
+  }
+  
+  // Count the input tokens a request would use without sending it
+  // Uses the token counting endpoint that sits next to the Messages endpoint
+  async countTokens(params, { signal } = {}) {
+    // Caching doesn't change the count, so breakpoints are left out
+    const { model, messages, system, tools, thinking } = this.buildRequest({ ...params, promptCaching: false });
+    
+    const response = await this.request(`${this.getEndpoint().replace(/\/+$/, '')}/count_tokens`, {
+      method: 'POST',
+      headers: await this.buildHeaders(),
+      body: JSON.stringify({ model, messages, system, tools, thinking }),
+      signal
+    });
+    
+    if (!response.ok) {
+      throw await this.createErrorFromResponse(response);
+    }
+    
+    const data = await response.json();
+    return data.input_tokens;
+  }
+  
+  // List the models the API key can use, following pages until the last one
+  // The Models endpoint sits next to the Messages endpoint
+  // Returns [{ id, displayName }]
+  async listModels({ signal } = {}) {
+    const modelsUrl = this.getEndpoint().replace(/\/messages\/?$/, '/models');
+    const headers = await this.buildHeaders();
+    const models = [];
+    let afterId = null;
+    
+    do {
+      const url = `${modelsUrl}?limit=100${afterId ? `&after_id=${encodeURIComponent(afterId)}` : ''}`;
+      
+      const response = await this.request(url, { headers, signal });
+      if (!response.ok) {
+        throw await this.createErrorFromResponse(response);
+      }
+      
+      const page = await response.json();
+      models.push(...(page.data || []).map(model => ({ id: model.id, displayName: model.display_name })));
+      afterId = page.has_more ? page.last_id : null;
+    } while (afterId);
+    
+    return models;
+  }
+}
+
+// Mark the request's stable prefix for prompt caching; the API allows four breakpoints
+// The cache covers tools, system and messages in that order, so a breakpoint on the
+// system prompt also caches the tool definitions. The last message is marked so the
+// next turn can read the whole conversation so far, and the user turn before it so
+// this request reads what the previous turn wrote
+function addCacheBreakpoints(request) {
+  if (request.system) {
+    const systemBlocks = typeof request.system === 'string'
+      ? [{ type: 'text', text: request.system }]
+      : request.system;
+    request.system = withCacheControl(systemBlocks);
+  } else if (request.tools) {
+    request.tools = withCacheControl(request.tools);
+  }
+  
+  const messages = request.messages.slice();
+  const lastIndex = messages.length - 1;
+  if (lastIndex < 0) return;
+  
+  messages[lastIndex] = withMessageCacheControl(messages[lastIndex]);
+  for (let i = lastIndex - 1; i >= 0; i--) {
+    if (messages[i].role === 'user') {
+      messages[i] = withMessageCacheControl(messages[i]);
+      break;
+    }
+  }
+  request.messages = messages;
+}
+
+// A copy of a list of blocks with a breakpoint on the last one
+function withCacheControl(blocks) {
+  if (blocks.length === 0) return blocks;
+  return [...blocks.slice(0, -1), { ...blocks[blocks.length - 1], cache_control: CACHE_CONTROL }];
+}
+
+// A copy of a message with a breakpoint on its last content block
+function withMessageCacheControl(message) {
+  const content = typeof message.content === 'string'
+    ? [{ type: 'text', text: message.content }]
+    : message.content;
+  if (!Array.isArray(content) || content.length === 0) return message;
+  
+  return { ...message, content: withCacheControl(content) };
+}
+
+AnthropicClient.API_VERSION = ANTHROPIC_API_VERSION;
+AnthropicClient.DEFAULT_AUTH_HEADER = 'x-api-key: {apiKey}';
+AnthropicClient.ERROR_TYPES = ERROR_TYPES;
+AnthropicClient.ERROR_MESSAGES = ERROR_MESSAGES;
+AnthropicClient.ApiError = ApiError;
+
+module.exports = AnthropicClient;
@@ -0,0 +1,321 @@
+/**
+ * API Client base for Claude Desktop
+ *
+ * What the LLM provider clients share: typed errors, the auth header,
+ * retrying overloaded, rate-limited and server errors with exponential
+ * backoff (honouring the retry-after header) and reading server-sent events.
+ *
+ * Every provider client implements the same four methods on top:
+ * send(params) for a whole reply, stream(params, { onText }) for a reply
+ * streamed as it is written, listModels() and countTokens(params). params
+ * is the app's request: { model, maxTokens, temperature, system, messages,
+ * tools, promptCaching } with messages and tools in the Messages API format;
+ * providers with another format translate it. Replies come back as
+ * { text, model, stopReason, usage, toolCalls } with Messages API usage fields.
+ */
+
+// Retry settings for overloaded, rate-limited and server errors
+const DEFAULT_MAX_RETRIES = 3;
+const INITIAL_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 16000;
+const MAX_RETRY_AFTER_MS = 60000;
+
+// Placeholder for the saved API key in auth header templates
+const API_KEY_PLACEHOLDER = '{apiKey}';
+
+// Error categories surfaced to the renderer
+const ERROR_TYPES = {
+  AUTHENTICATION: 'authentication',
+  INVALID_REQUEST: 'invalid_request',
+  RATE_LIMIT: 'rate_limit',
+  OVERLOADED: 'overloaded',
+  SERVER: 'server',
+  NETWORK: 'network'
+};
+
+// User-facing message for each error category; {service} is the provider's name
+const ERROR_MESSAGES = {
+  [ERROR_TYPES.AUTHENTICATION]: 'Your API key was rejected. Please check it in Settings.',
+  [ERROR_TYPES.INVALID_REQUEST]: 'The request was rejected by the API.',
+  [ERROR_TYPES.RATE_LIMIT]: 'Rate limit reached. Please wait a moment and try again.',
+  [ERROR_TYPES.OVERLOADED]: 'The {service} is currently overloaded. Please try again shortly.',
+  [ERROR_TYPES.SERVER]: 'The {service} encountered an internal error. Please try again.',
+  [ERROR_TYPES.NETWORK]: 'Could not reach the {service}. Please check your internet connection.'
+};
+
+const RETRYABLE_TYPES = [ERROR_TYPES.RATE_LIMIT, ERROR_TYPES.OVERLOADED, ERROR_TYPES.SERVER];
+
+class ApiError extends Error {
+  constructor(type, message, { status = null, detail = null, retryAfterMs = null, service = 'Anthropic API' } = {}) {
+    super(message || ERROR_MESSAGES[type].replace('{service}', service));
+    this.name = 'ApiError';
+    this.type = type;
+    this.status = status;
+    this.detail = detail;
+    this.retryAfterMs = retryAfterMs;
+  }
+  
+  get retryable() {
+    return RETRYABLE_TYPES.includes(this.type);
+  }
+}
+
+class ApiClient {
+  constructor(options = {}) {
+    // Async function returning the API key, or null if none is configured
+    this.getApiKey = options.getApiKey;
+    // Function returning the endpoint, so it can change while the app runs
+    this.getEndpoint = options.getEndpoint || (() => options.endpoint);
+    // "Header-Name: value" where {apiKey} is replaced by the saved key; empty sends no auth header
+    this.authHeader = options.authHeader !== undefined ? options.authHeader : this.constructor.DEFAULT_AUTH_HEADER;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : DEFAULT_MAX_RETRIES;
+    // Named in network and server error messages
+    this.serviceName = options.serviceName || 'API';
+  }
+  
+  // Whether requests carry the saved API key
+  get needsApiKey() {
+    return (this.authHeader || '').includes(API_KEY_PLACEHOLDER);
+  }
+  
+  createError(type, message, options = {}) {
+    return new ApiError(type, message, { ...options, service: this.serviceName });
+  }
+  
+  async buildHeaders(extraHeaders = {}) {
+    const headers = { 'Content-Type': 'application/json', ...extraHeaders };
+    
+    const separator = (this.authHeader || '').indexOf(':');
+    if (separator > 0) {
+      let value = this.authHeader.slice(separator + 1).trim();
+      if (value.includes(API_KEY_PLACEHOLDER)) {
+        const apiKey = await this.getApiKey();
+        if (!apiKey) {
+          throw this.createError(ERROR_TYPES.AUTHENTICATION, 'API key is not set. Please add your API key in Settings.');
+        }
+        value = value.split(API_KEY_PLACEHOLDER).join(apiKey);
+      }
+      headers[this.authHeader.slice(0, separator).trim()] = value;
+    }
+    
+    return headers;
+  }
+  
+  // fetch with connection failures turned into network errors; aborts are passed on as they are
+  async request(url, init) {
+    try {
+      return await fetch(url, init);
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      
+      console.error(`${this.serviceName} request failed:`, error.cause?.message || error.message);
+      throw this.createError(ERROR_TYPES.NETWORK, null, { detail: error.cause?.message || error.message });
+    }
+  }
+  
+  // Run a request, retrying transient failures
+  // onRetry({ attempt, maxRetries, delayMs, errorType }) is called before each retry;
+  // canRetry() returning false stops retries, e.g. once streamed text has been shown
+  async withRetries(run, { signal, onRetry, canRetry = () => true } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await run();
+      } catch (error) {
+        const retry = error instanceof ApiError && error.retryable &&
+          canRetry() && attempt < this.maxRetries && !(signal && signal.aborted);
+        if (!retry) throw error;
+        
+        const delayMs = getRetryDelay(attempt, error.retryAfterMs);
+        console.warn(`${this.serviceName} ${error.type} error (${error.status || 'stream'}), retrying in ${delayMs}ms (attempt ${attempt + 1} of ${this.maxRetries})`);
+        if (onRetry) {
+          onRetry({ attempt: attempt + 1, maxRetries: this.maxRetries, delayMs, errorType: error.type });
+        }
+        
+        await sleep(delayMs, signal);
+      }
+    }
+  }
+  
+  // Call onEvent(eventName, data) for each server-sent event in a streaming response
+  // partialResult is attached to an abort error, since tokens used before a stop are still billed
+  async readServerSentEvents(response, onEvent, partialResult) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    while (true) {
+      let chunk;
+      try {
+        chunk = await reader.read();
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          error.partialResult = partialResult;
+          throw error;
+        }
+        
+        // The connection dropped part way through the stream
+        console.error(`${this.serviceName} stream interrupted:`, error.message);
+        throw this.createError(ERROR_TYPES.NETWORK, null, { detail: error.message });
+      }
+      
+      const { done, value } = chunk;
+      if (done) break;
+      
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+      
+      // Events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        
+        const parsed = parseServerSentEvent(rawEvent);
+        if (parsed) {
+          onEvent(parsed.event, parsed.data);
+        }
+      }
+    }
+  }
+  
+  // Turn a non-OK HTTP response into an Error, tolerating non-JSON bodies
+  async createErrorFromResponse(response) {
+    let bodyText = '';
+    try {
+      bodyText = await response.text();
+    } catch (readError) {
+      console.error('Failed to read API error response:', readError.message);
+    }
+    
+    let errorData = null;
+    try {
+      errorData = JSON.parse(bodyText);
+    } catch (parseError) {
+      // Proxies and gateways can return HTML or plain text
+    }
+    
+    console.error(`${this.serviceName} error response (${response.status}):`, errorData || bodyText.substring(0, 500));
+    
+    const error = this.createApiError(response.status, errorData?.error?.type, errorData?.error?.message);
+    error.retryAfterMs = parseRetryAfter(response.headers);
+    return error;
+  }
+  
+  // Map an HTTP status and error type from the response body to a typed error
+  createApiError(status, apiErrorType, apiMessage) {
+    let type;
+    if (apiErrorType === 'overloaded_error' || status === 529) {
+      type = ERROR_TYPES.OVERLOADED;
+    } else if (apiErrorType === 'rate_limit_error' || status === 429) {
+      type = ERROR_TYPES.RATE_LIMIT;
+    } else if (['authentication_error', 'permission_error'].includes(apiErrorType) || status === 401 || status === 403) {
+      type = ERROR_TYPES.AUTHENTICATION;
+    } else if (['invalid_request_error', 'not_found_error', 'request_too_large'].includes(apiErrorType) ||
+      (status >= 400 && status < 500)) {
+      type = ERROR_TYPES.INVALID_REQUEST;
+    } else {
+      type = ERROR_TYPES.SERVER;
+    }
+    
+    // The API's explanation is the useful part of a rejected request
+    const message = type === ERROR_TYPES.INVALID_REQUEST && apiMessage
+      ? `${ERROR_MESSAGES[type]} ${apiMessage}`
+      : null;
+    
+    return this.createError(type, message, { status, detail: apiMessage || null });
+  }
+}
+
+// Read retry-after-ms or retry-after (seconds or an HTTP date) in milliseconds
+function parseRetryAfter(headers) {
+  const retryAfterMs = parseFloat(headers.get('retry-after-ms'));
+  if (!isNaN(retryAfterMs)) return retryAfterMs;
+  
+  const retryAfter = headers.get('retry-after');
+  if (!retryAfter) return null;
+  
+  const seconds = parseFloat(retryAfter);
+  if (!isNaN(seconds)) return seconds * 1000;
+  
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Use the server's retry-after when reasonable, otherwise exponential backoff with jitter
+function getRetryDelay(attempt, retryAfterMs) {
+  if (retryAfterMs !== null && retryAfterMs !== undefined && retryAfterMs <= MAX_RETRY_AFTER_MS) {
+    return Math.round(retryAfterMs);
+  }
+  
+  const backoff = Math.min(INITIAL_RETRY_DELAY_MS * Math.pow(2, attempt), MAX_RETRY_DELAY_MS);
+  return Math.round(backoff * (0.75 + Math.random() * 0.5));
+}
+
+// Wait between retries, stopping early if the request is cancelled
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Parse one server-sent event block into its event name and data
+// Data that isn't JSON, such as the [DONE] marker some servers send, is passed on as text
+function parseServerSentEvent(rawEvent) {
+  let eventType = 'message';
+  const dataLines = [];
+  
+  rawEvent.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      eventType = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+  
+  if (dataLines.length === 0) return null;
+  
+  const data = dataLines.join('\n');
+  if (data === '[DONE]') return { event: eventType, data };
+  
+  try {
+    return { event: eventType, data: JSON.parse(data) };
+  } catch (error) {
+    console.warn('Skipping malformed stream event:', rawEvent);
+    return null;
+  }
+}
+
+// Tool calls without arguments send no JSON at all
+function parseToolInput(json) {
+  if (!json.trim()) return {};
+  
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    throw new ApiError(ERROR_TYPES.SERVER, 'The model sent a tool call that could not be read.', { detail: error.message });
+  }
+}
+
+ApiClient.DEFAULT_AUTH_HEADER = '';
+
+module.exports = {
+  ApiClient,
+  ApiError,
+  ERROR_TYPES,
+  ERROR_MESSAGES,
+  API_KEY_PLACEHOLDER,
+  parseToolInput
+};
@@ -0,0 +1,76 @@
+/**
+ * Attachment Store for Claude Desktop
+ *
+ * Keeps the contents of files attached to messages in the attachments folder
+ * under the user data directory, one file per attachment. Conversations only
+ * store the metadata, so large screenshots don't bloat the settings store.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Attachments = require('./attachments');
+
+// Ids are generated here; anything else is rejected so ids can't point outside the folder
+const ID_PATTERN = /^att_[a-z0-9]+_[a-f0-9]+$/;
+
+class AttachmentStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+  
+  _pathFor(id) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      throw new Error(`Invalid attachment id: ${id}`);
+    }
+    return path.join(this.directory, id);
+  }
+  
+  // Validate and save a file, returning its metadata
+  save(name, mediaType, buffer) {
+    const details = { name, size: buffer.length, mediaType };
+    const error = Attachments.validateFile(details);
+    if (error) throw new Error(error);
+    
+    const id = `att_${Date.now().toString(36)}_${crypto.randomBytes(6).toString('hex')}`;
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(this._pathFor(id), buffer);
+    
+    return { id, ...details, kind: Attachments.getKind(mediaType) };
+  }
+  
+  read(id) {
+    return fs.readFileSync(this._pathFor(id));
+  }
+  
+  // Whether a file is stored for an attachment id
+  has(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id) && fs.existsSync(this._pathFor(id));
+  }
+  
+  // Build the API content block for an attachment from its metadata
+  toContentBlock(attachment) {
+    const buffer = this.read(attachment.id);
+    const data = attachment.kind === 'text' ? buffer.toString('utf8') : buffer.toString('base64');
+    return Attachments.toContentBlock(attachment, data);
+  }
+  
+  // Delete stored files that no message refers to any more
+  prune(referencedIds) {
+    if (!fs.existsSync(this.directory)) return 0;
+    
+    let removed = 0;
+    fs.readdirSync(this.directory).forEach(id => {
+      if (!ID_PATTERN.test(id) || referencedIds.has(id)) return;
+      try {
+        fs.rmSync(this._pathFor(id), { force: true });
+        removed++;
+      } catch (error) {
+        console.error(`Error removing attachment ${id}:`, error.message);
+      }
+    });
+    return removed;
+  }
+}
+
+module.exports = AttachmentStore;
@@ -0,0 +1,146 @@
+/**
+ * Attachments for Claude Desktop
+ *
+ * Rules shared by the renderer and the main process for files attached to
+ * messages: which types are supported, how large they may be and how they
+ * become Messages API content blocks. Images and PDFs are sent as base64
+ * image and document blocks; text files (logs, code, CSV...) are sent as
+ * text blocks.
+ *
+ * Messages store attachment metadata ({ id, name, mediaType, kind, size });
+ * the file contents live in the main process attachment store.
+ *
+ * Loaded as a plain script in the renderer and required by the main process.
+ */
+
+const Attachments = (() => {
+  const MB = 1024 * 1024;
+  
+  // Per-file limits by kind, matching what the Messages API accepts
+  const SIZE_LIMITS = {
+    image: 5 * MB,
+    document: 20 * MB,
+    text: 1 * MB
+  };
+  
+  const KIND_LABELS = {
+    image: 'Images',
+    document: 'PDFs',
+    text: 'Text files'
+  };
+  
+  // Base64 grows files by a third, this keeps a request under the API's 32 MB limit
+  const MAX_TOTAL_BYTES = 24 * MB;
+  const MAX_ATTACHMENTS = 20;
+  
+  const IMAGE_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp'
+  };
+  
+  const TEXT_EXTENSIONS = [
+    'txt', 'md', 'markdown', 'log', 'csv', 'tsv', 'json', 'jsonl', 'xml', 'yaml', 'yml', 'toml', 'ini', 'cfg', 'conf', 'env',
+    'html', 'htm', 'css', 'scss', 'js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'py', 'rb', 'php', 'java', 'kt', 'swift', 'go',
+    'rs', 'c', 'h', 'cpp', 'hpp', 'cs', 'sh', 'bash', 'zsh', 'ps1', 'bat', 'sql', 'diff', 'patch'
+  ];
+  
+  // File dialog filters for the attachment picker
+  const FILE_FILTERS = [
+    { name: 'Supported files', extensions: [...Object.keys(IMAGE_TYPES), 'pdf', ...TEXT_EXTENSIONS] },
+    { name: 'Images', extensions: Object.keys(IMAGE_TYPES) },
+    { name: 'PDF documents', extensions: ['pdf'] },
+    { name: 'Text files', extensions: TEXT_EXTENSIONS }
+  ];
+  
+  function getExtension(name) {
+    const match = /\.([^.\\/]+)$/.exec(name || '');
+    return match ? match[1].toLowerCase() : '';
+  }
+  
+  // Work out the media type from the file name, falling back to the type the OS reported
+  function getMediaType(name, reportedType = '') {
+    const extension = getExtension(name);
+    
+    if (IMAGE_TYPES[extension]) return IMAGE_TYPES[extension];
+    if (extension === 'pdf') return 'application/pdf';
+    if (TEXT_EXTENSIONS.includes(extension)) return 'text/plain';
+    
+    if (Object.values(IMAGE_TYPES).includes(reportedType) || reportedType === 'application/pdf') {
+      return reportedType;
+    }
+    if (reportedType && reportedType.startsWith('text/')) return 'text/plain';
+    
+    return null;
+  }
+  
+  function getKind(mediaType) {
+    if (!mediaType) return null;
+    if (mediaType.startsWith('image/')) return 'image';
+    if (mediaType === 'application/pdf') return 'document';
+    if (mediaType === 'text/plain') return 'text';
+    return null;
+  }
+  
+  function formatSize(bytes) {
+    if (bytes >= MB) return `${(bytes / MB).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} B`;
+  }
+  
+  // Check a single file, returning an error message or null when it can be attached
+  function validateFile({ name, size, mediaType }) {
+    const kind = getKind(mediaType);
+    if (!kind) {
+      return `${name} is not a supported file type. Attach images (PNG, JPEG, GIF, WebP), PDFs or text files.`;
+    }
+    if (size > SIZE_LIMITS[kind]) {
+      return `${name} is ${formatSize(size)}; ${KIND_LABELS[kind]} can be at most ${formatSize(SIZE_LIMITS[kind])}.`;
+    }
+    return null;
+  }
+  
+  // Check everything attached to one message before it is sent
+  function validateMessage(attachments) {
+    if (attachments.length > MAX_ATTACHMENTS) {
+      return `A message can have at most ${MAX_ATTACHMENTS} attachments.`;
+    }
+    
+    const total = attachments.reduce((sum, attachment) => sum + (attachment.size || 0), 0);
+    if (total > MAX_TOTAL_BYTES) {
+      return `Attachments total ${formatSize(total)}; a message can carry at most ${formatSize(MAX_TOTAL_BYTES)}.`;
+    }
+    
+    return null;
+  }
+  
+  // Build the Messages API content block for an attachment
+  // data is base64 for images and PDFs and the decoded text for text files
+  function toContentBlock(attachment, data) {
+    switch (attachment.kind) {
+      case 'image':
+        return { type: 'image', source: { type: 'base64', media_type: attachment.mediaType, data } };
+      case 'document':
+        return { type: 'document', source: { type: 'base64', media_type: attachment.mediaType, data }, title: attachment.name };
+      default:
+        return { type: 'text', text: `Contents of ${attachment.name}:\n\n${data}` };
+    }
+  }
+  
+  return {
+    SIZE_LIMITS,
+    MAX_TOTAL_BYTES,
+    MAX_ATTACHMENTS,
+    FILE_FILTERS,
+    getMediaType,
+    getKind,
+    formatSize,
+    validateFile,
+    validateMessage,
+    toContentBlock
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = Attachments;
@@ -0,0 +1,242 @@
+/**
+ * Built-in Tools for Claude Desktop
+ *
+ * Local tools registered with the tool registry: the current date and time,
+ * a calculator, reading a text file and listing a folder. Nothing here has
+ * side effects. Approving a call in the renderer is not enough to touch the
+ * disk: a path Claude gives is confirmed again in a main-process dialog, and
+ * when Claude gives no path the user picks one in a dialog.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Text files larger than this are not read
+const MAX_FILE_BYTES = 256 * 1024;
+const MAX_FOLDER_ENTRIES = 500;
+
+const FUNCTIONS = {
+  abs: Math.abs,
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+// Evaluate an arithmetic expression without eval
+// Supports + - * / % ^, parentheses, unary minus, the functions above and pi/e
+function evaluateExpression(expression) {
+  const tokens = String(expression).match(/\d+\.?\d*(?:e[+-]?\d+)?|\.\d+|[a-z_][a-z0-9_]*|\*\*|[-+*/%^(),]|\S/gi) || [];
+  let position = 0;
+  
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (token) => {
+    if (next() !== token) throw new Error(`Expected "${token}" in expression`);
+  };
+  
+  // expression := term (('+' | '-') term)*
+  function parseExpression() {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  }
+  
+  // term := unary (('*' | '/' | '%') unary)*
+  function parseTerm() {
+    let value = parseUnary();
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const operator = next();
+      const right = parseUnary();
+      if (operator === '*') value *= right;
+      else if (operator === '/') value /= right;
+      else value %= right;
+    }
+    return value;
+  }
+  
+  // unary := ('-' | '+') unary | power, so -2^2 is -4
+  function parseUnary() {
+    if (peek() === '-') {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  }
+  
+  // power := primary (('^' | '**') unary)?  - right associative
+  function parsePower() {
+    const base = parsePrimary();
+    if (peek() === '^' || peek() === '**') {
+      next();
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  }
+  
+  function parsePrimary() {
+    const token = next();
+    if (token === undefined) throw new Error('Unexpected end of expression');
+    
+    if (token === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+    if (/^(\d|\.\d)/.test(token)) {
+      return parseFloat(token);
+    }
+    
+    const name = token.toLowerCase();
+    if (FUNCTIONS[name]) {
+      expect('(');
+      const argument = parseExpression();
+      expect(')');
+      return FUNCTIONS[name](argument);
+    }
+    if (CONSTANTS[name] !== undefined) {
+      return CONSTANTS[name];
+    }
+    
+    throw new Error(`Unexpected "${token}" in expression`);
+  }
+  
+  const value = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position]}" in expression`);
+  }
+  if (!Number.isFinite(value)) {
+    throw new Error('The result is not a finite number');
+  }
+  return value;
+}
+
+// Use the path Claude gave once the user confirms it, or ask the user to choose one when there is none
+async function resolvePath(inputPath, choosePath, confirmPath) {
+  if (typeof inputPath === 'string' && inputPath.trim()) {
+    const resolved = path.resolve(inputPath.trim().replace(/^~(?=$|[\\/])/, os.homedir()));
+    if (!(await confirmPath(resolved))) {
+      throw new Error(`The user did not allow access to ${resolved}.`);
+    }
+    return resolved;
+  }
+  
+  const chosen = await choosePath();
+  if (!chosen) throw new Error('The user did not choose a path.');
+  return chosen;
+}
+
+// options.chooseFile and options.chooseFolder show a dialog and resolve to a path or null
+// options.confirmRead(filePath) and options.confirmList(folderPath) ask the user and resolve to true when allowed
+function createBuiltinTools({ chooseFile, chooseFolder, confirmRead, confirmList }) {
+  return [
+    {
+      name: 'get_current_datetime',
+      title: 'Date and time',
+      description: 'Get the current date and time on the user\'s computer, with their time zone.',
+      inputSchema: { type: 'object', properties: {} },
+      run: () => {
+        const now = new Date();
+        return {
+          iso: now.toISOString(),
+          local: now.toLocaleString(),
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          utcOffsetMinutes: -now.getTimezoneOffset()
+        };
+      }
+    },
+    {
+      name: 'calculator',
+      title: 'Calculator',
+      description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, ' +
+        'sqrt, cbrt, abs, exp, ln, log (base 10), log2, sin, cos, tan, asin, acos, atan, round, floor, ceil, pi and e.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          expression: { type: 'string', description: 'The expression to evaluate, for example "(2 + 3) * sqrt(16)"' }
+        },
+        required: ['expression']
+      },
+      run: ({ expression }) => String(evaluateExpression(expression))
+    },
+    {
+      name: 'read_file',
+      title: 'Read file',
+      description: 'Read a text file on the user\'s computer. The user must approve every read. ' +
+        'Leave out path to let the user choose the file.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Absolute path of the file to read' }
+        }
+      },
+      run: async ({ path: inputPath }) => {
+        const filePath = await resolvePath(inputPath, chooseFile, confirmRead);
+        const stats = fs.statSync(filePath);
+        if (!stats.isFile()) throw new Error(`${filePath} is not a file.`);
+        if (stats.size > MAX_FILE_BYTES) {
+          throw new Error(`${filePath} is ${stats.size} bytes; files over ${MAX_FILE_BYTES} bytes can't be read.`);
+        }
+        
+        const buffer = fs.readFileSync(filePath);
+        if (buffer.includes(0)) throw new Error(`${filePath} is not a text file.`);
+        return `Contents of ${filePath}:\n\n${buffer.toString('utf8')}`;
+      }
+    },
+    {
+      name: 'list_folder',
+      title: 'List folder',
+      description: 'List the files and folders in a folder on the user\'s computer. The user must approve every listing. ' +
+        'Leave out path to let the user choose the folder.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Absolute path of the folder to list' }
+        }
+      },
+      run: async ({ path: inputPath }) => {
+        const folderPath = await resolvePath(inputPath, chooseFolder, confirmList);
+        const entries = fs.readdirSync(folderPath, { withFileTypes: true });
+        
+        const lines = entries.slice(0, MAX_FOLDER_ENTRIES).map(entry => {
+          if (entry.isDirectory()) return `${entry.name}/`;
+          try {
+            return `${entry.name} (${fs.statSync(path.join(folderPath, entry.name)).size} bytes)`;
+          } catch (error) {
+            return entry.name;
+          }
+        });
+        if (entries.length > MAX_FOLDER_ENTRIES) {
+          lines.push(`... and ${entries.length - MAX_FOLDER_ENTRIES} more`);
+        }
+        
+        return `${folderPath} (${entries.length} entries):\n${lines.join('\n')}`;
+      }
+    }
+  ];
+}
+
+module.exports = { createBuiltinTools, evaluateExpression };
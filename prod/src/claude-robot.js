@@ -12,6 +12,7 @@
 const RobotFace = require('./robot-face');
 const SpeechManager = require('./speech-manager');
 const SentimentAnalyzer = require('./sentiment-analyzer');
+const MarkdownRenderer = require('./markdown-renderer');
 
 // File and asset paths - for improved path resolution
 const path = require('path');
@@ -29,6 +30,47 @@ try {
   console.error("Could not access Electron logger:", error);
 }
 
+// How the robot reacts to each type of API error
+// Types match the error categories reported by the main-process API client
+const API_ERROR_REACTIONS = {
+  authentication: {
+    title: 'API Key Problem',
+    emotion: 'confused',
+    speech: "I can't sign in to the API. Please check your API key in Settings.",
+    retryable: false
+  },
+  invalid_request: {
+    title: 'Request Rejected',
+    emotion: 'confused',
+    speech: "The API couldn't accept that request.",
+    retryable: false
+  },
+  rate_limit: {
+    title: 'Rate Limit Reached',
+    emotion: 'sad',
+    speech: "I've been asked to slow down. Let's try again in a moment.",
+    retryable: true
+  },
+  overloaded: {
+    title: 'API Is Busy',
+    emotion: 'sad',
+    speech: 'The API is very busy right now. Please try again shortly.',
+    retryable: true
+  },
+  server: {
+    title: 'API Error',
+    emotion: 'error',
+    speech: 'Something went wrong on the API side.',
+    retryable: true
+  },
+  network: {
+    title: 'Connection Problem',
+    emotion: 'surprised',
+    speech: "I can't reach the API. Please check your internet connection.",
+    retryable: true
+  }
+};
+
 // Create a robust logger that outputs to both console and electron logger if available
 const robotLogger = {
   debug: (message, ...args) => {
@@ -666,6 +708,9 @@ class ClaudeRobot {
         this.transcriptContainer.style.border = '1px solid #ddd';
         this.transcriptContainer.style.padding = '10px';
         this.mainContainer.appendChild(this.transcriptContainer);
+        
+        // Copy buttons on code blocks in Claude's replies
+        MarkdownRenderer.enableCopyButtons(this.transcriptContainer);
       }
       
       // Version and status info
@@ -1189,7 +1234,8 @@ class ClaudeRobot {
   }
   
   // Add user or Claude message to transcript
-  addToTranscript(sender, message) {
+  // time is when the message was written; null leaves the timestamp empty when it isn't known
+  addToTranscript(sender, message, time = new Date()) {
     try {
       if (!this.options.enableTranscript || !this.transcriptContainer) {
         return;
@@ -1211,12 +1257,14 @@ class ClaudeRobot {
       const contentElement = document.createElement('div');
       contentElement.className = 'message-content';
       
-      // Safely set text content (truncate if extremely long)
+      // Claude's replies are rendered as Markdown, user text is shown as typed (truncate if extremely long)
       try {
-        if (message.length > 10000) {
-          contentElement.textContent = message.substring(0, 10000) + '... (message truncated)';
+        const displayText = message.length > 10000 ? message.substring(0, 10000) + '... (message truncated)' : message;
+        if (sender === 'claude') {
+          contentElement.classList.add('markdown-content');
+          contentElement.innerHTML = MarkdownRenderer.render(displayText);
         } else {
-          contentElement.textContent = message;
+          contentElement.textContent = displayText;
         }
       } catch (textError) {
         robotLogger.error('Error setting message content:', textError);
@@ -1228,7 +1276,7 @@ class ClaudeRobot {
       // Add timestamp
       const timestamp = document.createElement('div');
       timestamp.className = 'message-timestamp';
-      timestamp.textContent = new Date().toLocaleTimeString();
+      timestamp.textContent = time ? new Date(time).toLocaleTimeString() : '';
       messageElement.appendChild(timestamp);
       
       // Add to transcript container
@@ -1238,7 +1286,7 @@ class ClaudeRobot {
       this.state.transcript.push({
         sender,
         message: message.length > 1000 ? message.substring(0, 1000) + '... (truncated in memory)' : message,
-        timestamp: new Date()
+        timestamp: time ? new Date(time) : null
       });
       
       // Scroll to bottom
@@ -1248,6 +1296,30 @@ class ClaudeRobot {
     }
   }
   
+  // Replay saved conversation history ({role, content} messages) into the transcript
+  loadTranscript(messages) {
+    try {
+      if (!Array.isArray(messages)) {
+        robotLogger.warn('Cannot load transcript - messages must be an array');
+        return;
+      }
+      
+      robotLogger.debug(`Loading ${messages.length} messages into transcript`);
+      
+      messages.forEach(message => {
+        // Saved messages keep the time they were written
+        const time = message.createdAt || null;
+        if (message.role === 'user') {
+          this.addToTranscript('user', message.content, time);
+        } else if (message.role === 'assistant') {
+          this.addToTranscript('claude', message.content, time);
+        }
+      });
+    } catch (error) {
+      robotLogger.error('Error loading transcript:', error);
+    }
+  }
+  
   scrollTranscriptToBottom() {
     try {
       if (this.transcriptContainer) {
@@ -1292,11 +1364,56 @@ class ClaudeRobot {
     }
   }
   
+  // Show the working expression while a tool runs
+  showWorking() {
+    try {
+      if (!this.state.initialized || !this.robotFace) return;
+      this.robotFace.startWorking();
+    } catch (error) {
+      robotLogger.error('Error showing working state:', error);
+    }
+  }
+  
+  hideWorking() {
+    try {
+      if (!this.state.initialized || !this.robotFace) return;
+      this.robotFace.stopWorking();
+    } catch (error) {
+      robotLogger.error('Error hiding working state:', error);
+    }
+  }
+  
+  // Stop a response in progress: silence speech and return the face to idle
+  stopResponse() {
+    try {
+      robotLogger.debug('Stopping response');
+      
+      if (this.speechManager) {
+        this.speechManager.cancel();
+      }
+      
+      this.state.thinking = false;
+      
+      if (this.robotFace) {
+        this.robotFace.stopThinking();
+        this.robotFace.stopWorking();
+        this.robotFace.stopSpeaking();
+        this.robotFace.setEmotion('neutral');
+      }
+    } catch (error) {
+      robotLogger.error('Error stopping response:', error);
+    }
+  }
+  
   // Show an error state
-  showError(errorMessage, error = null) {
+  // API errors (with a type from API_ERROR_REACTIONS) get their own reaction;
+  // options.onRetry lets the Retry button resend the failed turn
+  showError(errorMessage, error = null, options = {}) {
     robotLogger.error('Robot error:', errorMessage, error);
     
     try {
+      const reaction = error && error.type ? API_ERROR_REACTIONS[error.type] : null;
+      
       // Get full error details if provided
       let errorDetail = '';
       if (error) {
@@ -1320,17 +1437,25 @@ class ClaudeRobot {
         this.statusContainer.style.display = 'block';
         
         let errorHTML = `<div class="robot-error-message">
-          <h3>Robot Interface Error</h3>
-          <p>${errorMessage}</p>`;
+          <h3>${reaction ? reaction.title : 'Robot Interface Error'}</h3>
+          <p>${MarkdownRenderer.escapeHtml(errorMessage)}</p>`;
           
         if (this.options.debug && errorDetail) {
-          errorHTML += `<pre class="error-details">${errorDetail}</pre>`;
+          errorHTML += `<pre class="error-details">${MarkdownRenderer.escapeHtml(errorDetail)}</pre>`;
         }
         
-        errorHTML += `<div class="error-actions">
-          <button class="error-retry-btn">Retry Initialization</button>
-          <button class="error-ignore-btn">Continue Anyway</button>
-        </div>`;
+        if (reaction) {
+          const canRetry = reaction.retryable && typeof options.onRetry === 'function';
+          errorHTML += `<div class="error-actions">
+            ${canRetry ? '<button class="error-retry-btn">Retry</button>' : ''}
+            <button class="error-ignore-btn">Dismiss</button>
+          </div>`;
+        } else {
+          errorHTML += `<div class="error-actions">
+            <button class="error-retry-btn">Retry Initialization</button>
+            <button class="error-ignore-btn">Continue Anyway</button>
+          </div>`;
+        }
         
         errorHTML += '</div>';
         
@@ -1341,7 +1466,15 @@ class ClaudeRobot {
           const retryBtn = this.statusContainer.querySelector('.error-retry-btn');
           const ignoreBtn = this.statusContainer.querySelector('.error-ignore-btn');
           
-          if (retryBtn) {
+          if (retryBtn && reaction) {
+            retryBtn.addEventListener('click', () => {
+              robotLogger.info('Resending failed turn requested by user');
+              this.statusContainer.style.display = 'none';
+              this.state.error = null;
+              if (this.robotFace) this.robotFace.setEmotion('neutral');
+              options.onRetry();
+            });
+          } else if (retryBtn) {
             retryBtn.addEventListener('click', () => {
               robotLogger.info('Retry initialization requested by user');
               this.statusContainer.style.display = 'none';
@@ -1367,7 +1500,11 @@ class ClaudeRobot {
       if (this.robotFace) {
         try {
           robotLogger.debug('Displaying error state on robot face');
-          this.robotFace.showError();
+          if (reaction && reaction.emotion !== 'error') {
+            this.robotFace.setEmotion(reaction.emotion);
+          } else {
+            this.robotFace.showError();
+          }
         } catch (faceError) {
           robotLogger.error('Failed to show error on robot face:', faceError);
         }
@@ -1377,7 +1514,7 @@ class ClaudeRobot {
       if (this.options.enableSpeech && this.speechManager) {
         try {
           robotLogger.debug('Announcing error via speech');
-          this.speechManager.speak('I encountered an error. Please check the console for details.');
+          this.speechManager.speak(reaction ? reaction.speech : 'I encountered an error. Please check the console for details.');
         } catch (speechError) {
           robotLogger.error('Failed to announce error via speech:', speechError);
         }
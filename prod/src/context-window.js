@@ -0,0 +1,130 @@
+/**
+ * Context Window for Claude Desktop
+ *
+ * Works out how much of a model's context window a chat request will use.
+ * Estimates are made locally from character counts so they are free and
+ * instant; when a request gets close to the limit the renderer asks the API
+ * for an exact count before deciding whether older turns must be left out
+ * or summarized.
+ *
+ * Loaded as a plain script in the renderer, after models.js.
+ */
+
+const ContextWindow = (() => {
+  // Warn (and count exactly) once a request uses this share of the space left for input
+  const WARNING_RATIO = 0.8;
+  
+  // Estimates can be well off, so an exact count is asked for before the warning point
+  const EXACT_COUNT_RATIO = 0.6;
+  
+  // Roughly four characters per token for English text and code
+  const CHARS_PER_TOKEN = 4;
+  
+  // Role markers and formatting the API adds around each message
+  const MESSAGE_OVERHEAD_TOKENS = 4;
+  
+  // Images are resized to about 1.15 megapixels, roughly 1,600 tokens
+  const IMAGE_TOKENS = 1600;
+  
+  // PDF pages are sent as text plus an image of the page
+  const PDF_BYTES_PER_TOKEN = 50;
+  
+  // Context window sizes come from the model limits in models.js
+  function getContextWindow(model) {
+    return Models.getLimits(model).contextWindow;
+  }
+  
+  // Tokens left for the prompt once room is kept for the reply
+  function getInputLimit(model, maxTokens) {
+    return getContextWindow(model) - (maxTokens || 0);
+  }
+  
+  function estimateText(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+  }
+  
+  // Content blocks may still be attachment references ({ type: 'attachment', attachment })
+  function estimateBlock(block) {
+    if (block.type === 'text') return estimateText(block.text);
+    if (block.type === 'image') return IMAGE_TOKENS;
+    
+    const attachment = block.attachment || {};
+    switch (attachment.kind) {
+      case 'image':
+        return IMAGE_TOKENS;
+      case 'document':
+        return Math.ceil((attachment.size || 0) / PDF_BYTES_PER_TOKEN);
+      case 'text':
+        return Math.ceil((attachment.size || 0) / CHARS_PER_TOKEN);
+      default:
+        return estimateText(JSON.stringify(block));
+    }
+  }
+  
+  function estimateMessage(message) {
+    const content = Array.isArray(message.content)
+      ? message.content.reduce((sum, block) => sum + estimateBlock(block), 0)
+      : estimateText(message.content);
+    return content + MESSAGE_OVERHEAD_TOKENS;
+  }
+  
+  // Estimated input tokens for a request's system prompt and messages
+  function estimateRequest({ system, messages }) {
+    return estimateText(system) + (messages || []).reduce((sum, message) => sum + estimateMessage(message), 0);
+  }
+  
+  function needsExactCount(estimate, model, maxTokens) {
+    return estimate >= getInputLimit(model, maxTokens) * EXACT_COUNT_RATIO;
+  }
+  
+  function isToolResults(message) {
+    return Array.isArray(message.content) && message.content.some(block => block.type === 'tool_result');
+  }
+  
+  // Drop the oldest messages until the rest fit in budget tokens
+  // scale corrects the estimates when an exact count is known for the whole request
+  function dropOldestMessages(messages, budget, scale = 1) {
+    let total = messages.reduce((sum, message) => sum + estimateMessage(message), 0) * scale;
+    let start = 0;
+    
+    while (start < messages.length - 1 && total > budget) {
+      total -= estimateMessage(messages[start]) * scale;
+      start++;
+    }
+    
+    // The API expects the conversation to start with a user message, and not with tool results
+    while (start < messages.length - 1 && (messages[start].role !== 'user' || isToolResults(messages[start]))) {
+      start++;
+    }
+    
+    return messages.slice(start);
+  }
+  
+  // Keep the end of a long text so it fits in about the given number of tokens
+  function keepLastTokens(text, tokens) {
+    const maxChars = Math.floor(tokens * CHARS_PER_TOKEN);
+    return text.length > maxChars ? text.slice(-maxChars) : text;
+  }
+  
+  // How full the context window is: 'ok', 'warning' (close to the limit) or 'over'
+  function getStatus(inputTokens, model, maxTokens) {
+    const limit = getInputLimit(model, maxTokens);
+    if (inputTokens > limit) return 'over';
+    if (inputTokens >= limit * WARNING_RATIO) return 'warning';
+    return 'ok';
+  }
+  
+  return {
+    WARNING_RATIO,
+    getContextWindow,
+    getInputLimit,
+    estimateMessage,
+    estimateRequest,
+    needsExactCount,
+    dropOldestMessages,
+    keepLastTokens,
+    getStatus
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = ContextWindow;
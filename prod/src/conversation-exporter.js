@@ -0,0 +1,290 @@
+/**
+ * Conversation Exporter for Claude Desktop
+ *
+ * Writes conversations out as transcripts for bug reports and training
+ * material: Markdown, a self-contained HTML page with its styles inline,
+ * or a PDF printed from that page. Transcripts follow the branch shown in
+ * the app and can carry metadata (model, times and token usage). JSON
+ * exports keep every branch, so they can be imported again (see
+ * conversation-importer.js).
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const MessageTree = require('./message-tree');
+const MarkdownRenderer = require('./markdown-renderer');
+const Usage = require('./usage');
+
+const FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md' },
+  html: { label: 'HTML', extension: 'html' },
+  pdf: { label: 'PDF', extension: 'pdf' },
+  json: { label: 'JSON', extension: 'json' }
+};
+
+// Marks the app's JSON exports so imports can recognise them
+const EXPORT_FORMAT = 'claude-desktop-conversations';
+const EXPORT_VERSION = 1;
+
+const ROLE_LABELS = { user: 'User', assistant: 'Assistant' };
+
+// Styles for exported pages; light, so transcripts print well
+const HTML_STYLES = `
+  body { margin: 0; padding: 32px 24px; background: #FFFFFF; color: #1F2030; font: 15px/1.55 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; }
+  main { max-width: 820px; margin: 0 auto; }
+  article.conversation + article.conversation { margin-top: 48px; padding-top: 32px; border-top: 2px solid #D9DAE6; page-break-before: always; }
+  h1 { font-size: 1.6rem; margin: 0 0 12px; }
+  .metadata { margin: 0 0 20px; padding: 10px 14px; border-radius: 8px; background: #F3F3F8; font-size: 0.85rem; color: #55586E; }
+  .metadata dt { float: left; clear: left; width: 120px; font-weight: 600; }
+  .metadata dd { margin: 0 0 4px 120px; white-space: pre-wrap; }
+  .message { margin: 0 0 16px; padding: 12px 16px; border-radius: 10px; border: 1px solid #E2E3EE; page-break-inside: avoid; }
+  .message.user { background: #EEF1FF; border-color: #D5DBFA; }
+  .message-header { display: flex; gap: 12px; margin-bottom: 6px; font-size: 0.8rem; color: #6B6E85; }
+  .message-role { font-weight: 700; color: #1F2030; }
+  .message-text { white-space: pre-wrap; }
+  .attachments, .tool-call { margin-top: 8px; font-size: 0.85rem; color: #55586E; }
+  .tool-call summary { cursor: pointer; }
+  .markdown-content > :first-child { margin-top: 0; }
+  .markdown-content > :last-child { margin-bottom: 0; }
+  .markdown-content p, .markdown-content ul, .markdown-content ol, .markdown-content blockquote, .markdown-content .code-block, .markdown-content .markdown-table { margin: 0 0 10px; }
+  .markdown-content blockquote { padding: 2px 12px; border-left: 3px solid #B8BBD6; color: #55586E; }
+  .markdown-content table { border-collapse: collapse; font-size: 0.9rem; }
+  .markdown-content th, .markdown-content td { border: 1px solid #D9DAE6; padding: 6px 10px; }
+  .markdown-content .task-list-item { list-style: none; margin-left: -20px; }
+  code { font-family: "SF Mono", Menlo, Consolas, "Liberation Mono", monospace; font-size: 0.88em; background: #F0F0F5; padding: 1px 4px; border-radius: 4px; }
+  .code-block { border-radius: 8px; overflow: hidden; background: #16171D; border: 1px solid #2C2E3A; }
+  .code-block-header { padding: 4px 10px; background: #22232C; font-size: 0.75rem; color: #9699B7; }
+  .code-block-copy { display: none; }
+  .code-block pre, pre.plain { margin: 0; padding: 10px 12px; overflow-x: auto; white-space: pre-wrap; word-break: break-word; }
+  .code-block pre code { background: none; padding: 0; color: #D8DAF0; font-size: 0.85rem; }
+  pre.plain { background: #F0F0F5; border-radius: 6px; font-family: "SF Mono", Menlo, Consolas, "Liberation Mono", monospace; font-size: 0.8rem; }
+  .hl-keyword { color: #C792EA; }
+  .hl-string { color: #C3E88D; }
+  .hl-number { color: #F78C6C; }
+  .hl-literal { color: #FF9CAC; }
+  .hl-comment { color: #697098; font-style: italic; }
+  .hl-tag { color: #82AAFF; }
+  footer { max-width: 820px; margin: 32px auto 0; font-size: 0.75rem; color: #9699B7; }
+`;
+
+// Write conversations in a format from FORMATS
+// options: { includeMetadata } adds model, times and token usage to transcripts
+// Returns a string, or a Buffer for PDF
+async function exportConversations(conversations, format, options = {}) {
+  switch (format) {
+    case 'markdown':
+      return toMarkdown(conversations, options);
+    case 'html':
+      return toHtml(conversations, options);
+    case 'pdf':
+      return toPdf(toHtml(conversations, options));
+    case 'json':
+      return toJson(conversations);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+// A file name for an export, from the conversation's title when there is only one
+function getFileName(conversations, format) {
+  const title = conversations.length === 1
+    ? conversations[0].title.replace(/[^\p{L}\p{N} _-]/gu, '').replace(/\s+/g, ' ').trim().slice(0, 80)
+    : '';
+  return `${title || 'claude-conversations'}.${FORMATS[format].extension}`;
+}
+
+function toMarkdown(conversations, { includeMetadata = false } = {}) {
+  return conversations.map(conversation => {
+    const lines = [`# ${conversation.title}`, ''];
+    
+    if (includeMetadata) {
+      getMetadata(conversation).forEach(([label, value]) => {
+        lines.push(`- **${label}:** ${value.includes('\n') ? value.replace(/\n/g, '\n  ') : value}`);
+      });
+      lines.push('');
+    }
+    
+    getTranscript(conversation).forEach(message => {
+      lines.push('---', '', `### ${[ROLE_LABELS[message.role], ...getMessageDetails(message, includeMetadata)].join(' · ')}`, '');
+      if (message.content) {
+        lines.push(message.content, '');
+      }
+      if (message.attachments && message.attachments.length > 0) {
+        lines.push(`*Attached: ${message.attachments.map(attachment => attachment.name).join(', ')}*`, '');
+      }
+      (message.toolCalls || []).forEach(call => {
+        lines.push(`**Tool call: ${call.name}** (${call.status || 'pending'})`, '');
+        lines.push(fence(JSON.stringify(call.input || {}, null, 2), 'json'), '');
+        if (call.result) {
+          lines.push('Result:', '', fence(call.result), '');
+        }
+      });
+    });
+    
+    return lines.join('\n').trim() + '\n';
+  }).join('\n\n');
+}
+
+function toHtml(conversations, { includeMetadata = false } = {}) {
+  const escape = MarkdownRenderer.escapeHtml;
+  
+  const articles = conversations.map(conversation => {
+    const metadata = includeMetadata
+      ? `<dl class="metadata">${getMetadata(conversation).map(([label, value]) => `<dt>${escape(label)}</dt><dd>${escape(value)}</dd>`).join('')}</dl>`
+      : '';
+    
+    const messages = getTranscript(conversation).map(message => {
+      const details = getMessageDetails(message, includeMetadata).map(detail => `<span>${escape(detail)}</span>`).join('');
+      // Replies are Markdown; what the user typed is shown as written
+      const content = message.role === 'assistant'
+        ? `<div class="markdown-content">${MarkdownRenderer.render(message.content)}</div>`
+        : `<div class="message-text">${escape(message.content || '')}</div>`;
+      const attachments = message.attachments && message.attachments.length > 0
+        ? `<div class="attachments">Attached: ${escape(message.attachments.map(attachment => attachment.name).join(', '))}</div>`
+        : '';
+      const toolCalls = (message.toolCalls || []).map(call => '<details class="tool-call" open>' +
+        `<summary>Tool call: <strong>${escape(call.name)}</strong> (${escape(call.status || 'pending')})</summary>` +
+        `<pre class="plain">${escape(JSON.stringify(call.input || {}, null, 2))}</pre>` +
+        (call.result ? `<div>Result:</div><pre class="plain">${escape(call.result)}</pre>` : '') +
+        '</details>').join('');
+      
+      return `<section class="message ${message.role}">` +
+        `<div class="message-header"><span class="message-role">${ROLE_LABELS[message.role]}</span>${details}</div>` +
+        content + attachments + toolCalls +
+        '</section>';
+    }).join('\n');
+    
+    return `<article class="conversation"><h1>${escape(conversation.title)}</h1>${metadata}\n${messages}</article>`;
+  }).join('\n');
+  
+  const title = conversations.length === 1 ? conversations[0].title : 'Claude Conversations';
+  return '<!DOCTYPE html>\n' +
+    '<html lang="en">\n<head>\n<meta charset="UTF-8">\n' +
+    `<title>${escape(title)}</title>\n<style>${HTML_STYLES}</style>\n</head>\n` +
+    `<body>\n<main>\n${articles}\n</main>\n` +
+    `<footer>Exported from Claude Desktop on ${escape(formatTime(new Date().toISOString()))}</footer>\n` +
+    '</body>\n</html>\n';
+}
+
+// Print an exported page to PDF in a hidden window
+// The page is loaded from a file in a new temporary folder, since long transcripts are too big
+// for a data URL; the folder is only readable by this user and removed once the PDF is made
+async function toPdf(html) {
+  // Electron is only needed here, so the importer can share this module's constants outside it
+  const { BrowserWindow } = require('electron');
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-export-'));
+  const tempFile = path.join(tempDir, 'export.html');
+  
+  let printWindow = null;
+  try {
+    fs.writeFileSync(tempFile, html);
+    printWindow = new BrowserWindow({
+      show: false,
+      webPreferences: { javascript: false, sandbox: true }
+    });
+    await printWindow.loadFile(tempFile);
+    return await printWindow.webContents.printToPDF({
+      printBackground: true,
+      pageSize: 'A4',
+      margins: { marginType: 'default' }
+    });
+  } finally {
+    if (printWindow) printWindow.destroy();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+// Every branch is kept, along with the settings a conversation was held with
+function toJson(conversations) {
+  const exported = conversations.map(conversation => ({
+    title: conversation.title,
+    model: conversation.model,
+    systemPrompt: conversation.systemPrompt,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    usage: conversation.usage || {},
+    activeLeafId: conversation.activeLeafId,
+    messages: conversation.messages
+  }));
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversations: exported
+  }, null, 2);
+}
+
+// The user and assistant messages on the branch shown in the app
+function getTranscript(conversation) {
+  return MessageTree.getPath(conversation.messages || [], conversation.activeLeafId)
+    .filter(message => ROLE_LABELS[message.role]);
+}
+
+// [label, value] pairs describing a conversation
+function getMetadata(conversation) {
+  const metadata = [
+    ['Model', conversation.model || 'unknown'],
+    ['Created', formatTime(conversation.createdAt)],
+    ['Updated', formatTime(conversation.updatedAt)]
+  ];
+  
+  const { totals, cost, unpricedModels } = Usage.summarize(conversation.usage);
+  if (totals.requests > 0) {
+    metadata.push(['Token usage', `${totals.inputTokens} input, ${totals.outputTokens} output, ` +
+      `${totals.cacheReadTokens} cache read, ${totals.cacheCreationTokens} cache write over ${totals.requests} requests`]);
+    metadata.push(['Estimated cost', unpricedModels.length > 0
+      ? `${Usage.formatCost(cost)} (no pricing for ${unpricedModels.join(', ')})`
+      : Usage.formatCost(cost)]);
+  }
+  
+  if (conversation.systemPrompt) {
+    metadata.push(['System prompt', conversation.systemPrompt]);
+  }
+  return metadata;
+}
+
+// What is shown next to a message: when it was written and, when metadata is
+// included, the model of a reply, why it stopped, how long it took and the tokens it used
+function getMessageDetails(message, includeMetadata) {
+  const details = [];
+  if (message.createdAt) {
+    details.push(formatTime(message.createdAt));
+  }
+  if (includeMetadata && message.role === 'assistant') {
+    if (message.model) {
+      details.push(message.model);
+    }
+    if (message.stopReason) {
+      details.push(`stop: ${message.stopReason}`);
+    }
+    if (typeof message.latencyMs === 'number') {
+      details.push(`${(message.latencyMs / 1000).toFixed(1)}s`);
+    }
+    if (message.usage) {
+      const input = message.usage.inputTokens + message.usage.cacheReadTokens + message.usage.cacheCreationTokens;
+      details.push(`${input} in / ${message.usage.outputTokens} out tokens`);
+    }
+  }
+  return details;
+}
+
+function formatTime(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? 'unknown' : date.toLocaleString();
+}
+
+// A fenced Markdown code block long enough to hold any backticks in the text
+function fence(text, language = '') {
+  const longestRun = Math.max(0, ...(String(text).match(/`+/g) || []).map(run => run.length));
+  const marker = '`'.repeat(Math.max(3, longestRun + 1));
+  return `${marker}${language}\n${text}\n${marker}`;
+}
+
+module.exports = {
+  FORMATS,
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  exportConversations,
+  getFileName
+};
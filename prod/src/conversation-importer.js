@@ -0,0 +1,560 @@
+/**
+ * Conversation Importer for Claude Desktop
+ *
+ * Reads conversations from files so prompts and transcripts can be brought
+ * over from older tools: the app's own JSON exports (and the bare message
+ * lists older versions wrote), its Markdown transcripts, and the JSON
+ * exports of ChatGPT and Claude.ai. Each file becomes a list of plain
+ * conversations { title, model, systemPrompt, createdAt, messages,
+ * activeLeafId } whose messages are checked one by one and given new ids.
+ * Nothing here touches stored conversations; see the import IPC in main.js.
+ */
+
+const crypto = require('crypto');
+const MessageTree = require('./message-tree');
+const { EXPORT_FORMAT, EXPORT_VERSION } = require('./conversation-exporter');
+
+const MAX_FILE_SIZE = 50 * 1024 * 1024;
+
+// Messages with these roles can't be shown or sent, so they are left out rather than rejected
+const SKIPPED_ROLES = ['system', 'tool', 'function', 'developer'];
+
+const TOOL_CALL_STATUSES = ['pending', 'running', 'done', 'error', 'denied', 'stopped'];
+
+// Names a Markdown heading can give each side of the conversation
+const MARKDOWN_ROLES = {
+  user: 'user',
+  human: 'user',
+  you: 'user',
+  assistant: 'assistant',
+  claude: 'assistant',
+  chatgpt: 'assistant'
+};
+
+// "## User" or "### Assistant · model · time"
+const MARKDOWN_ROLE_HEADING = /^#{2,3}\s+\**([A-Za-z]+)\**\s*(?:[·:|–-].*)?$/;
+
+// Read conversations from a file's text, JSON or Markdown
+// options.hasAttachment(id) tells whether an attachment's file is stored on this machine
+// Returns { conversations, errors } where errors describe conversations that were left out
+function parseFile(text, options = {}) {
+  const trimmed = String(text || '').replace(/^\uFEFF/, '').trim();
+  if (!trimmed) {
+    throw new Error('The file is empty');
+  }
+  
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error('The file is not valid JSON');
+    }
+    return parseJson(data, options);
+  }
+  
+  return parseMarkdown(trimmed);
+}
+
+function parseJson(data, options) {
+  const { entries, read } = detectJsonFormat(data);
+  if (entries.length === 0) {
+    throw new Error('The file contains no conversations');
+  }
+  
+  const conversations = [];
+  const errors = [];
+  entries.forEach((entry, index) => {
+    try {
+      conversations.push(read(entry, options));
+    } catch (error) {
+      const title = entry && typeof entry === 'object' ? entry.title || entry.name : null;
+      errors.push(`Conversation ${title ? `"${title}"` : index + 1}: ${error.message}`);
+    }
+  });
+  
+  return { conversations, errors };
+}
+
+// Work out which app wrote a JSON file, returning its conversations and a reader for them
+function detectJsonFormat(data) {
+  if (data && data.format === EXPORT_FORMAT) {
+    if (data.version > EXPORT_VERSION) {
+      throw new Error('The file was exported by a newer version of the app');
+    }
+    return { entries: Array.isArray(data.conversations) ? data.conversations : [], read: readAppConversation };
+  }
+  
+  if (data && !Array.isArray(data) && Array.isArray(data.conversations)) {
+    return detectJsonFormat(data.conversations);
+  }
+  
+  const entries = Array.isArray(data) ? data : [data];
+  const first = entries.find(entry => entry && typeof entry === 'object');
+  if (!first) {
+    return { entries: [], read: readAppConversation };
+  }
+  
+  if (first.mapping && typeof first.mapping === 'object') {
+    return { entries, read: readChatGptConversation };
+  }
+  if (Array.isArray(first.chat_messages)) {
+    return { entries, read: readClaudeAiConversation };
+  }
+  if (Array.isArray(first.messages)) {
+    return { entries, read: readAppConversation };
+  }
+  // Older versions exported the bare message history
+  if (Array.isArray(data) && typeof first.role === 'string' && 'content' in first) {
+    return { entries: [{ messages: data }], read: readAppConversation };
+  }
+  
+  throw new Error('The file is not a conversation export this app can read');
+}
+
+// One conversation from this app's export, as a tree or a plain list
+function readAppConversation(entry, options) {
+  if (!entry || typeof entry !== 'object' || !Array.isArray(entry.messages)) {
+    throw new Error('it has no message list');
+  }
+  
+  const isTree = MessageTree.isTree(entry.messages);
+  let previousId = null;
+  const items = entry.messages.map((message, index) => {
+    const sourceId = isTree ? message.id : String(index);
+    const item = {
+      sourceId,
+      sourceParentId: isTree ? message.parentId : previousId,
+      message: readAppMessage(message, index + 1, options)
+    };
+    previousId = sourceId;
+    return item;
+  });
+  
+  return {
+    title: readString(entry.title),
+    model: readString(entry.model),
+    systemPrompt: typeof entry.systemPrompt === 'string' ? entry.systemPrompt : undefined,
+    createdAt: readTime(entry.createdAt),
+    ...buildTree(items, isTree ? entry.activeLeafId : previousId)
+  };
+}
+
+// Check one stored message, keeping the fields the app knows
+// Returns null for messages that are left out
+function readAppMessage(message, position, { hasAttachment = () => false } = {}) {
+  if (!message || typeof message !== 'object') {
+    throw new Error(`message ${position} is not an object`);
+  }
+  if (SKIPPED_ROLES.includes(message.role)) return null;
+  if (message.role !== 'user' && message.role !== 'assistant') {
+    throw new Error(`message ${position} has an unknown role: ${message.role}`);
+  }
+  
+  const content = readText(message.content);
+  if (content === null) {
+    throw new Error(`message ${position} has no text content`);
+  }
+  
+  const node = { role: message.role, content };
+  
+  // Attachment files are not part of an export; ones stored on another machine become a note
+  const attachments = Array.isArray(message.attachments) ? message.attachments.filter(attachment => attachment && typeof attachment === 'object') : [];
+  const stored = attachments.filter(attachment => typeof attachment.id === 'string' && hasAttachment(attachment.id));
+  const missing = attachments.filter(attachment => !stored.includes(attachment));
+  if (stored.length > 0) {
+    node.attachments = stored;
+  }
+  if (missing.length > 0) {
+    node.content = appendNotes(node.content, missing.map(attachment => `[Attached file: ${attachment.name || 'unnamed'}]`));
+  }
+  
+  if (Array.isArray(message.toolCalls)) {
+    node.toolCalls = message.toolCalls.map((call, index) => readToolCall(call, `message ${position}, tool call ${index + 1}`));
+  }
+  if (Array.isArray(message.thinking) && message.thinking.every(block => block && typeof block.type === 'string')) {
+    node.thinking = message.thinking;
+  }
+  if (message.contextSummary && typeof message.contextSummary.text === 'string') {
+    node.contextSummary = message.contextSummary;
+  }
+  if (readString(message.model)) {
+    node.model = message.model;
+  }
+  if (readTime(message.createdAt)) {
+    node.createdAt = readTime(message.createdAt);
+  }
+  if (readString(message.stopReason)) {
+    node.stopReason = message.stopReason;
+  }
+  if (typeof message.latencyMs === 'number' && message.latencyMs >= 0) {
+    node.latencyMs = message.latencyMs;
+  }
+  if (message.usage && typeof message.usage === 'object') {
+    node.usage = readUsage(message.usage);
+  }
+  
+  if (!node.content && !node.attachments && !node.toolCalls) {
+    throw new Error(`message ${position} is empty`);
+  }
+  return node;
+}
+
+function readToolCall(call, where) {
+  if (!call || typeof call !== 'object' || !readString(call.name)) {
+    throw new Error(`${where} has no tool name`);
+  }
+  if (call.input !== undefined && (typeof call.input !== 'object' || call.input === null || Array.isArray(call.input))) {
+    throw new Error(`${where} has input that is not an object`);
+  }
+  
+  return {
+    id: typeof call.id === 'string' && /^[\w-]+$/.test(call.id) ? call.id : `toolu_imported_${crypto.randomBytes(8).toString('hex')}`,
+    name: call.name,
+    input: call.input || {},
+    status: TOOL_CALL_STATUSES.includes(call.status) ? call.status : 'stopped',
+    ...(typeof call.result === 'string' ? { result: call.result } : {})
+  };
+}
+
+// A ChatGPT conversations.json entry; messages are a tree keyed by node id
+function readChatGptConversation(entry) {
+  if (!entry || typeof entry.mapping !== 'object' || entry.mapping === null) {
+    throw new Error('it has no messages');
+  }
+  
+  const items = Object.entries(entry.mapping).map(([key, node]) => ({
+    sourceId: (node && node.id) || key,
+    sourceParentId: node ? node.parent : null,
+    message: node ? readChatGptMessage(node.message) : null
+  }));
+  
+  return {
+    title: readString(entry.title),
+    createdAt: readTime(entry.create_time),
+    ...buildTree(items, entry.current_node)
+  };
+}
+
+function readChatGptMessage(message) {
+  if (!message || !message.author) return null;
+  
+  const role = message.author.role;
+  if (role !== 'user' && role !== 'assistant') return null;
+  // Hidden context and calls to ChatGPT's own tools aren't part of the visible conversation
+  if (message.metadata && message.metadata.is_visually_hidden_from_conversation) return null;
+  if (message.recipient && message.recipient !== 'all') return null;
+  
+  const content = message.content || {};
+  const parts = Array.isArray(content.parts) ? content.parts : (typeof content.text === 'string' ? [content.text] : []);
+  const texts = parts.filter(part => typeof part === 'string' && part.trim());
+  const notes = parts.filter(part => part && typeof part === 'object').map(part =>
+    (part.content_type === 'image_asset_pointer' ? '[An image was left out]' : '[An attachment was left out]'));
+  
+  const text = appendNotes(texts.join('\n\n'), notes);
+  if (!text) return null;
+  
+  const node = { role, content: text };
+  if (message.metadata && readString(message.metadata.model_slug)) {
+    node.model = message.metadata.model_slug;
+  }
+  if (readTime(message.create_time)) {
+    node.createdAt = readTime(message.create_time);
+  }
+  return node;
+}
+
+// A Claude.ai conversations.json entry; newer exports link each message to its parent
+function readClaudeAiConversation(entry) {
+  const messages = entry.chat_messages.filter(message => message && typeof message === 'object');
+  const linked = messages.some(message => message.parent_message_uuid);
+  
+  let previousId = null;
+  const items = messages.map((message, index) => {
+    const sourceId = message.uuid || String(index);
+    const item = {
+      sourceId,
+      sourceParentId: linked ? message.parent_message_uuid : previousId,
+      message: readClaudeAiMessage(message)
+    };
+    previousId = sourceId;
+    return item;
+  });
+  
+  return {
+    title: readString(entry.name),
+    createdAt: readTime(entry.created_at),
+    ...buildTree(items, linked ? null : previousId)
+  };
+}
+
+function readClaudeAiMessage(message) {
+  const role = message.sender === 'human' ? 'user' : (message.sender === 'assistant' ? 'assistant' : null);
+  if (!role) return null;
+  
+  const text = typeof message.text === 'string' && message.text
+    ? message.text
+    : readText(message.content) || '';
+  const files = [...(message.attachments || []), ...(message.files || [])]
+    .map(file => file && (file.file_name || file.name))
+    .filter(Boolean);
+  
+  const content = appendNotes(text, files.map(name => `[Attached file: ${name}]`));
+  if (!content) return null;
+  
+  const node = { role, content };
+  if (readTime(message.created_at)) {
+    node.createdAt = readTime(message.created_at);
+  }
+  return node;
+}
+
+// Conversations from Markdown transcripts like the ones the app exports:
+// "# Title", optional "- **Label:** value" lines, then a "## User" or
+// "### Assistant" heading before each message
+function parseMarkdown(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const conversations = [];
+  const errors = [];
+  
+  let conversation = null;
+  let message = null;
+  let fence = null;
+  
+  const finishMessage = () => {
+    if (!message) return;
+    
+    // The rule exported before each heading belongs to the layout, not the message
+    const body = message.lines.join('\n').replace(/\n+---\s*$/, '').trim();
+    if (body) {
+      conversation.messages.push({ role: message.role, content: body });
+    }
+    message = null;
+  };
+  const finishConversation = () => {
+    finishMessage();
+    if (!conversation) return;
+    
+    if (conversation.messages.length === 0) {
+      errors.push(`Transcript ${conversation.title ? `"${conversation.title}"` : conversations.length + errors.length + 1}: it has no messages under User or Assistant headings`);
+    } else {
+      const { nodes, leafId } = MessageTree.fromLinear(conversation.messages);
+      conversations.push({
+        title: conversation.title,
+        model: conversation.model,
+        systemPrompt: conversation.systemPrompt,
+        messages: nodes,
+        activeLeafId: leafId
+      });
+    }
+    conversation = null;
+  };
+  
+  // Headings only count outside fenced code, where replies can hold anything
+  const nextLine = (index) => {
+    for (let i = index + 1; i < lines.length; i++) {
+      if (lines[i].trim()) return i;
+    }
+    return -1;
+  };
+  const isConversationStart = (index) => {
+    if (!/^# \S/.test(lines[index])) return false;
+    const next = nextLine(index);
+    if (next === -1) return false;
+    if (/^- \*\*[^*]+:\*\*/.test(lines[next]) || getHeadingRole(lines[next])) return true;
+    return lines[next].trim() === '---' && nextLine(next) !== -1 && Boolean(getHeadingRole(lines[nextLine(next)]));
+  };
+  
+  lines.forEach((line, index) => {
+    const fenceMatch = /^\s*(`{3,}|~{3,})/.exec(line);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && !line.trim().slice(fenceMatch[1].length).trim()) {
+        fence = null;
+      }
+      if (message) message.lines.push(line);
+      return;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      if (message) message.lines.push(line);
+      return;
+    }
+    
+    if (isConversationStart(index) && (!conversation || conversation.messages.length > 0 || message)) {
+      finishConversation();
+      conversation = { title: line.slice(2).trim(), messages: [], metadata: null };
+      return;
+    }
+    
+    const role = getHeadingRole(line);
+    if (role) {
+      if (!conversation) {
+        conversation = { title: null, messages: [], metadata: null };
+      }
+      finishMessage();
+      message = { role, lines: [] };
+      return;
+    }
+    
+    if (message) {
+      message.lines.push(line);
+    } else if (conversation) {
+      readMarkdownMetadata(conversation, line);
+    }
+  });
+  finishConversation();
+  
+  if (conversations.length === 0 && errors.length === 0) {
+    throw new Error('No messages were found. Transcripts need a "## User" or "## Assistant" heading before each message');
+  }
+  return { conversations, errors };
+}
+
+function getHeadingRole(line) {
+  const match = MARKDOWN_ROLE_HEADING.exec(line.trim());
+  return match ? MARKDOWN_ROLES[match[1].toLowerCase()] || null : null;
+}
+
+// The model and system prompt from the metadata list above the messages
+function readMarkdownMetadata(conversation, line) {
+  const item = /^- \*\*([^*]+):\*\*\s?(.*)$/.exec(line);
+  if (item) {
+    conversation.metadata = item[1].trim().toLowerCase();
+    if (conversation.metadata === 'model' && item[2].trim() && item[2].trim() !== 'unknown') {
+      conversation.model = item[2].trim();
+    } else if (conversation.metadata === 'system prompt') {
+      conversation.systemPrompt = item[2];
+    }
+    return;
+  }
+  
+  // Lines of a multi-line value are indented under their item
+  if (conversation.metadata === 'system prompt' && /^ {2}/.test(line)) {
+    conversation.systemPrompt += `\n${line.slice(2)}`;
+  } else if (line.trim()) {
+    conversation.metadata = null;
+  }
+}
+
+// Give source messages new ids and link them up as message nodes
+// items: [{ sourceId, sourceParentId, message }] where message is null for entries that are
+// left out; their replies are attached to the nearest message that was kept. Parents that
+// aren't in the file make a message a root. Returns { messages, activeLeafId }
+function buildTree(items, sourceLeafId) {
+  const bySourceId = new Map();
+  items.forEach(item => {
+    if (bySourceId.has(item.sourceId)) {
+      throw new Error(`two messages have the same id: ${item.sourceId}`);
+    }
+    bySourceId.set(item.sourceId, item);
+  });
+  
+  // Parents are linked before their replies
+  const depths = new Map();
+  const getDepth = (item) => {
+    let depth = 0;
+    let current = item;
+    while (current && bySourceId.has(current.sourceParentId)) {
+      if (depths.has(current.sourceId)) {
+        depth += depths.get(current.sourceId);
+        break;
+      }
+      current = bySourceId.get(current.sourceParentId);
+      if (++depth > items.length) {
+        throw new Error('its messages reply to each other in a loop');
+      }
+    }
+    depths.set(item.sourceId, depth);
+    return depth;
+  };
+  const ordered = items
+    .map((item, index) => ({ item, index, depth: getDepth(item) }))
+    .sort((a, b) => a.depth - b.depth || a.index - b.index)
+    .map(({ item }) => item);
+  
+  // New id of the nearest kept message at or above a source message
+  const newIds = new Map();
+  const keptAncestor = (sourceId) => {
+    let current = bySourceId.get(sourceId);
+    while (current) {
+      if (newIds.has(current.sourceId)) return newIds.get(current.sourceId);
+      current = bySourceId.get(current.sourceParentId);
+    }
+    return null;
+  };
+  
+  const messages = [];
+  ordered.forEach(item => {
+    if (!item.message) return;
+    
+    const node = {
+      ...item.message,
+      id: MessageTree.createId(),
+      parentId: keptAncestor(item.sourceParentId),
+      createdAt: item.message.createdAt || null
+    };
+    newIds.set(item.sourceId, node.id);
+    messages.push(node);
+  });
+  
+  if (messages.length === 0) {
+    throw new Error('it has no user or assistant messages');
+  }
+  
+  const leafId = sourceLeafId !== undefined && sourceLeafId !== null ? keptAncestor(sourceLeafId) : null;
+  return { messages, activeLeafId: leafId || MessageTree.getDefaultLeaf(messages) };
+}
+
+// A conversation's identity for spotting duplicates: the role and text of each message on its shown branch
+function getFingerprint(messages, activeLeafId) {
+  const path = MessageTree.getPath(messages || [], activeLeafId);
+  const hash = crypto.createHash('sha256');
+  path.forEach(message => {
+    hash.update(`${message.role}\n${String(message.content || '').replace(/\s+/g, ' ').trim()}\n\u0000`);
+  });
+  return hash.digest('hex');
+}
+
+// Text from a string or from the text blocks of Messages API content
+function readText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return null;
+  
+  return content
+    .map(block => (typeof block === 'string' ? block : (block && block.type === 'text' && typeof block.text === 'string' ? block.text : '')))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+// A reply's token counts, with anything that isn't a count read as zero
+function readUsage(usage) {
+  const count = (value) => (Number.isFinite(value) && value >= 0 ? value : 0);
+  return {
+    inputTokens: count(usage.inputTokens),
+    outputTokens: count(usage.outputTokens),
+    cacheCreationTokens: count(usage.cacheCreationTokens),
+    cacheReadTokens: count(usage.cacheReadTokens)
+  };
+}
+
+function readString(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+}
+
+// An ISO time from an ISO string or Unix seconds
+function readTime(value) {
+  if (value === null || value === undefined || value === '') return undefined;
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+function appendNotes(text, notes) {
+  return [text, ...notes].filter(Boolean).join('\n\n');
+}
+
+module.exports = {
+  MAX_FILE_SIZE,
+  parseFile,
+  buildTree,
+  getFingerprint
+};
@@ -0,0 +1,235 @@
+/**
+ * Conversation Store for Claude Desktop
+ *
+ * Keeps any number of named conversations in electron-store. Each conversation
+ * has its own title, model, system prompt, optional persona, pinned flag,
+ * message history and token usage per model.
+ * Messages form a tree (see message-tree.js); activeLeafId marks the branch
+ * being shown. One conversation is always active; the legacy message history
+ * IPC reads and writes the active conversation. Conversations saved by
+ * earlier versions are brought up to date by store-schema.js before the
+ * store is opened.
+ */
+
+const crypto = require('crypto');
+const MessageTree = require('./message-tree');
+const Usage = require('./usage');
+
+const DEFAULT_TITLE = 'New conversation';
+const MAX_TITLE_LENGTH = 60;
+
+class ConversationStore {
+  constructor(store, options = {}) {
+    this.store = store;
+    
+    // Supplies the model and system prompt new conversations start with
+    this.getDefaults = options.getDefaults || (() => ({ model: null, systemPrompt: '' }));
+    
+    // Keep an in-memory copy so the store also works with the in-memory fallback
+    this.conversations = this.store.get('conversations', {}) || {};
+    this.activeId = this.store.get('activeConversationId', null);
+    
+    // Make sure there is always an active conversation
+    if (!this.activeId || !this.conversations[this.activeId]) {
+      const [mostRecent] = this.list();
+      if (mostRecent) {
+        this.setActive(mostRecent.id);
+      } else {
+        this.create();
+      }
+    }
+  }
+  
+  // A new conversation object, not yet stored
+  // defaults: { model, systemPrompt } for fields that aren't given
+  static createConversation(fields = {}, defaults = {}) {
+    const now = new Date().toISOString();
+    const title = typeof fields.title === 'string' ? fields.title.trim().substring(0, MAX_TITLE_LENGTH) : '';
+    const { nodes: messages, leafId } = normalizeMessages(
+      Array.isArray(fields.messages) ? fields.messages : [],
+      fields.activeLeafId
+    );
+    
+    return {
+      id: crypto.randomUUID(),
+      title: title || deriveTitle(messages),
+      titleIsCustom: !!title,
+      model: fields.model || defaults.model || null,
+      systemPrompt: fields.systemPrompt !== undefined ? fields.systemPrompt : defaults.systemPrompt || '',
+      personaId: typeof fields.personaId === 'string' ? fields.personaId : null,
+      pinned: false,
+      // Imported conversations keep the time they were started
+      createdAt: fields.createdAt && !isNaN(Date.parse(fields.createdAt)) ? new Date(fields.createdAt).toISOString() : now,
+      updatedAt: now,
+      messages,
+      activeLeafId: leafId,
+      usage: {}
+    };
+  }
+  
+  _persist() {
+    this.store.set('conversations', this.conversations);
+    this.store.set('activeConversationId', this.activeId);
+  }
+  
+  // Summaries for the sidebar - pinned first, then most recently updated
+  list() {
+    return Object.values(this.conversations)
+      .map(conversation => ({
+        id: conversation.id,
+        title: conversation.title,
+        model: conversation.model,
+        personaId: conversation.personaId || null,
+        pinned: conversation.pinned,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt,
+        messageCount: conversation.messages.length
+      }))
+      .sort((a, b) => {
+        if (a.pinned !== b.pinned) return a.pinned ? -1 : 1;
+        return b.updatedAt.localeCompare(a.updatedAt);
+      });
+  }
+  
+  get(id) {
+    return this.conversations[id] || null;
+  }
+  
+  create(fields = {}) {
+    const conversation = ConversationStore.createConversation(fields, this.getDefaults());
+    
+    this.conversations[conversation.id] = conversation;
+    this.activeId = conversation.id;
+    this._persist();
+    
+    return conversation;
+  }
+  
+  // Update a conversation; only known fields are accepted
+  save(id, updates = {}) {
+    const conversation = this.conversations[id];
+    if (!conversation) {
+      throw new Error(`Conversation not found: ${id}`);
+    }
+    
+    if (typeof updates.title === 'string' && updates.title.trim()) {
+      conversation.title = updates.title.trim().substring(0, MAX_TITLE_LENGTH);
+      conversation.titleIsCustom = true;
+    }
+    if (typeof updates.model === 'string') {
+      conversation.model = updates.model;
+    }
+    if (typeof updates.systemPrompt === 'string') {
+      conversation.systemPrompt = updates.systemPrompt;
+    }
+    // null clears the persona so the conversation's own settings apply again
+    if (typeof updates.personaId === 'string' || updates.personaId === null) {
+      conversation.personaId = updates.personaId;
+    }
+    if (typeof updates.pinned === 'boolean') {
+      conversation.pinned = updates.pinned;
+    }
+    if (Array.isArray(updates.messages)) {
+      const { nodes, leafId } = normalizeMessages(updates.messages, updates.activeLeafId);
+      conversation.messages = nodes;
+      conversation.activeLeafId = leafId;
+      
+      // Keep the automatic title in step with the first message until the user renames it
+      if (!conversation.titleIsCustom) {
+        conversation.title = deriveTitle(conversation.messages);
+      }
+    }
+    
+    conversation.updatedAt = new Date().toISOString();
+    this._persist();
+    
+    return conversation;
+  }
+  
+  // Delete a conversation; if it was active, switch to the most recent remaining one
+  delete(id) {
+    if (!this.conversations[id]) return false;
+    
+    delete this.conversations[id];
+    
+    if (this.activeId === id) {
+      const [mostRecent] = this.list();
+      if (mostRecent) {
+        this.activeId = mostRecent.id;
+      } else {
+        this.create();
+      }
+    }
+    
+    this._persist();
+    return true;
+  }
+  
+  getActive() {
+    return this.conversations[this.activeId];
+  }
+  
+  // Messages on the branch currently shown, root first
+  getActivePath(id) {
+    const conversation = this.conversations[id];
+    if (!conversation) return [];
+    return MessageTree.getPath(conversation.messages, conversation.activeLeafId);
+  }
+  
+  // Add one request's token usage to the conversation's totals for that model
+  addUsage(id, model, usage) {
+    const conversation = this.conversations[id];
+    if (!conversation) return null;
+    
+    conversation.usage = conversation.usage || {};
+    conversation.usage[model] = Usage.add(conversation.usage[model], usage);
+    
+    this._persist();
+    return conversation.usage;
+  }
+  
+  // Ids of every attachment referenced by any message in any conversation
+  getAttachmentIds() {
+    const ids = new Set();
+    Object.values(this.conversations).forEach(conversation => {
+      (conversation.messages || []).forEach(message => {
+        (message.attachments || []).forEach(attachment => ids.add(attachment.id));
+      });
+    });
+    return ids;
+  }
+  
+  setActive(id) {
+    if (!this.conversations[id]) {
+      throw new Error(`Conversation not found: ${id}`);
+    }
+    
+    this.activeId = id;
+    this._persist();
+    return this.conversations[id];
+  }
+}
+
+// Accept either message nodes or a plain linear history
+function normalizeMessages(messages, activeLeafId) {
+  if (MessageTree.isTree(messages)) {
+    const leafExists = activeLeafId && messages.some(message => message.id === activeLeafId);
+    return { nodes: messages, leafId: leafExists ? activeLeafId : MessageTree.getDefaultLeaf(messages) };
+  }
+  
+  return MessageTree.fromLinear(messages);
+}
+
+// Derive a title from the first user message, or its first attachment's name
+function deriveTitle(messages) {
+  const firstUserMessage = (messages || []).find(msg => msg.role === 'user' && typeof msg.content === 'string');
+  if (!firstUserMessage) return DEFAULT_TITLE;
+  
+  const attachmentName = firstUserMessage.attachments?.[0]?.name || '';
+  const text = (firstUserMessage.content || attachmentName).replace(/\s+/g, ' ').trim();
+  if (!text) return DEFAULT_TITLE;
+  
+  return text.length > MAX_TITLE_LENGTH ? `${text.substring(0, MAX_TITLE_LENGTH - 1)}…` : text;
+}
+
+module.exports = ConversationStore;
@@ -6,6 +6,28 @@ const { autoUpdater } = require('electron-updater');
 const Store = require('electron-store');
 const keytar = require('keytar');
 const { setupRobotHandlers } = require('./preload-bridge');
+const ConversationStore = require('./conversation-store');
+const StoreSchema = require('./store-schema');
+const StoreBackups = require('./store-backups');
+const AnthropicClient = require('./anthropic-client');
+const OpenAICompatibleClient = require('./openai-compatible-client');
+const ProviderRegistry = require('./provider-registry');
+const { ApiError, ERROR_TYPES } = require('./api-client');
+const AttachmentStore = require('./attachment-store');
+const Attachments = require('./attachments');
+const UsageStore = require('./usage-store');
+const Usage = require('./usage');
+const Models = require('./models');
+const ModelCatalog = require('./model-catalog');
+const PersonaStore = require('./persona-store');
+const OutboxStore = require('./outbox-store');
+const SearchIndex = require('./search-index');
+const ConversationExporter = require('./conversation-exporter');
+const ConversationImporter = require('./conversation-importer');
+const ToolRegistry = require('./tool-registry');
+const { createBuiltinTools } = require('./builtin-tools');
+const { MockApiServer, getMockApiOptions } = require('./mock-api-server');
+const appSettings = require('./config');
 
 // Logging system setup
 const LOG_LEVELS = {
@@ -72,79 +94,125 @@ function getEncryptionKey() {
   }
 }
 
-try {
-  // Get an encryption key
-  const encryptionKey = getEncryptionKey();
-  
-  // Try to initialize the store
-  store = new Store({
-    encryptionKey: encryptionKey,
-    clearInvalidConfig: true // Add this to clear invalid configurations
-  });
-  console.log('Store initialized successfully');
-} catch (error) {
-  console.error('Error initializing store:', error.message);
+// Copies of the store taken before migrations and at startup, to recover from
+const storeBackups = new StoreBackups(path.join(app.getPath('userData'), 'backups'));
+
+// Open the store and check its data. A store that can't be read or fails the
+// checks is set aside, and the newest backup that passes is restored in its place
+function openStore(encryptionKey) {
+  const open = () => {
+    // Unreadable data throws instead of being cleared, so it can be recovered
+    const opened = new Store({ encryptionKey, clearInvalidConfig: false });
+    const problems = StoreSchema.validate(opened.store);
+    if (problems.length > 0) {
+      throw new Error(`Invalid store data: ${problems.join('; ')}`);
+    }
+    return opened;
+  };
   
-  // Get the store file path
-  const { app } = require('electron');
-  const path = require('path');
-  const fs = require('fs');
+  try {
+    return open();
+  } catch (error) {
+    console.error('Error opening store:', error.message);
+  }
   
-  const configPath = path.join(app.getPath('userData'), 'config.json');
-  console.log(`Checking for config file at: ${configPath}`);
+  // Keep the file that couldn't be used next to the store rather than deleting it
+  const storePath = path.join(app.getPath('userData'), 'config.json');
+  if (fs.existsSync(storePath)) {
+    const setAsidePath = `${storePath}.invalid-${Date.now()}`;
+    fs.renameSync(storePath, setAsidePath);
+    console.log(`Set the unreadable store aside at: ${setAsidePath}`);
+  }
   
-  // Check if the file exists and try to delete it
-  if (fs.existsSync(configPath)) {
+  for (const backupPath of storeBackups.list()) {
     try {
-      // Create a backup
-      fs.copyFileSync(configPath, `${configPath}.backup`);
-      console.log(`Backup created at: ${configPath}.backup`);
-      
-      // Delete the corrupted file
-      fs.unlinkSync(configPath);
-      console.log(`Deleted corrupted config file: ${configPath}`);
-      
-      // Initialize a new store with a fresh encryption key
-      const encryptionKey = generateSecureKey();
-      store = new Store({
-        encryptionKey: encryptionKey
-      });
-      
-      // Save the new key
-      const keyPath = path.join(app.getPath('userData'), '.encryption-key');
-      fs.writeFileSync(keyPath, encryptionKey, { mode: 0o600 });
-      
-      console.log('Created new store after deleting corrupted file');
-    } catch (deleteError) {
-      console.error('Failed to delete corrupted config:', deleteError.message);
-      
-      // As a last resort, create an in-memory store
-      store = {
-        get: (key, defaultValue) => defaultValue,
-        set: () => {},
-        has: () => false,
-        delete: () => {},
-        clear: () => {},
-        size: 0
-      };
-      console.log('Using in-memory store fallback');
+      storeBackups.restore(backupPath, storePath);
+      const restored = open();
+      console.log(`Restored the store from backup: ${backupPath}`);
+      return restored;
+    } catch (error) {
+      console.error(`Backup ${backupPath} could not be used:`, error.message);
     }
-  } else {
-    console.log('No config file found. Creating new store');
-    // Generate a new encryption key
-    const encryptionKey = generateSecureKey();
-    store = new Store({
-      encryptionKey: encryptionKey
-    });
-    
-    // Save the new key
-    const keyPath = path.join(app.getPath('userData'), '.encryption-key');
+  }
+  
+  console.log('No usable backup found. Creating new store');
+  if (fs.existsSync(storePath)) {
+    fs.unlinkSync(storePath);
+  }
+  return new Store({ encryptionKey, clearInvalidConfig: false });
+}
+
+// Bring data saved by earlier versions up to date one step at a time, backing
+// the store up before each step. A failed step stops there, leaving the data as
+// the previous step saved it
+function migrateStore() {
+  // The in-memory fallback starts empty and has no file to back up
+  if (!store.path) return;
+  
+  // A new store has nothing to migrate or back up yet
+  if (StoreSchema.isNew(store.store)) {
+    store.set('schemaVersion', StoreSchema.SCHEMA_VERSION);
+    return;
+  }
+  
+  // Conversations that can't be used are removed on their own, after a backup,
+  // so one bad conversation doesn't cost the rest of the store
+  try {
+    const data = store.store;
+    const removed = StoreSchema.removeInvalidConversations(data);
+    if (removed.length > 0) {
+      storeBackups.create(store.path, `v${StoreSchema.getVersion(data)}-before-repair`, { keep: true });
+      store.store = data;
+      removed.forEach(description => console.warn(`Removed invalid ${description}`));
+    }
+  } catch (error) {
+    console.error('Error removing invalid conversations:', error);
+  }
+  
+  const version = StoreSchema.getVersion(store.store);
+  if (version > StoreSchema.SCHEMA_VERSION) {
+    console.warn(`Store data is from a newer version of the app (schema ${version}); leaving it unchanged`);
+    return;
+  }
+  
+  for (const migration of StoreSchema.getPendingMigrations(version)) {
     try {
-      fs.writeFileSync(keyPath, encryptionKey, { mode: 0o600 });
-    } catch (keyError) {
-      console.error('Failed to save encryption key:', keyError.message);
+      const data = store.store;
+      storeBackups.create(store.path, `v${StoreSchema.getVersion(data)}-before-v${migration.version}`, { keep: true });
+      migration.migrate(data, { defaultConfig: DEFAULT_CONFIG });
+      data.schemaVersion = migration.version;
+      store.store = data;
+      console.log(`Migrated store to schema ${migration.version}: ${migration.description}`);
+    } catch (error) {
+      console.error(`Error migrating store to schema ${migration.version}:`, error);
+      return;
     }
   }
+  
+  // The data as it is now is the good copy to come back to
+  try {
+    storeBackups.create(store.path, `v${StoreSchema.getVersion(store.store)}`);
+  } catch (error) {
+    console.error('Error backing up store:', error);
+  }
+}
+
+try {
+  store = openStore(getEncryptionKey());
+  console.log('Store initialized successfully');
+} catch (error) {
+  console.error('Error initializing store:', error.message);
+  
+  // As a last resort, create an in-memory store
+  store = {
+    get: (key, defaultValue) => defaultValue,
+    set: () => {},
+    has: () => false,
+    delete: () => {},
+    clear: () => {},
+    size: 0
+  };
+  console.log('Using in-memory store fallback');
 }
 
 // Constants
@@ -152,17 +220,106 @@ const SERVICE_NAME = 'claude-desktop';
 const ACCOUNT_NAME = 'claude-api-key';
 const isDev = process.argv.includes('--dev');
 
+// Local mock of the Anthropic API for development and demos, started by --mock-api[=port]
+const mockApiOptions = getMockApiOptions(process.argv);
+let mockApiServer = null;
+
+// Sent to the mock API instead of the saved key; it accepts any key
+const MOCK_API_KEY = 'mock-api-key';
+
+// The Anthropic key goes to this host; any other host needs the user's permission first
+const ANTHROPIC_API_HOST = new URL(appSettings.apiEndpoint).host;
+
 // Default configuration
 const DEFAULT_CONFIG = {
-  model: 'claude-3-haiku-20240307',
+  model: Models.DEFAULT_MODEL,
   maxTokens: 1024,
   maxHistoryLength: 100,
+  contextStrategy: 'trim',
+  enableTools: true,
+  promptCaching: false,
+  thinking: false,
+  thinkingBudget: 4096,
+  provider: 'anthropic',
+  providers: {},
   systemPrompt: 'You are Claude, an AI assistant by Anthropic.',
   temperature: 0.7,
   theme: 'dark',
   fontSize: 'medium'
 };
 
+// Bring the stored data up to date before anything reads it
+migrateStore();
+
+// Named conversations, each with its own model, system prompt and history
+const conversationStore = new ConversationStore(store, {
+  getDefaults: () => {
+    const config = store.get('config', DEFAULT_CONFIG);
+    return { model: config.model, systemPrompt: config.systemPrompt };
+  }
+});
+
+// Full-text index over every conversation's messages, kept up to date as they are saved
+const searchIndex = new SearchIndex();
+try {
+  searchIndex.rebuild(conversationStore.list().map(summary => conversationStore.get(summary.id)));
+} catch (error) {
+  console.error('Error building the search index:', error);
+}
+
+// Index a conversation's messages again after they were saved
+// Search is a convenience, so a failure here never fails the save
+function reindexConversation(conversation) {
+  try {
+    searchIndex.indexConversation(conversation);
+  } catch (error) {
+    console.error('Error updating the search index:', error);
+  }
+}
+
+// Persona presets conversations can use
+const personaStore = new PersonaStore(store);
+
+// Messages written while offline, sent once the connection is back
+const outboxStore = new OutboxStore(store);
+
+// Token usage of every request by day and model, for the usage report
+const usageStore = new UsageStore(store);
+
+// Contents of files attached to messages, kept out of the settings store
+const attachmentStore = new AttachmentStore(path.join(app.getPath('userData'), 'attachments'));
+
+// Ask the user in a native dialog before a tool touches a path Claude chose
+// Asked here because an approval sent by the renderer can't be trusted on its own
+async function confirmToolAccess(message) {
+  if (!mainWindow || mainWindow.isDestroyed()) return false;
+  
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'question',
+    buttons: ['Allow', 'Deny'],
+    defaultId: 1,
+    cancelId: 1,
+    title: 'Allow File Access',
+    message
+  });
+  return response === 0;
+}
+
+// Local tools Claude can call once the user approves each call
+const toolRegistry = new ToolRegistry();
+createBuiltinTools({
+  chooseFile: async () => {
+    const result = await dialog.showOpenDialog(mainWindow, { title: 'Choose a File for Claude to Read', properties: ['openFile'] });
+    return result.canceled ? null : result.filePaths[0];
+  },
+  chooseFolder: async () => {
+    const result = await dialog.showOpenDialog(mainWindow, { title: 'Choose a Folder for Claude to List', properties: ['openDirectory'] });
+    return result.canceled ? null : result.filePaths[0];
+  },
+  confirmRead: (filePath) => confirmToolAccess(`Allow Claude to read ${filePath}?`),
+  confirmList: (folderPath) => confirmToolAccess(`Allow Claude to list the folder ${folderPath}?`)
+}).forEach(tool => toolRegistry.register(tool));
+
 // Platform detection
 const PLATFORM = {
   isWindows: process.platform === 'win32',
@@ -174,6 +331,9 @@ const PLATFORM = {
 // Global reference to main window
 let mainWindow;
 
+// Usage report window, while it is open
+let usageReportWindow = null;
+
 /**
  * Logging system implementation
  * Writes to log file with proper formatting and rotation
@@ -344,12 +504,26 @@ function createMainWindow() {
       responseHeaders: {
         ...details.responseHeaders,
         'Content-Security-Policy': [
-          "default-src 'self'; script-src 'self'; style-src 'self' 'unsafe-inline'; connect-src https://api.anthropic.com; img-src 'self' data:; media-src 'self'; font-src 'self'; object-src 'none'; base-uri 'self'; form-action 'none'; frame-ancestors 'none'"
+          "default-src 'self'; script-src 'self'; style-src 'self' 'unsafe-inline'; connect-src 'self'; img-src 'self' data:; media-src 'self'; font-src 'self'; object-src 'none'; base-uri 'self'; form-action 'none'; frame-ancestors 'none'"
         ]
       }
     });
   });
 
+  // Links in messages open in the default browser, never inside the app window
+  win.webContents.setWindowOpenHandler(({ url }) => {
+    if (/^(https?:|mailto:)/i.test(url)) {
+      shell.openExternal(url);
+    }
+    return { action: 'deny' };
+  });
+  
+  win.webContents.on('will-navigate', (event, url) => {
+    if (!url.startsWith('file:')) {
+      event.preventDefault();
+    }
+  });
+  
   // Load the main HTML file
   logToFile(LOG_LEVELS.DEBUG, `Loading index.html from ${path.join(__dirname, 'index.html')}`);
   win.loadFile(path.join(__dirname, 'index.html'));
@@ -415,9 +589,9 @@ function createMainWindow() {
     logToFile(LOG_LEVELS[consoleLevel], `Renderer: ${message} (${sourceId}:${line})`);
   });
 
-  // Initialize message history from storage
-  const history = store.get('messageHistory', []);
-  logToFile(LOG_LEVELS.DEBUG, `Loaded message history with ${history.length} messages`);
+  // Log the stored conversations
+  const conversations = conversationStore.list();
+  logToFile(LOG_LEVELS.DEBUG, `Loaded ${conversations.length} conversations, active: ${conversationStore.getActive().id}`);
   
   // Create and set the application menu
   const appMenu = createAppMenu();
@@ -430,6 +604,46 @@ function createMainWindow() {
   return win;
 }
 
+// Open the usage report, or bring it to the front if it is already open
+function openUsageReportWindow() {
+  if (usageReportWindow && !usageReportWindow.isDestroyed()) {
+    usageReportWindow.focus();
+    return;
+  }
+  
+  logToFile(LOG_LEVELS.INFO, 'Opening usage report window');
+  usageReportWindow = new BrowserWindow({
+    width: 760,
+    height: 640,
+    minWidth: 520,
+    minHeight: 400,
+    title: 'Usage Report',
+    parent: mainWindow,
+    backgroundColor: '#1A1C23',
+    autoHideMenuBar: true,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, '../dist/preload.bundle.js'),
+      devTools: isDev,
+      additionalArguments: [`--app-path=${__dirname}`],
+      sandbox: false
+    }
+  });
+  
+  usageReportWindow.loadFile(path.join(__dirname, 'usage-report.html'));
+  usageReportWindow.on('closed', () => {
+    usageReportWindow = null;
+  });
+}
+
+// Tell an open usage report that new usage was recorded
+function notifyUsageReport() {
+  if (usageReportWindow && !usageReportWindow.isDestroyed()) {
+    usageReportWindow.webContents.send('usage-updated');
+  }
+}
+
 // Create the application menu
 function createAppMenu() {
   logToFile(LOG_LEVELS.INFO, 'Creating application menu');
@@ -439,30 +653,34 @@ function createAppMenu() {
       label: 'File',
       submenu: [
         {
-          label: 'Clear Chat History',
+          label: 'New Conversation',
+          accelerator: 'CmdOrCtrl+N',
+          click: () => {
+            logToFile(LOG_LEVELS.INFO, 'Menu: New Conversation clicked');
+            mainWindow.webContents.send('new-conversation');
+          }
+        },
+        {
+          label: 'Clear Current Conversation',
           click: () => {
-            logToFile(LOG_LEVELS.INFO, 'Menu: Clear Chat History clicked');
+            logToFile(LOG_LEVELS.INFO, 'Menu: Clear Current Conversation clicked');
             mainWindow.webContents.send('clear-history');
           }
         },
         {
-          label: 'Export Chat History',
-          click: async () => {
-            logToFile(LOG_LEVELS.INFO, 'Menu: Export Chat History clicked');
-            const { filePath } = await dialog.showSaveDialog({
-              title: 'Export Chat History',
-              defaultPath: path.join(app.getPath('documents'), 'claude-chat-history.json'),
-              filters: [
-                { name: 'JSON Files', extensions: ['json'] }
-              ]
-            });
-            
-            if (filePath) {
-              logToFile(LOG_LEVELS.INFO, `Exporting history to ${filePath}`);
-              const history = store.get('messageHistory', []);
-              fs.writeFileSync(filePath, JSON.stringify(history, null, 2));
-              logToFile(LOG_LEVELS.INFO, `Exported ${history.length} messages to file`);
-            }
+          label: 'Import Conversations...',
+          accelerator: 'CmdOrCtrl+Shift+O',
+          click: () => {
+            logToFile(LOG_LEVELS.INFO, 'Menu: Import Conversations clicked');
+            mainWindow.webContents.send('open-import');
+          }
+        },
+        {
+          label: 'Export Conversations...',
+          accelerator: 'CmdOrCtrl+Shift+E',
+          click: () => {
+            logToFile(LOG_LEVELS.INFO, 'Menu: Export Conversations clicked');
+            mainWindow.webContents.send('open-export');
           }
         },
         { type: 'separator' },
@@ -477,7 +695,16 @@ function createAppMenu() {
         { type: 'separator' },
         { role: 'cut' },
         { role: 'copy' },
-        { role: 'paste' }
+        { role: 'paste' },
+        { type: 'separator' },
+        {
+          label: 'Search Conversations',
+          accelerator: 'CmdOrCtrl+F',
+          click: () => {
+            logToFile(LOG_LEVELS.INFO, 'Menu: Search Conversations clicked');
+            mainWindow.webContents.send('open-search');
+          }
+        }
       ]
     },
     {
@@ -490,7 +717,16 @@ function createAppMenu() {
         { role: 'zoomIn' },
         { role: 'zoomOut' },
         { type: 'separator' },
-        { role: 'togglefullscreen' }
+        { role: 'togglefullscreen' },
+        { type: 'separator' },
+        {
+          label: 'Usage Report',
+          accelerator: 'CmdOrCtrl+Shift+U',
+          click: () => {
+            logToFile(LOG_LEVELS.INFO, 'Menu: Usage Report clicked');
+            openUsageReportWindow();
+          }
+        }
       ]
     },
     {
@@ -644,11 +880,21 @@ function createAppMenu() {
  * 2. Encrypted local storage via electron-store (fallback)
  */
 
-// Get API key with fallback mechanisms
-async function getApiKeySecure() {
+// Each provider has its own key, so one provider's key is never sent to another's server
+// Anthropic keeps the keychain account and store key used before there were providers
+function getApiKeyAccount(providerId) {
+  return providerId === 'anthropic' ? ACCOUNT_NAME : `${ACCOUNT_NAME}-${providerId}`;
+}
+
+function getApiKeyStoreKey(providerId) {
+  return providerId === 'anthropic' ? 'apiKey' : `apiKeys.${providerId}`;
+}
+
+// Get a provider's API key with fallback mechanisms
+async function getApiKeySecure(providerId = 'anthropic') {
   // First try system keychain
   try {
-    const apiKey = await keytar.getPassword(SERVICE_NAME, ACCOUNT_NAME);
+    const apiKey = await keytar.getPassword(SERVICE_NAME, getApiKeyAccount(providerId));
     if (apiKey) return { key: apiKey, source: 'keychain' };
   } catch (error) {
     console.log(`Keychain access failed: ${error.message}`);
@@ -657,7 +903,7 @@ async function getApiKeySecure() {
 
   // Fallback to encrypted store
   try {
-    const apiKey = store.get('apiKey');
+    const apiKey = store.get(getApiKeyStoreKey(providerId));
     if (apiKey) return { key: apiKey, source: 'store' };
   } catch (error) {
     console.error(`Store access failed: ${error.message}`);
@@ -666,15 +912,15 @@ async function getApiKeySecure() {
   return { key: null, source: null };
 }
 
-// Save API key with fallback mechanisms
-async function saveApiKeySecure(apiKey) {
+// Save a provider's API key with fallback mechanisms
+async function saveApiKeySecure(apiKey, providerId = 'anthropic') {
   let keychainSuccess = false;
   let storeSuccess = false;
   let errorMsg = '';
 
   // Try system keychain first
   try {
-    await keytar.setPassword(SERVICE_NAME, ACCOUNT_NAME, apiKey);
+    await keytar.setPassword(SERVICE_NAME, getApiKeyAccount(providerId), apiKey);
     keychainSuccess = true;
   } catch (error) {
     errorMsg = `${error.message}`;
@@ -684,7 +930,7 @@ async function saveApiKeySecure(apiKey) {
 
   // Always save to encrypted store as fallback
   try {
-    store.set('apiKey', apiKey);
+    store.set(getApiKeyStoreKey(providerId), apiKey);
     storeSuccess = true;
   } catch (error) {
     errorMsg += ` Store error: ${error.message}`;
@@ -699,20 +945,125 @@ async function saveApiKeySecure(apiKey) {
   };
 }
 
+// LLM providers requests can go to; the endpoint, auth header and models of each are set in the config modal
+const providerRegistry = new ProviderRegistry();
+providerRegistry.register({
+  id: 'anthropic',
+  label: 'Anthropic',
+  defaults: { endpoint: appSettings.apiEndpoint, authHeader: AnthropicClient.DEFAULT_AUTH_HEADER, models: [] },
+  create: (options) => new AnthropicClient(options)
+});
+providerRegistry.register({
+  id: 'openai-compatible',
+  label: 'OpenAI-compatible (local model)',
+  defaults: { endpoint: 'http://localhost:11434/v1/chat/completions', authHeader: '', models: [] },
+  create: (options) => new OpenAICompatibleClient(options)
+});
+
+// A provider's settings from the config
+function getProviderSettings(config, id) {
+  return providerRegistry.getSettings(id, (config.providers || {})[id]);
+}
+
+// Hosts other than the Anthropic API being asked about, so parallel requests share one dialog
+const apiKeyHostConfirmations = new Map();
+
+// Whether the Anthropic key may go to an endpoint; the endpoint comes from the
+// renderer's config, so a host other than the Anthropic API is confirmed with
+// the user once and remembered outside the config
+async function confirmApiKeyHost(endpoint) {
+  let host;
+  try {
+    host = new URL(endpoint).host;
+  } catch (error) {
+    return false;
+  }
+  if (host === ANTHROPIC_API_HOST) return true;
+  
+  const trustedHosts = store.get('trustedApiKeyHosts', []);
+  if (Array.isArray(trustedHosts) && trustedHosts.includes(host)) return true;
+  if (!mainWindow || mainWindow.isDestroyed()) return false;
+  
+  if (!apiKeyHostConfirmations.has(host)) {
+    const confirmation = dialog.showMessageBox(mainWindow, {
+      type: 'warning',
+      buttons: ['Send Key', 'Don\'t Send'],
+      defaultId: 1,
+      cancelId: 1,
+      title: 'Send API Key',
+      message: `Send your Anthropic API key to ${host}?`,
+      detail: 'The Anthropic API endpoint in the configuration points to another server. Only allow this for a server you trust.'
+    }).then(({ response }) => {
+      if (response !== 0) return false;
+      
+      const hosts = store.get('trustedApiKeyHosts', []);
+      store.set('trustedApiKeyHosts', [...(Array.isArray(hosts) ? hosts : []), host]);
+      return true;
+    }).finally(() => apiKeyHostConfirmations.delete(host));
+    apiKeyHostConfirmations.set(host, confirmation);
+  }
+  return apiKeyHostConfirmations.get(host);
+}
+
+// The provider requests go to: { id, settings, client }, rebuilt when its settings change
+// All traffic goes through the main process so the API key never reaches the renderer
+let activeProvider = null;
+function getActiveProvider() {
+  const config = store.get('config', DEFAULT_CONFIG);
+  
+  // The mock API stands in for Anthropic whichever provider is chosen
+  const id = !mockApiServer && providerRegistry.has(config.provider) ? config.provider : 'anthropic';
+  const settings = getProviderSettings(config, id);
+  if (mockApiServer) {
+    settings.endpoint = mockApiServer.endpoint;
+    settings.authHeader = AnthropicClient.DEFAULT_AUTH_HEADER;
+  }
+  
+  const key = JSON.stringify([id, settings]);
+  if (!activeProvider || activeProvider.key !== key) {
+    const client = providerRegistry.createClient(id, settings, {
+      getApiKey: async () => {
+        if (mockApiServer) return MOCK_API_KEY;
+        
+        if (id === 'anthropic' && !(await confirmApiKeyHost(settings.endpoint))) {
+          throw new ApiError(ERROR_TYPES.AUTHENTICATION, 'Your Anthropic API key was not sent to the endpoint in the configuration because it is not the Anthropic API.');
+        }
+        return (await getApiKeySecure(id)).key;
+      }
+    });
+    activeProvider = { key, id, settings, client };
+  }
+  return activeProvider;
+}
+
+// Providers with a list of models only run those; anything else is sent to the first one
+function resolveModel(provider, model) {
+  const models = provider.settings.models;
+  return models.length === 0 || models.includes(model) ? model : models[0];
+}
+
+// Models the provider offers, with their context and output limits
+const modelCatalog = new ModelCatalog(store, getActiveProvider);
+
+// In-flight chat requests by renderer-supplied request id
+const activeChatRequests = new Map();
+
 // Handle IPC messages from renderer process
-ipcMain.handle('get-api-key', async () => {
+ipcMain.handle('has-api-key', async () => {
   try {
-    const result = await getApiKeySecure();
-    return result.key;
+    const provider = getActiveProvider();
+    const result = await getApiKeySecure(provider.id);
+    return !!result.key || !!mockApiServer || !provider.client.needsApiKey;
   } catch (error) {
-    console.error('Error retrieving API key:', error);
-    return null;
+    console.error('Error checking API key:', error);
+    return false;
   }
 });
 
+// The key is saved for the provider requests go to now
 ipcMain.handle('save-api-key', async (_, apiKey) => {
   try {
-    const result = await saveApiKeySecure(apiKey);
+    const result = await saveApiKeySecure(apiKey, getActiveProvider().id);
     return result;
   } catch (error) {
     console.error('Error saving API key:', error);
@@ -725,6 +1076,352 @@ ipcMain.handle('save-api-key', async (_, apiKey) => {
   }
 });
 
+// Send a chat request; text deltas and retry notices are streamed back as 'chat:chunk' events
+// Replies carry latencyMs, the time from sending the request to the end of the reply
+ipcMain.handle('chat:send', async (event, requestId, params) => {
+  const controller = new AbortController();
+  activeChatRequests.set(requestId, controller);
+  const startedAt = Date.now();
+  
+  const sendChunk = (chunk) => {
+    if (!event.sender.isDestroyed()) {
+      event.sender.send('chat:chunk', { requestId, ...chunk });
+    }
+  };
+  
+  try {
+    const provider = getActiveProvider();
+    const messages = resolveAttachments(params.messages);
+    const tools = params.useTools ? toolRegistry.getDefinitions() : undefined;
+    const model = resolveModel(provider, params.model);
+    const result = await provider.client.stream({ ...params, model, messages, tools }, {
+      signal: controller.signal,
+      onText: (delta) => sendChunk({ type: 'text', delta }),
+      onThinking: (delta) => sendChunk({ type: 'thinking', delta }),
+      onRetry: (retry) => sendChunk({ type: 'retry', ...retry })
+    });
+    
+    const conversationUsage = recordUsage(params.conversationId, result);
+    logToFile(LOG_LEVELS.DEBUG, `Chat request ${requestId} usage`, {
+      provider: provider.id,
+      model: result.model,
+      promptCaching: !!params.promptCaching,
+      thinkingBudget: params.thinking ? params.thinking.budgetTokens : null,
+      ...Usage.fromApiUsage(result.usage)
+    });
+    return { success: true, ...result, latencyMs: Date.now() - startedAt, conversationUsage };
+  } catch (error) {
+    const cancelled = error.name === 'AbortError';
+    if (cancelled) {
+      return {
+        success: false,
+        cancelled: true,
+        model: error.partialResult ? error.partialResult.model : null,
+        usage: error.partialResult ? error.partialResult.usage : null,
+        latencyMs: Date.now() - startedAt,
+        conversationUsage: recordUsage(params.conversationId, error.partialResult),
+        error: { type: 'cancelled', message: 'Request cancelled', status: null, retryable: false }
+      };
+    }
+    
+    console.error('Chat request failed:', error.message, error.detail || '');
+    
+    // Anything that is not a typed API error is an unexpected failure on our side
+    const apiError = error instanceof ApiError
+      ? error
+      : new ApiError(ERROR_TYPES.SERVER, null, { detail: error.message });
+    
+    return {
+      success: false,
+      cancelled: false,
+      error: {
+        type: apiError.type,
+        message: apiError.message,
+        detail: apiError.detail,
+        status: apiError.status,
+        retryable: apiError.retryable
+      }
+    };
+  } finally {
+    activeChatRequests.delete(requestId);
+  }
+});
+
+ipcMain.handle('chat:cancel', (_, requestId) => {
+  const controller = activeChatRequests.get(requestId);
+  if (!controller) return false;
+  
+  controller.abort();
+  activeChatRequests.delete(requestId);
+  return true;
+});
+
+// Count a chat request's input tokens exactly, attachments included
+ipcMain.handle('chat:count-tokens', async (_, params) => {
+  try {
+    const provider = getActiveProvider();
+    const messages = resolveAttachments(params.messages);
+    const tools = params.useTools ? toolRegistry.getDefinitions() : undefined;
+    const inputTokens = await provider.client.countTokens({ ...params, model: resolveModel(provider, params.model), messages, tools });
+    return { success: true, inputTokens };
+  } catch (error) {
+    console.error('Error counting tokens:', error.message, error.detail || '');
+    return { success: false, error: error.message };
+  }
+});
+
+// Add a request's token usage to the ledger and its conversation
+// Returns the conversation's updated usage by model, or null if nothing was recorded
+function recordUsage(conversationId, result) {
+  if (!result || !result.usage) return null;
+  
+  try {
+    const usage = Usage.fromApiUsage(result.usage);
+    usageStore.record(result.model, usage);
+    notifyUsageReport();
+    
+    return conversationId ? conversationStore.addUsage(conversationId, result.model, usage) : null;
+  } catch (error) {
+    console.error('Error recording token usage:', error);
+    return null;
+  }
+}
+
+// Replace the renderer's attachment references with content blocks holding the file contents
+function resolveAttachments(messages) {
+  return messages.map(message => {
+    if (!Array.isArray(message.content)) return message;
+    
+    const content = message.content.map(block => {
+      if (block.type !== 'attachment') return block;
+      
+      try {
+        return attachmentStore.toContentBlock(block.attachment);
+      } catch (error) {
+        console.error('Error reading attachment:', error.message);
+        throw new ApiError(ERROR_TYPES.INVALID_REQUEST,
+          `The attachment ${block.attachment?.name || ''} is no longer available. Remove it and try again.`);
+      }
+    });
+    
+    return { ...message, content };
+  });
+}
+
+// Available models; refresh asks the Models API even if the cached list is recent
+ipcMain.handle('models:list', async (_, options = {}) => {
+  try {
+    return { success: true, ...(await modelCatalog.getModels({ refresh: !!options.refresh })) };
+  } catch (error) {
+    console.error('Error listing models:', error);
+    return { success: false, error: error.message, models: Models.BUNDLED_MODELS, source: 'bundled' };
+  }
+});
+
+// Outbox: messages written while offline, in the order they will be sent
+ipcMain.handle('outbox:list', () => {
+  try {
+    return outboxStore.list();
+  } catch (error) {
+    console.error('Error listing queued messages:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('outbox:add', (_, item) => {
+  try {
+    const queued = outboxStore.add(item);
+    logToFile(LOG_LEVELS.INFO, `Queued message ${queued.id} for conversation ${queued.conversationId}`);
+    return { success: true, item: queued };
+  } catch (error) {
+    console.error('Error queueing message:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('outbox:update', (_, id, changes) => {
+  try {
+    return { success: true, item: outboxStore.update(id, changes) };
+  } catch (error) {
+    console.error('Error updating queued message:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('outbox:remove', (_, id) => {
+  try {
+    return outboxStore.remove(id);
+  } catch (error) {
+    console.error('Error removing queued message:', error);
+    return false;
+  }
+});
+
+// Personas: built-in and user-made presets of prompt, model, face and voice
+ipcMain.handle('personas:list', () => {
+  try {
+    return personaStore.list();
+  } catch (error) {
+    console.error('Error listing personas:', error);
+    return [];
+  }
+});
+
+// Create a persona, or update one when it has an id
+ipcMain.handle('personas:save', (_, persona) => {
+  try {
+    return { success: true, persona: personaStore.save(persona) };
+  } catch (error) {
+    console.error('Error saving persona:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('personas:duplicate', (_, id) => {
+  try {
+    return { success: true, persona: personaStore.duplicate(id) };
+  } catch (error) {
+    console.error('Error duplicating persona:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('personas:delete', (_, id) => {
+  try {
+    const deleted = personaStore.delete(id);
+    logToFile(LOG_LEVELS.INFO, `Deleted persona ${id}: ${deleted}`);
+    return deleted;
+  } catch (error) {
+    console.error('Error deleting persona:', error);
+    return false;
+  }
+});
+
+// Save one persona, or all of them when no id is given, to a JSON file
+ipcMain.handle('personas:export', async (_, id) => {
+  try {
+    const persona = id ? personaStore.get(id) : null;
+    const json = personaStore.exportJSON(id ? [id] : undefined);
+    const fileName = persona ? `${persona.name.replace(/[^a-z0-9 _-]/gi, '').trim() || 'persona'}.json` : 'personas.json';
+    
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Personas',
+      defaultPath: path.join(app.getPath('documents'), fileName),
+      filters: [{ name: 'JSON Files', extensions: ['json'] }]
+    });
+    if (canceled || !filePath) return { success: true, canceled: true };
+    
+    fs.writeFileSync(filePath, json);
+    logToFile(LOG_LEVELS.INFO, `Exported personas to ${filePath}`);
+    return { success: true, filePath };
+  } catch (error) {
+    console.error('Error exporting personas:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+// Add the personas in a JSON file chosen by the user
+ipcMain.handle('personas:import', async () => {
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Import Personas',
+      properties: ['openFile'],
+      filters: [{ name: 'JSON Files', extensions: ['json'] }]
+    });
+    if (canceled || filePaths.length === 0) return { success: true, canceled: true, imported: [], errors: [] };
+    
+    const result = personaStore.importJSON(fs.readFileSync(filePaths[0], 'utf8'));
+    logToFile(LOG_LEVELS.INFO, `Imported ${result.imported.length} personas from ${filePaths[0]}`);
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Error importing personas:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+// Tools Claude can call, for showing tool calls to the user
+ipcMain.handle('tools:list', () => toolRegistry.list());
+
+// Run a tool call the user has approved; file tools confirm the path with the user again
+ipcMain.handle('tools:run', async (_, name, input) => {
+  if (!toolRegistry.has(name)) {
+    return { success: false, error: `Unknown tool: ${name}` };
+  }
+  return toolRegistry.run(name, input);
+});
+
+// Token usage totals by day and model
+ipcMain.handle('usage:get-report', () => {
+  try {
+    return usageStore.getReport();
+  } catch (error) {
+    console.error('Error building usage report:', error);
+    return null;
+  }
+});
+
+ipcMain.handle('usage:open-report', () => {
+  openUsageReportWindow();
+  return true;
+});
+
+// Attach files chosen in a file dialog
+ipcMain.handle('attachments:pick', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Attach Files',
+      properties: ['openFile', 'multiSelections'],
+      filters: Attachments.FILE_FILTERS
+    });
+    
+    const attachments = [];
+    const errors = [];
+    if (result.canceled) return { success: true, attachments, errors };
+    
+    result.filePaths.forEach(filePath => {
+      const name = path.basename(filePath);
+      try {
+        // Check the size before reading so huge files are never loaded
+        const mediaType = Attachments.getMediaType(name);
+        const error = Attachments.validateFile({ name, size: fs.statSync(filePath).size, mediaType });
+        if (error) throw new Error(error);
+        
+        attachments.push(attachmentStore.save(name, mediaType, fs.readFileSync(filePath)));
+      } catch (error) {
+        console.error(`Error attaching ${filePath}:`, error.message);
+        errors.push(error.message);
+      }
+    });
+    
+    return { success: true, attachments, errors };
+  } catch (error) {
+    console.error('Error picking attachments:', error);
+    return { success: false, attachments: [], errors: [error.message] };
+  }
+});
+
+// Attach a file dropped on the window; data is base64
+ipcMain.handle('attachments:add', (_, file) => {
+  try {
+    const mediaType = Attachments.getMediaType(file.name, file.mediaType);
+    const attachment = attachmentStore.save(file.name, mediaType, Buffer.from(file.data, 'base64'));
+    return { success: true, attachment };
+  } catch (error) {
+    console.error('Error adding attachment:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+// File contents as base64, for previews
+ipcMain.handle('attachments:read', (_, id) => {
+  try {
+    return { success: true, data: attachmentStore.read(id).toString('base64') };
+  } catch (error) {
+    console.error('Error reading attachment:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
 // Get platform info for the renderer
 ipcMain.handle('get-platform-info', () => {
   return PLATFORM;
@@ -752,9 +1449,10 @@ ipcMain.handle('close-window', () => {
   return true;
 });
 
+// Message history of the active conversation
 ipcMain.handle('save-message-history', (_, history) => {
   try {
-    store.set('messageHistory', history);
+    reindexConversation(conversationStore.save(conversationStore.getActive().id, { messages: history }));
     return true;
   } catch (error) {
     console.error('Error saving message history:', error);
@@ -764,13 +1462,217 @@ ipcMain.handle('save-message-history', (_, history) => {
 
 ipcMain.handle('get-message-history', () => {
   try {
-    return store.get('messageHistory', []);
+    return conversationStore.getActivePath(conversationStore.getActive().id);
   } catch (error) {
     console.error('Error retrieving message history:', error);
     return [];
   }
 });
 
+// Conversation management
+ipcMain.handle('list-conversations', () => {
+  try {
+    return conversationStore.list();
+  } catch (error) {
+    console.error('Error listing conversations:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('get-conversation', (_, id) => {
+  try {
+    return conversationStore.get(id);
+  } catch (error) {
+    console.error('Error retrieving conversation:', error);
+    return null;
+  }
+});
+
+ipcMain.handle('get-active-conversation', () => {
+  try {
+    return conversationStore.getActive();
+  } catch (error) {
+    console.error('Error retrieving active conversation:', error);
+    return null;
+  }
+});
+
+ipcMain.handle('create-conversation', (_, fields) => {
+  try {
+    const conversation = conversationStore.create(fields || {});
+    reindexConversation(conversation);
+    logToFile(LOG_LEVELS.INFO, `Created conversation ${conversation.id}`);
+    return conversation;
+  } catch (error) {
+    console.error('Error creating conversation:', error);
+    return null;
+  }
+});
+
+ipcMain.handle('save-conversation', (_, id, updates) => {
+  try {
+    const conversation = conversationStore.save(id, updates || {});
+    if (updates && Array.isArray(updates.messages)) {
+      reindexConversation(conversation);
+    }
+    return conversation;
+  } catch (error) {
+    console.error('Error saving conversation:', error);
+    return null;
+  }
+});
+
+ipcMain.handle('set-active-conversation', (_, id) => {
+  try {
+    return conversationStore.setActive(id);
+  } catch (error) {
+    console.error('Error switching conversation:', error);
+    return null;
+  }
+});
+
+ipcMain.handle('delete-conversation', (_, id) => {
+  try {
+    const deleted = conversationStore.delete(id);
+    if (deleted) {
+      outboxStore.removeForConversation(id);
+      searchIndex.removeConversation(id);
+    }
+    logToFile(LOG_LEVELS.INFO, `Deleted conversation ${id}: ${deleted}`);
+    return deleted;
+  } catch (error) {
+    console.error('Error deleting conversation:', error);
+    return false;
+  }
+});
+
+// Search every conversation's messages; see search-index.js for the query syntax and filters
+ipcMain.handle('search:query', (_, query, filters) => {
+  try {
+    const { results, total } = searchIndex.search(query, filters || {});
+    return {
+      success: true,
+      total,
+      results: results.map(result => {
+        const conversation = conversationStore.get(result.conversationId);
+        return { ...result, conversationTitle: conversation ? conversation.title : '' };
+      })
+    };
+  } catch (error) {
+    console.error('Error searching conversations:', error);
+    return { success: false, error: error.message, results: [], total: 0 };
+  }
+});
+
+ipcMain.handle('search:models', () => {
+  try {
+    return searchIndex.getModels();
+  } catch (error) {
+    console.error('Error listing searchable models:', error);
+    return [];
+  }
+});
+
+// Write conversations to a file chosen by the user
+// options: { format, includeMetadata }; see conversation-exporter.js for the formats
+ipcMain.handle('export:conversations', async (_, ids, options = {}) => {
+  try {
+    const format = options.format;
+    if (!ConversationExporter.FORMATS[format]) {
+      return { success: false, error: `Unknown export format: ${format}` };
+    }
+    
+    const conversations = ids.map(id => conversationStore.get(id)).filter(Boolean);
+    if (conversations.length === 0) {
+      return { success: false, error: 'Choose at least one conversation to export.' };
+    }
+    
+    const { label, extension } = ConversationExporter.FORMATS[format];
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Conversations',
+      defaultPath: path.join(app.getPath('documents'), ConversationExporter.getFileName(conversations, format)),
+      filters: [{ name: `${label} Files`, extensions: [extension] }]
+    });
+    if (canceled || !filePath) return { success: true, canceled: true };
+    
+    const output = await ConversationExporter.exportConversations(conversations, format, {
+      includeMetadata: options.includeMetadata === true
+    });
+    fs.writeFileSync(filePath, output);
+    logToFile(LOG_LEVELS.INFO, `Exported ${conversations.length} conversations as ${format} to ${filePath}`);
+    return { success: true, filePath };
+  } catch (error) {
+    console.error('Error exporting conversations:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+// Add conversations from files chosen by the user; see conversation-importer.js for the formats
+// Each one becomes a new conversation, stored conversations are never changed, and
+// conversations whose shown branch is already in the app are skipped as duplicates
+ipcMain.handle('import:conversations', async () => {
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Import Conversations',
+      properties: ['openFile', 'multiSelections'],
+      filters: [
+        { name: 'Conversation Exports', extensions: ['json', 'md', 'markdown', 'txt'] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    });
+    if (canceled || filePaths.length === 0) {
+      return { success: true, canceled: true, imported: [], duplicates: [], errors: [] };
+    }
+    
+    const activeId = conversationStore.getActive().id;
+    const fingerprints = new Set(conversationStore.list().map(summary => {
+      const conversation = conversationStore.get(summary.id);
+      return ConversationImporter.getFingerprint(conversation.messages, conversation.activeLeafId);
+    }));
+    
+    const imported = [];
+    const duplicates = [];
+    const errors = [];
+    filePaths.forEach(filePath => {
+      const fileName = path.basename(filePath);
+      try {
+        if (fs.statSync(filePath).size > ConversationImporter.MAX_FILE_SIZE) {
+          throw new Error('The file is too large to import');
+        }
+        
+        const result = ConversationImporter.parseFile(fs.readFileSync(filePath, 'utf8'), {
+          hasAttachment: (id) => attachmentStore.has(id)
+        });
+        result.errors.forEach(error => errors.push(`${fileName}: ${error}`));
+        
+        result.conversations.forEach(fields => {
+          const fingerprint = ConversationImporter.getFingerprint(fields.messages, fields.activeLeafId);
+          if (fingerprints.has(fingerprint)) {
+            duplicates.push(fields.title || fileName);
+            return;
+          }
+          fingerprints.add(fingerprint);
+          
+          const conversation = conversationStore.create(fields);
+          reindexConversation(conversation);
+          imported.push({ id: conversation.id, title: conversation.title });
+        });
+      } catch (error) {
+        errors.push(`${fileName}: ${error.message}`);
+      }
+    });
+    
+    // Creating a conversation makes it active; stay in the one the user had open
+    conversationStore.setActive(activeId);
+    
+    logToFile(LOG_LEVELS.INFO, `Imported ${imported.length} conversations from ${filePaths.length} files (${duplicates.length} duplicates, ${errors.length} errors)`);
+    return { success: true, imported, duplicates, errors };
+  } catch (error) {
+    console.error('Error importing conversations:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('check-online-status', () => {
   return navigator.onLine;
 });
@@ -793,6 +1695,10 @@ ipcMain.handle('get-config', () => {
 
 ipcMain.handle('save-config', (_, config) => {
   try {
+    // StoreSchema.validate rejects a config that isn't an object when the store is next opened
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('Configuration must be an object');
+    }
     store.set('config', config);
     return true;
   } catch (error) {
@@ -801,9 +1707,27 @@ ipcMain.handle('save-config', (_, config) => {
   }
 });
 
+// The providers and their settings for the config modal, and where requests go now
+ipcMain.handle('api:info', () => {
+  try {
+    const config = store.get('config', DEFAULT_CONFIG);
+    const provider = getActiveProvider();
+    return {
+      provider: provider.id,
+      endpoint: provider.settings.endpoint,
+      mock: !!mockApiServer,
+      providers: providerRegistry.list().map(entry => ({ ...entry, settings: getProviderSettings(config, entry.id) }))
+    };
+  } catch (error) {
+    console.error('Error getting API info:', error);
+    return null;
+  }
+});
+
 ipcMain.handle('reset-config', () => {
   try {
     store.set('config', DEFAULT_CONFIG);
+    store.delete('trustedApiKeyHosts');
     return DEFAULT_CONFIG;
   } catch (error) {
     console.error('Error resetting configuration:', error);
@@ -848,11 +1772,24 @@ ipcMain.handle('log-robot-diagnostics', (_, diagnostics) => {
 });
 
 // App lifecycle events
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
   // Initialize logging first
   initLogging();
   logToFile(LOG_LEVELS.INFO, `Application starting in ${isDev ? 'development' : 'production'} mode`);
   
+  // Start the mock API before the window asks whether there is an API key
+  if (mockApiOptions) {
+    try {
+      mockApiServer = await new MockApiServer({
+        ...mockApiOptions,
+        log: (message) => logToFile(LOG_LEVELS.INFO, message)
+      }).start();
+    } catch (error) {
+      logToFile(LOG_LEVELS.ERROR, 'Could not start the mock API:', error);
+      dialog.showErrorBox('Mock API', `The mock API could not be started:\n${error.message}`);
+    }
+  }
+  
   // Set up robot handlers
   try {
     logToFile(LOG_LEVELS.INFO, 'Setting up robot handlers');
@@ -866,6 +1803,17 @@ app.whenReady().then(() => {
     logToFile(LOG_LEVELS.ERROR, 'Error setting up robot handlers:', error);
   }
   
+  // Remove attachments left behind by deleted messages and conversations
+  try {
+    const referencedIds = new Set([...conversationStore.getAttachmentIds(), ...outboxStore.getAttachmentIds()]);
+    const removed = attachmentStore.prune(referencedIds);
+    if (removed > 0) {
+      logToFile(LOG_LEVELS.INFO, `Removed ${removed} unused attachment(s)`);
+    }
+  } catch (error) {
+    logToFile(LOG_LEVELS.ERROR, 'Error removing unused attachments:', error);
+  }
+  
   // Create main window
   mainWindow = createMainWindow();
   
@@ -911,6 +1859,11 @@ app.on('window-all-closed', () => {
 app.on('before-quit', () => {
   logToFile(LOG_LEVELS.INFO, 'Application is about to quit');
   
+  if (mockApiServer) {
+    mockApiServer.stop();
+    mockApiServer = null;
+  }
+  
   // Close logging
   closeLogging();
   
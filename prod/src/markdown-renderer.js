@@ -0,0 +1,548 @@
+/**
+ * Markdown Renderer for Claude Desktop
+ *
+ * Turns Markdown from Claude's replies into HTML. Every piece of text is
+ * escaped and only the tags built here are emitted, so HTML in a reply is
+ * shown as text instead of being injected into the page. Links are limited
+ * to http, https and mailto. Fenced code blocks get a language label,
+ * syntax highlighting and a copy button.
+ *
+ * Loaded as a plain script in the renderer and required by the robot
+ * interface and the main process.
+ */
+
+const MarkdownRenderer = (() => {
+  // Keywords and comment styles for the languages the highlighter knows
+  const HIGHLIGHT_LANGUAGES = {
+    javascript: {
+      aliases: ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'typescript', 'node'],
+      lineComment: '//',
+      blockComment: ['/*', '*/'],
+      strings: ['"', "'", '`'],
+      keywords: 'abstract as async await break case catch class const continue debugger default delete do else enum export extends finally for from function get if implements import in instanceof interface let new of private protected public readonly return set static super switch this throw try type typeof var void while with yield',
+      literals: 'true false null undefined NaN Infinity'
+    },
+    json: {
+      aliases: ['jsonc', 'json5'],
+      lineComment: '//',
+      blockComment: ['/*', '*/'],
+      strings: ['"'],
+      keywords: '',
+      literals: 'true false null'
+    },
+    python: {
+      aliases: ['py', 'python3'],
+      lineComment: '#',
+      strings: ['"""', "'''", '"', "'"],
+      keywords: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda match case nonlocal not or pass raise return try while with yield',
+      literals: 'True False None self cls'
+    },
+    shell: {
+      aliases: ['sh', 'bash', 'zsh', 'console', 'shellscript', 'powershell', 'ps1'],
+      lineComment: '#',
+      strings: ['"', "'"],
+      keywords: 'if then else elif fi for while until do done case esac in function return export local readonly echo exit cd source sudo',
+      literals: 'true false'
+    },
+    c: {
+      aliases: ['cpp', 'c++', 'h', 'hpp', 'cc', 'cs', 'csharp', 'c#', 'java', 'kotlin', 'kt', 'swift', 'dart', 'scala'],
+      lineComment: '//',
+      blockComment: ['/*', '*/'],
+      strings: ['"', "'"],
+      keywords: 'abstract auto break case catch char class const continue default delete do double else enum extends extern final finally float for fun func goto if implements import include int interface internal let long namespace new override package private protected public return short signed sizeof static struct super switch template this throw throws try typedef typename union unsigned using val var virtual void volatile while',
+      literals: 'true false null nullptr NULL nil'
+    },
+    go: {
+      aliases: ['golang'],
+      lineComment: '//',
+      blockComment: ['/*', '*/'],
+      strings: ['"', "'", '`'],
+      keywords: 'break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var',
+      literals: 'true false nil iota'
+    },
+    rust: {
+      aliases: ['rs'],
+      lineComment: '//',
+      blockComment: ['/*', '*/'],
+      strings: ['"'],
+      keywords: 'as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while',
+      literals: 'true false None Some Ok Err'
+    },
+    ruby: {
+      aliases: ['rb'],
+      lineComment: '#',
+      strings: ['"', "'"],
+      keywords: 'alias and begin break case class def defined do else elsif end ensure for if in module next not or redo rescue retry return self super then undef unless until when while yield require',
+      literals: 'true false nil'
+    },
+    php: {
+      aliases: [],
+      lineComment: '//',
+      blockComment: ['/*', '*/'],
+      strings: ['"', "'"],
+      keywords: 'abstract array as break case catch class const continue declare default do echo else elseif extends final finally fn for foreach function global if implements include interface namespace new private protected public require return static switch throw trait try use var while yield',
+      literals: 'true false null TRUE FALSE NULL'
+    },
+    sql: {
+      aliases: ['mysql', 'postgres', 'postgresql', 'sqlite', 'plsql'],
+      lineComment: '--',
+      blockComment: ['/*', '*/'],
+      strings: ["'", '"'],
+      caseInsensitive: true,
+      keywords: 'add all alter and as asc begin between by case check column commit constraint create database default delete desc distinct drop else end exists foreign from full group having if in index inner insert into is join key left like limit not null offset on or order outer primary references right rollback select set table then transaction union unique update values view when where with',
+      literals: 'true false'
+    },
+    css: {
+      aliases: ['scss', 'less', 'sass'],
+      blockComment: ['/*', '*/'],
+      strings: ['"', "'"],
+      keywords: 'important media import keyframes font-face supports',
+      literals: ''
+    },
+    html: {
+      aliases: ['xml', 'svg', 'xhtml', 'vue'],
+      blockComment: ['<!--', '-->'],
+      strings: ['"'],
+      tags: true,
+      keywords: '',
+      literals: ''
+    },
+    yaml: {
+      aliases: ['yml', 'toml', 'ini'],
+      lineComment: '#',
+      strings: ['"', "'"],
+      keywords: '',
+      literals: 'true false null yes no on off'
+    }
+  };
+  
+  // Compiled highlighter patterns, built on first use
+  const highlightPatternCache = new Map();
+  
+  // Elements that already handle code block copy clicks
+  const copyEnabledRoots = new WeakSet();
+  
+  // Escape text for use in HTML content or a quoted attribute
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+  
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  
+  // Only allow links that open outside the app
+  function sanitizeUrl(url) {
+    const trimmed = String(url || '').trim();
+    return /^(https?:\/\/|mailto:)/i.test(trimmed) ? trimmed : null;
+  }
+  
+  function renderLink(url, labelHtml) {
+    const href = sanitizeUrl(url);
+    if (!href) return labelHtml;
+    return `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+  }
+  
+  // Find the highlighter definition for a fence's language label
+  function findLanguage(language) {
+    if (!language) return null;
+    
+    const name = language.toLowerCase();
+    if (HIGHLIGHT_LANGUAGES[name]) return HIGHLIGHT_LANGUAGES[name];
+    
+    return Object.values(HIGHLIGHT_LANGUAGES).find(definition => definition.aliases.includes(name)) || null;
+  }
+  
+  // Build one regular expression matching comments, strings, tags, numbers and words
+  function getHighlightPattern(definition) {
+    if (highlightPatternCache.has(definition)) {
+      return highlightPatternCache.get(definition);
+    }
+    
+    const comments = [];
+    if (definition.lineComment) {
+      comments.push(`${escapeRegExp(definition.lineComment)}[^\\n]*`);
+    }
+    if (definition.blockComment) {
+      const [start, end] = definition.blockComment.map(escapeRegExp);
+      comments.push(`${start}[\\s\\S]*?(?:${end}|$)`);
+    }
+    
+    // Unterminated strings still match so partially streamed code highlights sensibly
+    const strings = definition.strings.map(quote => {
+      const q = escapeRegExp(quote);
+      if (quote.length === 3) return `${q}[\\s\\S]*?(?:${q}|$)`;
+      if (quote === '`') return '`(?:\\\\[\\s\\S]|[^`\\\\])*`?';
+      return `${q}(?:\\\\.|[^${q}\\\\\\n])*${q}?`;
+    });
+    
+    const parts = [
+      comments.length > 0 ? `(?<comment>${comments.join('|')})` : null,
+      strings.length > 0 ? `(?<string>${strings.join('|')})` : null,
+      definition.tags ? '(?<tag></?[A-Za-z][\\w:-]*|/?>)' : null,
+      '(?<number>\\b(?:0[xX][0-9a-fA-F]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b)',
+      '(?<word>[A-Za-z_$][\\w$]*)'
+    ].filter(Boolean);
+    
+    const toSet = words => new Set(words.split(/\s+/).filter(Boolean)
+      .map(word => (definition.caseInsensitive ? word.toLowerCase() : word)));
+    
+    const pattern = {
+      regex: new RegExp(parts.join('|'), 'g'),
+      keywords: toSet(definition.keywords),
+      literals: toSet(definition.literals)
+    };
+    
+    highlightPatternCache.set(definition, pattern);
+    return pattern;
+  }
+  
+  // Wrap comments, strings, tags, numbers, keywords and literals in classed spans
+  function highlightCode(code, language) {
+    const definition = findLanguage(language);
+    if (!definition) return escapeHtml(code);
+    
+    const { regex, keywords, literals } = getHighlightPattern(definition);
+    const wrap = (className, text) => `<span class="hl-${className}">${escapeHtml(text)}</span>`;
+    
+    let html = '';
+    let lastIndex = 0;
+    let match;
+    regex.lastIndex = 0;
+    
+    while ((match = regex.exec(code)) !== null) {
+      html += escapeHtml(code.slice(lastIndex, match.index));
+      lastIndex = regex.lastIndex;
+      
+      const text = match[0];
+      const { comment, string, tag, number, word } = match.groups;
+      if (comment) {
+        html += wrap('comment', text);
+      } else if (string) {
+        html += wrap('string', text);
+      } else if (tag) {
+        html += wrap('tag', text);
+      } else if (number) {
+        html += wrap('number', text);
+      } else if (word) {
+        const key = definition.caseInsensitive ? word.toLowerCase() : word;
+        if (keywords.has(key)) {
+          html += wrap('keyword', text);
+        } else if (literals.has(key)) {
+          html += wrap('literal', text);
+        } else {
+          html += escapeHtml(text);
+        }
+      }
+    }
+    
+    return html + escapeHtml(code.slice(lastIndex));
+  }
+  
+  function renderCodeBlock(code, language) {
+    const languageName = (language || '').toLowerCase().replace(/[^\w#+-]/g, '');
+    const codeClass = languageName ? ` class="language-${escapeHtml(languageName.replace(/[^\w-]/g, ''))}"` : '';
+    
+    return '<div class="code-block">' +
+      '<div class="code-block-header">' +
+      `<span class="code-block-language">${escapeHtml(languageName || 'text')}</span>` +
+      '<button type="button" class="code-block-copy" title="Copy code">Copy</button>' +
+      '</div>' +
+      `<pre><code${codeClass}>${highlightCode(code, languageName)}</code></pre>` +
+      '</div>';
+  }
+  
+  // Render emphasis, code spans, links and line breaks within a block
+  function renderInline(text) {
+    const stashed = [];
+    const stash = html => `\u0000${stashed.push(html) - 1}\u0000`;
+    
+    let result = String(text).replace(/\u0000/g, '')
+      // Code spans first, their contents are literal
+      .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+        const content = /^ [\s\S]* $/.test(code) ? code.slice(1, -1) : code;
+        return stash(`<code>${escapeHtml(content)}</code>`);
+      })
+      // Backslash escapes
+      .replace(/\\([\\`*_{}[\]()#+\-.!~|<>])/g, (match, char) => stash(escapeHtml(char)))
+      // Images are shown as links, remote images are blocked by the content security policy
+      .replace(/!\[([^\]]*)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))+)>?(?:\s+"[^"]*")?\s*\)/g, (match, alt, url) => {
+        return stash(renderLink(url, escapeHtml(alt || url)));
+      })
+      .replace(/\[([^\]]+)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))+)>?(?:\s+"[^"]*")?\s*\)/g, (match, label, url) => {
+        // Code spans and escapes in the label are already stashed; only the text between them is rendered again
+        const labelHtml = label.split(/\u0000(\d+)\u0000/)
+          .map((part, index) => (index % 2 === 1 ? stashed[part] : renderInline(part)))
+          .join('');
+        return stash(renderLink(url, labelHtml));
+      })
+      .replace(/<((?:https?:\/\/|mailto:)[^\s>]+)>/gi, (match, url) => stash(renderLink(url, escapeHtml(url))))
+      .replace(/\bhttps?:\/\/[^\s<>"'`]*[^\s<>"'`.,;:!?)\]]/g, url => stash(renderLink(url, escapeHtml(url))));
+    
+    result = escapeHtml(result)
+      .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+      .replace(/\*([^\s*](?:[\s\S]*?[^\s*])?)\*/g, '<em>$1</em>')
+      .replace(/(^|[^\w])_([^\s_](?:[\s\S]*?[^\s_])?)_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/\n/g, '<br>');
+    
+    return result.replace(/\u0000(\d+)\u0000/g, (match, index) => stashed[index]);
+  }
+  
+  // Patterns for the start of each block type
+  const FENCE_PATTERN = /^( {0,3})(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/;
+  const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+  const RULE_PATTERN = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+  const QUOTE_PATTERN = /^ {0,3}> ?(.*)$/;
+  const LIST_ITEM_PATTERN = /^( *)([-*+]|\d{1,9}[.)])[ \t]+(.*)$/;
+  const TABLE_DIVIDER_PATTERN = /^ *\|? *:?-+:? *(\| *:?-+:? *)*\|? *$/;
+  
+  function isTableStart(lines, index) {
+    return lines[index].includes('|') && index + 1 < lines.length && TABLE_DIVIDER_PATTERN.test(lines[index + 1]) &&
+      lines[index + 1].includes('-');
+  }
+  
+  function startsBlock(lines, index) {
+    const line = lines[index];
+    return FENCE_PATTERN.test(line) || HEADING_PATTERN.test(line) || RULE_PATTERN.test(line) ||
+      QUOTE_PATTERN.test(line) || LIST_ITEM_PATTERN.test(line) || isTableStart(lines, index);
+  }
+  
+  function leadingSpaces(line) {
+    return line.match(/^ */)[0].length;
+  }
+  
+  function splitTableRow(line) {
+    return line.trim()
+      .replace(/^\|/, '')
+      .replace(/\|$/, '')
+      .split(/(?<!\\)\|/)
+      .map(cell => cell.trim());
+  }
+  
+  function renderTable(lines, start) {
+    const header = splitTableRow(lines[start]);
+    const alignments = splitTableRow(lines[start + 1]).map(cell => {
+      if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+      if (cell.endsWith(':')) return 'right';
+      if (cell.startsWith(':')) return 'left';
+      return null;
+    });
+    
+    const renderRow = (cells, tag) => '<tr>' + header.map((unused, column) => {
+      const style = alignments[column] ? ` style="text-align: ${alignments[column]}"` : '';
+      return `<${tag}${style}>${renderInline(cells[column] || '')}</${tag}>`;
+    }).join('') + '</tr>';
+    
+    let index = start + 2;
+    const rows = [];
+    while (index < lines.length && lines[index].trim() && lines[index].includes('|')) {
+      rows.push(renderRow(splitTableRow(lines[index]), 'td'));
+      index++;
+    }
+    
+    const html = '<div class="markdown-table"><table>' +
+      `<thead>${renderRow(header, 'th')}</thead>` +
+      (rows.length > 0 ? `<tbody>${rows.join('')}</tbody>` : '') +
+      '</table></div>';
+    
+    return { html, next: index };
+  }
+  
+  function renderList(lines, start) {
+    const first = lines[start].match(LIST_ITEM_PATTERN);
+    const baseIndent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let current = null;
+    let loose = false;
+    let index = start;
+    
+    while (index < lines.length) {
+      const line = lines[index];
+      const itemMatch = line.match(LIST_ITEM_PATTERN);
+      
+      if (itemMatch && itemMatch[1].length <= baseIndent + 1 && /\d/.test(itemMatch[2]) === ordered) {
+        // A new item of this list
+        current = { lines: [itemMatch[3]], contentIndent: itemMatch[0].length - itemMatch[3].length };
+        items.push(current);
+        index++;
+      } else if (!line.trim()) {
+        // A blank line continues the list only if more of it follows
+        let next = index + 1;
+        while (next < lines.length && !lines[next].trim()) next++;
+        if (next >= lines.length) break;
+        
+        const nextItem = lines[next].match(LIST_ITEM_PATTERN);
+        const continuesItem = leadingSpaces(lines[next]) > baseIndent;
+        const nextSibling = nextItem && nextItem[1].length <= baseIndent + 1 && /\d/.test(nextItem[2]) === ordered;
+        if (!continuesItem && !nextSibling) break;
+        
+        loose = true;
+        current.lines.push('');
+        index++;
+      } else if (leadingSpaces(line) > baseIndent) {
+        // Indented content, including nested lists, belongs to the current item
+        current.lines.push(line.slice(Math.min(current.contentIndent, leadingSpaces(line))));
+        index++;
+      } else if (current.lines[current.lines.length - 1].trim() && !startsBlock(lines, index)) {
+        // Lazy continuation of the item's paragraph
+        current.lines.push(line.trim());
+        index++;
+      } else {
+        break;
+      }
+    }
+    
+    const itemsHtml = items.map(item => {
+      let prefix = '';
+      const task = item.lines[0].match(/^\[([ xX])\][ \t]+/);
+      if (task) {
+        prefix = `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> `;
+        item.lines[0] = item.lines[0].slice(task[0].length);
+      }
+      
+      while (item.lines.length > 0 && !item.lines[item.lines.length - 1].trim()) {
+        item.lines.pop();
+      }
+      
+      return `<li${task ? ' class="task-list-item"' : ''}>${prefix}${renderBlocks(item.lines, !loose)}</li>`;
+    }).join('');
+    
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+    const html = ordered
+      ? `<ol${startNumber !== 1 ? ` start="${startNumber}"` : ''}>${itemsHtml}</ol>`
+      : `<ul>${itemsHtml}</ul>`;
+    
+    return { html, next: index };
+  }
+  
+  // Render a list of lines as block elements; tight list items skip the <p> wrapper
+  function renderBlocks(lines, tight = false) {
+    const html = [];
+    let index = 0;
+    
+    while (index < lines.length) {
+      const line = lines[index];
+      
+      if (!line.trim()) {
+        index++;
+        continue;
+      }
+      
+      // Fenced code; an unclosed fence runs to the end, as it does while streaming
+      const fence = line.match(FENCE_PATTERN);
+      if (fence) {
+        const indent = fence[1].length;
+        const closing = new RegExp(`^ {0,3}${fence[2][0] === '`' ? '`' : '~'}{${fence[2].length},}[ \\t]*$`);
+        const codeLines = [];
+        index++;
+        while (index < lines.length && !closing.test(lines[index])) {
+          codeLines.push(lines[index].slice(Math.min(indent, leadingSpaces(lines[index]))));
+          index++;
+        }
+        index++;
+        html.push(renderCodeBlock(codeLines.join('\n'), fence[3]));
+        continue;
+      }
+      
+      const heading = line.match(HEADING_PATTERN);
+      if (heading) {
+        const level = heading[1].length;
+        html.push(`<h${level}>${renderInline(heading[2] || '')}</h${level}>`);
+        index++;
+        continue;
+      }
+      
+      if (RULE_PATTERN.test(line)) {
+        html.push('<hr>');
+        index++;
+        continue;
+      }
+      
+      if (QUOTE_PATTERN.test(line)) {
+        const quoteLines = [];
+        while (index < lines.length && QUOTE_PATTERN.test(lines[index])) {
+          quoteLines.push(lines[index].match(QUOTE_PATTERN)[1]);
+          index++;
+        }
+        html.push(`<blockquote>${renderBlocks(quoteLines)}</blockquote>`);
+        continue;
+      }
+      
+      if (LIST_ITEM_PATTERN.test(line)) {
+        const list = renderList(lines, index);
+        html.push(list.html);
+        index = list.next;
+        continue;
+      }
+      
+      if (isTableStart(lines, index)) {
+        const table = renderTable(lines, index);
+        html.push(table.html);
+        index = table.next;
+        continue;
+      }
+      
+      // Paragraph: runs until a blank line or the start of another block
+      const paragraphLines = [line.trim()];
+      index++;
+      while (index < lines.length && lines[index].trim() && !startsBlock(lines, index)) {
+        paragraphLines.push(lines[index].trim());
+        index++;
+      }
+      
+      const content = renderInline(paragraphLines.join('\n'));
+      html.push(tight ? content : `<p>${content}</p>`);
+    }
+    
+    return html.join('');
+  }
+  
+  return {
+    escapeHtml,
+    highlightCode,
+    
+    // Convert Markdown to sanitized HTML
+    render(markdown) {
+      if (!markdown) return '';
+      
+      const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+      return renderBlocks(lines);
+    },
+    
+    // Handle clicks on code block copy buttons anywhere inside root (once per root)
+    enableCopyButtons(root) {
+      if (!root || copyEnabledRoots.has(root)) return;
+      copyEnabledRoots.add(root);
+      
+      root.addEventListener('click', async (event) => {
+        const button = event.target.closest ? event.target.closest('.code-block-copy') : null;
+        if (!button) return;
+        
+        const code = button.closest('.code-block')?.querySelector('code');
+        if (!code) return;
+        
+        try {
+          await navigator.clipboard.writeText(code.textContent);
+          button.textContent = 'Copied';
+        } catch (error) {
+          console.error('Failed to copy code block:', error);
+          button.textContent = 'Failed';
+        }
+        
+        setTimeout(() => {
+          button.textContent = 'Copy';
+        }, 1500);
+      });
+    }
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = MarkdownRenderer;
@@ -0,0 +1,114 @@
+/**
+ * Message Tree for Claude Desktop
+ *
+ * Conversations are stored as a flat list of message nodes, each pointing at
+ * its parent. Editing or regenerating a message adds a sibling instead of
+ * overwriting, so every branch is kept. The branch being shown is identified
+ * by its last node (the active leaf).
+ *
+ * Loaded as a plain script in the renderer and required by the main process.
+ */
+
+const MessageTree = {
+  createId() {
+    return `msg_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 9)}`;
+  },
+  
+  createNode(role, content, parentId = null) {
+    return {
+      id: MessageTree.createId(),
+      parentId: parentId || null,
+      role,
+      content,
+      createdAt: new Date().toISOString()
+    };
+  },
+  
+  // When a message was written: the time in its id, which is only right for messages
+  // that were given their id when written; null if the id holds no time
+  getIdTime(id) {
+    const match = /^msg_([0-9a-z]+)_/.exec(id || '');
+    return match ? new Date(parseInt(match[1], 36)).toISOString() : null;
+  },
+  
+  // True when every message already has an id (older histories are plain arrays)
+  isTree(messages) {
+    return Array.isArray(messages) && messages.every(message => message && typeof message.id === 'string');
+  },
+  
+  // Chain a linear history into a single branch
+  fromLinear(messages) {
+    let parentId = null;
+    const nodes = (messages || []).map(message => {
+      // Plain histories didn't record when messages were written
+      const node = { ...message, id: MessageTree.createId(), parentId, createdAt: message.createdAt || null };
+      parentId = node.id;
+      return node;
+    });
+    
+    return { nodes, leafId: parentId };
+  },
+  
+  findNode(nodes, id) {
+    return nodes.find(node => node.id === id) || null;
+  },
+  
+  // Children in the order they were added; parentId null returns the roots
+  getChildren(nodes, parentId) {
+    return nodes.filter(node => (node.parentId || null) === (parentId || null));
+  },
+  
+  // The node itself and its alternatives, in the order they were added
+  getSiblings(nodes, node) {
+    return MessageTree.getChildren(nodes, node.parentId);
+  },
+  
+  // Messages from the root down to the given node
+  getPath(nodes, leafId) {
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const path = [];
+    let node = byId.get(leafId);
+    
+    while (node) {
+      path.unshift(node);
+      node = node.parentId ? byId.get(node.parentId) : null;
+      
+      // Guard against corrupted data with cycles
+      if (path.length > nodes.length) break;
+    }
+    
+    return path;
+  },
+  
+  // Follow the most recent child from a node down to a leaf
+  getLatestLeaf(nodes, nodeId) {
+    let leafId = nodeId;
+    let children = MessageTree.getChildren(nodes, leafId);
+    
+    while (children.length > 0) {
+      leafId = children[children.length - 1].id;
+      children = MessageTree.getChildren(nodes, leafId);
+    }
+    
+    return leafId;
+  },
+  
+  // The leaf to show when none is stored: the latest branch from the last root
+  getDefaultLeaf(nodes) {
+    const roots = MessageTree.getChildren(nodes, null);
+    if (roots.length === 0) return null;
+    return MessageTree.getLatestLeaf(nodes, roots[roots.length - 1].id);
+  },
+  
+  // Remove one node; its replies move up to its parent
+  removeNode(nodes, id) {
+    const removed = MessageTree.findNode(nodes, id);
+    if (!removed) return nodes;
+    
+    return nodes
+      .filter(node => node.id !== id)
+      .map(node => (node.parentId === id ? { ...node, parentId: removed.parentId } : node));
+  }
+};
+
+if (typeof module !== 'undefined') module.exports = MessageTree;
@@ -0,0 +1,415 @@
+/**
+ * Mock Anthropic API Server for Claude Desktop
+ *
+ * A local HTTP server that answers like the Messages, token counting and
+ * Models endpoints, so the app can be developed and demoed without an API
+ * key or a network connection. Started by the --mock-api flag, or on its own
+ * with `node src/mock-api-server.js [--port 8787] [--script file.json]`.
+ *
+ * Replies echo the last user message unless a script says otherwise. A
+ * script is a JSON file: { "responses": [ { "match", "text", "thinking",
+ * "error", "latencyMs", "chunkDelayMs", "toolCalls" } ] }. Entries with a
+ * match (a regular expression) answer messages it matches; the others are
+ * used in turn for everything else. Requests with extended thinking get a
+ * thinking block before the text.
+ *
+ * Directives in a message override both, so each error path can be tried
+ * from the input box: [mock:error=overloaded], [mock:latency=3000],
+ * [mock:stall] (start streaming, then go quiet) and [mock:drop] (close the
+ * connection part way through). Error names are the app's error types:
+ * authentication, invalid_request, rate_limit, overloaded, server, network,
+ * plus stream_error for an error event sent after streaming started.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const Models = require('./models');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_CHUNK_DELAY_MS = 30;
+
+// Stands in for the signature the API puts on thinking blocks
+const MOCK_SIGNATURE = 'mock-signature';
+
+// Status code and Messages API error body for each error the mock can return
+const MOCK_ERRORS = {
+  authentication: { status: 401, type: 'authentication_error', message: 'invalid x-api-key' },
+  invalid_request: { status: 400, type: 'invalid_request_error', message: 'messages: the mock server was asked to reject this request' },
+  rate_limit: { status: 429, type: 'rate_limit_error', message: 'Number of request tokens has exceeded your per-minute rate limit', retryAfter: 2 },
+  overloaded: { status: 529, type: 'overloaded_error', message: 'Overloaded' },
+  server: { status: 500, type: 'api_error', message: 'Internal server error' }
+};
+
+const DIRECTIVE_PATTERN = /\[mock:(\w+)(?:=([^\]]*))?\]/g;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rough token count, close enough for usage numbers in a demo
+function estimateTokens(text) {
+  return Math.max(1, Math.ceil((text || '').length / 4));
+}
+
+// Text of a message's content, with tool results included so they can be echoed too
+function getContentText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  
+  return content.map(block => {
+    if (block.type === 'text') return block.text;
+    if (block.type === 'tool_result') {
+      const result = Array.isArray(block.content) ? getContentText(block.content) : String(block.content || '');
+      return `Tool result: ${result}`;
+    }
+    if (block.type === 'image' || block.type === 'document') return `[${block.type}]`;
+    return '';
+  }).filter(Boolean).join('\n');
+}
+
+function getLastUser(messages) {
+  return (messages || []).slice().reverse().find(message => message.role === 'user') || null;
+}
+
+// Tool results are answered with an echo, so a scripted tool call doesn't repeat forever
+function isToolResultMessage(message) {
+  return !!message && Array.isArray(message.content) && message.content.some(block => block.type === 'tool_result');
+}
+
+// Directives found in the text as { name: value }, with the text left over
+function parseDirectives(text) {
+  const directives = {};
+  const rest = text.replace(DIRECTIVE_PATTERN, (_, name, value) => {
+    directives[name.toLowerCase()] = value === undefined ? true : value.trim();
+    return '';
+  }).trim();
+  return { directives, rest };
+}
+
+function loadScript(scriptPath) {
+  const data = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+  const responses = Array.isArray(data) ? data : data.responses;
+  if (!Array.isArray(responses) || responses.length === 0) {
+    throw new Error(`Mock script ${scriptPath} has no responses`);
+  }
+  
+  return responses.map(entry => ({
+    ...entry,
+    match: entry.match ? new RegExp(entry.match, 'i') : null
+  }));
+}
+
+class MockApiServer {
+  constructor({ port = DEFAULT_PORT, scriptPath = null, chunkDelayMs = DEFAULT_CHUNK_DELAY_MS, log = console.log } = {}) {
+    this.port = port;
+    this.chunkDelayMs = chunkDelayMs;
+    this.log = log;
+    this.script = scriptPath ? loadScript(scriptPath) : [];
+    this.nextScripted = 0;
+    this.server = null;
+  }
+  
+  get endpoint() {
+    return `http://127.0.0.1:${this.port}/v1/messages`;
+  }
+  
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => {
+        this.handleRequest(req, res).catch(error => {
+          this.log(`Mock API request failed: ${error.message}`);
+          if (!res.headersSent) {
+            this.sendError(res, 'server');
+          } else {
+            res.destroy();
+          }
+        });
+      });
+      
+      this.server.once('error', reject);
+      // Only reachable from this computer
+      this.server.listen(this.port, '127.0.0.1', () => {
+        this.port = this.server.address().port;
+        this.log(`Mock Anthropic API listening on ${this.endpoint}`);
+        resolve(this);
+      });
+    });
+  }
+  
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+  
+  async handleRequest(req, res) {
+    const url = new URL(req.url, this.endpoint);
+    
+    if (req.method === 'GET' && url.pathname === '/v1/models') {
+      return this.sendJSON(res, 200, {
+        data: Models.BUNDLED_MODELS.map(model => ({
+          type: 'model',
+          id: model.id,
+          display_name: model.displayName,
+          created_at: '2025-01-01T00:00:00Z'
+        })),
+        has_more: false,
+        first_id: Models.BUNDLED_MODELS[0].id,
+        last_id: Models.BUNDLED_MODELS[Models.BUNDLED_MODELS.length - 1].id
+      });
+    }
+    
+    if (req.method !== 'POST' || !['/v1/messages', '/v1/messages/count_tokens'].includes(url.pathname)) {
+      return this.sendJSON(res, 404, {
+        type: 'error',
+        error: { type: 'not_found_error', message: `${req.method} ${url.pathname} is not served by the mock API` }
+      });
+    }
+    
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (error) {
+      return this.sendJSON(res, 400, {
+        type: 'error',
+        error: { type: 'invalid_request_error', message: 'The request body is not valid JSON' }
+      });
+    }
+    
+    const inputTokens = estimateTokens(JSON.stringify({ system: body.system, messages: body.messages, tools: body.tools }));
+    if (url.pathname === '/v1/messages/count_tokens') {
+      return this.sendJSON(res, 200, { input_tokens: inputTokens });
+    }
+    
+    const reply = this.chooseReply(getLastUser(body.messages), body);
+    this.log(`Mock API ${body.stream ? 'streaming' : 'sending'} ${reply.error ? `${reply.error} error` : 'reply'} for ${body.model}`);
+    
+    if (reply.latencyMs > 0) {
+      await sleep(reply.latencyMs);
+    }
+    
+    if (reply.error && reply.error !== 'stream_error') {
+      return this.sendError(res, reply.error);
+    }
+    
+    const message = {
+      id: `msg_mock_${crypto.randomBytes(12).toString('hex')}`,
+      type: 'message',
+      role: 'assistant',
+      model: body.model,
+      stopReason: reply.toolCalls.length > 0 ? 'tool_use' : 'end_turn',
+      inputTokens,
+      outputTokens: estimateTokens(reply.text + (reply.thinking || ''))
+    };
+    
+    if (body.stream) {
+      return this.streamReply(res, message, reply);
+    }
+    
+    const content = reply.thinking ? [{ type: 'thinking', thinking: reply.thinking, signature: MOCK_SIGNATURE }] : [];
+    if (reply.text) {
+      content.push({ type: 'text', text: reply.text });
+    }
+    reply.toolCalls.forEach(call => content.push({ type: 'tool_use', ...call }));
+    return this.sendJSON(res, 200, {
+      id: message.id,
+      type: message.type,
+      role: message.role,
+      model: message.model,
+      content,
+      stop_reason: message.stopReason,
+      stop_sequence: null,
+      usage: { input_tokens: inputTokens, output_tokens: message.outputTokens }
+    });
+  }
+  
+  // Work out what to answer: directives first, then the script, then an echo
+  chooseReply(userMessage, body) {
+    const { directives, rest } = parseDirectives(userMessage ? getContentText(userMessage.content) : '');
+    
+    let entry = null;
+    if (this.script.length > 0 && !isToolResultMessage(userMessage)) {
+      entry = this.script.find(candidate => candidate.match && candidate.match.test(rest));
+      if (!entry) {
+        const unmatched = this.script.filter(candidate => !candidate.match);
+        if (unmatched.length > 0) {
+          entry = unmatched[this.nextScripted % unmatched.length];
+          this.nextScripted++;
+        }
+      }
+    }
+    entry = entry || {};
+    
+    const echo = rest
+      ? `You said: ${rest}`
+      : 'Hello from the mock Anthropic API. Send a message and I will echo it back.';
+    const latency = parseInt(directives.latency, 10);
+    const chunkDelay = parseInt(directives.chunk_delay, 10);
+    
+    return {
+      text: typeof entry.text === 'string' ? entry.text : echo,
+      // Only requests with extended thinking on get a thinking block
+      thinking: body.thinking
+        ? (typeof entry.thinking === 'string' ? entry.thinking : `The message was "${rest || 'empty'}". I should repeat it back.`)
+        : null,
+      error: typeof directives.error === 'string' ? directives.error : entry.error || null,
+      latencyMs: !isNaN(latency) ? latency : entry.latencyMs || 0,
+      chunkDelayMs: !isNaN(chunkDelay) ? chunkDelay : (entry.chunkDelayMs !== undefined ? entry.chunkDelayMs : this.chunkDelayMs),
+      stall: directives.stall === true || entry.stall === true,
+      drop: directives.drop === true || entry.drop === true,
+      // Scripted tool calls are only made when the request offers tools
+      toolCalls: Array.isArray(entry.toolCalls) && Array.isArray(body.tools) && body.tools.length > 0
+        ? entry.toolCalls.map(call => ({ id: `toolu_mock_${crypto.randomBytes(8).toString('hex')}`, name: call.name, input: call.input || {} }))
+        : []
+    };
+  }
+  
+  // Send the reply as server-sent events, a few words at a time
+  async streamReply(res, message, reply) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+    });
+    const send = (event, data) => {
+      if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`);
+    };
+    
+    send('message_start', {
+      message: {
+        id: message.id,
+        type: message.type,
+        role: message.role,
+        model: message.model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: message.inputTokens, output_tokens: 1 }
+      }
+    });
+    
+    let index = 0;
+    if (reply.thinking) {
+      send('content_block_start', { index, content_block: { type: 'thinking', thinking: '' } });
+      for (const chunk of reply.thinking.match(/\S+\s*|\s+/g) || []) {
+        if (closed) return;
+        send('content_block_delta', { index, delta: { type: 'thinking_delta', thinking: chunk } });
+        if (reply.chunkDelayMs > 0) await sleep(reply.chunkDelayMs);
+      }
+      send('content_block_delta', { index, delta: { type: 'signature_delta', signature: MOCK_SIGNATURE } });
+      send('content_block_stop', { index });
+      index++;
+    }
+    
+    if (reply.text) {
+      send('content_block_start', { index, content_block: { type: 'text', text: '' } });
+      
+      const chunks = reply.text.match(/\S+\s*|\s+/g) || [];
+      const cutAt = Math.max(1, Math.floor(chunks.length / 2));
+      for (let i = 0; i < chunks.length && !closed; i++) {
+        // Go quiet or hang up half way through, after some text has been shown
+        if ((reply.stall || reply.drop || reply.error === 'stream_error') && i === cutAt) {
+          if (reply.drop) {
+            res.destroy();
+            return;
+          }
+          if (reply.error === 'stream_error') {
+            send('error', { error: { type: 'overloaded_error', message: 'Overloaded' } });
+            res.end();
+            return;
+          }
+          // Stalled streams are left open until the app gives up and closes them
+          return;
+        }
+        
+        send('content_block_delta', { index, delta: { type: 'text_delta', text: chunks[i] } });
+        if (reply.chunkDelayMs > 0) await sleep(reply.chunkDelayMs);
+      }
+      
+      send('content_block_stop', { index });
+      index++;
+    }
+    
+    reply.toolCalls.forEach(call => {
+      send('content_block_start', { index, content_block: { type: 'tool_use', id: call.id, name: call.name, input: {} } });
+      send('content_block_delta', { index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(call.input) } });
+      send('content_block_stop', { index });
+      index++;
+    });
+    
+    send('message_delta', {
+      delta: { stop_reason: message.stopReason, stop_sequence: null },
+      usage: { output_tokens: message.outputTokens }
+    });
+    send('message_stop', {});
+    res.end();
+  }
+  
+  sendError(res, name) {
+    // The network error is a dropped connection rather than a response
+    if (name === 'network') {
+      res.destroy();
+      return;
+    }
+    
+    const error = MOCK_ERRORS[name] || MOCK_ERRORS.server;
+    const headers = error.retryAfter ? { 'retry-after': String(error.retryAfter) } : {};
+    this.sendJSON(res, error.status, { type: 'error', error: { type: error.type, message: error.message } }, headers);
+  }
+  
+  sendJSON(res, status, data, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(data));
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      data += chunk;
+    });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+// Read --mock-api[=port] and --mock-api-script=file from the command line
+// Returns null when the mock API wasn't asked for
+function getMockApiOptions(argv) {
+  const flag = argv.find(arg => arg === '--mock-api' || arg.startsWith('--mock-api='));
+  if (!flag) return null;
+  
+  const port = parseInt(flag.split('=')[1], 10);
+  const scriptArg = argv.find(arg => arg.startsWith('--mock-api-script='));
+  return {
+    port: isNaN(port) ? DEFAULT_PORT : port,
+    scriptPath: scriptArg ? scriptArg.slice('--mock-api-script='.length) : null
+  };
+}
+
+// Run on its own: node src/mock-api-server.js [--port 8787] [--script responses.json]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const valueOf = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  
+  const port = parseInt(valueOf('--port'), 10);
+  new MockApiServer({ port: isNaN(port) ? DEFAULT_PORT : port, scriptPath: valueOf('--script') || null })
+    .start()
+    .catch(error => {
+      console.error('Could not start the mock API:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { MockApiServer, getMockApiOptions, DEFAULT_PORT };
@@ -0,0 +1,66 @@
+/**
+ * Model Catalog for Claude Desktop
+ *
+ * Lists the models of the active provider. Models listed in the provider's
+ * settings are used as they are; otherwise the list comes from the
+ * provider's models endpoint and is cached in electron-store for a day.
+ * When the provider can't be reached the cached list is used, or for
+ * Anthropic the bundled list if nothing was cached yet.
+ */
+
+const Models = require('./models');
+
+// How long a fetched list is used before asking the API again
+const CACHE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+class ModelCatalog {
+  // getProvider returns the active provider: { id, settings, client }
+  constructor(store, getProvider) {
+    this.store = store;
+    this.getProvider = getProvider;
+  }
+  
+  // A cached list only counts for the provider and endpoint it was fetched from
+  _getCache(source) {
+    const cache = this.store.get('modelCatalog', null);
+    return cache && cache.source === source && Array.isArray(cache.models) && cache.models.length > 0 ? cache : null;
+  }
+  
+  // Returns { models, source: 'settings' | 'api' | 'cache' | 'bundled', fetchedAt, error }
+  // refresh asks the API even when the cached list is recent
+  async getModels({ refresh = false } = {}) {
+    const provider = this.getProvider();
+    if (provider.settings.models.length > 0) {
+      return { models: provider.settings.models.map(id => Models.createEntry(id)), source: 'settings', fetchedAt: null };
+    }
+    
+    const source = `${provider.id} ${provider.settings.endpoint}`;
+    const cache = this._getCache(source);
+    if (cache && !refresh && Date.now() - cache.fetchedAt < CACHE_MAX_AGE_MS) {
+      return { models: cache.models, source: 'cache', fetchedAt: cache.fetchedAt };
+    }
+    
+    try {
+      const apiModels = await provider.client.listModels();
+      const models = apiModels.map(model => Models.createEntry(model.id, model.displayName));
+      if (models.length === 0) {
+        throw new Error('The models endpoint returned no models');
+      }
+      
+      const fetchedAt = Date.now();
+      this.store.set('modelCatalog', { source, fetchedAt, models });
+      return { models, source: 'api', fetchedAt };
+    } catch (error) {
+      console.error('Error fetching the model list:', error.message);
+      
+      if (cache) {
+        return { models: cache.models, source: 'cache', fetchedAt: cache.fetchedAt, error: error.message };
+      }
+      // Claude models mean nothing to other providers
+      const models = provider.id === 'anthropic' ? Models.BUNDLED_MODELS : [];
+      return { models, source: 'bundled', fetchedAt: null, error: error.message };
+    }
+  }
+}
+
+module.exports = ModelCatalog;
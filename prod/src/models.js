@@ -0,0 +1,98 @@
+/**
+ * Models for Claude Desktop
+ *
+ * The bundled list of Claude models and the limits of each model family.
+ * The main process model catalog asks the Models API for the models the API
+ * key can use and falls back to the bundled list when it can't; limits are
+ * looked up here because the Models API doesn't report them.
+ *
+ * Catalog entries are plain objects:
+ * { id, displayName, contextWindow, maxOutputTokens, supportsThinking }.
+ *
+ * Loaded as a plain script in the renderer and required by the main process.
+ */
+
+const Models = (() => {
+  // Used for new conversations until a model is chosen
+  const DEFAULT_MODEL = 'claude-haiku-4-5-20251001';
+  
+  // Matched by prefix so dated versions share their family's limits; more specific prefixes first
+  // supportsThinking marks the families that accept the extended thinking parameter
+  const MODEL_LIMITS = [
+    { prefix: 'claude-opus-4-5', contextWindow: 200000, maxOutputTokens: 64000, supportsThinking: true },
+    { prefix: 'claude-opus-4', contextWindow: 200000, maxOutputTokens: 32000, supportsThinking: true },
+    { prefix: 'claude-sonnet-4', contextWindow: 200000, maxOutputTokens: 64000, supportsThinking: true },
+    { prefix: 'claude-haiku-4', contextWindow: 200000, maxOutputTokens: 64000, supportsThinking: true },
+    { prefix: 'claude-3-7-sonnet', contextWindow: 200000, maxOutputTokens: 64000, supportsThinking: true },
+    { prefix: 'claude-3-5-sonnet', contextWindow: 200000, maxOutputTokens: 8192, supportsThinking: false },
+    { prefix: 'claude-3-5-haiku', contextWindow: 200000, maxOutputTokens: 8192, supportsThinking: false },
+    { prefix: 'claude-3', contextWindow: 200000, maxOutputTokens: 4096, supportsThinking: false }
+  ];
+  const DEFAULT_LIMITS = { contextWindow: 200000, maxOutputTokens: 4096, supportsThinking: false };
+  
+  // The API's smallest thinking budget; the budget must also stay below max tokens
+  const MIN_THINKING_BUDGET = 1024;
+  
+  // Shown when the Models API can't be reached and nothing is cached
+  const BUNDLED_MODELS = [
+    { id: 'claude-opus-4-5-20251101', displayName: 'Claude Opus 4.5' },
+    { id: 'claude-sonnet-4-5-20250929', displayName: 'Claude Sonnet 4.5' },
+    { id: 'claude-haiku-4-5-20251001', displayName: 'Claude Haiku 4.5' },
+    { id: 'claude-opus-4-1-20250805', displayName: 'Claude Opus 4.1' },
+    { id: 'claude-sonnet-4-20250514', displayName: 'Claude Sonnet 4' },
+    { id: 'claude-3-5-haiku-20241022', displayName: 'Claude Haiku 3.5' },
+    { id: 'claude-3-haiku-20240307', displayName: 'Claude Haiku 3' }
+  ].map(model => createEntry(model.id, model.displayName));
+  
+  function getLimits(modelId) {
+    const match = MODEL_LIMITS.find(limits => (modelId || '').startsWith(limits.prefix));
+    return match
+      ? { contextWindow: match.contextWindow, maxOutputTokens: match.maxOutputTokens, supportsThinking: match.supportsThinking }
+      : { ...DEFAULT_LIMITS };
+  }
+  
+  function createEntry(id, displayName) {
+    return { id, displayName: displayName || id, ...getLimits(id) };
+  }
+  
+  // The catalog entry for a model, or one built from the family limits for models not listed
+  function find(models, modelId) {
+    return (models || []).find(model => model.id === modelId) || createEntry(modelId);
+  }
+  
+  // Keep max tokens within what the model can produce
+  function clampMaxTokens(maxTokens, model) {
+    const limit = model.maxOutputTokens || DEFAULT_LIMITS.maxOutputTokens;
+    const value = parseInt(maxTokens, 10);
+    if (isNaN(value) || value < 1) return Math.min(1024, limit);
+    return Math.min(value, limit);
+  }
+  
+  // Max tokens and thinking budget for a request with extended thinking, or null if the model can't think
+  // The budget comes on top of the tokens kept for the answer, as far as the model's output limit allows
+  // A budget under the API's minimum is raised to it rather than turning thinking off
+  function getThinkingLimits(maxTokens, thinkingBudget, model) {
+    if (!model.supportsThinking) return null;
+    
+    const budget = Math.max(MIN_THINKING_BUDGET, parseInt(thinkingBudget, 10) || MIN_THINKING_BUDGET);
+    const requestMaxTokens = clampMaxTokens(clampMaxTokens(maxTokens, model) + budget, model);
+    const budgetTokens = Math.min(budget, requestMaxTokens - 1);
+    // Only a model that can't output more than the minimum budget can't think
+    if (budgetTokens < MIN_THINKING_BUDGET) return null;
+    
+    return { maxTokens: requestMaxTokens, budgetTokens };
+  }
+  
+  return {
+    DEFAULT_MODEL,
+    BUNDLED_MODELS,
+    MIN_THINKING_BUDGET,
+    getLimits,
+    createEntry,
+    find,
+    clampMaxTokens,
+    getThinkingLimits
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = Models;
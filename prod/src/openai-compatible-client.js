@@ -0,0 +1,259 @@
+/**
+ * OpenAI-compatible API Client for Claude Desktop
+ *
+ * A provider for servers that speak the OpenAI Chat Completions format,
+ * such as a model running locally for an air-gapped demo. Requests arrive
+ * in the Messages API format the rest of the app uses and are translated
+ * here: the system prompt becomes a system message, images become data
+ * URLs and tool calls and results become function calls and tool messages.
+ * Prompt caching and PDF documents have no equivalent and are left out.
+ */
+
+const { ApiClient, ApiError, ERROR_TYPES, parseToolInput } = require('./api-client');
+
+// Chat Completions finish reasons in Messages API terms
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  content_filter: 'refusal'
+};
+
+class OpenAICompatibleClient extends ApiClient {
+  constructor(options = {}) {
+    super({ serviceName: 'model server', ...options });
+  }
+  
+  buildRequest(params, { stream = true } = {}) {
+    const request = {
+      model: params.model,
+      max_tokens: params.maxTokens,
+      messages: toChatMessages(params.system, params.messages),
+      stream
+    };
+    
+    if (stream) {
+      // Servers that support it report token usage in a last chunk
+      request.stream_options = { include_usage: true };
+    }
+    
+    if (typeof params.temperature === 'number') {
+      request.temperature = params.temperature;
+    }
+    
+    if (Array.isArray(params.tools) && params.tools.length > 0) {
+      request.tools = params.tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+      }));
+    }
+    
+    return request;
+  }
+  
+  async send(params, { signal, onRetry } = {}) {
+    const request = this.buildRequest(params, { stream: false });
+    
+    return this.withRetries(async () => {
+      const response = await this.request(this.getEndpoint(), {
+        method: 'POST',
+        headers: await this.buildHeaders(),
+        body: JSON.stringify(request),
+        signal
+      });
+      if (!response.ok) {
+        throw await this.createErrorFromResponse(response);
+      }
+      
+      const completion = await response.json();
+      const choice = (completion.choices || [])[0] || {};
+      const message = choice.message || {};
+      return {
+        text: typeof message.content === 'string' ? message.content : '',
+        model: completion.model || request.model,
+        stopReason: STOP_REASONS[choice.finish_reason] || choice.finish_reason || null,
+        usage: toMessagesUsage(completion.usage),
+        toolCalls: (message.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function?.name,
+          input: parseToolInput(call.function?.arguments || '')
+        }))
+      };
+    }, { signal, onRetry });
+  }
+  
+  // Calls onText(delta, fullText) as text arrives; see AnthropicClient.stream
+  async stream(params, { signal, onText, onRetry } = {}) {
+    const request = this.buildRequest(params);
+    let textReceived = false;
+    
+    return this.withRetries(() => this.streamOnce(request, {
+      signal,
+      onText: (delta, fullText) => {
+        textReceived = true;
+        if (onText) onText(delta, fullText);
+      }
+    }), {
+      signal,
+      onRetry,
+      canRetry: () => !textReceived
+    });
+  }
+  
+  async streamOnce(request, { signal, onText } = {}) {
+    const response = await this.request(this.getEndpoint(), {
+      method: 'POST',
+      headers: await this.buildHeaders(),
+      body: JSON.stringify(request),
+      signal
+    });
+    
+    if (!response.ok) {
+      throw await this.createErrorFromResponse(response);
+    }
+    
+    const result = {
+      text: '',
+      model: request.model,
+      stopReason: null,
+      usage: null,
+      toolCalls: []
+    };
+    
+    // Tool call arguments arrive as JSON fragments, collected by tool call index
+    const toolCalls = new Map();
+    
+    const handleEvent = (eventType, data) => {
+      if (data === '[DONE]') return;
+      if (data.error) {
+        throw this.createApiError(null, data.error.type, data.error.message);
+      }
+      
+      result.model = data.model || result.model;
+      if (data.usage) {
+        result.usage = toMessagesUsage(data.usage);
+      }
+      
+      const choice = (data.choices || [])[0];
+      if (!choice) return;
+      
+      const delta = choice.delta || {};
+      if (typeof delta.content === 'string' && delta.content) {
+        result.text += delta.content;
+        if (onText) onText(delta.content, result.text);
+      }
+      
+      (delta.tool_calls || []).forEach(call => {
+        const index = call.index !== undefined ? call.index : toolCalls.size;
+        if (!toolCalls.has(index)) {
+          toolCalls.set(index, { id: call.id, name: '', json: '' });
+        }
+        const entry = toolCalls.get(index);
+        if (call.id) entry.id = call.id;
+        if (call.function?.name) entry.name += call.function.name;
+        if (call.function?.arguments) entry.json += call.function.arguments;
+      });
+      
+      if (choice.finish_reason) {
+        result.stopReason = STOP_REASONS[choice.finish_reason] || choice.finish_reason;
+      }
+    };
+    
+    await this.readServerSentEvents(response, handleEvent, result);
+    
+    result.toolCalls = Array.from(toolCalls.values()).map(({ id, name, json }) => ({
+      id: id || `call_${Math.random().toString(36).slice(2, 10)}`,
+      name,
+      input: parseToolInput(json)
+    }));
+    return result;
+  }
+  
+  // Chat Completions servers have no token counting endpoint, so callers fall back to their estimate
+  async countTokens() {
+    throw new ApiError(ERROR_TYPES.INVALID_REQUEST, 'This provider can\'t count tokens.');
+  }
+  
+  // The models endpoint sits next to the chat completions endpoint
+  async listModels({ signal } = {}) {
+    const modelsUrl = this.getEndpoint().replace(/\/chat\/completions\/?$/, '/models');
+    const response = await this.request(modelsUrl, { headers: await this.buildHeaders(), signal });
+    if (!response.ok) {
+      throw await this.createErrorFromResponse(response);
+    }
+    
+    const page = await response.json();
+    return (page.data || page.models || []).map(model => ({ id: model.id || model.name, displayName: model.id || model.name }));
+  }
+}
+
+// Translate a system prompt and Messages API messages to Chat Completions messages
+function toChatMessages(system, messages) {
+  const chatMessages = [];
+  
+  const systemText = Array.isArray(system) ? system.map(block => block.text).join('\n\n') : system;
+  if (systemText) {
+    chatMessages.push({ role: 'system', content: systemText });
+  }
+  
+  (messages || []).forEach(message => {
+    if (typeof message.content === 'string') {
+      chatMessages.push({ role: message.role, content: message.content });
+      return;
+    }
+    
+    const blocks = Array.isArray(message.content) ? message.content : [];
+    if (message.role === 'assistant') {
+      const text = blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+      const toolCalls = blocks.filter(block => block.type === 'tool_use').map(block => ({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+      }));
+      chatMessages.push(toolCalls.length > 0
+        ? { role: 'assistant', content: text || null, tool_calls: toolCalls }
+        : { role: 'assistant', content: text });
+      return;
+    }
+    
+    // Tool results are messages of their own, answered in the order they were called
+    blocks.filter(block => block.type === 'tool_result').forEach(block => {
+      const content = Array.isArray(block.content)
+        ? block.content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+        : String(block.content || '');
+      chatMessages.push({ role: 'tool', tool_call_id: block.tool_use_id, content: block.is_error ? `Error: ${content}` : content });
+    });
+    
+    const parts = blocks.filter(block => block.type !== 'tool_result').map(toContentPart).filter(Boolean);
+    if (parts.length > 0) {
+      chatMessages.push({ role: 'user', content: parts });
+    }
+  });
+  
+  return chatMessages;
+}
+
+function toContentPart(block) {
+  switch (block.type) {
+    case 'text':
+      return { type: 'text', text: block.text };
+    case 'image':
+      return { type: 'image_url', image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` } };
+    case 'document':
+      return { type: 'text', text: `[The PDF ${block.title || 'document'} was left out; this provider can't read PDFs.]` };
+    default:
+      return null;
+  }
+}
+
+// Chat Completions usage in the Messages API fields the usage ledger reads
+function toMessagesUsage(usage) {
+  if (!usage) return null;
+  return {
+    input_tokens: usage.prompt_tokens || 0,
+    output_tokens: usage.completion_tokens || 0
+  };
+}
+
+module.exports = OpenAICompatibleClient;
@@ -0,0 +1,99 @@
+/**
+ * Outbox Store for Claude Desktop
+ *
+ * Messages written while the computer is offline wait here until the
+ * connection is back, then the renderer sends them in the order they were
+ * written. Items are kept in electron-store so they survive a restart, and
+ * can be edited or cancelled until they are sent.
+ */
+
+const crypto = require('crypto');
+
+class OutboxStore {
+  constructor(store) {
+    this.store = store;
+    
+    // Keep an in-memory copy so the store also works with the in-memory fallback
+    const items = this.store.get('outbox', []);
+    this.items = Array.isArray(items) ? items : [];
+  }
+  
+  _persist() {
+    this.store.set('outbox', this.items);
+  }
+  
+  // Oldest first, the order they will be sent in
+  list() {
+    return this.items.slice();
+  }
+  
+  add({ conversationId, text, attachments } = {}) {
+    if (typeof conversationId !== 'string' || !conversationId) {
+      throw new Error('A queued message needs a conversation');
+    }
+    const messageText = typeof text === 'string' ? text.trim() : '';
+    const messageAttachments = Array.isArray(attachments) ? attachments : [];
+    if (!messageText && messageAttachments.length === 0) {
+      throw new Error('A queued message needs text or attachments');
+    }
+    
+    const now = new Date().toISOString();
+    const item = {
+      id: crypto.randomUUID(),
+      conversationId,
+      text: messageText,
+      attachments: messageAttachments,
+      createdAt: now,
+      updatedAt: now
+    };
+    
+    this.items.push(item);
+    this._persist();
+    return item;
+  }
+  
+  // Change the text of a message that hasn't been sent yet; its place in the queue stays the same
+  update(id, { text } = {}) {
+    const item = this.items.find(entry => entry.id === id);
+    if (!item) {
+      throw new Error(`Queued message not found: ${id}`);
+    }
+    
+    const messageText = typeof text === 'string' ? text.trim() : '';
+    if (!messageText && item.attachments.length === 0) {
+      throw new Error('A queued message needs text or attachments');
+    }
+    
+    item.text = messageText;
+    item.updatedAt = new Date().toISOString();
+    this._persist();
+    return item;
+  }
+  
+  remove(id) {
+    const index = this.items.findIndex(entry => entry.id === id);
+    if (index === -1) return false;
+    
+    this.items.splice(index, 1);
+    this._persist();
+    return true;
+  }
+  
+  // Drop the messages queued for a conversation that was deleted
+  removeForConversation(conversationId) {
+    const count = this.items.length;
+    this.items = this.items.filter(entry => entry.conversationId !== conversationId);
+    if (this.items.length !== count) {
+      this._persist();
+    }
+    return count - this.items.length;
+  }
+  
+  getAttachmentIds() {
+    const ids = new Set();
+    this.items.forEach(item => item.attachments.forEach(attachment => ids.add(attachment.id)));
+    return ids;
+  }
+}
+
+module.exports = OutboxStore;
@@ -0,0 +1,204 @@
+/**
+ * Persona Store for Claude Desktop
+ *
+ * Personas are named presets a conversation can use: a system prompt, model,
+ * temperature, robot face colors and speech voice, rate and pitch. Two
+ * built-in personas ship with the app and can't be changed, only duplicated;
+ * the user's own personas are kept in electron-store and can be exported to
+ * and imported from JSON files.
+ */
+
+const crypto = require('crypto');
+const Personas = require('./personas');
+
+const MAX_NAME_LENGTH = 60;
+const EXPORT_FORMAT = 'claude-desktop-personas';
+const EXPORT_VERSION = 1;
+
+const BUILT_IN_PERSONAS = [
+  {
+    id: 'tutor',
+    name: 'Tutor',
+    description: 'Patient teacher that explains step by step and checks understanding.',
+    systemPrompt: 'You are a patient, encouraging tutor. Explain ideas step by step in plain language, ' +
+      'use short examples, and check the learner\'s understanding with a question before moving on. ' +
+      'Guide the learner to answers rather than just giving them.',
+    model: 'claude-sonnet-4-5-20250929',
+    temperature: 0.7,
+    faceOptions: {
+      primaryColor: '#4CAF50',
+      backgroundColor: '#1F2A22',
+      eyeColor: '#81C784',
+      speakingColor: '#A5D6A7',
+      thinkingColor: '#FFD54F',
+      errorColor: '#FF5E5E'
+    },
+    speechOptions: { voiceURI: null, rate: 0.9, pitch: 1.1 }
+  },
+  {
+    id: 'support-agent',
+    name: 'Support agent',
+    description: 'Friendly, concise customer support that solves one problem at a time.',
+    systemPrompt: 'You are a friendly customer support agent. Keep answers short and practical, ' +
+      'ask for the details you need to solve the problem, give numbered steps, ' +
+      'and confirm the issue is resolved before closing.',
+    model: 'claude-haiku-4-5-20251001',
+    temperature: 0.3,
+    faceOptions: {
+      primaryColor: '#2196F3',
+      backgroundColor: '#1C2330',
+      eyeColor: '#64B5F6',
+      speakingColor: '#90CAF9',
+      thinkingColor: '#FFB84D',
+      errorColor: '#FF5E5E'
+    },
+    speechOptions: { voiceURI: null, rate: 1.1, pitch: 1.0 }
+  }
+].map(persona => ({ ...persona, builtIn: true }));
+
+class PersonaStore {
+  constructor(store) {
+    this.store = store;
+    
+    // Keep an in-memory copy so the store also works with the in-memory fallback
+    this.personas = this.store.get('personas', {}) || {};
+  }
+  
+  _persist() {
+    this.store.set('personas', this.personas);
+  }
+  
+  // Check and fill in the editable fields of a persona; throws when there is no name
+  _normalize(fields) {
+    if (!fields || typeof fields !== 'object') {
+      throw new Error('A persona must be an object');
+    }
+    
+    const name = typeof fields.name === 'string' ? fields.name.trim().substring(0, MAX_NAME_LENGTH) : '';
+    if (!name) {
+      throw new Error('A persona needs a name');
+    }
+    
+    return {
+      name,
+      description: typeof fields.description === 'string' ? fields.description.trim() : '',
+      systemPrompt: typeof fields.systemPrompt === 'string' ? fields.systemPrompt : '',
+      model: typeof fields.model === 'string' && fields.model ? fields.model : null,
+      temperature: Personas.clampNumber(fields.temperature, 0, 1, 0.7),
+      faceOptions: Personas.normalizeFaceOptions(fields.faceOptions),
+      speechOptions: Personas.normalizeSpeechOptions(fields.speechOptions)
+    };
+  }
+  
+  // A name no other persona uses, so imports and copies can be told apart
+  _uniqueName(name) {
+    const names = new Set(this.list().map(persona => persona.name.toLowerCase()));
+    if (!names.has(name.toLowerCase())) return name;
+    
+    for (let n = 2; ; n++) {
+      const candidate = `${name} (${n})`;
+      if (!names.has(candidate.toLowerCase())) return candidate;
+    }
+  }
+  
+  // Built-in personas first, then the user's own by name
+  list() {
+    const custom = Object.values(this.personas).sort((a, b) => a.name.localeCompare(b.name));
+    return [...BUILT_IN_PERSONAS, ...custom];
+  }
+  
+  get(id) {
+    return BUILT_IN_PERSONAS.find(persona => persona.id === id) || this.personas[id] || null;
+  }
+  
+  // Create a persona, or update one of the user's own when fields has its id
+  save(fields) {
+    const existing = fields && fields.id ? this.get(fields.id) : null;
+    if (existing && existing.builtIn) {
+      throw new Error(`${existing.name} is built in and can't be changed; duplicate it instead`);
+    }
+    if (fields && fields.id && !existing) {
+      throw new Error(`Persona not found: ${fields.id}`);
+    }
+    
+    const now = new Date().toISOString();
+    const persona = existing
+      ? { ...existing, ...this._normalize(fields), updatedAt: now }
+      : { id: crypto.randomUUID(), ...this._normalize(fields), builtIn: false, createdAt: now, updatedAt: now };
+    
+    this.personas[persona.id] = persona;
+    this._persist();
+    return persona;
+  }
+  
+  duplicate(id) {
+    const persona = this.get(id);
+    if (!persona) {
+      throw new Error(`Persona not found: ${id}`);
+    }
+    
+    return this.save({ ...this._normalize(persona), name: this._uniqueName(`${persona.name} copy`) });
+  }
+  
+  delete(id) {
+    const persona = this.personas[id];
+    if (!persona) return false;
+    
+    delete this.personas[id];
+    this._persist();
+    return true;
+  }
+  
+  // JSON for a personas file; ids and built-in flags are left out so imports always create new personas
+  exportJSON(ids) {
+    const personas = (Array.isArray(ids) ? ids.map(id => this.get(id)) : this.list()).filter(Boolean);
+    if (personas.length === 0) {
+      throw new Error('There are no personas to export');
+    }
+    
+    return JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      personas: personas.map(persona => this._normalize(persona))
+    }, null, 2);
+  }
+  
+  // Add the personas in an exported file, or a single persona object, as new personas
+  // Returns { imported, errors } so one bad entry doesn't stop the rest
+  importJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON');
+    }
+    
+    let entries;
+    if (data && data.format === EXPORT_FORMAT) {
+      if (data.version > EXPORT_VERSION) {
+        throw new Error('The file was exported by a newer version of the app');
+      }
+      entries = data.personas;
+    } else {
+      entries = Array.isArray(data) ? data : [data];
+    }
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error('The file contains no personas');
+    }
+    
+    const imported = [];
+    const errors = [];
+    entries.forEach((entry, index) => {
+      try {
+        const fields = this._normalize(entry);
+        imported.push(this.save({ ...fields, name: this._uniqueName(fields.name) }));
+      } catch (error) {
+        errors.push(`Persona ${index + 1}: ${error.message}`);
+      }
+    });
+    
+    return { imported, errors };
+  }
+}
+
+module.exports = PersonaStore;
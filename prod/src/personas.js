@@ -0,0 +1,65 @@
+/**
+ * Personas for Claude Desktop
+ *
+ * Defaults and checks for the robot face colors and speech settings a
+ * persona carries. The persona store uses them to clean up saved and imported
+ * personas; the renderer uses them to fill in what a persona leaves out.
+ *
+ * Loaded as a plain script in the renderer and required by the main process.
+ */
+
+const Personas = (() => {
+  const FACE_COLOR_KEYS = ['primaryColor', 'backgroundColor', 'eyeColor', 'speakingColor', 'thinkingColor', 'errorColor'];
+  
+  // The robot's own colors, used for any color a persona leaves out
+  const DEFAULT_FACE_OPTIONS = {
+    primaryColor: '#8A7CFF',
+    backgroundColor: '#23252F',
+    eyeColor: '#8A7CFF',
+    speakingColor: '#5EB3FF',
+    thinkingColor: '#FFB84D',
+    errorColor: '#FF5E5E'
+  };
+  
+  // voiceURI null keeps the system's default voice
+  const DEFAULT_SPEECH_OPTIONS = { voiceURI: null, rate: 1.0, pitch: 1.0 };
+  
+  // A number in [min, max], or the fallback when value isn't a number
+  function clampNumber(value, min, max, fallback) {
+    const number = parseFloat(value);
+    if (isNaN(number)) return fallback;
+    return Math.min(Math.max(number, min), max);
+  }
+  
+  // Only #rgb and #rrggbb colors are accepted since they end up in style rules
+  function normalizeFaceOptions(faceOptions) {
+    const source = faceOptions && typeof faceOptions === 'object' ? faceOptions : {};
+    const normalized = {};
+    FACE_COLOR_KEYS.forEach(key => {
+      normalized[key] = typeof source[key] === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(source[key])
+        ? source[key]
+        : DEFAULT_FACE_OPTIONS[key];
+    });
+    return normalized;
+  }
+  
+  function normalizeSpeechOptions(speechOptions) {
+    const source = speechOptions && typeof speechOptions === 'object' ? speechOptions : {};
+    return {
+      voiceURI: typeof source.voiceURI === 'string' && source.voiceURI ? source.voiceURI : null,
+      rate: clampNumber(source.rate, 0.5, 2, DEFAULT_SPEECH_OPTIONS.rate),
+      pitch: clampNumber(source.pitch, 0.5, 2, DEFAULT_SPEECH_OPTIONS.pitch)
+    };
+  }
+  
+  return {
+    FACE_COLOR_KEYS,
+    DEFAULT_FACE_OPTIONS,
+    DEFAULT_SPEECH_OPTIONS,
+    clampNumber,
+    normalizeFaceOptions,
+    normalizeSpeechOptions
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = Personas;
@@ -66,11 +66,6 @@ function setupRobotHandlers(logger) {
       // Extract options from object if it's wrapped
       const robotOptions = options.options || options;
       
-      // Validate required options
-      if (!robotOptions.apiKey) {
-        throw new Error('API key is required for robot creation');
-      }
-      
       log(LOG_LEVELS.INFO, 'Creating robot instance');
       
       // Store the created robots by ID for future access
@@ -111,9 +111,74 @@ console.log('Robot API configured in preload script with methods:', Object.keys(
 // Expose protected methods to the renderer process
 contextBridge.exposeInMainWorld('api', {
   // API key management
-  getApiKey: () => ipcRenderer.invoke('get-api-key'),
+  hasApiKey: () => ipcRenderer.invoke('has-api-key'),
   saveApiKey: (apiKey) => ipcRenderer.invoke('save-api-key', apiKey),
   
+  // Chat requests
+  chat: {
+    send: (requestId, params) => ipcRenderer.invoke('chat:send', requestId, params),
+    cancel: (requestId) => ipcRenderer.invoke('chat:cancel', requestId),
+    countTokens: (params) => ipcRenderer.invoke('chat:count-tokens', params),
+    onChunk: (callback) => {
+      const subscription = (event, chunk) => callback(chunk);
+      ipcRenderer.on('chat:chunk', subscription);
+      return () => ipcRenderer.removeListener('chat:chunk', subscription);
+    }
+  },
+  
+  // Attachments
+  attachments: {
+    pick: () => ipcRenderer.invoke('attachments:pick'),
+    add: (file) => ipcRenderer.invoke('attachments:add', file),
+    read: (id) => ipcRenderer.invoke('attachments:read', id)
+  },
+  
+  // Available models with their limits
+  models: {
+    list: (options) => ipcRenderer.invoke('models:list', options)
+  },
+  
+  // Personas (presets of prompt, model, face and voice)
+  personas: {
+    list: () => ipcRenderer.invoke('personas:list'),
+    save: (persona) => ipcRenderer.invoke('personas:save', persona),
+    duplicate: (id) => ipcRenderer.invoke('personas:duplicate', id),
+    delete: (id) => ipcRenderer.invoke('personas:delete', id),
+    export: (id) => ipcRenderer.invoke('personas:export', id || null),
+    import: () => ipcRenderer.invoke('personas:import')
+  },
+  
+  // Outbox (messages written while offline)
+  outbox: {
+    list: () => ipcRenderer.invoke('outbox:list'),
+    add: (item) => ipcRenderer.invoke('outbox:add', item),
+    update: (id, changes) => ipcRenderer.invoke('outbox:update', id, changes),
+    remove: (id) => ipcRenderer.invoke('outbox:remove', id)
+  },
+  
+  // Full-text search across every conversation
+  search: {
+    query: (query, filters) => ipcRenderer.invoke('search:query', query, filters),
+    models: () => ipcRenderer.invoke('search:models')
+  },
+  
+  // Local tools Claude can call
+  tools: {
+    list: () => ipcRenderer.invoke('tools:list'),
+    run: (name, input) => ipcRenderer.invoke('tools:run', name, input)
+  },
+  
+  // Token usage report
+  usage: {
+    getReport: () => ipcRenderer.invoke('usage:get-report'),
+    openReport: () => ipcRenderer.invoke('usage:open-report'),
+    onUpdated: (callback) => {
+      const subscription = () => callback();
+      ipcRenderer.on('usage-updated', subscription);
+      return () => ipcRenderer.removeListener('usage-updated', subscription);
+    }
+  },
+  
   // System info
   getPlatformInfo: () => ipcRenderer.invoke('get-platform-info'),
   isDev: () => process.env.NODE_ENV === 'development',
@@ -127,6 +192,7 @@ contextBridge.exposeInMainWorld('api', {
   getConfig: () => ipcRenderer.invoke('get-config'),
   saveConfig: (config) => ipcRenderer.invoke('save-config', config),
   resetConfig: () => ipcRenderer.invoke('reset-config'),
+  getApiInfo: () => ipcRenderer.invoke('api:info'),
   
   // Network status
   checkOnlineStatus: () => ipcRenderer.invoke('check-online-status'),
@@ -143,6 +209,21 @@ contextBridge.exposeInMainWorld('api', {
     return () => ipcRenderer.removeListener('clear-history', callback);
   },
   
+  onOpenSearch: (callback) => {
+    ipcRenderer.on('open-search', callback);
+    return () => ipcRenderer.removeListener('open-search', callback);
+  },
+  
+  onOpenImport: (callback) => {
+    ipcRenderer.on('open-import', callback);
+    return () => ipcRenderer.removeListener('open-import', callback);
+  },
+  
+  onOpenExport: (callback) => {
+    ipcRenderer.on('open-export', callback);
+    return () => ipcRenderer.removeListener('open-export', callback);
+  },
+  
   onOpenSettings: (callback) => {
     ipcRenderer.on('open-settings', callback);
     return () => ipcRenderer.removeListener('open-settings', callback);
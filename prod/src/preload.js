@@ -145,9 +145,6 @@ const validators = {
   isValidRobotOptions: (options) => {
     if (!validators.isObject(options)) return false;
     
-    // Required fields
-    if (!validators.isValidApiKey(options.apiKey)) return false;
-    
     // Optional fields with type validation
     if (options.debug !== undefined && !validators.isBoolean(options.debug)) return false;
     if (options.enableSpeech !== undefined && !validators.isBoolean(options.enableSpeech)) return false;
@@ -166,6 +163,13 @@ const validators = {
     if (config.maxTokens !== undefined && !validators.isNumber(config.maxTokens)) return false;
     if (config.temperature !== undefined && !validators.isNumber(config.temperature)) return false;
     if (config.maxHistoryLength !== undefined && !validators.isNumber(config.maxHistoryLength)) return false;
+    if (config.contextStrategy !== undefined && !['trim', 'summarize'].includes(config.contextStrategy)) return false;
+    if (config.enableTools !== undefined && !validators.isBoolean(config.enableTools)) return false;
+    if (config.promptCaching !== undefined && !validators.isBoolean(config.promptCaching)) return false;
+    if (config.thinking !== undefined && !validators.isBoolean(config.thinking)) return false;
+    if (config.thinkingBudget !== undefined && !validators.isNumber(config.thinkingBudget)) return false;
+    if (config.provider !== undefined && !validators.isNonEmptyString(config.provider)) return false;
+    if (config.providers !== undefined && !validators.isObject(config.providers)) return false;
     
     return true;
   }
@@ -225,7 +229,8 @@ function isDev() {
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld('api', {
   // API key management with validation
-  getApiKey: () => ipcRenderer.invoke('get-api-key'),
+  // The key itself never crosses the bridge; the renderer can only ask whether one is saved
+  hasApiKey: () => ipcRenderer.invoke('has-api-key'),
   saveApiKey: (apiKey) => {
     if (!validators.isValidApiKey(apiKey)) {
       throw new Error('Invalid API key format');
@@ -233,6 +238,167 @@ contextBridge.exposeInMainWorld('api', {
     return ipcRenderer.invoke('save-api-key', apiKey);
   },
   
+  // Chat requests are sent from the main process with validation
+  chat: {
+    send: (requestId, params) => {
+      if (!validators.isNonEmptyString(requestId)) {
+        throw new Error('Request id must be a non-empty string');
+      }
+      if (!validators.isObject(params) || !validators.isArray(params.messages)) {
+        throw new Error('Chat parameters must include a messages array');
+      }
+      return ipcRenderer.invoke('chat:send', requestId, params);
+    },
+    cancel: (requestId) => {
+      if (!validators.isNonEmptyString(requestId)) {
+        throw new Error('Request id must be a non-empty string');
+      }
+      return ipcRenderer.invoke('chat:cancel', requestId);
+    },
+    countTokens: (params) => {
+      if (!validators.isObject(params) || !validators.isArray(params.messages)) {
+        throw new Error('Chat parameters must include a messages array');
+      }
+      return ipcRenderer.invoke('chat:count-tokens', params);
+    },
+    onChunk: (callback) => {
+      if (!validators.isFunction(callback)) {
+        throw new Error('Callback must be a function');
+      }
+      const subscription = (event, chunk) => callback(chunk);
+      ipcRenderer.on('chat:chunk', subscription);
+      return () => ipcRenderer.removeListener('chat:chunk', subscription);
+    }
+  },
+  
+  // Attachments (files are read and stored by the main process)
+  attachments: {
+    pick: () => ipcRenderer.invoke('attachments:pick'),
+    add: (file) => {
+      if (!validators.isObject(file) || !validators.isNonEmptyString(file.name) || !validators.isString(file.data)) {
+        throw new Error('Attachment must have a name and base64 data');
+      }
+      return ipcRenderer.invoke('attachments:add', file);
+    },
+    read: (id) => {
+      if (!validators.isNonEmptyString(id)) {
+        throw new Error('Attachment id must be a non-empty string');
+      }
+      return ipcRenderer.invoke('attachments:read', id);
+    }
+  },
+  
+  // Available models with their context and output limits
+  models: {
+    list: (options = {}) => {
+      if (!validators.isObject(options)) {
+        throw new Error('Model list options must be an object');
+      }
+      return ipcRenderer.invoke('models:list', options);
+    }
+  },
+  
+  // Personas: presets of system prompt, model, temperature, robot face and voice
+  personas: {
+    list: () => ipcRenderer.invoke('personas:list'),
+    save: (persona) => {
+      if (!validators.isObject(persona) || !validators.isNonEmptyString(persona.name)) {
+        throw new Error('A persona must be an object with a name');
+      }
+      return ipcRenderer.invoke('personas:save', persona);
+    },
+    duplicate: (id) => {
+      if (!validators.isNonEmptyString(id)) {
+        throw new Error('Persona id must be a non-empty string');
+      }
+      return ipcRenderer.invoke('personas:duplicate', id);
+    },
+    delete: (id) => {
+      if (!validators.isNonEmptyString(id)) {
+        throw new Error('Persona id must be a non-empty string');
+      }
+      return ipcRenderer.invoke('personas:delete', id);
+    },
+    export: (id) => {
+      if (id !== undefined && id !== null && !validators.isNonEmptyString(id)) {
+        throw new Error('Persona id must be a non-empty string');
+      }
+      return ipcRenderer.invoke('personas:export', id || null);
+    },
+    import: () => ipcRenderer.invoke('personas:import')
+  },
+  
+  // Outbox: messages written while offline, sent in order once the connection is back
+  outbox: {
+    list: () => ipcRenderer.invoke('outbox:list'),
+    add: (item) => {
+      if (!validators.isObject(item) || !validators.isNonEmptyString(item.conversationId)) {
+        throw new Error('A queued message must be an object with a conversation id');
+      }
+      if (item.attachments !== undefined && !validators.isArray(item.attachments)) {
+        throw new Error('Attachments must be an array');
+      }
+      return ipcRenderer.invoke('outbox:add', item);
+    },
+    update: (id, changes) => {
+      if (!validators.isNonEmptyString(id)) {
+        throw new Error('Queued message id must be a non-empty string');
+      }
+      if (!validators.isObject(changes) || typeof changes.text !== 'string') {
+        throw new Error('Changes must be an object with the new text');
+      }
+      return ipcRenderer.invoke('outbox:update', id, changes);
+    },
+    remove: (id) => {
+      if (!validators.isNonEmptyString(id)) {
+        throw new Error('Queued message id must be a non-empty string');
+      }
+      return ipcRenderer.invoke('outbox:remove', id);
+    }
+  },
+  
+  // Full-text search across every conversation
+  search: {
+    query: (query, filters = {}) => {
+      if (!validators.isString(query)) {
+        throw new Error('Search query must be a string');
+      }
+      if (!validators.isObject(filters)) {
+        throw new Error('Search filters must be an object');
+      }
+      return ipcRenderer.invoke('search:query', query, filters);
+    },
+    models: () => ipcRenderer.invoke('search:models')
+  },
+  
+  // Local tools Claude can call; each call is approved by the user before it runs
+  tools: {
+    list: () => ipcRenderer.invoke('tools:list'),
+    run: (name, input) => {
+      if (!validators.isNonEmptyString(name)) {
+        throw new Error('Tool name must be a non-empty string');
+      }
+      if (!validators.isObject(input)) {
+        throw new Error('Tool input must be an object');
+      }
+      return ipcRenderer.invoke('tools:run', name, input);
+    }
+  },
+  
+  // Token usage report
+  usage: {
+    getReport: () => ipcRenderer.invoke('usage:get-report'),
+    openReport: () => ipcRenderer.invoke('usage:open-report'),
+    onUpdated: (callback) => {
+      if (!validators.isFunction(callback)) {
+        throw new Error('Callback must be a function');
+      }
+      const subscription = () => callback();
+      ipcRenderer.on('usage-updated', subscription);
+      return () => ipcRenderer.removeListener('usage-updated', subscription);
+    }
+  },
+  
   // System info
   getPlatformInfo: () => ipcRenderer.invoke('get-platform-info'),
   isDev: () => isDev(), // Expose isDev function
@@ -247,6 +413,57 @@ contextBridge.exposeInMainWorld('api', {
     return ipcRenderer.invoke('save-message-history', history);
   },
   
+  // Conversation management with validation
+  conversations: {
+    list: () => ipcRenderer.invoke('list-conversations'),
+    get: (id) => {
+      if (!validators.isNonEmptyString(id)) {
+        throw new Error('Conversation id must be a non-empty string');
+      }
+      return ipcRenderer.invoke('get-conversation', id);
+    },
+    getActive: () => ipcRenderer.invoke('get-active-conversation'),
+    create: (fields = {}) => {
+      if (!validators.isObject(fields)) {
+        throw new Error('Conversation fields must be an object');
+      }
+      return ipcRenderer.invoke('create-conversation', fields);
+    },
+    save: (id, updates) => {
+      if (!validators.isNonEmptyString(id)) {
+        throw new Error('Conversation id must be a non-empty string');
+      }
+      if (!validators.isObject(updates)) {
+        throw new Error('Conversation updates must be an object');
+      }
+      return ipcRenderer.invoke('save-conversation', id, updates);
+    },
+    setActive: (id) => {
+      if (!validators.isNonEmptyString(id)) {
+        throw new Error('Conversation id must be a non-empty string');
+      }
+      return ipcRenderer.invoke('set-active-conversation', id);
+    },
+    delete: (id) => {
+      if (!validators.isNonEmptyString(id)) {
+        throw new Error('Conversation id must be a non-empty string');
+      }
+      return ipcRenderer.invoke('delete-conversation', id);
+    },
+    // Write conversations out as Markdown, HTML, PDF or JSON; options: { format, includeMetadata }
+    export: (ids, options) => {
+      if (!validators.isArray(ids) || ids.length === 0 || !ids.every(validators.isNonEmptyString)) {
+        throw new Error('Conversation ids must be a non-empty array of strings');
+      }
+      if (!validators.isObject(options) || !validators.isNonEmptyString(options.format)) {
+        throw new Error('Export options must be an object with a format');
+      }
+      return ipcRenderer.invoke('export:conversations', ids, options);
+    },
+    // Add conversations from files the user picks; existing ones are left alone
+    import: () => ipcRenderer.invoke('import:conversations')
+  },
+  
   // Configuration management with validation
   getConfig: () => ipcRenderer.invoke('get-config'),
   saveConfig: (config) => {
@@ -256,6 +473,7 @@ contextBridge.exposeInMainWorld('api', {
     return ipcRenderer.invoke('save-config', config);
   },
   resetConfig: () => ipcRenderer.invoke('reset-config'),
+  getApiInfo: () => ipcRenderer.invoke('api:info'),
   
   // Network status
   checkOnlineStatus: () => ipcRenderer.invoke('check-online-status'),
@@ -272,6 +490,38 @@ contextBridge.exposeInMainWorld('api', {
     return () => ipcRenderer.removeListener('clear-history', callback);
   },
   
+  onNewConversation: (callback) => {
+    if (!validators.isFunction(callback)) {
+      throw new Error('Callback must be a function');
+    }
+    ipcRenderer.on('new-conversation', callback);
+    return () => ipcRenderer.removeListener('new-conversation', callback);
+  },
+  
+  onOpenSearch: (callback) => {
+    if (!validators.isFunction(callback)) {
+      throw new Error('Callback must be a function');
+    }
+    ipcRenderer.on('open-search', callback);
+    return () => ipcRenderer.removeListener('open-search', callback);
+  },
+  
+  onOpenImport: (callback) => {
+    if (!validators.isFunction(callback)) {
+      throw new Error('Callback must be a function');
+    }
+    ipcRenderer.on('open-import', callback);
+    return () => ipcRenderer.removeListener('open-import', callback);
+  },
+  
+  onOpenExport: (callback) => {
+    if (!validators.isFunction(callback)) {
+      throw new Error('Callback must be a function');
+    }
+    ipcRenderer.on('open-export', callback);
+    return () => ipcRenderer.removeListener('open-export', callback);
+  },
+  
   onOpenSettings: (callback) => {
     if (!validators.isFunction(callback)) {
       throw new Error('Callback must be a function');
@@ -0,0 +1,78 @@
+/**
+ * Provider Registry for Claude Desktop
+ *
+ * The LLM providers requests can be sent to. A provider is a plain object:
+ * { id, label, defaults: { endpoint, authHeader, models }, create(options) }
+ * where create returns a client with send, stream, listModels and
+ * countTokens (see api-client.js). The user's settings for each provider,
+ * the same three fields, are kept in the app config under providers and
+ * filled in from the defaults here.
+ */
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+  
+  register(provider) {
+    if (!provider || !/^[a-z0-9-]+$/.test(provider.id || '')) {
+      throw new Error(`Invalid provider id: ${provider && provider.id}`);
+    }
+    if (typeof provider.create !== 'function') {
+      throw new Error(`Provider ${provider.id} has no create function`);
+    }
+    
+    this.providers.set(provider.id, provider);
+  }
+  
+  has(id) {
+    return this.providers.has(id);
+  }
+  
+  // Ids, labels and defaults for the provider picker
+  list() {
+    return Array.from(this.providers.values()).map(provider => ({
+      id: provider.id,
+      label: provider.label || provider.id,
+      defaults: this.getSettings(provider.id)
+    }));
+  }
+  
+  // A provider's settings with its defaults filled in
+  // An empty endpoint means the default one; an empty auth header means none is sent
+  getSettings(id, saved = {}) {
+    const provider = this.providers.get(id);
+    if (!provider) {
+      throw new Error(`Unknown provider: ${id}`);
+    }
+    
+    const defaults = provider.defaults || {};
+    const settings = saved && typeof saved === 'object' ? saved : {};
+    const models = Array.isArray(settings.models) ? settings.models : defaults.models || [];
+    
+    return {
+      endpoint: typeof settings.endpoint === 'string' && settings.endpoint.trim()
+        ? settings.endpoint.trim()
+        : defaults.endpoint || '',
+      authHeader: typeof settings.authHeader === 'string' ? settings.authHeader.trim() : defaults.authHeader || '',
+      models: [...new Set(models.filter(model => typeof model === 'string').map(model => model.trim()).filter(Boolean))]
+    };
+  }
+  
+  // A client for a provider with the given settings
+  // options.getApiKey is an async function returning the saved API key
+  createClient(id, settings, { getApiKey } = {}) {
+    const provider = this.providers.get(id);
+    if (!provider) {
+      throw new Error(`Unknown provider: ${id}`);
+    }
+    
+    return provider.create({
+      getApiKey,
+      endpoint: settings.endpoint,
+      authHeader: settings.authHeader
+    });
+  }
+}
+
+module.exports = ProviderRegistry;
@@ -1,9 +1,13 @@
 // DOM Elements
 const messageInput = document.getElementById('message-input');
 const sendButton = document.getElementById('send-button');
+const stopButton = document.getElementById('stop-button');
+const attachButton = document.getElementById('attach-button');
+const attachmentPreviews = document.getElementById('attachment-previews');
 const chatMessages = document.getElementById('chat-messages');
 const thinkingIndicator = document.getElementById('thinking-indicator');
 const offlineIndicator = document.getElementById('offline-indicator');
+const outboxElement = document.getElementById('outbox');
 const settingsModal = document.getElementById('settings-modal');
 const updateModal = document.getElementById('update-modal');
 const configModal = document.getElementById('config-modal');
@@ -14,21 +18,89 @@ const closeButtons = document.querySelectorAll('.close-button');
 const installUpdateButton = document.getElementById('install-update');
 const skipUpdateButton = document.getElementById('skip-update');
 
+// Conversation sidebar elements
+const conversationList = document.getElementById('conversation-list');
+const conversationUsageButton = document.getElementById('conversation-usage');
+const newConversationButton = document.getElementById('new-conversation-button');
+const personaSelect = document.getElementById('persona-select');
+
 // Configuration elements
 const modelSelect = document.getElementById('model-select');
+const modelDetails = document.getElementById('model-details');
 const maxTokensInput = document.getElementById('max-tokens');
 const temperatureSlider = document.getElementById('temperature');
 const temperatureValue = document.getElementById('temperature-value');
 const maxHistoryInput = document.getElementById('max-history');
+const contextStrategySelect = document.getElementById('context-strategy');
+const enableToolsSelect = document.getElementById('enable-tools');
+const promptCachingSelect = document.getElementById('prompt-caching');
+const thinkingSelect = document.getElementById('thinking');
+const thinkingBudgetInput = document.getElementById('thinking-budget');
+const providerSelect = document.getElementById('provider-select');
+const apiEndpointInput = document.getElementById('api-endpoint');
+const apiEndpointNote = document.getElementById('api-endpoint-note');
+const authHeaderInput = document.getElementById('auth-header');
+const providerModelsInput = document.getElementById('provider-models');
 const themeSelect = document.getElementById('theme-select');
 const fontSizeSelect = document.getElementById('font-size');
 const interfaceModeSelect = document.getElementById('interface-mode');
 const systemPromptInput = document.getElementById('system-prompt');
+const personaSettingsNote = document.getElementById('persona-settings-note');
+const managePersonasButton = document.getElementById('manage-personas');
 const resetConfigButton = document.getElementById('reset-config');
 const saveConfigButton = document.getElementById('save-config');
 const closeConfigButton = document.getElementById('close-config-button');
 
+// Persona manager elements
+const personaModal = document.getElementById('persona-modal');
+const closePersonaButton = document.getElementById('close-persona-button');
+const personaListElement = document.getElementById('persona-list');
+const newPersonaButton = document.getElementById('new-persona');
+const duplicatePersonaButton = document.getElementById('duplicate-persona');
+const deletePersonaButton = document.getElementById('delete-persona');
+const importPersonasButton = document.getElementById('import-personas');
+const exportPersonaButton = document.getElementById('export-persona');
+const exportAllPersonasButton = document.getElementById('export-all-personas');
+const personaBuiltInNote = document.getElementById('persona-built-in-note');
+const personaNameInput = document.getElementById('persona-name');
+const personaDescriptionInput = document.getElementById('persona-description');
+const personaModelSelect = document.getElementById('persona-model');
+const personaTemperatureSlider = document.getElementById('persona-temperature');
+const personaTemperatureValue = document.getElementById('persona-temperature-value');
+const personaSystemPromptInput = document.getElementById('persona-system-prompt');
+const personaFaceColorInputs = document.querySelectorAll('#persona-face-colors input[data-face-color]');
+const personaVoiceSelect = document.getElementById('persona-voice');
+const personaRateSlider = document.getElementById('persona-rate');
+const personaRateValue = document.getElementById('persona-rate-value');
+const personaPitchSlider = document.getElementById('persona-pitch');
+const personaPitchValue = document.getElementById('persona-pitch-value');
+const personaStatus = document.getElementById('persona-status');
+const usePersonaButton = document.getElementById('use-persona');
+const savePersonaButton = document.getElementById('save-persona');
+
+// Search panel elements
+const searchPanel = document.getElementById('search-panel');
+const searchInput = document.getElementById('search-input');
+const searchRoleSelect = document.getElementById('search-role');
+const searchModelSelect = document.getElementById('search-model');
+const searchFromInput = document.getElementById('search-from');
+const searchToInput = document.getElementById('search-to');
+const searchStatus = document.getElementById('search-status');
+const searchResults = document.getElementById('search-results');
+const closeSearchButton = document.getElementById('close-search-button');
+
+// Export dialog elements
+const exportModal = document.getElementById('export-modal');
+const closeExportButton = document.getElementById('close-export-button');
+const exportSelectAll = document.getElementById('export-select-all');
+const exportConversationList = document.getElementById('export-conversation-list');
+const exportFormatSelect = document.getElementById('export-format');
+const exportMetadataCheckbox = document.getElementById('export-metadata');
+const exportStatus = document.getElementById('export-status');
+const exportConversationsButton = document.getElementById('export-conversations');
+
 // App control buttons
+const searchButton = document.getElementById('search-button');
 const settingsButton = document.getElementById('settings-button');
 const configButton = document.getElementById('config-button');
 
@@ -39,15 +111,107 @@ const closeButton = document.getElementById('close-button');
 
 // Application State
 let isOnline = navigator.onLine;
-let apiKey = null;
+let hasApiKey = false;
+// Messages form a tree so edits and regenerations keep every branch (see message-tree.js)
+let messageTree = [];
+let activeLeafId = null;
+// The active branch, root first - what the UI shows and the API receives
 let messageHistory = [];
+let conversations = [];
+let activeConversation = null;
 let isWaitingForResponse = false;
 let platformInfo = null;
 let appConfig = null;
 
-// Constants
-const CLAUDE_API_ENDPOINT = 'https://api.anthropic.com/v1/messages';
-const ANTHROPIC_API_VERSION = '2023-06-01';
+// How the robot reacts to each type of API error reported by the main process
+const ROBOT_ERROR_REACTIONS = {
+  authentication: { emotion: 'confused', speech: "I can't sign in to the API. Please check your API key in Settings.", retryable: false },
+  invalid_request: { emotion: 'confused', speech: "The API couldn't accept that request.", retryable: false },
+  rate_limit: { emotion: 'thinking', speech: "I've been asked to slow down. Let's try again in a moment.", retryable: true },
+  overloaded: { emotion: 'thinking', speech: 'The API is very busy right now. Please try again shortly.', retryable: true },
+  server: { emotion: 'error', speech: 'Something went wrong on the API side.', retryable: true },
+  network: { emotion: 'error', speech: "I can't reach the API. Please check your internet connection.", retryable: true }
+};
+
+// Chunk handlers for in-flight chat requests, keyed by request id
+const chatChunkHandlers = new Map();
+
+// Id of the chat request currently streaming, so it can be stopped
+let activeChatRequestId = null;
+
+// Attachments added to the input but not sent yet (metadata; files live in the main process)
+let pendingAttachments = [];
+
+// Image previews as data URLs by attachment id, so redraws don't read the file again
+const attachmentPreviewCache = new Map();
+
+// Recent messages that are always sent word for word when older ones are summarized
+const SUMMARY_KEEP_RECENT_MESSAGES = 6;
+const SUMMARY_MAX_TOKENS = 1024;
+const SUMMARY_SYSTEM_PROMPT = 'You summarize conversations so they can be continued without the full transcript. ' +
+  'Write a concise summary of the conversation you are given, keeping facts, decisions, names, numbers, code ' +
+  'and open questions that later messages may refer to. Reply with the summary only.';
+
+// Last context window notice shown for each conversation, so it isn't repeated every turn
+const contextNotices = new Map();
+
+// Rounds of tool calls allowed in one reply before the turn is stopped
+const MAX_TOOL_ROUNDS = 10;
+const TOOL_LIMIT_RESULT = 'Not run: too many tool calls were made in a row.';
+const TOOL_STOPPED_RESULT = 'Not run: the user stopped the response.';
+
+const TOOL_STATUS_LABELS = {
+  pending: 'Waiting for approval',
+  running: 'Running...',
+  done: 'Done',
+  error: 'Failed',
+  denied: 'Denied',
+  stopped: 'Not run'
+};
+
+// Models the API key can use ({ id, displayName, contextWindow, maxOutputTokens })
+let modelCatalog = Models.BUNDLED_MODELS;
+
+// LLM providers from the main process ({ provider, endpoint, mock, providers }), for the config modal
+let providerInfo = { providers: [], mock: false };
+// Settings for each provider as edited in the config modal, by provider id
+let providerDrafts = {};
+// Provider whose settings the provider fields show
+let shownProviderId = null;
+
+// Tools the main process offers ({ name, title, description }), for the tool call cards
+let toolList = [];
+
+// Tool calls waiting for the user to allow or deny them
+const pendingToolApprovals = new Set();
+
+// Token usage of the latest request, cache reads and writes included, for the diagnostics
+let lastRequestUsage = null;
+
+// Built-in and user-made personas from the main process
+let personas = [];
+
+// Persona shown in the persona manager; null while a new one is being written
+let editingPersonaId = null;
+
+// Colors of the robot face, from the active conversation's persona or the defaults
+let robotFaceOptions = Personas.normalizeFaceOptions();
+
+// Value of the persona picker option that opens the persona manager
+const MANAGE_PERSONAS_OPTION = '__manage__';
+
+// Messages written while offline, oldest first ({ id, conversationId, text, attachments, createdAt })
+let outbox = [];
+
+// Set while queued messages are being sent, so a second reconnect doesn't send them twice
+let isFlushingOutbox = false;
+
+// Pending search while the query is being typed, and the number of the latest search so older replies are ignored
+let searchTimer = null;
+let searchSequence = 0;
+
+// Lets the outbox send through the robot interface ({ isResponding(), send(text) }); set once the robot input exists
+let robotTurnHooks = null;
 
 // Global error handler for catching unhandled exceptions
 function setupGlobalErrorHandling() {
@@ -254,9 +418,16 @@ async function initialize() {
       console.error("Failed to load configuration:", configError);
       // Create default configuration as fallback
       appConfig = {
-        model: 'claude-3-haiku-20240307',
+        model: Models.DEFAULT_MODEL,
         maxTokens: 1024,
         maxHistoryLength: 100,
+        contextStrategy: 'trim',
+        enableTools: true,
+        promptCaching: false,
+        thinking: false,
+        thinkingBudget: 4096,
+        provider: 'anthropic',
+        providers: {},
         systemPrompt: 'You are Claude, an AI assistant by Anthropic.',
         temperature: 0.7,
         theme: 'dark',
@@ -267,42 +438,66 @@ async function initialize() {
     // Set up configuration UI values
     updateConfigUI();
     
-    // Check if API key exists
-    apiKey = await window.api.getApiKey();
+    // Fill in the model list from the Models API (or its cache) without holding up startup
+    loadModelCatalog();
+    
+    // Tool names and titles for the tool call cards
+    try {
+      toolList = await window.api.tools.list();
+    } catch (toolsError) {
+      console.error('Failed to load tools:', toolsError);
+    }
+    
+    // Check if API key exists - the key itself stays in the main process
+    hasApiKey = await window.api.hasApiKey();
     
     // Check for robot interface mode preference
     const robotMode = localStorage.getItem('robot-interface-enabled') === 'true';
     
+    // Personas, so the active conversation's persona applies from the start
+    await loadPersonas();
+    
+    // Load the active conversation - shared by the chat and robot interfaces
+    let historyLoadFailed = false;
+    try {
+      activeConversation = await window.api.conversations.getActive();
+      loadConversationMessages(activeConversation);
+      await refreshConversationList();
+    } catch (historyError) {
+      console.error('Failed to load message history:', historyError);
+      historyLoadFailed = true;
+      loadConversationMessages(null);
+    }
+    applyPersona();
+    
     if (robotMode) {
       await initializeRobotInterface();
     } else {
-      if (!apiKey) {
+      if (!hasApiKey) {
         showSettingsModal();
         displaySystemMessage('Welcome to Claude Desktop! Please enter your API key to get started.');
       } else {
         displaySystemMessage('Welcome to Claude Desktop! Start chatting with Claude.');
       }
       
-      // Load message history
-      try {
-        const savedHistory = await window.api.getMessageHistory();
-        if (savedHistory && savedHistory.length > 0) {
-          messageHistory = savedHistory;
-          renderMessageHistory();
-        }
-      } catch (historyError) {
-        console.error('Failed to load message history:', historyError);
-        displayErrorMessage('Could not load message history. Starting with a new conversation.');
-        messageHistory = [];
+      if (messageHistory.length > 0) {
+        renderMessageHistory();
       }
     }
     
+    if (historyLoadFailed) {
+      displayErrorMessage('Could not load message history. Starting with a new conversation.');
+    }
+    
     // Apply appearance settings
     applyAppearanceSettings();
     
     // Set up event listeners
     setupEventListeners();
     
+    // Messages left in the outbox by an earlier offline session; sent below if the connection is up
+    await loadOutbox();
+    
     // Check network status
     checkNetworkStatus();
     
@@ -430,7 +625,6 @@ async function initializeRobotInterface() {
     
     // Initialize robot with current configuration
     const robotOptions = {
-      apiKey: apiKey,
       defaultSystemPrompt: appConfig.systemPrompt || 'You are Claude, an AI assistant by Anthropic.',
       enableSpeech: true, 
       enableTranscript: true,
@@ -442,14 +636,7 @@ async function initializeRobotInterface() {
         localStorage.setItem('robot-interface-enabled', 'false');
         location.reload();
       },
-      faceOptions: {
-        primaryColor: '#8A7CFF',
-        backgroundColor: '#23252F',
-        eyeColor: '#8A7CFF',
-        speakingColor: '#5EB3FF',
-        thinkingColor: '#FFB84D',
-        errorColor: '#FF5E5E'
-      },
+      faceOptions: { ...robotFaceOptions },
       speechOptions: {
         rate: 1.0,
         pitch: 1.0,
@@ -520,6 +707,12 @@ async function initializeRobotInterface() {
         throw new Error(result?.error || 'Unknown error creating robot');
       }
       
+      // Tracks the response currently being streamed into the robot transcript
+      const streamingState = {
+        element: null,
+        speaker: null
+      };
+      
       // Create a mock robot object that the renderer can use
       window.claudeRobot = {
         state: {
@@ -531,36 +724,10 @@ async function initializeRobotInterface() {
         processSpeech: (text) => window.api.robot.processSpeech(text),
         processUserInput: (text) => {
           // Update the UI to show user input
-          const userMessage = document.createElement('div');
-          userMessage.className = 'robot-user-message';
-          userMessage.style.padding = '10px 15px';
-          userMessage.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
-          userMessage.style.borderRadius = '10px';
-          userMessage.style.margin = '10px 20px';
-          userMessage.style.maxWidth = '80%';
-          userMessage.style.alignSelf = 'flex-end';
-          userMessage.textContent = text;
+          const userMessage = createRobotUserMessageElement(text);
           
           // Find or create messages container
-          let messagesContainer = document.querySelector('.robot-messages-container');
-          if (!messagesContainer) {
-            messagesContainer = document.createElement('div');
-            messagesContainer.className = 'robot-messages-container';
-            messagesContainer.style.display = 'flex';
-            messagesContainer.style.flexDirection = 'column';
-            messagesContainer.style.overflowY = 'auto';
-            messagesContainer.style.maxHeight = '300px';
-            messagesContainer.style.margin = '20px 0';
-            
-            // Insert before the text input area
-            const containerElement = document.getElementById('robot-interface');
-            const inputContainer = containerElement.querySelector('.robot-input-container');
-            if (inputContainer) {
-              containerElement.insertBefore(messagesContainer, inputContainer);
-            } else {
-              containerElement.appendChild(messagesContainer);
-            }
-          }
+          const messagesContainer = getRobotMessagesContainer();
           
           // Add message to container
           messagesContainer.appendChild(userMessage);
@@ -575,7 +742,7 @@ async function initializeRobotInterface() {
             // Change eyes to thinking color
             const eyes = robotFace.querySelectorAll('.robot-eye');
             eyes.forEach(eye => {
-              eye.style.backgroundColor = '#FFB84D'; // Thinking color
+              eye.style.backgroundColor = robotFaceOptions.thinkingColor;
               eye.style.animation = 'pulse 1.5s infinite alternate';
             });
             
@@ -619,7 +786,7 @@ async function initializeRobotInterface() {
             // Reset eyes to normal color
             const eyes = robotFace.querySelectorAll('.robot-eye');
             eyes.forEach(eye => {
-              eye.style.backgroundColor = '#8A7CFF'; // Default color
+              eye.style.backgroundColor = robotFaceOptions.eyeColor;
               eye.style.animation = '';
             });
             
@@ -638,6 +805,34 @@ async function initializeRobotInterface() {
           
           return window.api.robot.hideThinking();
         },
+        showWorking: (label) => {
+          // Scanning cyan eyes while a tool runs, with the tool's name in the transcript
+          const robotFace = document.querySelector('.robot-face');
+          if (robotFace) {
+            robotFace.setAttribute('data-emotion', 'working');
+          }
+          
+          const messagesContainer = getRobotMessagesContainer();
+          let workingIndicator = messagesContainer.querySelector('.robot-working-indicator');
+          if (!workingIndicator) {
+            workingIndicator = document.createElement('div');
+            workingIndicator.className = 'robot-working-indicator';
+            messagesContainer.appendChild(workingIndicator);
+          }
+          workingIndicator.textContent = `Using ${label || 'a tool'}...`;
+          messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        },
+        hideWorking: () => {
+          const robotFace = document.querySelector('.robot-face');
+          if (robotFace && robotFace.getAttribute('data-emotion') === 'working') {
+            robotFace.setAttribute('data-emotion', 'neutral');
+          }
+          
+          const workingIndicator = document.querySelector('.robot-working-indicator');
+          if (workingIndicator) {
+            workingIndicator.remove();
+          }
+        },
         processClaudeResponse: (text) => {
           if (!text) return;
           
@@ -650,16 +845,7 @@ async function initializeRobotInterface() {
             // Add response message
             const messagesContainer = document.querySelector('.robot-messages-container');
             if (messagesContainer) {
-              const responseMessage = document.createElement('div');
-              responseMessage.className = 'robot-claude-message';
-              responseMessage.style.padding = '10px 15px';
-              responseMessage.style.backgroundColor = 'rgba(94, 179, 255, 0.1)';
-              responseMessage.style.borderRadius = '10px';
-              responseMessage.style.margin = '10px 20px';
-              responseMessage.style.maxWidth = '80%';
-              responseMessage.style.alignSelf = 'flex-start';
-              responseMessage.style.color = '#FFFFFF';
-              responseMessage.textContent = text;
+              const responseMessage = createRobotClaudeMessageElement(text);
               
               messagesContainer.appendChild(responseMessage);
               messagesContainer.scrollTop = messagesContainer.scrollHeight;
@@ -717,12 +903,121 @@ async function initializeRobotInterface() {
             }
           }
         },
-        showError: (errorText) => {
+        restoreTranscript: (messages) => {
+          const messagesContainer = getRobotMessagesContainer();
+          
+          messages.forEach(message => {
+            if (message.role === 'user') {
+              messagesContainer.appendChild(createRobotUserMessageElement(message.content));
+            } else if (message.role === 'assistant') {
+              messagesContainer.appendChild(createRobotClaudeMessageElement(message.content));
+            }
+          });
+          
+          messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        },
+        clearTranscript: () => {
+          const messagesContainer = document.querySelector('.robot-messages-container');
+          if (messagesContainer) {
+            messagesContainer.innerHTML = '';
+          }
+        },
+        startStreamingResponse: () => {
+          const messagesContainer = document.querySelector('.robot-messages-container');
+          if (!messagesContainer) return;
+          
+          // Add an empty response message that fills in as tokens arrive
+          const responseMessage = createRobotClaudeMessageElement('');
+          
+          messagesContainer.appendChild(responseMessage);
+          streamingState.element = responseMessage;
+          
+          // Start speaking as soon as the first sentence is complete
+          streamingState.speaker = window.speechManager
+            ? createSentenceSpeaker(window.speechManager, {
+                onDone: () => triggerEmotionAnimation('happy')
+              })
+            : null;
+        },
+        updateStreamingResponse: (text) => {
+          // Keep the mouth moving while text is streaming in
+          const robotFace = document.querySelector('.robot-face');
+          if (robotFace && robotFace.getAttribute('data-emotion') !== 'speaking') {
+            triggerEmotionAnimation('speaking');
+          }
+          
+          if (streamingState.element) {
+            streamingState.element.innerHTML = MarkdownRenderer.render(text);
+            const messagesContainer = streamingState.element.parentElement;
+            if (messagesContainer) {
+              messagesContainer.scrollTop = messagesContainer.scrollHeight;
+            }
+          }
+          
+          if (streamingState.speaker) {
+            try {
+              streamingState.speaker.update(text);
+            } catch (speechError) {
+              console.error('Error using speech synthesis:', speechError);
+              streamingState.speaker = null;
+            }
+          }
+        },
+        finishStreamingResponse: (text) => {
+          if (streamingState.element) {
+            streamingState.element.innerHTML = MarkdownRenderer.render(text);
+          }
+          
+          if (streamingState.speaker) {
+            try {
+              streamingState.speaker.finish(text);
+            } catch (speechError) {
+              console.error('Error using speech synthesis:', speechError);
+              triggerEmotionAnimation('happy');
+            }
+          } else {
+            // Without speech, fall back to a timed animation reset
+            setTimeout(() => {
+              triggerEmotionAnimation('happy');
+            }, 3000);
+          }
+          
+          streamingState.element = null;
+          streamingState.speaker = null;
+        },
+        stopResponse: () => {
+          // Leave any partial text in the transcript but stop speaking it
+          if (streamingState.speaker) {
+            streamingState.speaker.cancel();
+          }
+          streamingState.element = null;
+          streamingState.speaker = null;
+          
+          if (window.speechManager) {
+            window.speechManager.cancel();
+          }
+          
+          window.claudeRobot.hideThinking();
+          window.claudeRobot.hideWorking();
+          
+          // Return the face to idle
+          const robotFace = document.querySelector('.robot-face');
+          if (robotFace) {
+            robotFace.querySelectorAll('.robot-mouth-segment').forEach(segment => {
+              segment.style.opacity = '0';
+            });
+          }
+          triggerEmotionAnimation('neutral');
+        },
+        showError: (errorText, error = null, { onRetry } = {}) => {
+          // API errors carry a type with its own reaction; anything else is a plain error
+          const reaction = (error && ROBOT_ERROR_REACTIONS[error.type]) || null;
+          
           // Update UI to show error state using the new emotion system
           const robotFace = document.querySelector('.robot-face');
           if (robotFace) {
-            // Trigger error animation
-            triggerEmotionAnimation('error');
+            // Trigger the reaction for this kind of error
+            triggerEmotionAnimation(reaction ? reaction.emotion : 'error');
             
             // Add error message
             const messagesContainer = document.querySelector('.robot-messages-container');
@@ -738,10 +1033,35 @@ async function initializeRobotInterface() {
               errorMessage.style.color = '#FF5E5E';
               errorMessage.textContent = `Error: ${errorText}`;
               
+              // Offer to resend the failed turn when trying again could help
+              if (onRetry && (!reaction || reaction.retryable)) {
+                const retryButton = document.createElement('button');
+                retryButton.className = 'robot-error-retry';
+                retryButton.textContent = 'Retry';
+                retryButton.style.marginLeft = '10px';
+                retryButton.style.padding = '2px 10px';
+                retryButton.style.borderRadius = '10px';
+                retryButton.style.border = '1px solid #FF5E5E';
+                retryButton.style.backgroundColor = 'transparent';
+                retryButton.style.color = '#FF5E5E';
+                retryButton.style.cursor = 'pointer';
+                retryButton.addEventListener('click', () => {
+                  retryButton.remove();
+                  triggerEmotionAnimation('neutral');
+                  onRetry();
+                });
+                errorMessage.appendChild(retryButton);
+              }
+              
               messagesContainer.appendChild(errorMessage);
               messagesContainer.scrollTop = messagesContainer.scrollHeight;
             }
             
+            // Say what went wrong
+            if (reaction && window.speechManager) {
+              window.speechManager.speak(reaction.speech);
+            }
+            
             // Reset to neutral after a delay
             setTimeout(() => {
               triggerEmotionAnimation('neutral');
@@ -751,13 +1071,17 @@ async function initializeRobotInterface() {
         getDiagnostics: () => ({ 
           initialized: true,
           instanceId: result.instanceId,
-          timestamp: new Date().toISOString()
+          timestamp: new Date().toISOString(),
+          lastRequestUsage
         })
       };
       
       // Add visual indication that robot was created successfully
       initializeRobotUI(containerElement, result.instanceId);
       
+      // The speech controls load the saved voice settings; the persona's voice takes precedence
+      applyPersona();
+      
       console.log('Robot interface created successfully through secure API');
     } catch (createError) {
       console.error('Failed to create robot instance:', createError);
@@ -772,6 +1096,11 @@ async function initializeRobotInterface() {
     // Add text input field below the robot
     createRobotInputInterface(robotContainer);
     
+    // Show the saved conversation so it continues where it left off
+    if (messageHistory.length > 0) {
+      window.claudeRobot.restoreTranscript(messageHistory);
+    }
+    
     // Log successful initialization
     console.log('Robot interface initialized successfully');
     if (window.claudeRobot.state.usingFallbacks.overall) {
@@ -933,6 +1262,27 @@ function createRobotInputInterface(container) {
   sendButton.style.justifyContent = 'center';
   sendButton.style.cursor = 'pointer';
   
+  // Stop button, shown in place of the send button while Claude is responding
+  const stopButton = document.createElement('button');
+  stopButton.className = 'robot-stop-button';
+  stopButton.title = 'Stop generating';
+  stopButton.innerHTML = `
+    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+      <rect x="6" y="6" width="12" height="12" rx="2" fill="currentColor"/>
+    </svg>
+  `;
+  stopButton.style.marginLeft = '12px';
+  stopButton.style.height = '52px';
+  stopButton.style.width = '52px';
+  stopButton.style.borderRadius = '50%';
+  stopButton.style.backgroundColor = 'var(--error-color)';
+  stopButton.style.border = 'none';
+  stopButton.style.color = 'white';
+  stopButton.style.display = 'none';
+  stopButton.style.alignItems = 'center';
+  stopButton.style.justifyContent = 'center';
+  stopButton.style.cursor = 'pointer';
+  
   // Toggle button for robot/chat view
   const toggleButton = document.createElement('button');
   toggleButton.className = 'robot-toggle-button';
@@ -953,11 +1303,21 @@ function createRobotInputInterface(container) {
   // Append elements
   inputContainer.appendChild(textarea);
   inputContainer.appendChild(sendButton);
+  inputContainer.appendChild(stopButton);
   inputContainer.appendChild(toggleButton);
   container.appendChild(inputContainer);
   
+  // Swap the send and stop buttons while a response is in flight
+  let isResponding = false;
+  const setResponding = (responding) => {
+    isResponding = responding;
+    sendButton.style.display = responding ? 'none' : 'flex';
+    stopButton.style.display = responding ? 'flex' : 'none';
+  };
+  
   // Add event listeners
   sendButton.addEventListener('click', () => sendRobotMessage(textarea));
+  stopButton.addEventListener('click', () => stopGeneration());
   textarea.addEventListener('keypress', (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -981,6 +1341,20 @@ function createRobotInputInterface(container) {
         return;
       }
       
+      if (isResponding) {
+        console.warn('Response already in progress, not sending');
+        return;
+      }
+      
+      // While offline the message waits in the outbox and is sent once the connection is back
+      if (!isOnline) {
+        textarea.value = '';
+        queueOfflineMessage(text).then(queued => {
+          if (!queued) textarea.value = text;
+        });
+        return;
+      }
+      
       if (!window.claudeRobot) {
         console.error('Robot interface not initialized');
         displayErrorMessage('Robot interface not properly initialized. Try refreshing the page.');
@@ -1011,6 +1385,23 @@ function createRobotInputInterface(container) {
       // Clear textarea
       textarea.value = '';
       
+      runRobotTurn(text);
+    } catch (error) {
+      console.error('Error in sendRobotMessage:', error);
+      displayErrorMessage(`Error sending message: ${error.message}`);
+    }
+  }
+  
+  // Show the thinking state, ask Claude for a reply and stream it into the robot
+  // With resend set, the last user message in history is sent again instead of text
+  // Resolves to whether Claude answered
+  function runRobotTurn(text, { resend = false } = {}) {
+    if (isResponding) {
+      console.warn('Response already in progress, not sending');
+      return Promise.resolve(false);
+    }
+    
+    try {
       // Show thinking state
       try {
         // Make sure showThinking function exists
@@ -1027,8 +1418,12 @@ function createRobotInputInterface(container) {
         console.error('Error showing thinking state:', thinkingError);
       }
       
-      // Make API call to Claude with timeout for error handling
-      const apiTimeout = setTimeout(() => {
+      // Make API call to Claude with an inactivity timeout for error handling
+      // The timer restarts whenever streamed text arrives, so long answers are not cut off
+      const handleApiTimeout = () => {
+        // Abort the request so a late answer cannot land after the error
+        stopGeneration();
+        
         try {
           // Check if function exists
           if (typeof window.claudeRobot.hideThinking === 'function') {
@@ -1039,7 +1434,10 @@ function createRobotInputInterface(container) {
           
           // Check if showError function exists
           if (typeof window.claudeRobot.showError === 'function') {
-            window.claudeRobot.showError('API request timed out. Check your internet connection.');
+            // The stop above dropped the unanswered message, so a retry sends it again
+            window.claudeRobot.showError('API request timed out. Check your internet connection.', { type: 'network' }, {
+              onRetry: () => runRobotTurn(text)
+            });
           } else {
             console.error('API request timed out. Check your internet connection.');
             displayErrorMessage('API request timed out. Check your internet connection.');
@@ -1047,11 +1445,64 @@ function createRobotInputInterface(container) {
         } catch (timeoutHandlingError) {
           console.error('Error handling timeout:', timeoutHandlingError);
         }
-      }, 30000); // 30 second timeout
+      };
+      let apiTimeout = setTimeout(handleApiTimeout, 30000); // 30 second timeout
+      
+      // Show streamed text in the transcript as it arrives
+      let streamStarted = false;
+      const onText = (partialText) => {
+        clearTimeout(apiTimeout);
+        apiTimeout = setTimeout(handleApiTimeout, 30000);
+        
+        if (typeof window.claudeRobot.startStreamingResponse !== 'function') return;
+        
+        if (!streamStarted) {
+          streamStarted = true;
+          if (typeof window.claudeRobot.hideThinking === 'function') {
+            window.claudeRobot.hideThinking();
+          } else {
+            window.api.robot.hideThinking();
+          }
+          window.claudeRobot.startStreamingResponse();
+        } else if (window.claudeRobot.state && window.claudeRobot.state.thinking) {
+          // Claude thought again after a tool call and is now answering
+          window.claudeRobot.hideThinking();
+        }
+        
+        window.claudeRobot.updateStreamingResponse(partialText);
+      };
+      
+      // The robot thinks while thinking blocks stream; the reasoning itself is never spoken
+      const onThinking = () => {
+        clearTimeout(apiTimeout);
+        apiTimeout = setTimeout(handleApiTimeout, 30000);
+        
+        if (typeof window.claudeRobot.showThinking === 'function') {
+          window.claudeRobot.showThinking();
+        } else {
+          window.api.robot.showThinking();
+        }
+      };
+      
+      // No timeout while tool calls wait for approval or run; think again while Claude reads the results
+      const onToolCalls = (active) => {
+        clearTimeout(apiTimeout);
+        if (active) {
+          if (typeof window.claudeRobot.hideThinking === 'function') window.claudeRobot.hideThinking();
+        } else {
+          if (typeof window.claudeRobot.showThinking === 'function') window.claudeRobot.showThinking();
+          apiTimeout = setTimeout(handleApiTimeout, 30000);
+        }
+      };
       
       // Make the actual API call
-      callClaudeAPI(text).then(response => {
+      setResponding(true);
+      const reply = resend
+        ? requestAssistantReply({ onText, onThinking, onToolCalls })
+        : callClaudeAPI(text, { onText, onThinking, onToolCalls });
+      return reply.then(response => {
         clearTimeout(apiTimeout);
+        setResponding(false);
         try {
           // Check if function exists
           if (typeof window.claudeRobot.hideThinking === 'function') {
@@ -1060,8 +1511,11 @@ function createRobotInputInterface(container) {
             window.api.robot.hideThinking();
           }
           
-          // Check if processClaudeResponse function exists
-          if (typeof window.claudeRobot.processClaudeResponse === 'function') {
+          if (streamStarted) {
+            // The response is already on screen - finish speaking it
+            window.claudeRobot.finishStreamingResponse(response);
+          } else if (typeof window.claudeRobot.processClaudeResponse === 'function') {
+            // Check if processClaudeResponse function exists
             window.claudeRobot.processClaudeResponse(response);
           } else {
             console.log('Response received but processClaudeResponse not available:', response.substring(0, 100) + '...');
@@ -1088,8 +1542,17 @@ function createRobotInputInterface(container) {
           console.error('Error processing Claude response:', responseError);
           window.claudeRobot.showError(`Error processing response: ${responseError.message}`);
         }
+        return true;
       }).catch(error => {
         clearTimeout(apiTimeout);
+        setResponding(false);
+        
+        // Stopped by the user or the timeout - the robot has already been reset
+        if (error.type === 'cancelled') {
+          console.log('Robot response stopped');
+          return false;
+        }
+        
         console.error('API call failed:', error);
         try {
           // Check if function exists
@@ -1101,7 +1564,10 @@ function createRobotInputInterface(container) {
           
           // Check if showError function exists
           if (typeof window.claudeRobot.showError === 'function') {
-            window.claudeRobot.showError(`API error: ${error.message}`);
+            // The failed turn is still last in history, so Retry resends it as is
+            window.claudeRobot.showError(error.message, error, {
+              onRetry: () => runRobotTurn(text, { resend: true })
+            });
           } else {
             console.error('API error:', error.message);
             
@@ -1123,13 +1589,26 @@ function createRobotInputInterface(container) {
           console.error('Error handling API error:', errorHandlingError);
           displayErrorMessage(`API error: ${error.message}`);
         }
+        return false;
       });
     } catch (error) {
-      console.error('Error in sendRobotMessage:', error);
+      console.error('Error in runRobotTurn:', error);
       displayErrorMessage(`Error sending message: ${error.message}`);
+      return Promise.resolve(false);
     }
   }
   
+  // Queued messages are already in history when the outbox hands them over, so the turn is a resend
+  robotTurnHooks = {
+    isResponding: () => isResponding,
+    send: (text) => {
+      if (typeof window.claudeRobot.processUserInput === 'function') {
+        window.claudeRobot.processUserInput(text);
+      }
+      return runRobotTurn(text, { resend: true });
+    }
+  };
+  
   // Auto-resize textarea
   textarea.addEventListener('input', function() {
     textarea.style.height = 'auto';
@@ -1137,6 +1616,61 @@ function createRobotInputInterface(container) {
   });
 }
 
+// Find or create the container holding the robot conversation transcript
+function getRobotMessagesContainer() {
+  let messagesContainer = document.querySelector('.robot-messages-container');
+  if (!messagesContainer) {
+    messagesContainer = document.createElement('div');
+    messagesContainer.className = 'robot-messages-container';
+    messagesContainer.style.display = 'flex';
+    messagesContainer.style.flexDirection = 'column';
+    messagesContainer.style.overflowY = 'auto';
+    messagesContainer.style.maxHeight = '300px';
+    messagesContainer.style.margin = '20px 0';
+    
+    // Insert before the text input area
+    const containerElement = document.getElementById('robot-interface');
+    const inputContainer = containerElement.querySelector('.robot-input-container');
+    if (inputContainer) {
+      containerElement.insertBefore(messagesContainer, inputContainer);
+    } else {
+      containerElement.appendChild(messagesContainer);
+    }
+  }
+  
+  return messagesContainer;
+}
+
+// Create a transcript bubble for a user message in the robot interface
+function createRobotUserMessageElement(text) {
+  const userMessage = document.createElement('div');
+  userMessage.className = 'robot-user-message';
+  userMessage.style.padding = '10px 15px';
+  userMessage.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+  userMessage.style.borderRadius = '10px';
+  userMessage.style.margin = '10px 20px';
+  userMessage.style.maxWidth = '80%';
+  userMessage.style.alignSelf = 'flex-end';
+  userMessage.textContent = text;
+  return userMessage;
+}
+
+// Create a transcript bubble for a Claude response in the robot interface
+function createRobotClaudeMessageElement(text) {
+  const responseMessage = document.createElement('div');
+  responseMessage.className = 'robot-claude-message';
+  responseMessage.style.padding = '10px 15px';
+  responseMessage.style.backgroundColor = 'rgba(94, 179, 255, 0.1)';
+  responseMessage.style.borderRadius = '10px';
+  responseMessage.style.margin = '10px 20px';
+  responseMessage.style.maxWidth = '80%';
+  responseMessage.style.alignSelf = 'flex-start';
+  responseMessage.style.color = '#FFFFFF';
+  responseMessage.classList.add('markdown-content');
+  responseMessage.innerHTML = MarkdownRenderer.render(text);
+  return responseMessage;
+}
+
 // Load robot styles
 function loadRobotStyles() {
   // Load external CSS file
@@ -1513,8 +2047,10 @@ class SpeechManager {
       return false;
     }
     
-    // Cancel any ongoing speech
-    this.cancel();
+    // Cancel any ongoing speech unless the caller wants this text queued after it
+    if (!options.queue) {
+      this.cancel();
+    }
     
     // Handle empty or invalid text
     if (!text || typeof text !== 'string' || !text.trim()) {
@@ -1678,7 +2214,7 @@ function addRobotStyles() {
     .robot-head-plate {
       width: 220px;
       height: 260px;
-      background: linear-gradient(135deg, #2e3341 0%, #1e2128 100%);
+      background: linear-gradient(135deg, var(--robot-background-color, #2e3341) 0%, #1e2128 100%);
       border-radius: 45% 45% 40% 40%;
       position: relative;
       display: flex;
@@ -1706,7 +2242,7 @@ function addRobotStyles() {
     .robot-eyebrow {
       width: 60px;
       height: 8px;
-      background: #8A7CFF;
+      background: var(--robot-primary-color, #8A7CFF);
       border-radius: 8px;
       box-shadow: 0 2px 4px rgba(0, 0, 0, 0.3);
       transition: all 0.3s ease;
@@ -1750,9 +2286,9 @@ function addRobotStyles() {
     .robot-pupil {
       width: 30px;
       height: 30px;
-      background: #8A7CFF;
+      background: var(--robot-eye-color, #8A7CFF);
       border-radius: 50%;
-      box-shadow: 0 0 10px rgba(138, 124, 255, 0.7);
+      box-shadow: 0 0 10px var(--robot-eye-color, rgba(138, 124, 255, 0.7));
       position: relative;
       transition: all 0.2s ease;
     }
@@ -1809,7 +2345,7 @@ function addRobotStyles() {
     .robot-mouth-segment {
       width: 4px;
       height: 15px;
-      background: #8A7CFF;
+      background: var(--robot-primary-color, #8A7CFF);
       border-radius: 3px;
       box-shadow: 0 0 5px rgba(138, 124, 255, 0.5);
       animation: soundWave 0.5s infinite alternate;
@@ -1892,9 +2428,9 @@ function addRobotStyles() {
     }
     
     @keyframes thinking {
-      0% { background: #8A7CFF; }
-      50% { background: #FFB84D; }
-      100% { background: #8A7CFF; }
+      0% { background: var(--robot-eye-color, #8A7CFF); }
+      50% { background: var(--robot-thinking-color, #FFB84D); }
+      100% { background: var(--robot-eye-color, #8A7CFF); }
     }
     
     /* Emotion States */
@@ -1902,6 +2438,10 @@ function addRobotStyles() {
       opacity: 1;
     }
     
+    .robot-face[data-emotion="speaking"] .robot-pupil {
+      background: var(--robot-speaking-color, #5EB3FF);
+    }
+    
     .robot-face[data-emotion="happy"] .robot-eyebrow {
       transform: translateY(-5px) rotate(0deg);
     }
@@ -1923,6 +2463,31 @@ function addRobotStyles() {
       animation: thinking 2s infinite;
     }
     
+    /* Working: a tool is running */
+    @keyframes working-scan {
+      0% { transform: translateX(-8px); }
+      100% { transform: translateX(8px); }
+    }
+    
+    .robot-face[data-emotion="working"] .robot-eyebrow {
+      transform: translateY(3px) rotate(0deg);
+    }
+    
+    .robot-face[data-emotion="working"] .robot-pupil {
+      background: #4DD0E1;
+      box-shadow: 0 0 10px rgba(77, 208, 225, 0.7);
+      animation: working-scan 0.8s ease-in-out infinite alternate;
+    }
+    
+    .robot-working-indicator {
+      align-self: flex-start;
+      margin: 10px 20px;
+      padding: 10px 15px;
+      border-radius: 10px;
+      background-color: rgba(77, 208, 225, 0.1);
+      color: #4DD0E1;
+    }
+    
     .robot-face[data-emotion="error"] .robot-eyebrow.left-eyebrow {
       transform: translateY(5px) rotate(-15deg);
     }
@@ -1938,8 +2503,8 @@ function addRobotStyles() {
     }
     
     .robot-face[data-emotion="error"] .robot-pupil {
-      background: #FF5E5E;
-      box-shadow: 0 0 10px rgba(255, 94, 94, 0.7);
+      background: var(--robot-error-color, #FF5E5E);
+      box-shadow: 0 0 10px var(--robot-error-color, rgba(255, 94, 94, 0.7));
     }
     
     .robot-face[data-emotion="confused"] .robot-eyebrow.left-eyebrow {
@@ -2252,9 +2817,9 @@ function triggerEmotionAnimation(emotion) {
   }
 }
 
-// Make API call to Claude
-async function callClaudeAPI(userMessage) {
-  if (!apiKey) {
+// Make API call to Claude, streaming text to the optional onText handler
+async function callClaudeAPI(userMessage, { onText, onThinking, onToolCalls } = {}) {
+  if (!hasApiKey) {
     throw new Error('API key is not set');
   }
   
@@ -2262,77 +2827,517 @@ async function callClaudeAPI(userMessage) {
     throw new Error('You are offline. Cannot send messages.');
   }
   
+  // Continue the shared conversation so the robot remembers earlier turns
+  appendMessage('user', userMessage);
+  await persistMessageHistory();
+  
+  return requestAssistantReply({ onText, onThinking, onToolCalls });
+}
+
+// Ask Claude to answer the last user message in the history
+// Used for new turns and to resend a turn that failed
+// Text from rounds that called tools is joined with the final answer; onToolCalls(true)
+// is called while tool calls wait for approval or run, and onToolCalls(false) afterwards.
+// onThinking is called as extended thinking streams; only the text is returned to be spoken
+async function requestAssistantReply({ onText, onThinking, onToolCalls } = {}) {
+  if (!navigator.onLine) {
+    throw new Error('You are offline. Cannot send messages.');
+  }
+  
+  // The reply belongs under the message being answered, wherever the branch is by then
+  let parentId = activeLeafId;
+  let earlierText = '';
+  
   try {
-    // Create messages array for API (only user and assistant messages)
-    let messagesForAPI = [];
-    
-    // Add user message (the only message in this simple case)
-    messagesForAPI.push({
-      role: 'user',
-      content: userMessage
-    });
-    
-    // Prepare request payload
-    const requestPayload = {
-      model: appConfig.model || 'claude-3-haiku-20240307',
-      max_tokens: appConfig.maxTokens || 1024,
-      temperature: appConfig.temperature || 0.7,
-      messages: messagesForAPI
-    };
-    
-    // Add system as a top-level parameter if configured, not as a message
-    if (appConfig.systemPrompt) {
-      requestPayload.system = appConfig.systemPrompt;
-    }
-    
-    // Log the payload for debugging
-    const isDevModeActive = isInDevMode();
-    if (isDevModeActive) {
-      console.log('Claude API payload:', JSON.stringify(requestPayload, null, 2));
-    }
-    
-    // Call Claude API
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify(requestPayload)
-    });
-    
-    if (!response.ok) {
-      // Get detailed error information
-      const errorData = await response.json();
-      console.error('Claude API error response:', errorData);
-      throw new Error(errorData.error?.message || 'Failed to get response from Claude');
+    for (let round = 1; ; round++) {
+      // Prepare request using the conversation's own model and system prompt
+      const chatRequest = await prepareChatRequest();
+      
+      // Log the request for debugging
+      const isDevModeActive = isInDevMode();
+      if (isDevModeActive) {
+        console.log('Claude API request:', JSON.stringify(chatRequest, null, 2));
+      }
+      
+      // Call Claude API and stream the response
+      const result = await sendChatRequest(chatRequest, {
+        onText: onText ? (text) => onText(joinReplyText(earlierText, text)) : undefined,
+        onThinking
+      });
+      
+      // Add to history and save
+      const node = appendMessage('assistant', result.text, parentId);
+      recordReplyDetails(node, result);
+      if (result.thinking && result.thinking.length > 0) {
+        node.thinking = result.thinking;
+      }
+      const toolCalls = result.toolCalls || [];
+      if (toolCalls.length > 0) {
+        node.toolCalls = toolCalls.map(call => ({ ...call, status: 'pending' }));
+      }
+      await persistMessageHistory();
+      
+      earlierText = joinReplyText(earlierText, result.text);
+      if (toolCalls.length === 0) break;
+      
+      // The robot transcript has no message elements, so the cards go straight into it
+      if (onToolCalls) onToolCalls(true);
+      const continueTurn = round < MAX_TOOL_ROUNDS
+        ? await runToolCalls(node, getRobotMessagesContainer())
+        : stopToolCalls(node, getRobotMessagesContainer(), TOOL_LIMIT_RESULT);
+      if (onToolCalls) onToolCalls(false);
+      await persistMessageHistory();
+      
+      if (!continueTurn) break;
+      parentId = node.id;
     }
     
-    const data = await response.json();
-    return data.content[0].text;
+    return earlierText;
     
   } catch (error) {
-    console.error('Error calling Claude API:', error);
+    if (error.type === 'cancelled') {
+      recordCancelledTurn(error.partialText, parentId, error.result);
+      await persistMessageHistory();
+    } else {
+      console.error('Error calling Claude API:', error);
+    }
     throw error;
   }
 }
 
-// Set up event listeners with proper cleanup registration
-function setupEventListeners() {
-  // Helper to safely add event listener with cleanup registration
-  function addListener(element, event, handler) {
-    if (!element) {
-      console.warn(`Element not found for event: ${event}`);
-      return;
+// Keep what the API reported about a reply with it: the model that wrote it, why it
+// stopped, how long it took and the tokens it used
+function recordReplyDetails(node, result) {
+  if (!result) return;
+  
+  if (result.model) {
+    node.model = result.model;
+  }
+  node.stopReason = result.stopReason || null;
+  if (typeof result.latencyMs === 'number') {
+    node.latencyMs = result.latencyMs;
+  }
+  if (result.usage) {
+    const { requests, ...usage } = Usage.fromApiUsage(result.usage);
+    node.usage = usage;
+  }
+}
+
+// Text of a reply spread over several tool call rounds
+function joinReplyText(earlierText, text) {
+  return [earlierText, text].filter(Boolean).join('\n\n');
+}
+
+// Build the chat request for the main process from the conversation settings
+function buildChatRequest(history) {
+  const conversationSettings = getConversationSettings();
+  const model = conversationSettings.model || Models.DEFAULT_MODEL;
+  const modelEntry = Models.find(modelCatalog, model);
+  // The conversation's model may produce fewer tokens than the one maxTokens was chosen for
+  const maxTokens = Models.clampMaxTokens(appConfig.maxTokens || 1024, modelEntry);
+  // Extended thinking is left out for models that don't support it
+  const thinkingLimits = appConfig.thinking === true
+    ? Models.getThinkingLimits(maxTokens, appConfig.thinkingBudget, modelEntry)
+    : null;
+  return {
+    conversationId: activeConversation ? activeConversation.id : undefined,
+    model,
+    maxTokens: thinkingLimits ? thinkingLimits.maxTokens : maxTokens,
+    temperature: conversationSettings.temperature,
+    thinking: thinkingLimits ? { budgetTokens: thinkingLimits.budgetTokens } : undefined,
+    system: buildSystemPrompt(conversationSettings.systemPrompt, history),
+    messages: buildMessagesForAPI(history, { thinking: !!thinkingLimits }),
+    useTools: appConfig.enableTools !== false,
+    promptCaching: appConfig.promptCaching === true
+  };
+}
+
+// The conversation's system prompt, followed by the summary of any messages it replaces
+function buildSystemPrompt(systemPrompt, history) {
+  const summarized = findContextSummary(history);
+  if (!summarized) return systemPrompt || undefined;
+  
+  const summaryText = `Summary of the earlier part of this conversation:\n\n${summarized.summary.text}`;
+  return systemPrompt ? `${systemPrompt}\n\n${summaryText}` : summaryText;
+}
+
+// The latest summary on a branch: { index, summary } for the message it was attached to
+// Summaries live on the last message they cover, so other branches keep their full history
+function findContextSummary(history) {
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].contextSummary) {
+      return { index: i, summary: history[i].contextSummary };
     }
-    
-    element.addEventListener(event, handler);
-    registerCleanup(() => element.removeEventListener(event, handler));
+  }
+  return null;
+}
+
+// Build the request for the active branch and make sure it fits the model's context window
+// Warns when the window is nearly full; once it is, older messages are summarized or left out
+// depending on the contextStrategy setting
+async function prepareChatRequest() {
+  let chatRequest = buildChatRequest(messageHistory);
+  let inputTokens = await measureChatRequest(chatRequest);
+  let status = ContextWindow.getStatus(inputTokens, chatRequest.model, chatRequest.maxTokens);
+  if (status === 'ok') {
+    contextNotices.delete(chatRequest.conversationId || 'default');
+    return chatRequest;
   }
   
-  // Send message on button click or Enter key
+  // Summarize at the warning point, while the messages being summarized still fit in one request
+  if (appConfig.contextStrategy === 'summarize' && await summarizeOlderMessages(chatRequest)) {
+    chatRequest = buildChatRequest(messageHistory);
+    inputTokens = await measureChatRequest(chatRequest);
+    status = ContextWindow.getStatus(inputTokens, chatRequest.model, chatRequest.maxTokens);
+  }
+  
+  if (status === 'over') {
+    const limit = ContextWindow.getInputLimit(chatRequest.model, chatRequest.maxTokens);
+    const scale = inputTokens / Math.max(1, ContextWindow.estimateRequest(chatRequest));
+    const budget = limit - ContextWindow.estimateRequest({ system: chatRequest.system }) * scale;
+    const messages = ContextWindow.dropOldestMessages(chatRequest.messages, budget, scale);
+    
+    showContextNotice(chatRequest.conversationId, 'trimmed',
+      `${chatRequest.messages.length - messages.length} older messages were left out so this request fits the context window.`);
+    return { ...chatRequest, messages };
+  }
+  
+  if (status === 'warning') {
+    const contextWindow = ContextWindow.getContextWindow(chatRequest.model);
+    const outcome = appConfig.contextStrategy === 'summarize' ? 'summarized' : 'left out';
+    showContextNotice(chatRequest.conversationId, 'warning',
+      `This conversation uses ${Usage.formatTokens(inputTokens)} of the ${Usage.formatTokens(contextWindow)} token context window. ` +
+      `Older messages will be ${outcome} when it is full.`);
+  }
+  
+  return chatRequest;
+}
+
+// Input tokens for a request: a local estimate, or an exact count from the API when it is getting large
+async function measureChatRequest(chatRequest) {
+  const estimate = ContextWindow.estimateRequest(chatRequest);
+  if (!ContextWindow.needsExactCount(estimate, chatRequest.model, chatRequest.maxTokens)) {
+    return estimate;
+  }
+  
+  try {
+    const result = await window.api.chat.countTokens(chatRequest);
+    if (result && result.success) {
+      return result.inputTokens;
+    }
+    console.warn('Token count failed, using estimate:', result && result.error);
+  } catch (error) {
+    console.error('Error counting tokens:', error);
+  }
+  return estimate;
+}
+
+// Replace everything but the most recent messages with a summary from a separate request
+// Returns true when a new summary was added to the active branch
+async function summarizeOlderMessages(chatRequest) {
+  const previous = findContextSummary(messageHistory);
+  const start = previous ? previous.index + 1 : 0;
+  
+  // The messages kept word for word have to start with a user message
+  let end = messageHistory.length - SUMMARY_KEEP_RECENT_MESSAGES;
+  while (end > start && messageHistory[end].role !== 'user') {
+    end--;
+  }
+  if (end <= start) return false;
+  
+  const olderMessages = messageHistory.slice(start, end).filter(message => message.role !== 'system');
+  let transcript = olderMessages.map(message => {
+    const speaker = message.role === 'user' ? 'User' : 'Assistant';
+    const attachments = (message.attachments || []).map(attachment => `[Attached file: ${attachment.name}]`);
+    const toolCalls = (message.toolCalls || []).map(call => `[Used ${call.name}: ${call.result || 'not run'}]`);
+    return `${speaker}: ${[...attachments, message.content, ...toolCalls].filter(Boolean).join('\n')}`;
+  }).join('\n\n');
+  if (previous) {
+    transcript = `Summary of what came before:\n${previous.summary.text}\n\n${transcript}`;
+  }
+  
+  const limit = ContextWindow.getInputLimit(chatRequest.model, SUMMARY_MAX_TOKENS) * ContextWindow.WARNING_RATIO;
+  const summaryRequest = {
+    conversationId: chatRequest.conversationId,
+    model: chatRequest.model,
+    maxTokens: SUMMARY_MAX_TOKENS,
+    temperature: 0,
+    system: SUMMARY_SYSTEM_PROMPT,
+    messages: [{ role: 'user', content: `Summarize this conversation:\n\n${ContextWindow.keepLastTokens(transcript, limit)}` }]
+  };
+  
+  const summaryNotice = displaySystemMessage('Summarizing older messages to make room in the context window...');
+  try {
+    const result = await sendChatRequest(summaryRequest);
+    
+    messageHistory[end - 1].contextSummary = {
+      text: result.text.trim(),
+      createdAt: new Date().toISOString(),
+      messageCount: olderMessages.length + (previous ? previous.summary.messageCount : 0)
+    };
+    await persistMessageHistory();
+    redrawActiveBranch();
+    return true;
+  } catch (error) {
+    if (error.type === 'cancelled') {
+      // Nothing of the reply itself had streamed yet
+      error.partialText = '';
+      throw error;
+    }
+    
+    console.error('Error summarizing older messages:', error);
+    displaySystemMessage(`Older messages could not be summarized (${error.message}); they will be left out instead.`);
+    return false;
+  } finally {
+    summaryNotice.remove();
+  }
+}
+
+// Show a context window notice in the chat unless it was the last one shown for this conversation
+function showContextNotice(conversationId, kind, message) {
+  const key = conversationId || 'default';
+  if (contextNotices.get(key) === kind) return;
+  
+  contextNotices.set(key, kind);
+  displaySystemMessage(message).classList.add('warning');
+}
+
+// Send a chat request through the main process, which holds the API key
+// Calls onText with the full text received so far each time a text delta arrives,
+// onThinking likewise with the extended thinking received so far,
+// and onRetry before the main process retries an overloaded or rate-limited request
+async function sendChatRequest(chatRequest, { onText, onThinking, onRetry } = {}) {
+  const requestId = `chat_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  let streamedText = '';
+  let streamedThinking = '';
+  
+  chatChunkHandlers.set(requestId, (chunk) => {
+    if (chunk.type === 'text') {
+      streamedText += chunk.delta;
+      if (onText) onText(streamedText);
+    } else if (chunk.type === 'thinking') {
+      streamedThinking += chunk.delta;
+      if (onThinking) onThinking(streamedThinking);
+    } else if (chunk.type === 'retry') {
+      console.warn(`Claude API ${chunk.errorType} - retrying in ${chunk.delayMs}ms (attempt ${chunk.attempt} of ${chunk.maxRetries})`);
+      if (onRetry) onRetry(chunk);
+    }
+  });
+  activeChatRequestId = requestId;
+  
+  try {
+    const result = await window.api.chat.send(requestId, chatRequest);
+    
+    // Stopped requests are billed too, so both carry the conversation's new totals
+    if (result.conversationUsage) {
+      updateConversationUsage(chatRequest.conversationId, result.conversationUsage);
+    }
+    if (result.usage) {
+      recordRequestDiagnostics(chatRequest, result);
+    }
+    
+    if (!result.success) {
+      const error = new Error(result.error?.message || 'Failed to get response from Claude');
+      error.type = result.error?.type;
+      error.status = result.error?.status;
+      error.detail = result.error?.detail;
+      error.retryable = !!result.error?.retryable;
+      // Keep what was already shown so a stopped response is not lost
+      error.partialText = streamedText;
+      error.result = result;
+      throw error;
+    }
+    
+    return result;
+  } finally {
+    chatChunkHandlers.delete(requestId);
+    if (activeChatRequestId === requestId) {
+      activeChatRequestId = null;
+    }
+  }
+}
+
+// Keep the latest request's usage for the diagnostics so the cache savings can be checked
+function recordRequestDiagnostics(chatRequest, result) {
+  const usage = Usage.fromApiUsage(result.usage);
+  const cachedInput = usage.cacheReadTokens + usage.cacheCreationTokens;
+  
+  lastRequestUsage = {
+    model: result.model,
+    promptCaching: !!chatRequest.promptCaching,
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens,
+    cacheCreationTokens: usage.cacheCreationTokens,
+    cacheReadTokens: usage.cacheReadTokens,
+    // Share of the prompt read from the cache
+    cacheHitRatio: usage.inputTokens + cachedInput > 0
+      ? Number((usage.cacheReadTokens / (usage.inputTokens + cachedInput)).toFixed(3))
+      : 0,
+    estimatedCacheSavings: Usage.estimateCacheSavings(result.model, usage),
+    at: new Date().toISOString()
+  };
+  
+  if (chatRequest.promptCaching && isInDevMode()) {
+    console.log(`Prompt cache: ${usage.cacheReadTokens} tokens read, ${usage.cacheCreationTokens} written, ` +
+      `${usage.inputTokens} uncached input tokens`);
+  }
+}
+
+// Stop the response currently being generated in either interface
+async function stopGeneration() {
+  const requestId = activeChatRequestId;
+  
+  // Silence the robot and return its face to idle straight away
+  if (window.claudeRobot && typeof window.claudeRobot.stopResponse === 'function') {
+    window.claudeRobot.stopResponse();
+  }
+  
+  // Tool calls waiting for approval are not run
+  const wasWaitingForApproval = pendingToolApprovals.size > 0;
+  Array.from(pendingToolApprovals).forEach(finish => finish('stop'));
+  
+  if (!requestId) return wasWaitingForApproval;
+  
+  try {
+    return await window.api.chat.cancel(requestId);
+  } catch (error) {
+    console.error('Error cancelling chat request:', error);
+    return false;
+  }
+}
+
+// Short explanation shown before an automatic retry
+function describeRetry(retry) {
+  switch (retry.errorType) {
+    case 'rate_limit':
+      return 'Rate limit reached.';
+    case 'overloaded':
+      return 'The API is overloaded.';
+    default:
+      return 'The API returned an error.';
+  }
+}
+
+// Record a stopped turn in history: keep any partial reply, or drop the unanswered message
+// Returns the partial reply's history entry, if one was kept
+function recordCancelledTurn(partialText, parentId, result) {
+  if (partialText) {
+    const node = appendMessage('assistant', partialText, parentId);
+    recordReplyDetails(node, result);
+    node.stopReason = 'cancelled';
+    return node;
+  }
+  
+  const unanswered = MessageTree.findNode(messageTree, parentId);
+  if (unanswered && MessageTree.getChildren(messageTree, unanswered.id).length > 0) {
+    // A stopped regeneration - go back to the reply that was there before
+    activeLeafId = MessageTree.getLatestLeaf(messageTree, unanswered.id);
+    refreshActivePath();
+  } else if (unanswered && unanswered.role === 'user') {
+    removeMessageNode(unanswered);
+  }
+  return null;
+}
+
+// Speak a streamed response one sentence at a time as sentences complete
+// Long responses are cut off after roughly maxChars, like the non-streaming path
+function createSentenceSpeaker(speechManager, { maxChars = 500, onDone } = {}) {
+  let spokenIndex = 0;
+  let spokenChars = 0;
+  let truncated = false;
+  let pendingUtterances = 0;
+  let finished = false;
+  let cancelled = false;
+  
+  const checkDone = () => {
+    if (finished && !cancelled && pendingUtterances === 0 && onDone) {
+      onDone();
+    }
+  };
+  
+  const speakSegment = (segment) => {
+    if (!segment.trim()) return;
+    
+    pendingUtterances++;
+    const started = speechManager.speak(segment, {
+      queue: true,
+      onEnd: () => {
+        pendingUtterances--;
+        checkDone();
+      },
+      onError: (error) => {
+        console.error('Error speaking text:', error);
+        pendingUtterances--;
+        checkDone();
+      }
+    });
+    
+    // speak() returns false (after calling onEnd) when speech is muted or unsupported
+    if (!started) {
+      truncated = true;
+    }
+  };
+  
+  return {
+    // Speak any sentences that completed since the last update
+    update(fullText) {
+      if (truncated || cancelled) return;
+      
+      const pending = fullText.slice(spokenIndex);
+      const sentencePattern = /[^.!?]*[.!?]+(?=\s)/g;
+      let match;
+      let consumed = 0;
+      
+      while ((match = sentencePattern.exec(pending)) !== null) {
+        consumed = match.index + match[0].length;
+        speakSegment(match[0]);
+        spokenChars += match[0].length;
+        
+        if (spokenChars > maxChars) {
+          truncated = true;
+          break;
+        }
+      }
+      
+      spokenIndex += consumed;
+    },
+    
+    // Speak whatever is left once the stream has ended
+    finish(fullText) {
+      if (!truncated) {
+        speakSegment(fullText.slice(spokenIndex));
+      } else if (fullText.slice(spokenIndex).trim()) {
+        speakSegment('And more.');
+      }
+      
+      finished = true;
+      checkDone();
+    },
+    
+    // Stop queueing sentences; onDone is not called for a cancelled response
+    cancel() {
+      cancelled = true;
+      truncated = true;
+    }
+  };
+}
+
+// Set up event listeners with proper cleanup registration
+function setupEventListeners() {
+  // Helper to safely add event listener with cleanup registration
+  function addListener(element, event, handler) {
+    if (!element) {
+      console.warn(`Element not found for event: ${event}`);
+      return;
+    }
+    
+    element.addEventListener(event, handler);
+    registerCleanup(() => element.removeEventListener(event, handler));
+  }
+  
+  // Send message on button click or Enter key
   addListener(sendButton, 'click', sendMessage);
+  addListener(stopButton, 'click', stopGeneration);
   
   const keyPressHandler = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
@@ -2381,6 +3386,23 @@ function setupEventListeners() {
     showSettingsModal();
   });
   
+  // Search across conversations
+  addListener(searchButton, 'click', openSearchPanel);
+  addListener(closeSearchButton, 'click', closeSearchPanel);
+  addListener(searchInput, 'input', scheduleSearch);
+  [searchRoleSelect, searchModelSelect, searchFromInput, searchToInput].forEach(input => {
+    addListener(input, 'change', runSearch);
+  });
+  addListener(searchPanel, 'keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      closeSearchPanel();
+    } else if (e.key === 'Enter' && e.target === searchInput) {
+      e.preventDefault();
+      runSearch();
+    }
+  });
+  
   addListener(configButton, 'click', () => {
     console.log('Config button clicked');
     showConfigModal();
@@ -2409,16 +3431,119 @@ function setupEventListeners() {
     temperatureValue.textContent = temperatureSlider.value;
   });
   
+  // Each provider keeps its own endpoint, auth header and models
+  addListener(providerSelect, 'change', () => {
+    readProviderFields();
+    showProviderFields(providerSelect.value);
+  });
+  
+  // Max tokens follows the selected model's output limit
+  addListener(modelSelect, 'change', updateModelLimits);
+  addListener(maxTokensInput, 'change', updateModelLimits);
+  addListener(thinkingSelect, 'change', updateThinkingFields);
+  
   // Save and reset configuration
   addListener(saveConfigButton, 'click', saveConfiguration);
   addListener(resetConfigButton, 'click', resetConfiguration);
   
+  // Persona picker and manager
+  addListener(personaSelect, 'change', () => {
+    if (personaSelect.value === MANAGE_PERSONAS_OPTION) {
+      renderPersonaPicker();
+      showPersonaModal();
+    } else {
+      setConversationPersona(personaSelect.value || null);
+    }
+  });
+  addListener(managePersonasButton, 'click', () => {
+    configModal.classList.add('hidden');
+    showPersonaModal();
+  });
+  addListener(closePersonaButton, 'click', () => {
+    personaModal.classList.add('hidden');
+  });
+  addListener(newPersonaButton, 'click', startNewPersona);
+  addListener(duplicatePersonaButton, 'click', duplicatePersona);
+  addListener(deletePersonaButton, 'click', deletePersona);
+  addListener(importPersonasButton, 'click', importPersonas);
+  addListener(exportPersonaButton, 'click', () => exportPersonas(editingPersonaId));
+  addListener(exportAllPersonasButton, 'click', () => exportPersonas(null));
+  addListener(savePersonaButton, 'click', savePersona);
+  addListener(usePersonaButton, 'click', async () => {
+    if (await setConversationPersona(editingPersonaId)) {
+      personaModal.classList.add('hidden');
+    }
+  });
+  addListener(personaTemperatureSlider, 'input', () => {
+    personaTemperatureValue.textContent = personaTemperatureSlider.value;
+  });
+  addListener(personaRateSlider, 'input', () => {
+    personaRateValue.textContent = parseFloat(personaRateSlider.value).toFixed(1);
+  });
+  addListener(personaPitchSlider, 'input', () => {
+    personaPitchValue.textContent = parseFloat(personaPitchSlider.value).toFixed(1);
+  });
+  
+  // Export dialog
+  addListener(closeExportButton, 'click', () => {
+    exportModal.classList.add('hidden');
+  });
+  addListener(exportSelectAll, 'change', () => {
+    exportConversationList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+      checkbox.checked = exportSelectAll.checked;
+    });
+    updateExportSelection();
+  });
+  addListener(exportConversationList, 'change', updateExportSelection);
+  addListener(exportConversationsButton, 'click', exportSelectedConversations);
+  
+  // Conversation sidebar
+  addListener(newConversationButton, 'click', createNewConversation);
+  addListener(conversationUsageButton, 'click', () => window.api.usage.openReport());
+  
+  // Attach files with the paperclip button or by dropping them on the window
+  addListener(attachButton, 'click', pickAttachments);
+  addListener(document, 'dragover', handleFileDragOver);
+  addListener(document, 'dragleave', (e) => {
+    if (!e.relatedTarget) document.body.classList.remove('file-drag-over');
+  });
+  addListener(document, 'drop', handleFileDrop);
+  
+  // Copy buttons on code blocks in chat and robot messages
+  MarkdownRenderer.enableCopyButtons(document);
+  
   // Event listeners from main process with cleanup
+  const chatChunkCleanup = window.api.chat.onChunk((chunk) => {
+    const handler = chatChunkHandlers.get(chunk.requestId);
+    if (handler) handler(chunk);
+  });
+  registerCleanup(chatChunkCleanup);
+  
   const clearHistoryCleanup = window.api.onClearHistory(() => {
     clearHistory();
   });
   registerCleanup(clearHistoryCleanup);
   
+  const newConversationCleanup = window.api.onNewConversation(() => {
+    createNewConversation();
+  });
+  registerCleanup(newConversationCleanup);
+  
+  const openSearchCleanup = window.api.onOpenSearch(() => {
+    openSearchPanel();
+  });
+  registerCleanup(openSearchCleanup);
+  
+  const openImportCleanup = window.api.onOpenImport(() => {
+    importConversations();
+  });
+  registerCleanup(openImportCleanup);
+  
+  const openExportCleanup = window.api.onOpenExport(() => {
+    showExportModal();
+  });
+  registerCleanup(openExportCleanup);
+  
   const openSettingsCleanup = window.api.onOpenSettings(() => {
     showSettingsModal();
   });
@@ -2450,208 +3575,1815 @@ function setupEventListeners() {
 // Send a message to Claude
 async function sendMessage() {
   const userMessage = messageInput.value.trim();
+  const attachments = pendingAttachments;
   
   // Don't send empty messages
-  if (!userMessage || isWaitingForResponse) return;
+  if ((!userMessage && attachments.length === 0) || isWaitingForResponse) return;
   
   // Check if API key exists
-  if (!apiKey) {
+  if (!hasApiKey) {
     displayErrorMessage('Please set your API key in Settings first.');
     showSettingsModal();
     return;
   }
   
-  // Check if online
-  if (!isOnline) {
-    displayErrorMessage('You are offline. Cannot send messages.');
+  // Check the attachments fit in a single request
+  const attachmentError = Attachments.validateMessage(attachments);
+  if (attachmentError) {
+    displayErrorMessage(attachmentError);
     return;
   }
   
   // Clear input and show thinking indicator
   messageInput.value = '';
   resizeTextarea();
+  pendingAttachments = [];
+  renderPendingAttachments();
   
-  // Add user message to UI
-  displayUserMessage(userMessage);
-  
-  // Create messages array for API (only user and assistant messages)
-  let messagesForAPI = [];
-  
-  // Add message history (filtering out any system messages)
-  messageHistory.forEach(msg => {
-    if (msg.role !== 'system') {
-      messagesForAPI.push(msg);
+  // While offline the message waits in the outbox and is sent once the connection is back
+  if (!isOnline) {
+    if (!await queueOfflineMessage(userMessage, attachments)) {
+      // Give the message back so it isn't lost
+      messageInput.value = userMessage;
+      resizeTextarea();
+      pendingAttachments = attachments;
+      renderPendingAttachments();
     }
-  });
-  
-  // Add current user message to messages array
-  messagesForAPI.push({
-    role: 'user',
-    content: userMessage
-  });
+    return;
+  }
   
-  // Add current message to history
-  messageHistory.push({
-    role: 'user',
-    content: userMessage
-  });
+  // Add current message to history and the UI
+  const userHistoryMessage = appendMessage('user', userMessage, activeLeafId, attachments);
+  displayUserMessage(userMessage, userHistoryMessage);
   
   // Save message history
-  await window.api.saveMessageHistory(messageHistory);
+  await persistMessageHistory();
   
-  // Show thinking indicator
+  await streamChatReply();
+}
+
+// Stream Claude's answer to the last user message into the chat
+// Resolves to whether Claude answered
+async function streamChatReply() {
+  // Show thinking indicator and swap the send button for the stop button
   thinkingIndicator.classList.remove('hidden');
   isWaitingForResponse = true;
   sendButton.disabled = true;
+  sendButton.classList.add('hidden');
+  stopButton.classList.remove('hidden');
   
+  let assistantElement = null;
+  let parentId = activeLeafId;
+  let answered = false;
   try {
-    // Prepare request payload with system as top-level parameter
-    const requestPayload = {
-      model: appConfig.model,
-      max_tokens: appConfig.maxTokens,
-      temperature: appConfig.temperature,
-      messages: messagesForAPI
-    };
-    
-    // Add system as a top-level parameter if configured
-    if (appConfig.systemPrompt) {
-      requestPayload.system = appConfig.systemPrompt;
-    }
-    
-    // Log the payload for debugging
-    console.log('Claude API payload for chat interface:', JSON.stringify(requestPayload, null, 2));
-    
-    // Call Claude API with current configuration
-    const response = await fetch(CLAUDE_API_ENDPOINT, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': ANTHROPIC_API_VERSION
-      },
-      body: JSON.stringify(requestPayload)
-    });
-    
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.error?.message || 'Failed to get response from Claude');
-    }
-    
-    const data = await response.json();
-    const assistantMessage = data.content[0].text;
-    
-    // Add Claude's response to UI
-    displayAssistantMessage(assistantMessage);
-    
-    // Add to history
-    messageHistory.push({
-      role: 'assistant',
-      content: assistantMessage
-    });
-    
-    // Trim history if too long
-    if (messageHistory.length > appConfig.maxHistoryLength * 2) { // *2 because each exchange is two messages
-      messageHistory = messageHistory.slice(-appConfig.maxHistoryLength * 2);
+    // Each round that calls tools is followed by another request with the results
+    for (let round = 1; ; round++) {
+      assistantElement = null;
+      
+      // Prepare request with system as top-level parameter
+      const chatRequest = await prepareChatRequest();
+      
+      // Log the request for debugging
+      if (isInDevMode()) {
+        console.log('Claude API request for chat interface:', JSON.stringify(chatRequest, null, 2));
+      }
+      
+      // Stream Claude's response into the chat as it arrives
+      const result = await sendChatRequest(chatRequest, {
+        onThinking: (thinkingText) => {
+          if (!assistantElement) {
+            thinkingIndicator.classList.add('hidden');
+            assistantElement = displayAssistantMessage('');
+          }
+          updateReasoningPanel(assistantElement, thinkingText, { streaming: true });
+        },
+        onText: (text) => {
+          if (!assistantElement) {
+            // First tokens arrived - replace the thinking indicator with the message
+            thinkingIndicator.classList.add('hidden');
+            assistantElement = displayAssistantMessage(text);
+          } else {
+            updateAssistantMessage(assistantElement, text);
+          }
+        },
+        onRetry: (retry) => {
+          displaySystemMessage(`${describeRetry(retry)} Retrying in ${Math.ceil(retry.delayMs / 1000)}s (attempt ${retry.attempt} of ${retry.maxRetries})...`);
+        }
+      });
+      const assistantMessage = result.text;
+      
+      // Add to history as a new branch under the message being answered
+      const assistantHistoryMessage = appendMessage('assistant', assistantMessage, parentId);
+      recordReplyDetails(assistantHistoryMessage, result);
+      if (result.thinking && result.thinking.length > 0) {
+        assistantHistoryMessage.thinking = result.thinking;
+      }
+      
+      // Add Claude's response to UI if nothing was streamed
+      if (!assistantElement) {
+        assistantElement = displayAssistantMessage(assistantMessage, assistantHistoryMessage);
+      } else {
+        if (assistantHistoryMessage.thinking) {
+          updateReasoningPanel(assistantElement, getThinkingText(assistantHistoryMessage.thinking));
+        }
+        attachMessageControls(assistantElement, assistantHistoryMessage);
+      }
+      
+      // Tool calls get their cards as they are approved and run
+      const toolCalls = result.toolCalls || [];
+      if (toolCalls.length > 0) {
+        assistantHistoryMessage.toolCalls = toolCalls.map(call => ({ ...call, status: 'pending' }));
+      }
+      
+      // Save message history
+      await persistMessageHistory();
+      
+      if (toolCalls.length === 0) break;
+      
+      thinkingIndicator.classList.add('hidden');
+      const continueTurn = round < MAX_TOOL_ROUNDS
+        ? await runToolCalls(assistantHistoryMessage, getToolCallList(assistantElement))
+        : stopToolCalls(assistantHistoryMessage, getToolCallList(assistantElement), TOOL_LIMIT_RESULT);
+      await persistMessageHistory();
+      
+      if (!continueTurn) {
+        if (round >= MAX_TOOL_ROUNDS) {
+          displaySystemMessage(`Stopped after ${MAX_TOOL_ROUNDS} rounds of tool calls.`);
+        }
+        break;
+      }
+      
+      // Claude answers the tool results in a reply of its own
+      parentId = assistantHistoryMessage.id;
+      thinkingIndicator.classList.remove('hidden');
     }
     
-    // Save message history
-    await window.api.saveMessageHistory(messageHistory);
-    
+    answered = true;
   } catch (error) {
-    console.error('Error calling Claude API:', error);
-    displayErrorMessage(`Error: ${error.message}`);
+    if (error.type === 'cancelled') {
+      // Keep whatever had streamed in before the stop
+      const stoppedMessage = recordCancelledTurn(error.partialText, parentId, error.result);
+      if (stoppedMessage && assistantElement) {
+        finishReasoningPanel(assistantElement);
+        attachMessageControls(assistantElement, stoppedMessage);
+      } else if (!stoppedMessage) {
+        redrawActiveBranch();
+      }
+      await persistMessageHistory();
+      displaySystemMessage('Response stopped.');
+    } else {
+      console.error('Error calling Claude API:', error);
+      
+      if (error.type === 'authentication') {
+        displayErrorMessage(error.message);
+        showSettingsModal();
+      } else if (error.type === 'invalid_request') {
+        // Resending the same request would be rejected again
+        displayErrorMessage(error.message);
+      } else {
+        // The failed turn is still the last message in history, so it can be resent
+        const partialElement = assistantElement;
+        displayErrorMessage(error.message, {
+          onRetry: () => {
+            if (isWaitingForResponse) return false;
+            if (partialElement) partialElement.remove();
+            streamChatReply();
+            return true;
+          }
+        });
+      }
+    }
   } finally {
     // Hide thinking indicator
     thinkingIndicator.classList.add('hidden');
     isWaitingForResponse = false;
     sendButton.disabled = false;
+    sendButton.classList.remove('hidden');
+    stopButton.classList.add('hidden');
     messageInput.focus();
   }
+  
+  return answered;
+}
+
+// Create messages array for API (only user and assistant messages)
+// Only the most recent exchanges of the active branch are sent; the stored tree is never trimmed
+// Messages covered by a summary are left out, the summary goes in the system prompt instead
+// With options.thinking, replies that called tools carry their thinking blocks as the API requires
+function buildMessagesForAPI(history, { thinking = false } = {}) {
+  const maxMessages = (appConfig.maxHistoryLength || 100) * 2; // *2 because each exchange is two messages
+  const summarized = findContextSummary(history);
+  let messages = (summarized ? history.slice(summarized.index + 1) : history).filter(msg => msg.role !== 'system');
+  
+  if (messages.length > maxMessages) {
+    messages = messages.slice(-maxMessages);
+    // The API expects the conversation to start with a user message
+    while (messages.length > 0 && messages[0].role !== 'user') {
+      messages.shift();
+    }
+  }
+  
+  return messages.flatMap(msg => msg.toolCalls && msg.toolCalls.length > 0
+    ? buildToolTurn(msg, { thinking })
+    : [{ role: msg.role, content: buildMessageContent(msg) }]);
+}
+
+// A reply that called tools becomes its tool_use blocks plus a user turn with the results
+function buildToolTurn(message, { thinking = false } = {}) {
+  if (appConfig.enableTools === false) {
+    // Tool blocks need tool definitions, so with tools off the calls are described in text
+    const calls = message.toolCalls.map(call => `[Called ${call.name} with ${JSON.stringify(call.input)}: ${call.result || 'no result'}]`);
+    return [{ role: 'assistant', content: [message.content, ...calls].filter(Boolean).join('\n\n') }];
+  }
+  
+  // Thinking blocks go back unchanged, signatures included, ahead of the text
+  const content = thinking && Array.isArray(message.thinking) ? message.thinking.slice() : [];
+  if (message.content) {
+    content.push({ type: 'text', text: message.content });
+  }
+  message.toolCalls.forEach(call => {
+    content.push({ type: 'tool_use', id: call.id, name: call.name, input: call.input || {} });
+  });
+  
+  const results = message.toolCalls.map(call => ({
+    type: 'tool_result',
+    tool_use_id: call.id,
+    content: call.result || TOOL_STOPPED_RESULT,
+    is_error: call.status !== 'done'
+  }));
+  
+  return [{ role: 'assistant', content }, { role: 'user', content: results }];
+}
+
+// Messages with attachments become content blocks; the main process fills in the file contents
+function buildMessageContent(message) {
+  if (!message.attachments || message.attachments.length === 0) {
+    return message.content;
+  }
+  
+  const blocks = message.attachments.map(attachment => ({ type: 'attachment', attachment }));
+  if (message.content) {
+    blocks.push({ type: 'text', text: message.content });
+  }
+  return blocks;
+}
+
+// Load a conversation's message tree and show its saved branch
+function loadConversationMessages(conversation) {
+  messageTree = (conversation && Array.isArray(conversation.messages)) ? conversation.messages : [];
+  activeLeafId = (conversation && conversation.activeLeafId) || MessageTree.getDefaultLeaf(messageTree);
+  refreshActivePath();
+}
+
+// Recompute the active branch after the tree or the active leaf changes
+function refreshActivePath() {
+  messageHistory = MessageTree.getPath(messageTree, activeLeafId);
+}
+
+// Add a message under parentId (the end of the active branch by default) and make it active
+function appendMessage(role, content, parentId = activeLeafId, attachments = []) {
+  const node = MessageTree.createNode(role, content, parentId);
+  if (attachments.length > 0) {
+    node.attachments = attachments;
+  }
+  messageTree.push(node);
+  activeLeafId = node.id;
+  refreshActivePath();
+  return node;
+}
+
+// Remove a single message; its replies move up to its parent
+function removeMessageNode(node) {
+  messageTree = MessageTree.removeNode(messageTree, node.id);
+  
+  if (activeLeafId === node.id) {
+    activeLeafId = node.parentId;
+  }
+  if (activeLeafId && !MessageTree.findNode(messageTree, activeLeafId)) {
+    activeLeafId = MessageTree.getDefaultLeaf(messageTree);
+  }
+  refreshActivePath();
 }
 
 // Display a user message in the chat
-function displayUserMessage(message) {
+// historyMessage is the history entry it shows; passing it adds the hover actions and branch switcher
+function displayUserMessage(message, historyMessage = null) {
   const messageElement = document.createElement('div');
   messageElement.className = 'message user';
-  messageElement.textContent = message;
+  
+  const contentElement = document.createElement('div');
+  contentElement.className = 'message-content';
+  contentElement.textContent = message;
   
   const infoElement = document.createElement('div');
   infoElement.className = 'message-info';
-  infoElement.textContent = getCurrentTime();
+  infoElement.textContent = formatMessageTime(historyMessage ? historyMessage.createdAt : new Date());
   
+  if (historyMessage && historyMessage.attachments) {
+    messageElement.appendChild(createAttachmentList(historyMessage.attachments));
+  }
+  messageElement.appendChild(contentElement);
   chatMessages.appendChild(messageElement);
   messageElement.appendChild(infoElement);
+  
+  if (historyMessage) {
+    attachMessageControls(messageElement, historyMessage);
+  }
+  
   scrollToBottom();
+  return messageElement;
+}
+
+// Display an assistant message in the chat
+function displayAssistantMessage(message, historyMessage = null) {
+  const messageElement = document.createElement('div');
+  messageElement.className = 'message assistant';
+  
+  const contentElement = document.createElement('div');
+  contentElement.className = 'message-content markdown-content';
+  contentElement.innerHTML = MarkdownRenderer.render(message);
+  
+  const infoElement = document.createElement('div');
+  infoElement.className = 'message-info';
+  infoElement.textContent = formatMessageTime(historyMessage ? historyMessage.createdAt : new Date());
+  
+  messageElement.appendChild(contentElement);
+  chatMessages.appendChild(messageElement);
+  messageElement.appendChild(infoElement);
+  
+  if (historyMessage && historyMessage.thinking) {
+    updateReasoningPanel(messageElement, getThinkingText(historyMessage.thinking));
+  }
+  
+  // Tool calls that already ran are shown as they ended
+  if (historyMessage && historyMessage.toolCalls) {
+    const toolCallList = getToolCallList(messageElement);
+    historyMessage.toolCalls.forEach(call => toolCallList.appendChild(createToolCallCard(call)));
+  }
+  
+  if (historyMessage) {
+    attachMessageControls(messageElement, historyMessage);
+  }
+  
+  scrollToBottom();
+  
+  return messageElement;
+}
+
+// Replace the text of an assistant message while it is being streamed
+function updateAssistantMessage(messageElement, message) {
+  const contentElement = messageElement.querySelector('.message-content');
+  if (!contentElement) return;
+  
+  contentElement.innerHTML = MarkdownRenderer.render(message);
+  // The answer follows the reasoning, so the thinking is over
+  finishReasoningPanel(messageElement);
+  scrollToBottom();
+}
+
+// Text of a reply's thinking blocks; redacted blocks hold encrypted reasoning that can't be shown
+function getThinkingText(thinking) {
+  const blocks = Array.isArray(thinking) ? thinking : [];
+  const text = blocks.filter(block => block.type === 'thinking').map(block => block.thinking).join('\n\n');
+  const redacted = blocks.some(block => block.type === 'redacted_thinking')
+    ? 'Part of the reasoning was redacted by the API.'
+    : '';
+  return [text, redacted].filter(Boolean).join('\n\n');
+}
+
+// Show Claude's reasoning in a collapsible panel above the answer; it starts collapsed
+function updateReasoningPanel(messageElement, thinkingText, { streaming = false } = {}) {
+  let panel = messageElement.querySelector('.message-reasoning');
+  if (!panel) {
+    panel = document.createElement('details');
+    panel.className = 'message-reasoning';
+    
+    const summary = document.createElement('summary');
+    panel.appendChild(summary);
+    
+    const content = document.createElement('div');
+    content.className = 'message-reasoning-content';
+    panel.appendChild(content);
+    
+    messageElement.insertBefore(panel, messageElement.querySelector('.message-content'));
+  }
+  
+  panel.querySelector('.message-reasoning-content').textContent = thinkingText;
+  panel.classList.toggle('streaming', streaming);
+  panel.querySelector('summary').textContent = streaming ? 'Thinking...' : 'Reasoning';
+  if (streaming && panel.open) {
+    scrollToBottom();
+  }
+}
+
+function finishReasoningPanel(messageElement) {
+  const panel = messageElement.querySelector('.message-reasoning.streaming');
+  if (!panel) return;
+  
+  panel.classList.remove('streaming');
+  panel.querySelector('summary').textContent = 'Reasoning';
+}
+
+// Add the hover actions and, when the message has alternatives, the branch switcher
+function attachMessageControls(messageElement, message) {
+  // Lets search results find the message on screen
+  messageElement.dataset.messageId = message.id;
+  showMessageDetails(messageElement, message);
+  attachMessageActions(messageElement, message);
+  attachBranchNavigation(messageElement, message);
+}
+
+// Show "‹ 2 / 3 ›" for a message with sibling versions
+function attachBranchNavigation(messageElement, message) {
+  const siblings = MessageTree.getSiblings(messageTree, message);
+  if (siblings.length < 2) return;
+  
+  const position = siblings.findIndex(sibling => sibling.id === message.id);
+  
+  const navigation = document.createElement('span');
+  navigation.className = 'message-branch-nav';
+  
+  const previousButton = document.createElement('button');
+  previousButton.className = 'message-branch-button';
+  previousButton.title = 'Previous version';
+  previousButton.textContent = '‹';
+  previousButton.disabled = position === 0;
+  previousButton.addEventListener('click', () => selectBranch(siblings[position - 1].id));
+  
+  const label = document.createElement('span');
+  label.className = 'message-branch-label';
+  label.textContent = `${position + 1} / ${siblings.length}`;
+  
+  const nextButton = document.createElement('button');
+  nextButton.className = 'message-branch-button';
+  nextButton.title = 'Next version';
+  nextButton.textContent = '›';
+  nextButton.disabled = position === siblings.length - 1;
+  nextButton.addEventListener('click', () => selectBranch(siblings[position + 1].id));
+  
+  navigation.appendChild(previousButton);
+  navigation.appendChild(label);
+  navigation.appendChild(nextButton);
+  
+  const infoElement = messageElement.querySelector('.message-info');
+  if (infoElement) {
+    infoElement.appendChild(navigation);
+  } else {
+    messageElement.appendChild(navigation);
+  }
+}
+
+// Show another version of a message and the latest conversation that follows it
+async function selectBranch(nodeId) {
+  if (isWaitingForResponse) return;
+  
+  activeLeafId = MessageTree.getLatestLeaf(messageTree, nodeId);
+  refreshActivePath();
+  await persistMessageHistory();
+  redrawActiveBranch();
+}
+
+// Add hover actions to a chat message
+function attachMessageActions(messageElement, message) {
+  const actions = document.createElement('div');
+  actions.className = 'message-actions';
+  
+  const actionButtons = [
+    { label: 'Copy', icon: '⧉', handler: (button) => copyMessage(message, button) }
+  ];
+  if (message.role === 'user') {
+    actionButtons.push({ label: 'Edit and resend', icon: '✎', handler: () => startEditMessage(messageElement, message) });
+  } else if (message.role === 'assistant') {
+    actionButtons.push({ label: 'Regenerate', icon: '↻', handler: () => regenerateMessage(messageElement, message) });
+  }
+  actionButtons.push({ label: 'Delete', icon: '🗑', handler: () => deleteMessage(messageElement, message) });
+  
+  actionButtons.forEach(({ label, icon, handler }) => {
+    const button = document.createElement('button');
+    button.className = 'message-action';
+    button.title = label;
+    button.textContent = icon;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      handler(button);
+    });
+    actions.appendChild(button);
+  });
+  
+  messageElement.appendChild(actions);
+}
+
+// Copy a message's text to the clipboard
+async function copyMessage(message, button) {
+  try {
+    await navigator.clipboard.writeText(message.content);
+    button.textContent = '✓';
+    setTimeout(() => {
+      button.textContent = '⧉';
+    }, 1500);
+  } catch (error) {
+    console.error('Failed to copy message:', error);
+    displayErrorMessage('Could not copy the message to the clipboard.');
+  }
+}
+
+// Remove a message element and everything displayed after it
+function removeMessagesFrom(messageElement) {
+  while (messageElement.nextSibling) {
+    messageElement.nextSibling.remove();
+  }
+  messageElement.remove();
+}
+
+// Delete a single message from the chat and the saved history
+async function deleteMessage(messageElement, message) {
+  if (isWaitingForResponse) return;
+  
+  if (MessageTree.findNode(messageTree, message.id)) {
+    removeMessageNode(message);
+    await persistMessageHistory();
+    // Replies may have moved up a level, so redraw the branch
+    redrawActiveBranch();
+  } else {
+    messageElement.remove();
+  }
+}
+
+// Replace a user message with an editor; sending it starts a new branch
+function startEditMessage(messageElement, message) {
+  if (isWaitingForResponse || messageElement.querySelector('.message-edit')) return;
+  
+  const contentElement = messageElement.querySelector('.message-content');
+  contentElement.classList.add('hidden');
+  
+  const editor = document.createElement('div');
+  editor.className = 'message-edit';
+  
+  const input = document.createElement('textarea');
+  input.className = 'message-edit-input';
+  input.value = message.content;
+  
+  const buttons = document.createElement('div');
+  buttons.className = 'message-edit-buttons';
+  
+  const cancelButton = document.createElement('button');
+  cancelButton.className = 'message-edit-cancel';
+  cancelButton.textContent = 'Cancel';
+  
+  const sendEditButton = document.createElement('button');
+  sendEditButton.className = 'message-edit-send';
+  sendEditButton.textContent = 'Send';
+  
+  buttons.appendChild(cancelButton);
+  buttons.appendChild(sendEditButton);
+  editor.appendChild(input);
+  editor.appendChild(buttons);
+  messageElement.insertBefore(editor, contentElement.nextSibling);
+  
+  const closeEditor = () => {
+    editor.remove();
+    contentElement.classList.remove('hidden');
+  };
+  
+  const submitEdit = () => {
+    const newText = input.value.trim();
+    if (!newText && !message.attachments) return;
+    resendEditedMessage(messageElement, message, newText);
+  };
+  
+  cancelButton.addEventListener('click', closeEditor);
+  sendEditButton.addEventListener('click', submitEdit);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      submitEdit();
+    } else if (e.key === 'Escape') {
+      closeEditor();
+    }
+  });
+  
+  input.focus();
+  input.setSelectionRange(input.value.length, input.value.length);
+}
+
+// Add the edited text as a sibling of the original message and continue from there
+// The original message and its replies stay available as another branch
+async function resendEditedMessage(messageElement, message, newText) {
+  if (isWaitingForResponse) return;
+  
+  if (!isOnline) {
+    displayErrorMessage('You are offline. Cannot send messages.');
+    return;
+  }
+  
+  // A message missing from history (e.g. after a stopped turn) is resent at the end
+  const parentId = MessageTree.findNode(messageTree, message.id) ? message.parentId : activeLeafId;
+  appendMessage('user', newText, parentId, message.attachments || []);
+  await persistMessageHistory();
+  
+  redrawActiveBranch();
+  await streamChatReply();
+}
+
+// Ask Claude to answer again; the new reply becomes a sibling of this one
+async function regenerateMessage(messageElement, message) {
+  if (isWaitingForResponse) return;
+  
+  if (!isOnline) {
+    displayErrorMessage('You are offline. Cannot send messages.');
+    return;
+  }
+  
+  if (!MessageTree.findNode(messageTree, message.id)) return;
+  
+  // Step back to the message being answered; the old reply stays as another branch
+  activeLeafId = message.parentId;
+  refreshActivePath();
+  
+  removeMessagesFrom(messageElement);
+  await streamChatReply();
+}
+
+// The list of tool call cards in an assistant message, created under its text when needed
+function getToolCallList(messageElement) {
+  let list = messageElement.querySelector('.tool-call-list');
+  if (!list) {
+    list = document.createElement('div');
+    list.className = 'tool-call-list';
+    messageElement.querySelector('.message-content').after(list);
+  }
+  return list;
+}
+
+function getToolTitle(name) {
+  const tool = toolList.find(entry => entry.name === name);
+  return tool ? tool.title : name;
+}
+
+// Expandable card showing a tool call's input and result
+function createToolCallCard(call) {
+  const card = document.createElement('details');
+  card.className = 'tool-call';
+  
+  const heading = document.createElement('summary');
+  const nameElement = document.createElement('span');
+  nameElement.className = 'tool-call-name';
+  nameElement.textContent = getToolTitle(call.name);
+  const statusElement = document.createElement('span');
+  statusElement.className = 'tool-call-status';
+  heading.appendChild(nameElement);
+  heading.appendChild(statusElement);
+  
+  const body = document.createElement('div');
+  body.className = 'tool-call-body';
+  
+  card.appendChild(heading);
+  card.appendChild(body);
+  updateToolCallCard(card, call);
+  return card;
+}
+
+function updateToolCallCard(card, call) {
+  card.dataset.status = call.status;
+  card.querySelector('.tool-call-status').textContent = TOOL_STATUS_LABELS[call.status] || call.status;
+  
+  const body = card.querySelector('.tool-call-body');
+  body.innerHTML = '';
+  
+  const sections = [['Input', JSON.stringify(call.input || {}, null, 2)]];
+  if (call.result) {
+    sections.push(['Result', call.result]);
+  }
+  sections.forEach(([label, text]) => {
+    const labelElement = document.createElement('div');
+    labelElement.className = 'tool-call-label';
+    labelElement.textContent = label;
+    const textElement = document.createElement('pre');
+    textElement.textContent = text;
+    body.appendChild(labelElement);
+    body.appendChild(textElement);
+  });
+}
+
+// Add Allow and Deny buttons to a tool call card
+// Resolves to 'allow' or 'deny', or 'stop' when the response is stopped first
+function requestToolApproval(card) {
+  card.open = true;
+  
+  return new Promise(resolve => {
+    const actions = document.createElement('div');
+    actions.className = 'tool-call-actions';
+    
+    const finish = (decision) => {
+      pendingToolApprovals.delete(finish);
+      actions.remove();
+      resolve(decision);
+    };
+    
+    [['allow', 'Allow'], ['deny', 'Deny']].forEach(([decision, label]) => {
+      const button = document.createElement('button');
+      button.className = `tool-call-${decision}`;
+      button.textContent = label;
+      button.addEventListener('click', () => finish(decision));
+      actions.appendChild(button);
+    });
+    
+    card.appendChild(actions);
+    card.scrollIntoView({ block: 'nearest' });
+    pendingToolApprovals.add(finish);
+  });
+}
+
+// Ask the user about each tool call in a reply and run the ones they allow in the main process
+// Returns false when the response was stopped instead, so the results are not sent to Claude
+async function runToolCalls(node, container) {
+  const cards = node.toolCalls.map(call => {
+    const card = createToolCallCard(call);
+    container.appendChild(card);
+    return card;
+  });
+  
+  for (let i = 0; i < node.toolCalls.length; i++) {
+    const call = node.toolCalls[i];
+    const decision = await requestToolApproval(cards[i]);
+    
+    if (decision === 'stop') {
+      return stopToolCalls(node, container, TOOL_STOPPED_RESULT, cards);
+    }
+    
+    if (decision === 'deny') {
+      call.status = 'denied';
+      call.result = 'The user denied this tool call.';
+    } else {
+      call.status = 'running';
+      updateToolCallCard(cards[i], call);
+      setRobotWorking(true, getToolTitle(call.name));
+      
+      let outcome;
+      try {
+        outcome = await window.api.tools.run(call.name, call.input || {});
+      } catch (error) {
+        outcome = { success: false, error: error.message };
+      } finally {
+        setRobotWorking(false);
+      }
+      
+      call.status = outcome.success ? 'done' : 'error';
+      call.result = outcome.success ? outcome.result : outcome.error;
+    }
+    updateToolCallCard(cards[i], call);
+  }
+  
+  return true;
+}
+
+// Mark the tool calls that haven't run as not run, showing cards for them if needed
+// Always returns false, since the turn ends here
+function stopToolCalls(node, container, reason, cards = null) {
+  node.toolCalls.forEach((call, index) => {
+    if (call.status === 'pending') {
+      call.status = 'stopped';
+      call.result = reason;
+    }
+    if (cards) {
+      updateToolCallCard(cards[index], call);
+    } else {
+      container.appendChild(createToolCallCard(call));
+    }
+  });
+  return false;
+}
+
+// Show the robot's working expression while a tool runs
+function setRobotWorking(working, label) {
+  const robot = window.claudeRobot;
+  if (!robot) return;
+  
+  if (working && typeof robot.showWorking === 'function') {
+    robot.showWorking(label);
+  } else if (!working && typeof robot.hideWorking === 'function') {
+    robot.hideWorking();
+  }
+}
+
+// Show attachments as image thumbnails or file chips
+// onRemove adds a remove button, used for attachments that haven't been sent yet
+function createAttachmentList(attachments, { onRemove } = {}) {
+  const list = document.createElement('div');
+  list.className = 'attachment-list';
+  
+  attachments.forEach(attachment => {
+    const item = document.createElement('div');
+    item.className = `attachment-item ${attachment.kind}`;
+    item.title = `${attachment.name} (${Attachments.formatSize(attachment.size)})`;
+    
+    if (attachment.kind === 'image') {
+      const image = document.createElement('img');
+      image.className = 'attachment-thumbnail';
+      image.alt = attachment.name;
+      loadAttachmentPreview(image, attachment);
+      item.appendChild(image);
+    } else {
+      const icon = document.createElement('span');
+      icon.className = 'attachment-icon';
+      icon.textContent = attachment.kind === 'document' ? '📄' : '📝';
+      
+      const name = document.createElement('span');
+      name.className = 'attachment-name';
+      name.textContent = attachment.name;
+      
+      item.appendChild(icon);
+      item.appendChild(name);
+    }
+    
+    if (onRemove) {
+      const removeButton = document.createElement('button');
+      removeButton.className = 'attachment-remove';
+      removeButton.title = 'Remove attachment';
+      removeButton.textContent = '✕';
+      removeButton.addEventListener('click', () => onRemove(attachment));
+      item.appendChild(removeButton);
+    }
+    
+    list.appendChild(item);
+  });
+  
+  return list;
+}
+
+// Load an image attachment from the main process into a thumbnail
+async function loadAttachmentPreview(image, attachment) {
+  try {
+    if (!attachmentPreviewCache.has(attachment.id)) {
+      const result = await window.api.attachments.read(attachment.id);
+      if (!result.success) {
+        image.alt = `${attachment.name} (no longer available)`;
+        return;
+      }
+      attachmentPreviewCache.set(attachment.id, `data:${attachment.mediaType};base64,${result.data}`);
+    }
+    image.src = attachmentPreviewCache.get(attachment.id);
+  } catch (error) {
+    console.error('Error loading attachment preview:', error);
+  }
+}
+
+// Show the attachments waiting to be sent above the message input
+function renderPendingAttachments() {
+  attachmentPreviews.innerHTML = '';
+  attachmentPreviews.classList.toggle('hidden', pendingAttachments.length === 0);
+  
+  if (pendingAttachments.length > 0) {
+    attachmentPreviews.appendChild(createAttachmentList(pendingAttachments, {
+      onRemove: (attachment) => {
+        pendingAttachments = pendingAttachments.filter(item => item.id !== attachment.id);
+        renderPendingAttachments();
+      }
+    }));
+  }
+}
+
+// Choose files in the system file dialog; the main process reads and stores them
+async function pickAttachments() {
+  try {
+    const result = await window.api.attachments.pick();
+    pendingAttachments = pendingAttachments.concat(result.attachments || []);
+    renderPendingAttachments();
+    (result.errors || []).forEach(error => displayErrorMessage(error));
+    messageInput.focus();
+  } catch (error) {
+    console.error('Error picking attachments:', error);
+    displayErrorMessage('Could not open the file picker.');
+  }
+}
+
+// Attach files dropped on the window
+async function addDroppedFiles(files) {
+  for (const file of files) {
+    // Check the type and size first so oversized files are never read
+    const mediaType = Attachments.getMediaType(file.name, file.type);
+    const validationError = Attachments.validateFile({ name: file.name, size: file.size, mediaType });
+    if (validationError) {
+      displayErrorMessage(validationError);
+      continue;
+    }
+    
+    try {
+      const data = await readFileAsBase64(file);
+      const result = await window.api.attachments.add({ name: file.name, mediaType, data });
+      if (result.success) {
+        pendingAttachments.push(result.attachment);
+      } else {
+        displayErrorMessage(result.error);
+      }
+    } catch (error) {
+      console.error('Error attaching dropped file:', error);
+      displayErrorMessage(`Could not attach ${file.name}.`);
+    }
+  }
+  
+  renderPendingAttachments();
+}
+
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+// Files can only be attached while the chat input is shown
+function canAttachFiles(event) {
+  const chatInputContainer = document.getElementById('chat-input-container');
+  return event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files') &&
+    chatInputContainer.offsetParent !== null;
+}
+
+function handleFileDragOver(event) {
+  // Always prevent the default, otherwise dropping a file navigates the window to it
+  event.preventDefault();
+  if (canAttachFiles(event)) {
+    event.dataTransfer.dropEffect = 'copy';
+    document.body.classList.add('file-drag-over');
+  } else if (event.dataTransfer) {
+    event.dataTransfer.dropEffect = 'none';
+  }
+}
+
+function handleFileDrop(event) {
+  event.preventDefault();
+  document.body.classList.remove('file-drag-over');
+  
+  if (canAttachFiles(event) && event.dataTransfer.files.length > 0) {
+    addDroppedFiles(Array.from(event.dataTransfer.files));
+  }
+}
+
+// Display a system message
+function displaySystemMessage(message) {
+  const messageElement = document.createElement('div');
+  messageElement.className = 'message system';
+  messageElement.textContent = message;
+  
+  chatMessages.appendChild(messageElement);
+  scrollToBottom();
+  return messageElement;
+}
+
+// Display the summary that replaced older messages as a collapsible note
+function displayContextSummary(summary) {
+  const summaryElement = document.createElement('details');
+  summaryElement.className = 'message system context-summary';
+  
+  const heading = document.createElement('summary');
+  heading.textContent = `${summary.messageCount} earlier messages were summarized to fit the context window`;
+  
+  const contentElement = document.createElement('div');
+  contentElement.className = 'context-summary-text markdown-content';
+  contentElement.innerHTML = MarkdownRenderer.render(summary.text);
+  
+  summaryElement.appendChild(heading);
+  summaryElement.appendChild(contentElement);
+  chatMessages.appendChild(summaryElement);
+  scrollToBottom();
+}
+
+// Display an error message
+// onRetry adds a Retry button; it removes the error when it returns true
+function displayErrorMessage(message, { onRetry } = {}) {
+  const messageElement = document.createElement('div');
+  messageElement.className = 'message error';
+  messageElement.textContent = message;
+  
+  if (onRetry) {
+    const retryButton = document.createElement('button');
+    retryButton.className = 'message-retry-button';
+    retryButton.textContent = 'Retry';
+    retryButton.addEventListener('click', () => {
+      if (onRetry()) {
+        messageElement.remove();
+      }
+    });
+    messageElement.appendChild(retryButton);
+  }
+  
+  chatMessages.appendChild(messageElement);
+  scrollToBottom();
+}
+
+// Render the message history
+function renderMessageHistory() {
+  // Clear the chat messages
+  chatMessages.innerHTML = '';
+  
+  // Display system welcome message
+  displaySystemMessage('Welcome back to Claude Desktop!');
+  
+  renderMessages();
+}
+
+// Redraw the chat and robot transcript after the active branch changes
+function redrawActiveBranch() {
+  if (window.claudeRobot && typeof window.claudeRobot.clearTranscript === 'function') {
+    window.claudeRobot.clearTranscript();
+    window.claudeRobot.restoreTranscript(messageHistory);
+  }
+  
+  chatMessages.innerHTML = '';
+  renderMessages();
+}
+
+// Display each message on the active branch
+function renderMessages() {
+  messageHistory.forEach(message => {
+    if (message.role === 'user') {
+      displayUserMessage(message.content, message);
+    } else if (message.role === 'assistant') {
+      displayAssistantMessage(message.content, message);
+    }
+    
+    if (message.contextSummary) {
+      displayContextSummary(message.contextSummary);
+    }
+  });
+}
+
+// Clear the chat history
+function clearHistory() {
+  messageTree = [];
+  activeLeafId = null;
+  messageHistory = [];
+  chatMessages.innerHTML = '';
+  if (window.claudeRobot && typeof window.claudeRobot.clearTranscript === 'function') {
+    window.claudeRobot.clearTranscript();
+  }
+  persistMessageHistory();
+  displaySystemMessage('Conversation history cleared.');
+}
+
+// Save the message history of the active conversation and refresh the sidebar
+async function persistMessageHistory() {
+  if (activeConversation) {
+    await window.api.conversations.save(activeConversation.id, { messages: messageTree, activeLeafId });
+    activeConversation.messages = messageTree;
+    activeConversation.activeLeafId = activeLeafId;
+  } else {
+    await window.api.saveMessageHistory(messageTree);
+  }
+  await refreshConversationList();
+}
+
+// Model, system prompt and temperature for the active conversation
+// A persona picked for the conversation wins over the conversation's own settings and the defaults
+function getConversationSettings() {
+  const persona = getActivePersona();
+  if (persona) {
+    return {
+      model: persona.model || activeConversation.model || appConfig.model,
+      systemPrompt: persona.systemPrompt,
+      temperature: persona.temperature,
+      persona
+    };
+  }
+  
+  return {
+    model: (activeConversation && activeConversation.model) || appConfig.model,
+    systemPrompt: activeConversation && typeof activeConversation.systemPrompt === 'string'
+      ? activeConversation.systemPrompt
+      : appConfig.systemPrompt,
+    temperature: appConfig.temperature !== undefined ? appConfig.temperature : 0.7,
+    persona: null
+  };
+}
+
+// Reload the conversation summaries and redraw the sidebar
+async function refreshConversationList() {
+  try {
+    conversations = await window.api.conversations.list();
+    renderConversationList();
+  } catch (error) {
+    console.error('Failed to load conversations:', error);
+  }
+}
+
+// Draw the conversation sidebar
+function renderConversationList() {
+  if (!conversationList) return;
+  
+  // The title bar shows the running total of the active conversation
+  renderConversationUsage();
+  
+  conversationList.innerHTML = '';
+  
+  conversations.forEach(conversation => {
+    const item = document.createElement('li');
+    item.className = 'conversation-item';
+    item.dataset.id = conversation.id;
+    item.title = conversation.title;
+    if (activeConversation && conversation.id === activeConversation.id) {
+      item.classList.add('active');
+    }
+    if (conversation.pinned) {
+      item.classList.add('pinned');
+      const pinIndicator = document.createElement('span');
+      pinIndicator.className = 'conversation-pin-indicator';
+      pinIndicator.textContent = '📌';
+      item.appendChild(pinIndicator);
+    }
+    
+    const title = document.createElement('span');
+    title.className = 'conversation-title';
+    title.textContent = conversation.title;
+    item.appendChild(title);
+    
+    // Hover actions: pin, rename, export, delete
+    const actions = document.createElement('div');
+    actions.className = 'conversation-actions';
+    
+    const actionButtons = [
+      { label: conversation.pinned ? 'Unpin' : 'Pin', icon: conversation.pinned ? '⊘' : '📌', handler: () => togglePinConversation(conversation) },
+      { label: 'Rename', icon: '✎', handler: () => startRenameConversation(item, conversation) },
+      { label: 'Export', icon: '⇩', handler: () => showExportModal([conversation.id]) },
+      { label: 'Delete', icon: '🗑', handler: () => deleteConversation(conversation) }
+    ];
+    
+    actionButtons.forEach(({ label, icon, handler }) => {
+      const button = document.createElement('button');
+      button.className = 'conversation-action';
+      button.title = label;
+      button.textContent = icon;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handler();
+      });
+      actions.appendChild(button);
+    });
+    
+    item.appendChild(actions);
+    
+    item.addEventListener('click', () => switchConversation(conversation.id));
+    item.addEventListener('dblclick', () => startRenameConversation(item, conversation));
+    
+    conversationList.appendChild(item);
+  });
+}
+
+// Start a new, empty conversation using the current default settings
+async function createNewConversation() {
+  if (isWaitingForResponse) {
+    displayErrorMessage('Please wait for the current response before starting a new conversation.');
+    return;
+  }
+  
+  const conversation = await window.api.conversations.create({
+    model: appConfig.model,
+    systemPrompt: appConfig.systemPrompt
+  });
+  
+  if (!conversation) {
+    displayErrorMessage('Failed to create a new conversation.');
+    return;
+  }
+  
+  activeConversation = conversation;
+  loadConversationMessages(conversation);
+  showActiveConversation();
+  applyPersona();
+  await refreshConversationList();
+  messageInput.focus();
+}
+
+// Switch the chat to another stored conversation
+async function switchConversation(id) {
+  if (activeConversation && activeConversation.id === id) return;
+  
+  if (isWaitingForResponse) {
+    displayErrorMessage('Please wait for the current response before switching conversations.');
+    return;
+  }
+  
+  const conversation = await window.api.conversations.setActive(id);
+  if (!conversation) {
+    displayErrorMessage('Could not open that conversation.');
+    await refreshConversationList();
+    return;
+  }
+  
+  activeConversation = conversation;
+  loadConversationMessages(conversation);
+  showActiveConversation();
+  applyPersona();
+  renderConversationList();
+}
+
+// Redraw the chat or robot transcript for the active conversation
+function showActiveConversation() {
+  if (window.claudeRobot && typeof window.claudeRobot.clearTranscript === 'function') {
+    window.claudeRobot.clearTranscript();
+    window.claudeRobot.restoreTranscript(messageHistory);
+  }
+  
+  if (messageHistory.length > 0) {
+    renderMessageHistory();
+  } else {
+    chatMessages.innerHTML = '';
+    displaySystemMessage('New conversation started.');
+  }
+  
+  renderOutbox();
+}
+
+// Store a conversation's updated token totals after a request
+function updateConversationUsage(conversationId, usage) {
+  if (activeConversation && activeConversation.id === conversationId) {
+    activeConversation.usage = usage;
+    renderConversationUsage();
+  }
+}
+
+// Show the active conversation's tokens and estimated cost in the title bar
+function renderConversationUsage() {
+  if (!conversationUsageButton) return;
+  
+  const summary = Usage.summarize(activeConversation && activeConversation.usage);
+  if (summary.totals.requests === 0) {
+    conversationUsageButton.classList.add('hidden');
+    return;
+  }
+  
+  const cost = summary.unpricedModels.length > 0 && summary.cost === 0 ? null : summary.cost;
+  conversationUsageButton.textContent = `${Usage.formatTokens(Usage.totalTokens(summary.totals))} tokens · ${Usage.formatCost(cost)}`;
+  conversationUsageButton.title = [
+    `Input: ${summary.totals.inputTokens.toLocaleString()} tokens`,
+    `Output: ${summary.totals.outputTokens.toLocaleString()} tokens`,
+    `Cache write: ${summary.totals.cacheCreationTokens.toLocaleString()} tokens`,
+    `Cache read: ${summary.totals.cacheReadTokens.toLocaleString()} tokens`,
+    ...(summary.totals.cacheCreationTokens > 0 || summary.totals.cacheReadTokens > 0
+      ? [`Saved by prompt caching: ${Usage.formatCost(summary.cacheSavings)}`]
+      : []),
+    `Requests: ${summary.totals.requests}`,
+    'Click for the usage report'
+  ].join('\n');
+  conversationUsageButton.classList.remove('hidden');
+}
+
+// Replace a conversation title with an inline text field
+function startRenameConversation(item, conversation) {
+  const title = item.querySelector('.conversation-title');
+  if (!title) return;
+  
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'conversation-title-input';
+  input.value = conversation.title;
+  
+  let finished = false;
+  const finish = async (save) => {
+    if (finished) return;
+    finished = true;
+    
+    const newTitle = input.value.trim();
+    if (save && newTitle && newTitle !== conversation.title) {
+      await window.api.conversations.save(conversation.id, { title: newTitle });
+    }
+    await refreshConversationList();
+  };
+  
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      finish(true);
+    } else if (e.key === 'Escape') {
+      finish(false);
+    }
+  });
+  input.addEventListener('blur', () => finish(true));
+  input.addEventListener('click', (e) => e.stopPropagation());
+  
+  item.replaceChild(input, title);
+  input.focus();
+  input.select();
+}
+
+// Pin or unpin a conversation to the top of the sidebar
+async function togglePinConversation(conversation) {
+  await window.api.conversations.save(conversation.id, { pinned: !conversation.pinned });
+  await refreshConversationList();
+}
+
+// Delete a conversation after confirmation
+async function deleteConversation(conversation) {
+  if (isWaitingForResponse && activeConversation && activeConversation.id === conversation.id) {
+    displayErrorMessage('Please wait for the current response before deleting this conversation.');
+    return;
+  }
+  
+  if (!confirm(`Delete "${conversation.title}"? This cannot be undone.`)) return;
+  
+  const deleted = await window.api.conversations.delete(conversation.id);
+  if (!deleted) {
+    displayErrorMessage('Failed to delete the conversation.');
+    return;
+  }
+  
+  // The main process drops the conversation's queued messages along with it
+  outbox = outbox.filter(item => item.conversationId !== conversation.id);
+  renderOutbox();
+  
+  // The main process picks a new active conversation if the active one was deleted
+  if (activeConversation && activeConversation.id === conversation.id) {
+    activeConversation = await window.api.conversations.getActive();
+    loadConversationMessages(activeConversation);
+    showActiveConversation();
+    applyPersona();
+  }
+  
+  await refreshConversationList();
+}
+
+// Load the personas from the main process and refresh the persona picker
+async function loadPersonas() {
+  try {
+    personas = await window.api.personas.list();
+  } catch (error) {
+    console.error('Failed to load personas:', error);
+    personas = [];
+  }
+  renderPersonaPicker();
+}
+
+// The persona picked for the active conversation, if it still exists
+function getActivePersona() {
+  if (!activeConversation || !activeConversation.personaId) return null;
+  return personas.find(persona => persona.id === activeConversation.personaId) || null;
+}
+
+// Fill the title bar persona picker
+function renderPersonaPicker() {
+  if (!personaSelect) return;
+  
+  personaSelect.innerHTML = '';
+  
+  const options = [
+    { value: '', label: 'No persona' },
+    ...personas.map(persona => ({ value: persona.id, label: persona.name })),
+    { value: MANAGE_PERSONAS_OPTION, label: 'Manage personas...' }
+  ];
+  options.forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    personaSelect.appendChild(option);
+  });
+  
+  const persona = getActivePersona();
+  personaSelect.value = persona ? persona.id : '';
+  personaSelect.classList.toggle('has-persona', !!persona);
+  personaSelect.title = persona && persona.description
+    ? `${persona.name}: ${persona.description}`
+    : 'Persona for this conversation';
+}
+
+// Show the active conversation's persona: picker, robot face colors and voice
+function applyPersona() {
+  const persona = getActivePersona();
+  
+  renderPersonaPicker();
+  applyRobotFaceOptions(persona ? persona.faceOptions : null);
+  applySpeechSettings(persona ? persona.speechOptions : getSavedSpeechSettings());
+}
+
+// Robot face colors are CSS variables, so the face and its animations follow them without a redraw
+function applyRobotFaceOptions(faceOptions) {
+  robotFaceOptions = Personas.normalizeFaceOptions(faceOptions);
+  
+  Personas.FACE_COLOR_KEYS.forEach(key => {
+    const variable = `--robot-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+    document.documentElement.style.setProperty(variable, robotFaceOptions[key]);
+  });
+}
+
+// Voice settings chosen in the robot's speech controls, used when there is no persona
+function getSavedSpeechSettings() {
+  return Personas.normalizeSpeechOptions({
+    voiceURI: localStorage.getItem('speech-voice'),
+    rate: localStorage.getItem('speech-rate'),
+    pitch: localStorage.getItem('speech-pitch')
+  });
+}
+
+// Set the speech manager's voice, rate and pitch and keep the robot's speech controls in step
+function applySpeechSettings(speechOptions) {
+  if (!window.speechManager) return;
+  
+  const { voiceURI, rate, pitch } = Personas.normalizeSpeechOptions(speechOptions);
+  window.speechManager.rate = rate;
+  window.speechManager.pitch = pitch;
+  
+  // Without a voice the speech manager picks one for its language again
+  window.speechManager.voiceURI = voiceURI;
+  window.speechManager.voice = null;
+  if (window.speechManager.supported) {
+    window.speechManager.initVoices();
+  }
+  
+  const controls = [
+    ['#speech-rate', '#speech-rate-value', rate],
+    ['#speech-pitch', '#speech-pitch-value', pitch]
+  ];
+  controls.forEach(([sliderSelector, valueSelector, value]) => {
+    const slider = document.querySelector(sliderSelector);
+    const valueElement = document.querySelector(valueSelector);
+    if (slider && valueElement) {
+      slider.value = value;
+      valueElement.textContent = value.toFixed(1);
+    }
+  });
+  
+  const voiceSelect = document.querySelector('#speech-voice');
+  if (voiceSelect && window.speechManager.voice) {
+    voiceSelect.value = window.speechManager.voice.voiceURI;
+  }
+}
+
+// Pick a persona for the active conversation, or none with null; returns whether it worked
+async function setConversationPersona(personaId) {
+  if (!activeConversation) return false;
+  
+  if (isWaitingForResponse) {
+    displayErrorMessage('Please wait for the current response before changing the persona.');
+    renderPersonaPicker();
+    return false;
+  }
+  
+  const updatedConversation = await window.api.conversations.save(activeConversation.id, { personaId });
+  if (!updatedConversation) {
+    displayErrorMessage('Failed to change the persona.');
+    renderPersonaPicker();
+    return false;
+  }
+  
+  activeConversation = updatedConversation;
+  applyPersona();
+  
+  const persona = getActivePersona();
+  displaySystemMessage(persona
+    ? `Now using the ${persona.name} persona.`
+    : 'No persona - the conversation uses its own model and system prompt again.');
+  return true;
+}
+
+// Open the persona manager on the given persona, or the active conversation's
+async function showPersonaModal(personaId) {
+  await loadPersonas();
+  
+  const active = getActivePersona();
+  const selected = personas.find(persona => persona.id === personaId) || active || personas[0];
+  selectPersonaForEditing(selected ? selected.id : null);
+  
+  personaModal.classList.remove('hidden');
+  personaNameInput.focus();
+}
+
+// Draw the persona list in the manager, marking the one being edited
+function renderPersonaList() {
+  personaListElement.innerHTML = '';
+  
+  personas.forEach(persona => {
+    const item = document.createElement('li');
+    item.dataset.id = persona.id;
+    item.title = persona.description || persona.name;
+    item.classList.toggle('selected', persona.id === editingPersonaId);
+    
+    const swatch = document.createElement('span');
+    swatch.className = 'persona-swatch';
+    swatch.style.backgroundColor = Personas.normalizeFaceOptions(persona.faceOptions).primaryColor;
+    item.appendChild(swatch);
+    
+    const name = document.createElement('span');
+    name.className = 'persona-list-name';
+    name.textContent = persona.name;
+    item.appendChild(name);
+    
+    if (persona.builtIn) {
+      const tag = document.createElement('span');
+      tag.className = 'persona-built-in-tag';
+      tag.textContent = 'Built in';
+      item.appendChild(tag);
+    }
+    
+    item.addEventListener('click', () => selectPersonaForEditing(persona.id));
+    personaListElement.appendChild(item);
+  });
+}
+
+// Show a persona in the editor; null starts a new one from the current defaults
+function selectPersonaForEditing(personaId) {
+  const persona = personas.find(candidate => candidate.id === personaId) || null;
+  editingPersonaId = persona ? persona.id : null;
+  
+  fillPersonaForm(persona || {
+    name: '',
+    description: '',
+    systemPrompt: appConfig.systemPrompt || '',
+    model: appConfig.model,
+    temperature: appConfig.temperature,
+    faceOptions: Personas.DEFAULT_FACE_OPTIONS,
+    speechOptions: Personas.DEFAULT_SPEECH_OPTIONS
+  });
+  renderPersonaList();
+  setPersonaStatus('');
+}
+
+// Fill the persona editor; built-in personas are shown read-only
+function fillPersonaForm(persona) {
+  const readOnly = !!persona.builtIn;
+  const faceOptions = Personas.normalizeFaceOptions(persona.faceOptions);
+  const speechOptions = Personas.normalizeSpeechOptions(persona.speechOptions);
+  
+  personaNameInput.value = persona.name || '';
+  personaDescriptionInput.value = persona.description || '';
+  renderModelOptions(persona.model || appConfig.model, personaModelSelect);
+  personaTemperatureSlider.value = persona.temperature !== undefined ? persona.temperature : 0.7;
+  personaTemperatureValue.textContent = personaTemperatureSlider.value;
+  personaSystemPromptInput.value = persona.systemPrompt || '';
+  
+  personaFaceColorInputs.forEach(input => {
+    // Color inputs only take #rrggbb
+    input.value = faceOptions[input.dataset.faceColor].replace(/^#(.)(.)(.)$/, '#$1$1$2$2$3$3');
+  });
+  
+  renderPersonaVoiceOptions(speechOptions.voiceURI);
+  personaRateSlider.value = speechOptions.rate;
+  personaRateValue.textContent = speechOptions.rate.toFixed(1);
+  personaPitchSlider.value = speechOptions.pitch;
+  personaPitchValue.textContent = speechOptions.pitch.toFixed(1);
+  
+  const fields = [
+    personaNameInput, personaDescriptionInput, personaModelSelect, personaTemperatureSlider,
+    personaSystemPromptInput, personaVoiceSelect, personaRateSlider, personaPitchSlider,
+    ...personaFaceColorInputs
+  ];
+  fields.forEach(field => {
+    field.disabled = readOnly;
+  });
+  personaBuiltInNote.classList.toggle('hidden', !readOnly);
+  savePersonaButton.disabled = readOnly;
+  duplicatePersonaButton.disabled = !editingPersonaId;
+  deletePersonaButton.disabled = !editingPersonaId || readOnly;
+  exportPersonaButton.disabled = !editingPersonaId;
+  usePersonaButton.disabled = !editingPersonaId;
+}
+
+// Fill the voice picker with the system's voices, keeping a saved voice that isn't installed here
+function renderPersonaVoiceOptions(selectedVoiceURI) {
+  personaVoiceSelect.innerHTML = '';
+  
+  const voices = window.speechSynthesis ? window.speechSynthesis.getVoices() : [];
+  const options = [{ value: '', label: 'System default' }];
+  voices.forEach(voice => {
+    options.push({ value: voice.voiceURI, label: `${voice.name} (${voice.lang})` });
+  });
+  if (selectedVoiceURI && !voices.some(voice => voice.voiceURI === selectedVoiceURI)) {
+    options.push({ value: selectedVoiceURI, label: `${selectedVoiceURI} (not available)` });
+  }
+  
+  options.forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    personaVoiceSelect.appendChild(option);
+  });
+  
+  personaVoiceSelect.value = selectedVoiceURI || '';
+}
+
+// The persona in the editor as fields for the main process
+function readPersonaForm() {
+  const faceOptions = {};
+  personaFaceColorInputs.forEach(input => {
+    faceOptions[input.dataset.faceColor] = input.value;
+  });
+  
+  return {
+    name: personaNameInput.value.trim(),
+    description: personaDescriptionInput.value.trim(),
+    systemPrompt: personaSystemPromptInput.value,
+    model: personaModelSelect.value,
+    temperature: parseFloat(personaTemperatureSlider.value),
+    faceOptions,
+    speechOptions: {
+      voiceURI: personaVoiceSelect.value || null,
+      rate: parseFloat(personaRateSlider.value),
+      pitch: parseFloat(personaPitchSlider.value)
+    }
+  };
+}
+
+function setPersonaStatus(message, isError = false) {
+  personaStatus.textContent = message;
+  personaStatus.classList.toggle('error', isError);
+}
+
+function startNewPersona() {
+  selectPersonaForEditing(null);
+  personaNameInput.focus();
+}
+
+// Save the persona in the editor, creating it if it is new
+async function savePersona() {
+  const fields = readPersonaForm();
+  if (!fields.name) {
+    setPersonaStatus('Give the persona a name.', true);
+    personaNameInput.focus();
+    return;
+  }
+  
+  const result = await window.api.personas.save(editingPersonaId ? { ...fields, id: editingPersonaId } : fields);
+  if (!result || !result.success) {
+    setPersonaStatus(`Could not save the persona: ${result ? result.error : 'unknown error'}`, true);
+    return;
+  }
+  
+  await loadPersonas();
+  selectPersonaForEditing(result.persona.id);
+  setPersonaStatus(`Saved ${result.persona.name}.`);
+  
+  // Conversations using this persona pick up the change straight away
+  applyPersona();
+}
+
+async function duplicatePersona() {
+  if (!editingPersonaId) return;
+  
+  const result = await window.api.personas.duplicate(editingPersonaId);
+  if (!result || !result.success) {
+    setPersonaStatus(`Could not duplicate the persona: ${result ? result.error : 'unknown error'}`, true);
+    return;
+  }
+  
+  await loadPersonas();
+  selectPersonaForEditing(result.persona.id);
+  setPersonaStatus(`Created ${result.persona.name}. Change it and save.`);
+  personaNameInput.focus();
 }
 
-// Display an assistant message in the chat
-function displayAssistantMessage(message) {
-  const messageElement = document.createElement('div');
-  messageElement.className = 'message assistant';
-  
-  // Replace markdown with HTML elements (consider using marked library for more complex markdown)
-  const formattedMessage = message
-    .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')  // Bold
-    .replace(/\*(.*?)\*/g, '<em>$1</em>')  // Italic
-    .replace(/```(.*?)```/gs, '<pre><code>$1</code></pre>')  // Code blocks
-    .replace(/`(.*?)`/g, '<code>$1</code>')  // Inline code
-    .replace(/\n/g, '<br>');  // Line breaks
+// Delete the persona in the editor; conversations using it go back to their own settings
+async function deletePersona() {
+  const persona = personas.find(candidate => candidate.id === editingPersonaId);
+  if (!persona || persona.builtIn) return;
   
-  messageElement.innerHTML = formattedMessage;
+  if (!confirm(`Delete the persona "${persona.name}"? This cannot be undone.`)) return;
   
-  const infoElement = document.createElement('div');
-  infoElement.className = 'message-info';
-  infoElement.textContent = getCurrentTime();
+  const deleted = await window.api.personas.delete(persona.id);
+  if (!deleted) {
+    setPersonaStatus('Could not delete the persona.', true);
+    return;
+  }
   
-  chatMessages.appendChild(messageElement);
-  messageElement.appendChild(infoElement);
-  scrollToBottom();
+  await loadPersonas();
+  selectPersonaForEditing(personas.length > 0 ? personas[0].id : null);
+  setPersonaStatus(`Deleted ${persona.name}.`);
+  applyPersona();
 }
 
-// Display a system message
-function displaySystemMessage(message) {
-  const messageElement = document.createElement('div');
-  messageElement.className = 'message system';
-  messageElement.textContent = message;
+async function importPersonas() {
+  const result = await window.api.personas.import();
+  if (!result || !result.success) {
+    setPersonaStatus(`Could not import personas: ${result ? result.error : 'unknown error'}`, true);
+    return;
+  }
+  if (result.canceled) return;
   
-  chatMessages.appendChild(messageElement);
-  scrollToBottom();
+  await loadPersonas();
+  if (result.imported.length > 0) {
+    selectPersonaForEditing(result.imported[0].id);
+  }
+  
+  const names = result.imported.map(persona => persona.name).join(', ');
+  const message = result.imported.length > 0
+    ? `Imported ${result.imported.length} persona${result.imported.length === 1 ? '' : 's'}: ${names}.`
+    : 'No personas were imported.';
+  setPersonaStatus(result.errors.length > 0 ? `${message} Skipped: ${result.errors.join('; ')}` : message,
+    result.errors.length > 0);
 }
 
-// Display an error message
-function displayErrorMessage(message) {
-  const messageElement = document.createElement('div');
-  messageElement.className = 'message error';
-  messageElement.textContent = message;
-  
-  chatMessages.appendChild(messageElement);
-  scrollToBottom();
+// Export one persona, or all of them with null
+async function exportPersonas(personaId) {
+  const result = await window.api.personas.export(personaId);
+  if (!result || !result.success) {
+    setPersonaStatus(`Could not export: ${result ? result.error : 'unknown error'}`, true);
+    return;
+  }
+  if (!result.canceled) {
+    setPersonaStatus(`Exported to ${result.filePath}.`);
+  }
 }
 
-// Render the message history
-function renderMessageHistory() {
-  // Clear the chat messages
-  chatMessages.innerHTML = '';
+// Open the export dialog with the given conversations ticked, or the active one
+function showExportModal(selectedIds) {
+  const selected = new Set(selectedIds || (activeConversation ? [activeConversation.id] : []));
+  
+  exportConversationList.innerHTML = '';
+  conversations.forEach(conversation => {
+    const item = document.createElement('li');
+    const label = document.createElement('label');
+    label.className = 'export-option';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = conversation.id;
+    checkbox.checked = selected.has(conversation.id);
+    
+    const title = document.createElement('span');
+    title.textContent = conversation.title;
+    title.title = conversation.title;
+    
+    label.append(checkbox, title);
+    item.appendChild(label);
+    exportConversationList.appendChild(item);
+  });
   
-  // Display system welcome message
-  displaySystemMessage('Welcome back to Claude Desktop!');
+  setExportStatus('');
+  updateExportSelection();
+  exportModal.classList.remove('hidden');
+}
+
+function getExportSelection() {
+  return Array.from(exportConversationList.querySelectorAll('input[type="checkbox"]:checked'), checkbox => checkbox.value);
+}
+
+// Keep "Select all" and the export button in step with the ticked conversations
+function updateExportSelection() {
+  const count = getExportSelection().length;
+  exportSelectAll.checked = count > 0 && count === conversations.length;
+  exportSelectAll.indeterminate = count > 0 && count < conversations.length;
+  exportConversationsButton.disabled = count === 0;
+}
+
+function setExportStatus(message, isError = false) {
+  exportStatus.textContent = message;
+  exportStatus.classList.toggle('error', isError);
+}
+
+// Write the ticked conversations to a file chosen in the save dialog
+async function exportSelectedConversations() {
+  const ids = getExportSelection();
+  if (ids.length === 0) return;
   
-  // Display each message
-  messageHistory.forEach(message => {
-    if (message.role === 'user') {
-      displayUserMessage(message.content);
-    } else if (message.role === 'assistant') {
-      displayAssistantMessage(message.content);
+  exportConversationsButton.disabled = true;
+  setExportStatus('Exporting...');
+  try {
+    const result = await window.api.conversations.export(ids, {
+      format: exportFormatSelect.value,
+      includeMetadata: exportMetadataCheckbox.checked
+    });
+    if (!result || !result.success) {
+      setExportStatus(`Could not export: ${result ? result.error : 'unknown error'}`, true);
+    } else if (result.canceled) {
+      setExportStatus('');
+    } else {
+      setExportStatus(`Exported ${ids.length === 1 ? 'the conversation' : `${ids.length} conversations`} to ${result.filePath}.`);
     }
-  });
+  } catch (error) {
+    console.error('Error exporting conversations:', error);
+    setExportStatus(`Could not export: ${error.message}`, true);
+  } finally {
+    updateExportSelection();
+  }
 }
 
-// Clear the chat history
-function clearHistory() {
-  messageHistory = [];
-  chatMessages.innerHTML = '';
-  window.api.saveMessageHistory([]);
-  displaySystemMessage('Chat history cleared.');
+// Add conversations from exported files, then open the first one that was imported
+async function importConversations() {
+  let result;
+  try {
+    result = await window.api.conversations.import();
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+  if (!result || !result.success) {
+    displayErrorMessage(`Could not import conversations: ${result ? result.error : 'unknown error'}`);
+    return;
+  }
+  if (result.canceled) return;
+  
+  await refreshConversationList();
+  if (result.imported.length > 0) {
+    await switchConversation(result.imported[0].id);
+  }
+  
+  const count = result.imported.length;
+  const notes = [`Imported ${count} conversation${count === 1 ? '' : 's'}.`];
+  if (result.duplicates.length > 0) {
+    notes.push(`Skipped ${result.duplicates.length} already in the app: ${result.duplicates.join(', ')}.`);
+  }
+  displaySystemMessage(notes.join(' '));
+  
+  if (result.errors.length > 0) {
+    displayErrorMessage(`Some conversations could not be imported. ${result.errors.join('; ')}`);
+  }
 }
 
 // Save the API key
@@ -2667,7 +5399,8 @@ async function saveApiKey() {
   const result = await window.api.saveApiKey(newApiKey);
   
   if (result.success) {
-    apiKey = newApiKey;
+    hasApiKey = true;
+    apiKeyInput.value = '';
     settingsModal.classList.add('hidden');
     
     // Provide feedback about storage method
@@ -2698,10 +5431,8 @@ async function saveApiKey() {
 function showSettingsModal() {
   console.log('Opening settings modal');
   
-  // Pre-fill existing API key if it exists
-  if (apiKey) {
-    apiKeyInput.value = apiKey;
-  }
+  // The saved key is never sent to the renderer, so only indicate that one exists
+  apiKeyInput.placeholder = hasApiKey ? 'A key is saved - enter a new one to replace it' : 'sk-ant-...';
   
   settingsModal.classList.remove('hidden');
   apiKeyInput.focus();
@@ -2713,39 +5444,212 @@ function showConfigModal() {
   
   // Ensure config UI is up to date
   updateConfigUI();
+  loadModelCatalog();
   
   configModal.classList.remove('hidden');
 }
 
+// Load the model list from the main process and refresh the model picker
+async function loadModelCatalog({ refresh = false } = {}) {
+  try {
+    const result = await window.api.models.list({ refresh });
+    // A provider without a model list gives an empty catalog, leaving only the configured model
+    if (result && Array.isArray(result.models)) {
+      modelCatalog = result.models;
+    }
+    if (result && result.source === 'bundled') {
+      console.warn('Using the bundled model list:', result.error);
+    }
+  } catch (error) {
+    console.error('Error loading the model list:', error);
+  }
+  
+  renderModelOptions(modelSelect.value || getConversationSettings().model);
+  updateModelLimits();
+}
+
+// Fill a model picker, keeping a model that isn't in the catalog selectable
+function renderModelOptions(selectedModel, select = modelSelect) {
+  select.innerHTML = '';
+  
+  const models = modelCatalog.some(model => model.id === selectedModel) || !selectedModel
+    ? modelCatalog
+    : [...modelCatalog, Models.find(modelCatalog, selectedModel)];
+  
+  models.forEach(model => {
+    const option = document.createElement('option');
+    option.value = model.id;
+    option.textContent = model.displayName;
+    select.appendChild(option);
+  });
+  
+  select.value = selectedModel || Models.DEFAULT_MODEL;
+}
+
+// Show the selected model's limits and keep max tokens within its output limit
+function updateModelLimits() {
+  if (!modelSelect.value) return;
+  
+  const model = Models.find(modelCatalog, modelSelect.value);
+  maxTokensInput.max = model.maxOutputTokens;
+  if (maxTokensInput.value) {
+    maxTokensInput.value = Models.clampMaxTokens(maxTokensInput.value, model);
+  }
+  
+  modelDetails.textContent = `${Usage.formatTokens(model.contextWindow)} token context window, ` +
+    `up to ${model.maxOutputTokens.toLocaleString()} tokens per response` +
+    (model.supportsThinking ? ', supports extended thinking.' : '.');
+  thinkingBudgetInput.max = model.maxOutputTokens - 1;
+}
+
+// The thinking budget only matters while extended thinking is on
+function updateThinkingFields() {
+  thinkingBudgetInput.disabled = thinkingSelect.value !== 'on';
+}
+
 // Update configuration UI with current values
 function updateConfigUI() {
   if (!appConfig) return;
   
   // Set values in form elements
-  modelSelect.value = appConfig.model;
+  const conversationSettings = getConversationSettings();
+  renderModelOptions(conversationSettings.model);
   maxTokensInput.value = appConfig.maxTokens;
-  temperatureSlider.value = appConfig.temperature;
-  temperatureValue.textContent = appConfig.temperature;
+  updateModelLimits();
+  temperatureSlider.value = conversationSettings.temperature;
+  temperatureValue.textContent = conversationSettings.temperature;
   maxHistoryInput.value = appConfig.maxHistoryLength;
+  contextStrategySelect.value = appConfig.contextStrategy || 'trim';
+  enableToolsSelect.value = appConfig.enableTools === false ? 'off' : 'on';
+  promptCachingSelect.value = appConfig.promptCaching === true ? 'on' : 'off';
+  thinkingSelect.value = appConfig.thinking === true ? 'on' : 'off';
+  thinkingBudgetInput.value = appConfig.thinkingBudget || 4096;
+  updateThinkingFields();
+  loadProviderSettings();
   themeSelect.value = appConfig.theme;
   fontSizeSelect.value = appConfig.fontSize;
-  systemPromptInput.value = appConfig.systemPrompt || '';
+  systemPromptInput.value = conversationSettings.systemPrompt || '';
+  
+  // A persona's model, temperature and prompt are changed in the persona manager
+  const persona = conversationSettings.persona;
+  modelSelect.disabled = !!persona;
+  temperatureSlider.disabled = !!persona;
+  systemPromptInput.disabled = !!persona;
+  personaSettingsNote.textContent = persona
+    ? `This conversation uses the ${persona.name} persona, which sets its model, temperature and system prompt.`
+    : '';
+  personaSettingsNote.classList.toggle('hidden', !persona);
   
   // Set interface mode based on localStorage value
   interfaceModeSelect.value = localStorage.getItem('robot-interface-enabled') === 'true' ? 'robot' : 'chat';
 }
 
+// Fill the provider picker; each provider's settings are edited in a draft until the configuration is saved
+async function loadProviderSettings() {
+  try {
+    const apiInfo = await window.api.getApiInfo();
+    if (!apiInfo) return;
+    
+    providerDrafts = {};
+    apiInfo.providers.forEach(entry => {
+      providerDrafts[entry.id] = {
+        ...entry.settings,
+        // An empty endpoint field means the provider's default
+        endpoint: entry.settings.endpoint === entry.defaults.endpoint ? '' : entry.settings.endpoint
+      };
+    });
+    providerInfo = apiInfo;
+    
+    providerSelect.innerHTML = '';
+    apiInfo.providers.forEach(entry => {
+      const option = document.createElement('option');
+      option.value = entry.id;
+      option.textContent = entry.label;
+      providerSelect.appendChild(option);
+    });
+    providerSelect.value = providerDrafts[appConfig.provider] ? appConfig.provider : apiInfo.provider;
+    
+    // The provider can't be changed while the app runs against the mock API
+    [providerSelect, apiEndpointInput, authHeaderInput, providerModelsInput].forEach(input => {
+      input.disabled = apiInfo.mock;
+    });
+    showProviderFields(providerSelect.value);
+  } catch (error) {
+    console.error('Error getting the API providers:', error);
+  }
+}
+
+// Show a provider's draft settings in the provider fields
+function showProviderFields(providerId) {
+  const entry = providerInfo.providers.find(provider => provider.id === providerId);
+  const draft = providerDrafts[providerId];
+  if (!entry || !draft) return;
+  
+  shownProviderId = providerId;
+  apiEndpointInput.value = draft.endpoint;
+  apiEndpointInput.placeholder = entry.defaults.endpoint;
+  authHeaderInput.value = draft.authHeader;
+  authHeaderInput.placeholder = entry.defaults.authHeader || 'No auth header';
+  providerModelsInput.value = draft.models.join('\n');
+  
+  if (providerInfo.mock) {
+    apiEndpointNote.textContent = `Using the mock API at ${providerInfo.endpoint} because the app was started with --mock-api.`;
+  } else if (providerId === 'anthropic') {
+    apiEndpointNote.textContent = 'Leave empty to use the Anthropic API. Point it at a mock server, such as node src/mock-api-server.js, to develop or demo without a key.';
+  } else {
+    apiEndpointNote.textContent = 'The chat completions URL of the model server. Leave empty for a local Ollama server.';
+  }
+}
+
+// Keep what was typed for the shown provider when switching to another one or saving
+function readProviderFields() {
+  if (!shownProviderId || !providerDrafts[shownProviderId]) return;
+  
+  providerDrafts[shownProviderId] = {
+    endpoint: apiEndpointInput.value.trim(),
+    authHeader: authHeaderInput.value.trim(),
+    models: providerModelsInput.value.split(/[\n,]/).map(model => model.trim()).filter(Boolean)
+  };
+}
+
 // Save configuration changes
 async function saveConfiguration() {
+  // While a persona is in use its settings are shown, so the defaults stay as they were
+  const persona = getActivePersona();
+  
+  readProviderFields();
+  const invalidEndpoint = Object.values(providerDrafts)
+    .some(draft => draft.endpoint && !/^https?:\/\/\S+$/i.test(draft.endpoint));
+  if (invalidEndpoint) {
+    displayErrorMessage('The API endpoint must be an http:// or https:// URL.');
+    return;
+  }
+  const authHeaderInvalid = Object.values(providerDrafts)
+    .some(draft => draft.authHeader && !/^[\w-]+:\s*\S/.test(draft.authHeader));
+  if (authHeaderInvalid) {
+    displayErrorMessage('The auth header must look like "Header-Name: value".');
+    return;
+  }
+  
+  // Without the provider list, such as when it failed to load, the saved provider settings stay as they were
+  const providerSettingsLoaded = Object.keys(providerDrafts).length > 0 && !providerInfo.mock;
+  
   // Get values from form elements
   const newConfig = {
-    model: modelSelect.value,
-    maxTokens: parseInt(maxTokensInput.value),
-    temperature: parseFloat(temperatureSlider.value),
+    model: persona ? appConfig.model : modelSelect.value,
+    maxTokens: Models.clampMaxTokens(maxTokensInput.value, Models.find(modelCatalog, modelSelect.value)),
+    temperature: persona ? appConfig.temperature : parseFloat(temperatureSlider.value),
     maxHistoryLength: parseInt(maxHistoryInput.value),
+    contextStrategy: contextStrategySelect.value,
+    enableTools: enableToolsSelect.value === 'on',
+    promptCaching: promptCachingSelect.value === 'on',
+    thinking: thinkingSelect.value === 'on',
+    thinkingBudget: Math.max(Models.MIN_THINKING_BUDGET, parseInt(thinkingBudgetInput.value, 10) || 4096),
+    provider: providerSettingsLoaded ? providerSelect.value : appConfig.provider || 'anthropic',
+    providers: providerSettingsLoaded ? JSON.parse(JSON.stringify(providerDrafts)) : appConfig.providers || {},
     theme: themeSelect.value,
     fontSize: fontSizeSelect.value,
-    systemPrompt: systemPromptInput.value
+    systemPrompt: persona ? appConfig.systemPrompt : systemPromptInput.value
   };
   
   // Handle interface mode (stored in localStorage)
@@ -2759,8 +5663,27 @@ async function saveConfiguration() {
   const success = await window.api.saveConfig(newConfig);
   
   if (success) {
+    // A different provider or endpoint may offer different models and need no key
+    const providerChanged = appConfig.provider !== newConfig.provider ||
+      JSON.stringify(appConfig.providers || {}) !== JSON.stringify(newConfig.providers);
+    
     // Update application state
     appConfig = newConfig;
+    if (providerChanged) {
+      loadModelCatalog({ refresh: true });
+      hasApiKey = await window.api.hasApiKey();
+    }
+    
+    // The active conversation keeps its own copy of the model and system prompt
+    if (activeConversation && !persona) {
+      const updatedConversation = await window.api.conversations.save(activeConversation.id, {
+        model: newConfig.model,
+        systemPrompt: newConfig.systemPrompt
+      });
+      if (updatedConversation) {
+        activeConversation = updatedConversation;
+      }
+    }
     
     // Apply appearance settings
     applyAppearanceSettings();
@@ -2820,9 +5743,414 @@ async function checkNetworkStatus() {
   
   if (isOnline) {
     offlineIndicator.classList.add('hidden');
+    flushOutbox();
   } else {
     offlineIndicator.classList.remove('hidden');
-    displaySystemMessage('You are currently offline. Some features may not be available.');
+    displaySystemMessage('You are currently offline. Messages you send will wait in the outbox until you are back online.');
+  }
+  renderOutbox();
+}
+
+// Load the messages still waiting to be sent from the main process
+async function loadOutbox() {
+  try {
+    outbox = await window.api.outbox.list();
+  } catch (error) {
+    console.error('Failed to load queued messages:', error);
+    outbox = [];
+  }
+  renderOutbox();
+}
+
+// Put a message written while offline in the outbox of the active conversation
+// Resolves to false, after showing why, when it couldn't be queued
+async function queueOfflineMessage(text, attachments = []) {
+  if (!activeConversation) {
+    displayErrorMessage('You are offline. Cannot send messages.');
+    return false;
+  }
+  
+  try {
+    const result = await window.api.outbox.add({ conversationId: activeConversation.id, text, attachments });
+    if (!result.success) {
+      displayErrorMessage(`Could not queue the message: ${result.error}`);
+      return false;
+    }
+    
+    outbox.push(result.item);
+    renderOutbox();
+    return true;
+  } catch (error) {
+    console.error('Error queueing message:', error);
+    displayErrorMessage(`Could not queue the message: ${error.message}`);
+    return false;
+  }
+}
+
+// Show the pending messages of the active conversation above the input
+function renderOutbox() {
+  if (!outboxElement) return;
+  
+  outboxElement.innerHTML = '';
+  outboxElement.classList.toggle('hidden', outbox.length === 0);
+  if (outbox.length === 0) return;
+  
+  const header = document.createElement('div');
+  header.className = 'outbox-header';
+  const title = document.createElement('span');
+  title.textContent = `Outbox (${outbox.length})`;
+  header.appendChild(title);
+  
+  // Sending starts by itself on reconnect; this is for the queue left behind by a failed send
+  if (isOnline && !isFlushingOutbox) {
+    const sendAllButton = document.createElement('button');
+    sendAllButton.className = 'outbox-button';
+    sendAllButton.textContent = 'Send now';
+    sendAllButton.addEventListener('click', () => flushOutbox());
+    header.appendChild(sendAllButton);
+  }
+  outboxElement.appendChild(header);
+  
+  const items = outbox.filter(item => activeConversation && item.conversationId === activeConversation.id);
+  items.forEach(item => outboxElement.appendChild(createOutboxItemElement(item)));
+  
+  const otherCount = outbox.length - items.length;
+  if (otherCount > 0) {
+    const note = document.createElement('div');
+    note.className = 'outbox-note';
+    note.textContent = `${otherCount} more waiting in other conversations`;
+    outboxElement.appendChild(note);
+  }
+}
+
+function createOutboxItemElement(item) {
+  const element = document.createElement('div');
+  element.className = 'outbox-item';
+  
+  const meta = document.createElement('div');
+  meta.className = 'outbox-item-meta';
+  const status = document.createElement('span');
+  status.className = 'outbox-item-status';
+  status.textContent = isFlushingOutbox ? 'Sending soon' : 'Pending';
+  const time = document.createElement('span');
+  time.textContent = new Date(item.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  meta.appendChild(status);
+  meta.appendChild(time);
+  
+  const text = document.createElement('div');
+  text.className = 'outbox-item-text';
+  text.textContent = item.text;
+  
+  element.appendChild(meta);
+  element.appendChild(text);
+  
+  if (item.attachments.length > 0) {
+    const files = document.createElement('div');
+    files.className = 'outbox-item-files';
+    files.textContent = `📎 ${item.attachments.map(attachment => attachment.name).join(', ')}`;
+    element.appendChild(files);
+  }
+  
+  // Pending messages can be changed or dropped until they go out
+  const actions = document.createElement('div');
+  actions.className = 'outbox-item-actions';
+  const editButton = document.createElement('button');
+  editButton.className = 'outbox-button';
+  editButton.textContent = 'Edit';
+  editButton.addEventListener('click', () => editOutboxItem(element, item));
+  const cancelButton = document.createElement('button');
+  cancelButton.className = 'outbox-button';
+  cancelButton.textContent = 'Cancel';
+  cancelButton.addEventListener('click', () => cancelOutboxItem(item));
+  actions.appendChild(editButton);
+  actions.appendChild(cancelButton);
+  element.appendChild(actions);
+  
+  return element;
+}
+
+// Swap a pending message's text for an editor; Enter saves, Escape keeps the old text
+function editOutboxItem(element, item) {
+  const text = element.querySelector('.outbox-item-text');
+  const actions = element.querySelector('.outbox-item-actions');
+  
+  const input = document.createElement('textarea');
+  input.className = 'outbox-item-input';
+  input.value = item.text;
+  text.replaceWith(input);
+  actions.classList.add('hidden');
+  
+  // Closing the editor redraws the outbox, which can blur the input; only the first close counts
+  let closed = false;
+  const close = () => {
+    closed = true;
+    renderOutbox();
+  };
+  
+  const save = async () => {
+    if (closed) return;
+    closed = true;
+    
+    const newText = input.value.trim();
+    if (newText === item.text) {
+      renderOutbox();
+      return;
+    }
+    
+    try {
+      const result = await window.api.outbox.update(item.id, { text: newText });
+      if (!result.success) {
+        displayErrorMessage(`Could not change the queued message: ${result.error}`);
+        return;
+      }
+      
+      const index = outbox.findIndex(entry => entry.id === item.id);
+      if (index !== -1) outbox[index] = result.item;
+    } catch (error) {
+      console.error('Error updating queued message:', error);
+      displayErrorMessage(`Could not change the queued message: ${error.message}`);
+    }
+    renderOutbox();
+  };
+  
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      save();
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  });
+  input.addEventListener('blur', save);
+  
+  input.focus();
+  input.setSelectionRange(input.value.length, input.value.length);
+}
+
+async function cancelOutboxItem(item) {
+  await removeFromOutbox(item.id);
+  renderOutbox();
+}
+
+async function removeFromOutbox(id) {
+  try {
+    await window.api.outbox.remove(id);
+  } catch (error) {
+    console.error('Error removing queued message:', error);
+  }
+  outbox = outbox.filter(entry => entry.id !== id);
+}
+
+// Send the queued messages in the order they were written, each in its own conversation
+// Stops at the first reply that fails or when the connection drops, so the rest keep their order
+async function flushOutbox() {
+  if (isFlushingOutbox || !isOnline || outbox.length === 0) return;
+  
+  if (!hasApiKey) {
+    displayErrorMessage('Please set your API key in Settings to send the queued messages.');
+    return;
+  }
+  
+  isFlushingOutbox = true;
+  renderOutbox();
+  try {
+    while (outbox.length > 0 && navigator.onLine) {
+      // Let a reply that is still streaming finish first
+      while (isWaitingForResponse || (robotTurnHooks && robotTurnHooks.isResponding())) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+      
+      const item = outbox[0];
+      await switchConversation(item.conversationId);
+      if (!activeConversation || activeConversation.id !== item.conversationId) {
+        // The conversation is gone, so there is nowhere to send the message
+        await removeFromOutbox(item.id);
+        continue;
+      }
+      
+      // Out of the outbox before sending, so a failed reply can be retried without sending it twice
+      await removeFromOutbox(item.id);
+      renderOutbox();
+      if (!await sendQueuedMessage(item)) break;
+    }
+  } catch (error) {
+    console.error('Error sending queued messages:', error);
+    displayErrorMessage(`Could not send the queued messages: ${error.message}`);
+  } finally {
+    isFlushingOutbox = false;
+    renderOutbox();
+  }
+}
+
+// Add a queued message to the active conversation and ask Claude for the reply
+// Resolves to whether Claude answered
+async function sendQueuedMessage(item) {
+  const userHistoryMessage = appendMessage('user', item.text, activeLeafId, item.attachments);
+  // It was written while offline, not now
+  if (item.createdAt) {
+    userHistoryMessage.createdAt = item.createdAt;
+  }
+  await persistMessageHistory();
+  
+  if (robotTurnHooks) {
+    return robotTurnHooks.send(item.text);
+  }
+  
+  displayUserMessage(item.text, userHistoryMessage);
+  return streamChatReply();
+}
+
+// Open the search panel, or focus it again if it is already open
+async function openSearchPanel() {
+  searchPanel.classList.remove('hidden');
+  searchInput.focus();
+  searchInput.select();
+  
+  // Models change as conversations are written, so the filter is filled each time
+  try {
+    const models = await window.api.search.models();
+    const selected = searchModelSelect.value;
+    searchModelSelect.innerHTML = '<option value="">Any model</option>';
+    models.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model;
+      option.textContent = Models.find(modelCatalog, model).displayName;
+      searchModelSelect.appendChild(option);
+    });
+    searchModelSelect.value = models.includes(selected) ? selected : '';
+  } catch (error) {
+    console.error('Error loading the models to search by:', error);
+  }
+  
+  if (searchInput.value.trim()) {
+    runSearch();
+  }
+}
+
+function closeSearchPanel() {
+  clearTimeout(searchTimer);
+  searchPanel.classList.add('hidden');
+  messageInput.focus();
+}
+
+// Search once typing pauses
+function scheduleSearch() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runSearch, 250);
+}
+
+async function runSearch() {
+  clearTimeout(searchTimer);
+  const sequence = ++searchSequence;
+  
+  const query = searchInput.value.trim();
+  if (!query) {
+    searchStatus.textContent = '';
+    searchResults.innerHTML = '';
+    return;
+  }
+  
+  try {
+    const response = await window.api.search.query(query, {
+      role: searchRoleSelect.value || undefined,
+      model: searchModelSelect.value || undefined,
+      from: searchFromInput.value || undefined,
+      to: searchToInput.value || undefined
+    });
+    // A later search has started in the meantime
+    if (sequence !== searchSequence) return;
+    
+    if (!response.success) {
+      searchStatus.textContent = `Search failed: ${response.error}`;
+      searchResults.innerHTML = '';
+      return;
+    }
+    renderSearchResults(response);
+  } catch (error) {
+    console.error('Error searching conversations:', error);
+    searchStatus.textContent = 'Search failed.';
+  }
+}
+
+// List the matching messages, best match first, each with its conversation and a highlighted snippet
+function renderSearchResults({ results, total }) {
+  searchResults.innerHTML = '';
+  
+  if (total === 0) {
+    searchStatus.textContent = 'No messages match.';
+  } else if (total > results.length) {
+    searchStatus.textContent = `Showing the best ${results.length} of ${total} matching messages.`;
+  } else {
+    searchStatus.textContent = `${total} matching message${total === 1 ? '' : 's'}.`;
+  }
+  
+  results.forEach(result => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.className = 'search-result';
+    
+    const meta = document.createElement('div');
+    meta.className = 'search-result-meta';
+    const details = [
+      result.conversationTitle || 'Untitled conversation',
+      result.role === 'user' ? 'You' : 'Claude',
+      new Date(result.createdAt).toLocaleDateString()
+    ];
+    if (result.model) {
+      details.push(Models.find(modelCatalog, result.model).displayName);
+    }
+    meta.textContent = details.join(' · ');
+    
+    // Matches are highlighted with mark elements; the text itself is never parsed as HTML
+    const snippet = document.createElement('div');
+    snippet.className = 'search-result-snippet';
+    result.snippet.forEach(part => {
+      if (part.match) {
+        const mark = document.createElement('mark');
+        mark.textContent = part.text;
+        snippet.appendChild(mark);
+      } else {
+        snippet.appendChild(document.createTextNode(part.text));
+      }
+    });
+    
+    button.appendChild(meta);
+    button.appendChild(snippet);
+    button.addEventListener('click', () => jumpToSearchResult(result));
+    item.appendChild(button);
+    searchResults.appendChild(item);
+  });
+}
+
+// Open the conversation holding a result and scroll to the message, switching to its branch if needed
+async function jumpToSearchResult(result) {
+  if (isWaitingForResponse) {
+    displayErrorMessage('Please wait for the current response before opening a search result.');
+    return;
+  }
+  
+  if (!activeConversation || activeConversation.id !== result.conversationId) {
+    await switchConversation(result.conversationId);
+    if (!activeConversation || activeConversation.id !== result.conversationId) return;
+  }
+  
+  if (!messageHistory.some(message => message.id === result.messageId)) {
+    if (!MessageTree.findNode(messageTree, result.messageId)) {
+      displayErrorMessage('That message no longer exists.');
+      return;
+    }
+    await selectBranch(result.messageId);
+  }
+  
+  // The robot transcript has no message elements, so only the chat view scrolls to the message
+  const messageElement = Array.from(chatMessages.querySelectorAll('.message'))
+    .find(element => element.dataset.messageId === result.messageId);
+  if (messageElement) {
+    messageElement.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    messageElement.classList.remove('search-hit');
+    // Restart the highlight animation when the same result is opened twice
+    void messageElement.offsetWidth;
+    messageElement.classList.add('search-hit');
   }
 }
 
@@ -2837,10 +6165,47 @@ function scrollToBottom() {
   chatMessages.scrollTop = chatMessages.scrollHeight;
 }
 
-// Get the current time formatted as HH:MM
-function getCurrentTime() {
-  const now = new Date();
-  return now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+// When a message was written, as HH:MM, with the date for earlier days; empty if unknown
+function formatMessageTime(time) {
+  const date = time ? new Date(time) : null;
+  if (!date || isNaN(date.getTime())) return '';
+  
+  const clock = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return date.toDateString() === new Date().toDateString()
+    ? clock
+    : `${date.toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' })}, ${clock}`;
+}
+
+// Show a message's stored time, and what the API reported about a reply in its tooltip
+function showMessageDetails(messageElement, message) {
+  const infoElement = messageElement.querySelector('.message-info');
+  if (!infoElement) return;
+  
+  // The branch switcher lives in the info line too, so only the leading text is replaced
+  const timeText = infoElement.firstChild && infoElement.firstChild.nodeType === Node.TEXT_NODE
+    ? infoElement.firstChild
+    : infoElement.insertBefore(document.createTextNode(''), infoElement.firstChild);
+  timeText.textContent = formatMessageTime(message.createdAt);
+  
+  const details = [];
+  if (message.createdAt) {
+    details.push(new Date(message.createdAt).toLocaleString());
+  }
+  if (message.model) {
+    details.push(`Model: ${message.model}`);
+  }
+  if (message.stopReason) {
+    details.push(`Stop reason: ${message.stopReason}`);
+  }
+  if (typeof message.latencyMs === 'number') {
+    details.push(`Response time: ${(message.latencyMs / 1000).toFixed(1)}s`);
+  }
+  if (message.usage) {
+    const cached = message.usage.cacheReadTokens + message.usage.cacheCreationTokens;
+    const input = message.usage.inputTokens + cached;
+    details.push(`Tokens: ${input.toLocaleString()} in${cached > 0 ? ` (${cached.toLocaleString()} cached)` : ''}, ${message.usage.outputTokens.toLocaleString()} out`);
+  }
+  infoElement.title = details.join('\n');
 }
 
 // Initialize the application when the DOM is loaded
@@ -17,12 +17,14 @@ class RobotFace {
       eyeColor: '#8A7CFF',
       speakingColor: '#5EB3FF',
       thinkingColor: '#FFB84D',
+      workingColor: '#4DD0E1',
       errorColor: '#FF5E5E'
     }, options);
 
     this.state = {
       speaking: false,
       thinking: false,
+      working: false,
       emotion: 'neutral', // neutral, happy, sad, confused, surprised
       blinking: false,
       eyeSize: 1.0,
@@ -396,6 +398,35 @@ class RobotFace {
     this.stopLEDAnimation();
   }
 
+  // Narrowed eyes in the working color while a tool runs
+  startWorking() {
+    if (this.state.working) return;
+    
+    this.state.working = true;
+    
+    this.leftEye.setAttribute('fill', this.options.workingColor);
+    this.rightEye.setAttribute('fill', this.options.workingColor);
+    this.leftEye.setAttribute('height', '3');
+    this.rightEye.setAttribute('height', '3');
+    
+    this.startLEDAnimation();
+  }
+  
+  stopWorking() {
+    if (!this.state.working) return;
+    
+    this.state.working = false;
+    
+    this.leftEye.setAttribute('fill', this.state.thinking ? this.options.thinkingColor : this.options.eyeColor);
+    this.rightEye.setAttribute('fill', this.state.thinking ? this.options.thinkingColor : this.options.eyeColor);
+    this.leftEye.setAttribute('height', '6');
+    this.rightEye.setAttribute('height', '6');
+    
+    if (!this.state.thinking) {
+      this.stopLEDAnimation();
+    }
+  }
+  
   setEmotion(emotion) {
     // Clear any existing emotion timeout
     if (this.animations.emotionTimeout) {
@@ -0,0 +1,301 @@
+/**
+ * Search Index for Claude Desktop
+ *
+ * A full-text index over every stored message in every conversation,
+ * branches included, kept in memory in the main process. It is built from
+ * the conversation store at startup and a conversation is indexed again
+ * each time its messages are saved.
+ *
+ * Queries are words and "quoted phrases"; a message matches when it holds
+ * all of them. Words match the start of a word, so "deploy" finds
+ * "deployment", while phrases must match whole words in order. Results can
+ * be filtered by role, model and date and carry a snippet split into
+ * { text, match } parts, so the renderer can highlight the matches without
+ * building HTML.
+ */
+
+const MAX_RESULTS = 50;
+
+// Characters of context shown before the first match in a snippet, and the snippet's length
+const SNIPPET_LEAD_CHARS = 60;
+const SNIPPET_LENGTH = 220;
+
+// Words are runs of letters and digits in any script
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const SEARCHABLE_ROLES = ['user', 'assistant'];
+
+class SearchIndex {
+  constructor() {
+    // Indexed messages by key: { conversationId, messageId, role, model, createdAt, text, words }
+    this.documents = new Map();
+    // Keys of the messages holding each word
+    this.postings = new Map();
+    // Keys of each conversation's messages, so a conversation can be indexed again
+    this.conversationKeys = new Map();
+  }
+  
+  // Index a set of conversations from scratch
+  rebuild(conversations) {
+    this.documents.clear();
+    this.postings.clear();
+    this.conversationKeys.clear();
+    
+    conversations.forEach(conversation => this.indexConversation(conversation));
+  }
+  
+  // Replace a conversation's messages in the index with its current ones
+  indexConversation(conversation) {
+    this.removeConversation(conversation.id);
+    
+    const keys = new Set();
+    (conversation.messages || []).forEach(message => {
+      if (!message || !SEARCHABLE_ROLES.includes(message.role)) return;
+      
+      const text = getMessageText(message);
+      const words = tokenize(text);
+      if (words.length === 0) return;
+      
+      const key = `${conversation.id}/${message.id}`;
+      this.documents.set(key, {
+        conversationId: conversation.id,
+        messageId: message.id,
+        role: message.role,
+        model: message.role === 'assistant' ? message.model || conversation.model || null : null,
+        createdAt: getMessageTime(message, conversation),
+        text,
+        words
+      });
+      new Set(words).forEach(word => {
+        if (!this.postings.has(word)) {
+          this.postings.set(word, new Set());
+        }
+        this.postings.get(word).add(key);
+      });
+      keys.add(key);
+    });
+    
+    this.conversationKeys.set(conversation.id, keys);
+  }
+  
+  removeConversation(conversationId) {
+    const keys = this.conversationKeys.get(conversationId);
+    if (!keys) return;
+    
+    keys.forEach(key => {
+      new Set(this.documents.get(key).words).forEach(word => {
+        const posting = this.postings.get(word);
+        posting.delete(key);
+        if (posting.size === 0) {
+          this.postings.delete(word);
+        }
+      });
+      this.documents.delete(key);
+    });
+    this.conversationKeys.delete(conversationId);
+  }
+  
+  // Models that answered any indexed message, for the model filter
+  getModels() {
+    const models = new Set();
+    this.documents.forEach(document => {
+      if (document.model) models.add(document.model);
+    });
+    return Array.from(models).sort();
+  }
+  
+  // Find messages matching a query
+  // filters: { role, model, from, to } where from and to are dates (YYYY-MM-DD, inclusive) or ISO times
+  // Returns { results, total } with the best matches first; each result is
+  // { conversationId, messageId, role, model, createdAt, snippet }
+  search(query, filters = {}, { limit = MAX_RESULTS } = {}) {
+    const { words, phrases } = parseQuery(query);
+    if (words.length === 0 && phrases.length === 0) {
+      return { results: [], total: 0 };
+    }
+    
+    // Only messages holding every word and every word of every phrase can match
+    let candidates = null;
+    const narrow = (keys) => {
+      candidates = candidates === null ? keys : new Set([...candidates].filter(key => keys.has(key)));
+    };
+    words.forEach(word => narrow(this._keysWithPrefix(word)));
+    phrases.forEach(phrase => phrase.forEach(word => narrow(this.postings.get(word) || new Set())));
+    
+    const from = parseDate(filters.from, false);
+    const to = parseDate(filters.to, true);
+    const model = typeof filters.model === 'string' ? filters.model : '';
+    
+    const matches = [];
+    candidates.forEach(key => {
+      const document = this.documents.get(key);
+      if (filters.role && document.role !== filters.role) return;
+      if (model && document.model !== model) return;
+      
+      const time = Date.parse(document.createdAt);
+      if ((from !== null && time < from) || (to !== null && time >= to)) return;
+      
+      const phraseHits = phrases.map(phrase => countPhrase(document.words, phrase));
+      if (phraseHits.some(hits => hits === 0)) return;
+      
+      const wordHits = words.map(word => document.words.filter(candidate => candidate.startsWith(word)).length);
+      // Phrases say more about what was meant than loose words do
+      const score = wordHits.reduce((sum, hits) => sum + hits, 0) + phraseHits.reduce((sum, hits) => sum + hits * 3, 0);
+      matches.push({ document, score, time });
+    });
+    
+    matches.sort((a, b) => b.score - a.score || b.time - a.time);
+    
+    return {
+      total: matches.length,
+      results: matches.slice(0, limit).map(({ document }) => ({
+        conversationId: document.conversationId,
+        messageId: document.messageId,
+        role: document.role,
+        model: document.model,
+        createdAt: document.createdAt,
+        snippet: buildSnippet(document.text, words, phrases)
+      }))
+    };
+  }
+  
+  // Keys of the messages holding a word that starts with prefix
+  _keysWithPrefix(prefix) {
+    const keys = new Set();
+    this.postings.forEach((posting, word) => {
+      if (word.startsWith(prefix)) {
+        posting.forEach(key => keys.add(key));
+      }
+    });
+    return keys;
+  }
+}
+
+// Case and accents are ignored, so "Resume" finds "résumé"
+function normalizeWord(word) {
+  return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+function tokenize(text) {
+  return Array.from(String(text || '').matchAll(WORD_PATTERN), match => normalizeWord(match[0]));
+}
+
+// Split a query into loose words and "quoted phrases" (each a list of words)
+function parseQuery(query) {
+  const phrases = [];
+  const rest = String(query || '').replace(/"([^"]*)"?/g, (_, phrase) => {
+    const words = tokenize(phrase);
+    if (words.length > 0) phrases.push(words);
+    return ' ';
+  });
+  
+  return { words: Array.from(new Set(tokenize(rest))), phrases };
+}
+
+// Text a message is found by: what was written and the names of its attachments
+function getMessageText(message) {
+  const content = typeof message.content === 'string'
+    ? message.content
+    : (Array.isArray(message.content) ? message.content : [])
+      .filter(block => block && block.type === 'text')
+      .map(block => block.text)
+      .join('\n');
+  const attachmentNames = (message.attachments || []).map(attachment => attachment.name).filter(Boolean);
+  
+  return [content, ...attachmentNames].filter(Boolean).join('\n');
+}
+
+// When a message was written, or when its conversation started if that isn't known
+function getMessageTime(message, conversation) {
+  if (message.createdAt && !isNaN(Date.parse(message.createdAt))) {
+    return new Date(message.createdAt).toISOString();
+  }
+  return conversation.createdAt || new Date(0).toISOString();
+}
+
+// A filter date as a timestamp; a plain date is local midnight, and the end of a range includes that day
+function parseDate(value, endOfRange) {
+  if (!value) return null;
+  
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (dateOnly) {
+    const [, year, month, day] = dateOnly.map(Number);
+    return new Date(year, month - 1, day + (endOfRange ? 1 : 0)).getTime();
+  }
+  
+  const time = Date.parse(value);
+  return isNaN(time) ? null : time;
+}
+
+function countPhrase(words, phrase) {
+  let count = 0;
+  for (let i = 0; i + phrase.length <= words.length; i++) {
+    if (phrase.every((word, j) => words[i + j] === word)) count++;
+  }
+  return count;
+}
+
+// A short extract around the first match, as [{ text, match }] parts
+function buildSnippet(text, words, phrases) {
+  const tokens = Array.from(text.matchAll(WORD_PATTERN), match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    word: normalizeWord(match[0])
+  }));
+  
+  // Character ranges of every match, merged where they touch
+  const ranges = [];
+  tokens.forEach((token, i) => {
+    if (words.some(word => token.word.startsWith(word))) {
+      ranges.push([token.start, token.end]);
+    }
+    phrases.forEach(phrase => {
+      if (phrase.every((word, j) => tokens[i + j] && tokens[i + j].word === word)) {
+        ranges.push([token.start, tokens[i + phrase.length - 1].end]);
+      }
+    });
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  ranges.forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range.slice());
+    }
+  });
+  
+  // Start a little before the first match, at a word boundary
+  let start = merged.length > 0 ? Math.max(0, merged[0][0] - SNIPPET_LEAD_CHARS) : 0;
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < merged[0][0] ? space + 1 : start;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+  
+  const parts = [];
+  const addPart = (from, to, match) => {
+    if (to <= from) return;
+    parts.push({ text: text.slice(from, to).replace(/\s+/g, ' '), match });
+  };
+  
+  let position = start;
+  merged.forEach(([rangeStart, rangeEnd]) => {
+    if (rangeEnd <= start || rangeStart >= end) return;
+    addPart(position, Math.max(position, rangeStart), false);
+    addPart(Math.max(position, rangeStart), Math.min(rangeEnd, end), true);
+    position = Math.min(rangeEnd, end);
+  });
+  addPart(position, end, false);
+  
+  if (start > 0) parts.unshift({ text: '…', match: false });
+  if (end < text.length) parts.push({ text: '…', match: false });
+  return parts;
+}
+
+module.exports = SearchIndex;
@@ -0,0 +1,104 @@
+/**
+ * Store Backups for Claude Desktop
+ *
+ * Copies of the electron-store file, kept in their own folder. One is taken
+ * before every schema migration and one each time the app starts with data
+ * that differs from the newest copy, so there is always a recent good copy
+ * to restore when the store can't be read. Files are copied as they are,
+ * still encrypted, and the oldest are removed beyond MAX_BACKUPS. Backups
+ * taken before a migration or a repair hold the only copy of the data as it
+ * was, so they are kept out of that rotation; of those, the newest
+ * MAX_KEPT_PER_VERSION taken from each schema version are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_BACKUPS = 10;
+const MAX_KEPT_PER_VERSION = 3;
+
+// config-<time>-<label>.json, where the time sorts in the order they were taken
+const BACKUP_FILE_PATTERN = /^config-\d{4}-\d{2}-\d{2}T[\d-]+Z-[\w-]+\.json$/;
+
+// Backups kept out of the rotation end in -kept.json; their label starts with the schema version they hold
+const KEPT_FILE_PATTERN = /-kept\.json$/;
+const KEPT_VERSION_PATTERN = /Z-(v\d+)-[\w-]*-kept\.json$/;
+
+class StoreBackups {
+  constructor(directory) {
+    this.directory = directory;
+    this.lastBackupTime = 0;
+  }
+  
+  // Paths of the backups, newest first
+  list() {
+    try {
+      return fs.readdirSync(this.directory)
+        .filter(name => BACKUP_FILE_PATTERN.test(name))
+        .sort()
+        .reverse()
+        .map(name => path.join(this.directory, name));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error listing store backups:', error);
+      }
+      return [];
+    }
+  }
+  
+  // Copy the store file; the label says which version it holds and why it was taken
+  // keep leaves the backup out of the rotation, for copies taken before the data is changed
+  // Returns the backup's path, or null when there is no store file yet
+  // Throws when the copy can't be written, so a migration doesn't go ahead without one
+  create(storePath, label, { keep = false } = {}) {
+    if (!fs.existsSync(storePath)) return null;
+    
+    // Nothing changed since the newest backup; a kept backup always gets its own file
+    const contents = fs.readFileSync(storePath);
+    const [newest] = this.list();
+    if (!keep && newest && contents.equals(fs.readFileSync(newest))) return newest;
+    
+    fs.mkdirSync(this.directory, { recursive: true });
+    // Each backup gets its own time, even when two are taken within a millisecond
+    this.lastBackupTime = Math.max(Date.now(), this.lastBackupTime + 1);
+    const time = new Date(this.lastBackupTime).toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(this.directory, `config-${time}-${label}${keep ? '-kept' : ''}.json`);
+    fs.writeFileSync(backupPath, contents, { mode: 0o600 });
+    console.log(`Backed up the store to ${backupPath}`);
+    
+    this._prune();
+    return backupPath;
+  }
+  
+  // Put a backup in place of the store file
+  restore(backupPath, storePath) {
+    fs.copyFileSync(backupPath, storePath);
+  }
+  
+  _prune() {
+    const backups = this.list();
+    const rotated = backups.filter(backupPath => !KEPT_FILE_PATTERN.test(backupPath));
+    
+    // Kept backups by the schema version they hold, newest first
+    const keptByVersion = new Map();
+    backups.filter(backupPath => KEPT_FILE_PATTERN.test(backupPath)).forEach(backupPath => {
+      const match = KEPT_VERSION_PATTERN.exec(path.basename(backupPath));
+      const version = match ? match[1] : null;
+      keptByVersion.set(version, [...(keptByVersion.get(version) || []), backupPath]);
+    });
+    
+    const removed = [
+      ...rotated.slice(MAX_BACKUPS),
+      ...[...keptByVersion.values()].flatMap(kept => kept.slice(MAX_KEPT_PER_VERSION))
+    ];
+    removed.forEach(backupPath => {
+      try {
+        fs.unlinkSync(backupPath);
+      } catch (error) {
+        console.error(`Error removing old store backup ${backupPath}:`, error);
+      }
+    });
+  }
+}
+
+module.exports = StoreBackups;
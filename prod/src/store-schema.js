@@ -0,0 +1,186 @@
+/**
+ * Store Schema for Claude Desktop
+ *
+ * The version of the data kept in electron-store, the steps that bring data
+ * saved by earlier versions up to date, and the checks the data must pass
+ * when it is read. Data saved before versions were recorded is version 0.
+ *
+ * Each migration changes the whole store, as a plain object, in place. They
+ * run in order, and main.js saves the data and its new schemaVersion after
+ * each one, taking a backup before every step (see store-backups.js).
+ */
+
+const MessageTree = require('./message-tree');
+const ConversationStore = require('./conversation-store');
+
+// Leeway when checking that a message id's time falls within its conversation's lifetime
+const ID_TIME_TOLERANCE_MS = 60 * 1000;
+
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'move the single message history into its own conversation',
+    migrate(data, { defaultConfig = {} } = {}) {
+      const legacyHistory = data.messageHistory;
+      delete data.messageHistory;
+      if (!Array.isArray(legacyHistory) || legacyHistory.length === 0) return;
+      
+      const config = { ...defaultConfig, ...(isObject(data.config) ? data.config : {}) };
+      const conversation = ConversationStore.createConversation(
+        { messages: legacyHistory },
+        { model: config.model, systemPrompt: config.systemPrompt }
+      );
+      data.conversations = { ...(data.conversations || {}), [conversation.id]: conversation };
+      data.activeConversationId = conversation.id;
+    }
+  },
+  {
+    version: 2,
+    description: 'turn conversations saved before branching existed into single-branch trees',
+    migrate(data) {
+      Object.values(data.conversations || {}).forEach(conversation => {
+        if (MessageTree.isTree(conversation.messages)) return;
+        
+        const { nodes, leafId } = MessageTree.fromLinear(conversation.messages);
+        conversation.messages = nodes;
+        conversation.activeLeafId = leafId;
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'record when each message was written',
+    // The time in a message's id is used when it falls within the conversation's lifetime;
+    // otherwise the id was given later, when the history was converted, and the time is unknown
+    migrate(data) {
+      Object.values(data.conversations || {}).forEach(conversation => {
+        const start = Date.parse(conversation.createdAt) - ID_TIME_TOLERANCE_MS;
+        const end = Date.parse(conversation.updatedAt) + ID_TIME_TOLERANCE_MS;
+        
+        conversation.messages.forEach(message => {
+          if (message.createdAt !== undefined) return;
+          
+          const idTime = MessageTree.getIdTime(message.id);
+          const time = idTime ? Date.parse(idTime) : NaN;
+          message.createdAt = time >= start && time <= end ? idTime : null;
+        });
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'give conversations saved before usage tracking and personas their empty defaults',
+    migrate(data) {
+      Object.values(data.conversations || {}).forEach(conversation => {
+        if (!isObject(conversation.usage)) conversation.usage = {};
+        if (typeof conversation.personaId !== 'string') conversation.personaId = null;
+      });
+    }
+  },
+  {
+    version: 5,
+    description: 'move the API endpoint setting into the Anthropic provider settings',
+    migrate(data) {
+      const config = data.config;
+      if (!isObject(config) || !('apiEndpoint' in config)) return;
+      
+      const providers = isObject(config.providers) ? config.providers : {};
+      const anthropic = isObject(providers.anthropic) ? providers.anthropic : {};
+      if (!anthropic.endpoint && typeof config.apiEndpoint === 'string') {
+        anthropic.endpoint = config.apiEndpoint;
+      }
+      config.providers = { ...providers, anthropic };
+      delete config.apiEndpoint;
+    }
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function getVersion(data) {
+  return isObject(data) && Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+}
+
+// Whether nothing has been saved yet, as on a fresh install; such a store only needs its version recorded
+function isNew(data) {
+  return isObject(data) && Object.keys(data).length === 0;
+}
+
+// The migrations data at a version still needs, oldest first
+function getPendingMigrations(version) {
+  return MIGRATIONS.filter(migration => migration.version > version);
+}
+
+// What is wrong with the data as a whole, as a list of problems; empty when it can be used
+// Only the shape the stores rely on is checked, so a bad value can't break them.
+// Single conversations are checked by removeInvalidConversations instead
+function validate(data) {
+  if (!isObject(data)) {
+    return ['the data is not an object'];
+  }
+  
+  const problems = [];
+  const expect = (key, isValid, description) => {
+    if (data[key] !== undefined && !isValid(data[key])) {
+      problems.push(`${key} is not ${description}`);
+    }
+  };
+  
+  expect('schemaVersion', value => Number.isInteger(value) && value >= 0, 'a version number');
+  expect('config', isObject, 'an object');
+  expect('apiKey', value => typeof value === 'string', 'a string');
+  expect('apiKeys', isObject, 'an object');
+  expect('trustedApiKeyHosts', Array.isArray, 'a list');
+  expect('messageHistory', Array.isArray, 'a list');
+  expect('conversations', isObject, 'an object');
+  expect('activeConversationId', value => value === null || typeof value === 'string', 'a conversation id');
+  expect('personas', isObject, 'an object');
+  expect('outbox', Array.isArray, 'a list');
+  expect('usageByDay', isObject, 'an object');
+  expect('modelCatalog', value => value === null || isObject(value), 'an object');
+  
+  return problems;
+}
+
+// What is wrong with one conversation, or null when it can be used
+function getConversationProblem(id, conversation) {
+  if (!isObject(conversation) || conversation.id !== id) {
+    return 'it is not stored under its own id';
+  }
+  if (typeof conversation.createdAt !== 'string' || typeof conversation.updatedAt !== 'string') {
+    return 'it has no created or updated time';
+  }
+  if (!Array.isArray(conversation.messages) || !conversation.messages.every(message => isObject(message) && typeof message.role === 'string')) {
+    return 'it has messages without a role';
+  }
+  return null;
+}
+
+// Remove the conversations that can't be used, so one bad conversation doesn't cost the rest
+// Changes data in place and returns a description of each conversation removed
+function removeInvalidConversations(data) {
+  if (!isObject(data) || !isObject(data.conversations)) return [];
+  
+  const removed = [];
+  Object.entries(data.conversations).forEach(([id, conversation]) => {
+    const problem = getConversationProblem(id, conversation);
+    if (!problem) return;
+    
+    const title = isObject(conversation) && typeof conversation.title === 'string' ? ` "${conversation.title}"` : '';
+    removed.push(`conversation ${id}${title}: ${problem}`);
+    delete data.conversations[id];
+  });
+  return removed;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  MIGRATIONS,
+  getVersion,
+  isNew,
+  getPendingMigrations,
+  validate,
+  removeInvalidConversations
+};
@@ -0,0 +1,75 @@
+/**
+ * Tool Registry for Claude Desktop
+ *
+ * Holds the tools Claude may call with the Messages API tool use feature.
+ * Tools run in the main process; the renderer asks the user to approve each
+ * call before it is run here. That approval comes over IPC, so a tool that
+ * reaches outside the app, like reading a file, confirms with the user again
+ * from the main process (see builtin-tools.js). A tool is a plain object:
+ * { name, title, description, inputSchema, run(input) } where run returns
+ * the text sent back to Claude and throws to report an error.
+ */
+
+// Results longer than this are cut so a single call can't fill the context window
+const MAX_RESULT_CHARS = 100000;
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+  
+  register(tool) {
+    if (!tool || !/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name || '')) {
+      throw new Error(`Invalid tool name: ${tool && tool.name}`);
+    }
+    if (typeof tool.run !== 'function') {
+      throw new Error(`Tool ${tool.name} has no run function`);
+    }
+    
+    this.tools.set(tool.name, tool);
+  }
+  
+  has(name) {
+    return this.tools.has(name);
+  }
+  
+  // Tool definitions in the form the Messages API expects
+  getDefinitions() {
+    return Array.from(this.tools.values()).map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.inputSchema
+    }));
+  }
+  
+  // Names and descriptions for showing tool calls to the user
+  list() {
+    return Array.from(this.tools.values()).map(tool => ({
+      name: tool.name,
+      title: tool.title || tool.name,
+      description: tool.description
+    }));
+  }
+  
+  // Run a tool, returning { success, result } or { success: false, error }
+  async run(name, input) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return { success: false, error: `Unknown tool: ${name}` };
+    }
+    
+    try {
+      let result = await tool.run(input || {});
+      result = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+      if (result.length > MAX_RESULT_CHARS) {
+        result = `${result.slice(0, MAX_RESULT_CHARS)}\n\n[Output truncated after ${MAX_RESULT_CHARS} characters]`;
+      }
+      return { success: true, result };
+    } catch (error) {
+      console.error(`Tool ${name} failed:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = ToolRegistry;
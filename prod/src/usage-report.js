@@ -0,0 +1,118 @@
+/**
+ * Usage Report window for Claude Desktop
+ *
+ * Shows token usage and estimated cost from the main process usage store,
+ * totalled by model and by day. Refreshes whenever a request is recorded.
+ */
+
+const summaryElement = document.getElementById('usage-summary');
+const byModelBody = document.querySelector('#usage-by-model tbody');
+const byDayBody = document.querySelector('#usage-by-day tbody');
+const refreshButton = document.getElementById('refresh-report');
+
+// Table cells shared by the by-model and by-day tables
+function createUsageRow(label, totals, cost) {
+  const row = document.createElement('tr');
+  const cells = [
+    label,
+    totals.requests.toLocaleString(),
+    totals.inputTokens.toLocaleString(),
+    totals.outputTokens.toLocaleString(),
+    totals.cacheCreationTokens.toLocaleString(),
+    totals.cacheReadTokens.toLocaleString(),
+    Usage.formatCost(cost)
+  ];
+  
+  cells.forEach(text => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    row.appendChild(cell);
+  });
+  
+  return row;
+}
+
+function createEmptyRow(message) {
+  const row = document.createElement('tr');
+  const cell = document.createElement('td');
+  cell.colSpan = 7;
+  cell.className = 'usage-empty';
+  cell.textContent = message;
+  row.appendChild(cell);
+  return row;
+}
+
+function renderSummary(report) {
+  summaryElement.innerHTML = '';
+  
+  const cards = [
+    { label: 'Estimated cost', value: Usage.formatCost(report.cost) },
+    { label: 'Total tokens', value: Usage.formatTokens(Usage.totalTokens(report.totals)) },
+    { label: 'Requests', value: report.totals.requests.toLocaleString() }
+  ];
+  
+  // Only worth showing once prompt caching has been used
+  if (report.totals.cacheCreationTokens > 0 || report.totals.cacheReadTokens > 0) {
+    cards.push({ label: 'Saved by prompt caching', value: Usage.formatCost(report.cacheSavings) });
+  }
+  
+  cards.forEach(({ label, value }) => {
+    const card = document.createElement('div');
+    card.className = 'usage-summary-card';
+    
+    const labelElement = document.createElement('div');
+    labelElement.className = 'usage-summary-label';
+    labelElement.textContent = label;
+    
+    const valueElement = document.createElement('div');
+    valueElement.className = 'usage-summary-value';
+    valueElement.textContent = value;
+    
+    card.appendChild(labelElement);
+    card.appendChild(valueElement);
+    summaryElement.appendChild(card);
+  });
+  
+  if (report.unpricedModels.length > 0) {
+    const note = document.createElement('p');
+    note.className = 'note unpriced';
+    note.textContent = `No price is known for ${report.unpricedModels.join(', ')}; their tokens are not included in the cost.`;
+    summaryElement.after(note);
+  }
+}
+
+async function loadReport() {
+  try {
+    const report = await window.api.usage.getReport();
+    if (!report) {
+      throw new Error('The usage report could not be built');
+    }
+    
+    document.querySelectorAll('.usage-report > .note.unpriced').forEach(note => note.remove());
+    renderSummary(report);
+    
+    byModelBody.innerHTML = '';
+    if (report.models.length === 0) {
+      byModelBody.appendChild(createEmptyRow('No usage recorded yet.'));
+    }
+    report.models.forEach(({ model, totals, cost }) => {
+      byModelBody.appendChild(createUsageRow(model, totals, cost));
+    });
+    
+    byDayBody.innerHTML = '';
+    if (report.days.length === 0) {
+      byDayBody.appendChild(createEmptyRow('No usage recorded yet.'));
+    }
+    report.days.forEach(day => {
+      byDayBody.appendChild(createUsageRow(day.date, day.totals, day.cost));
+    });
+  } catch (error) {
+    console.error('Error loading usage report:', error);
+    summaryElement.textContent = 'Could not load the usage report.';
+  }
+}
+
+refreshButton.addEventListener('click', loadReport);
+window.api.usage.onUpdated(loadReport);
+
+loadReport();
@@ -0,0 +1,55 @@
+/**
+ * Usage Store for Claude Desktop
+ *
+ * Keeps a ledger of token usage for every request, totalled by local day and
+ * model, in electron-store. Entries stay when conversations are deleted so
+ * the report reflects everything the API key was charged for.
+ */
+
+const Usage = require('./usage');
+
+class UsageStore {
+  constructor(store) {
+    this.store = store;
+    
+    // { 'YYYY-MM-DD': { [model]: usage totals } }
+    this.days = this.store.get('usageByDay', {}) || {};
+  }
+  
+  _dayKey(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+  
+  // Add one request's usage (in Usage totals form) to today's totals
+  record(model, usage, date = new Date()) {
+    const day = this._dayKey(date);
+    const models = this.days[day] || {};
+    models[model] = Usage.add(models[model], usage);
+    this.days[day] = models;
+    
+    this.store.set('usageByDay', this.days);
+  }
+  
+  // Totals by day (newest first), by model and overall, with estimated costs
+  getReport() {
+    const byModel = {};
+    
+    const days = Object.keys(this.days).sort().reverse().map(date => {
+      const models = this.days[date];
+      Object.entries(models).forEach(([model, usage]) => {
+        byModel[model] = Usage.add(byModel[model], usage);
+      });
+      
+      return { date, models, ...Usage.summarize(models) };
+    });
+    
+    const models = Object.entries(byModel)
+      .map(([model, usage]) => ({ model, totals: usage, cost: Usage.estimateCost(model, usage) }))
+      .sort((a, b) => (b.cost || 0) - (a.cost || 0));
+    
+    return { days, models, ...Usage.summarize(byModel) };
+  }
+}
+
+module.exports = UsageStore;
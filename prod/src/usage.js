@@ -0,0 +1,139 @@
+/**
+ * Token Usage for Claude Desktop
+ *
+ * Token counts and cost estimates shared by the renderer, the usage report
+ * window and the main process. Usage totals are plain objects:
+ * { inputTokens, outputTokens, cacheCreationTokens, cacheReadTokens, requests }.
+ *
+ * Prices are list prices in US dollars per million tokens and only give an
+ * estimate; the Anthropic console has the authoritative bill.
+ *
+ * Loaded as a plain script in the renderer and required by the main process.
+ */
+
+const Usage = (() => {
+  // Matched by prefix so dated model versions share a price; more specific prefixes first
+  const MODEL_PRICING = [
+    { prefix: 'claude-opus-4-5', input: 5, output: 25 },
+    { prefix: 'claude-opus-4', input: 15, output: 75 },
+    { prefix: 'claude-sonnet-4', input: 3, output: 15 },
+    { prefix: 'claude-haiku-4', input: 1, output: 5 },
+    { prefix: 'claude-3-7-sonnet', input: 3, output: 15 },
+    { prefix: 'claude-3-5-sonnet', input: 3, output: 15 },
+    { prefix: 'claude-3-5-haiku', input: 0.8, output: 4 },
+    { prefix: 'claude-3-opus', input: 15, output: 75 },
+    { prefix: 'claude-3-sonnet', input: 3, output: 15 },
+    { prefix: 'claude-3-haiku', input: 0.25, output: 1.25 }
+  ];
+  
+  // Prompt cache writes and reads are billed relative to the input price
+  const CACHE_WRITE_MULTIPLIER = 1.25;
+  const CACHE_READ_MULTIPLIER = 0.1;
+  
+  const TOKENS_PER_PRICE_UNIT = 1000000;
+  
+  function empty() {
+    return { inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, requests: 0 };
+  }
+  
+  // Convert the Messages API usage object for one request
+  function fromApiUsage(usage) {
+    return {
+      inputTokens: (usage && usage.input_tokens) || 0,
+      outputTokens: (usage && usage.output_tokens) || 0,
+      cacheCreationTokens: (usage && usage.cache_creation_input_tokens) || 0,
+      cacheReadTokens: (usage && usage.cache_read_input_tokens) || 0,
+      requests: 1
+    };
+  }
+  
+  function add(total, usage) {
+    const sum = empty();
+    Object.keys(sum).forEach(key => {
+      sum[key] = ((total && total[key]) || 0) + ((usage && usage[key]) || 0);
+    });
+    return sum;
+  }
+  
+  function totalTokens(usage) {
+    return usage.inputTokens + usage.outputTokens + usage.cacheCreationTokens + usage.cacheReadTokens;
+  }
+  
+  function getPricing(model) {
+    return MODEL_PRICING.find(pricing => (model || '').startsWith(pricing.prefix)) || null;
+  }
+  
+  // Estimated cost in dollars, or null when the model's price is unknown
+  function estimateCost(model, usage) {
+    const pricing = getPricing(model);
+    if (!pricing) return null;
+    
+    return (
+      usage.inputTokens * pricing.input +
+      usage.outputTokens * pricing.output +
+      usage.cacheCreationTokens * pricing.input * CACHE_WRITE_MULTIPLIER +
+      usage.cacheReadTokens * pricing.input * CACHE_READ_MULTIPLIER
+    ) / TOKENS_PER_PRICE_UNIT;
+  }
+  
+  // Dollars prompt caching saved compared with sending the cached tokens as plain input:
+  // reads cost a tenth of the input price, writes a quarter more. Null when the price is unknown
+  function estimateCacheSavings(model, usage) {
+    const pricing = getPricing(model);
+    if (!pricing) return null;
+    
+    return (
+      usage.cacheReadTokens * pricing.input * (1 - CACHE_READ_MULTIPLIER) -
+      usage.cacheCreationTokens * pricing.input * (CACHE_WRITE_MULTIPLIER - 1)
+    ) / TOKENS_PER_PRICE_UNIT;
+  }
+  
+  // Combine totals kept per model ({ [model]: usage }) into one total, cost and cache savings
+  function summarize(usageByModel) {
+    let totals = empty();
+    let cost = 0;
+    let cacheSavings = 0;
+    const unpricedModels = [];
+    
+    Object.entries(usageByModel || {}).forEach(([model, usage]) => {
+      totals = add(totals, usage);
+      const modelCost = estimateCost(model, usage);
+      if (modelCost === null) {
+        unpricedModels.push(model);
+      } else {
+        cost += modelCost;
+        cacheSavings += estimateCacheSavings(model, usage);
+      }
+    });
+    
+    return { totals, cost, cacheSavings, unpricedModels };
+  }
+  
+  function formatTokens(count) {
+    if (count >= 1000000) return `${(count / 1000000).toFixed(1)}M`;
+    if (count >= 1000) return `${(count / 1000).toFixed(1)}k`;
+    return String(count);
+  }
+  
+  function formatCost(cost) {
+    if (cost === null || cost === undefined) return 'unknown';
+    if (cost > 0 && cost < 0.01) return '<$0.01';
+    if (cost < 0) return `-${formatCost(-cost)}`;
+    return `$${cost.toFixed(2)}`;
+  }
+  
+  return {
+    empty,
+    fromApiUsage,
+    add,
+    totalTokens,
+    getPricing,
+    estimateCost,
+    estimateCacheSavings,
+    summarize,
+    formatTokens,
+    formatCost
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = Usage;
@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ApiClient, ApiError, ERROR_TYPES } = require('../src/api-client');
+
+function createClient(options = {}) {
+  return new ApiClient({ endpoint: 'https://api.example.com/v1/messages', serviceName: 'Example API', ...options });
+}
+
+// A request that fails with the given responses in turn, then answers 'done'
+function failingThenDone(client, responses) {
+  let calls = 0;
+  const run = async () => {
+    const response = responses[calls++];
+    if (!response) return 'done';
+    throw await client.createErrorFromResponse(response);
+  };
+  return { run, calls: () => calls };
+}
+
+const errorBody = (type, message) => JSON.stringify({ type: 'error', error: { type, message } });
+
+test('HTTP statuses and API error types map to the app\'s error types', () => {
+  const client = createClient();
+  const typeOf = (status, apiErrorType) => client.createApiError(status, apiErrorType, 'detail').type;
+  
+  assert.strictEqual(typeOf(401), ERROR_TYPES.AUTHENTICATION);
+  assert.strictEqual(typeOf(403, 'permission_error'), ERROR_TYPES.AUTHENTICATION);
+  assert.strictEqual(typeOf(400), ERROR_TYPES.INVALID_REQUEST);
+  assert.strictEqual(typeOf(404, 'not_found_error'), ERROR_TYPES.INVALID_REQUEST);
+  assert.strictEqual(typeOf(429), ERROR_TYPES.RATE_LIMIT);
+  assert.strictEqual(typeOf(529), ERROR_TYPES.OVERLOADED);
+  assert.strictEqual(typeOf(500, 'overloaded_error'), ERROR_TYPES.OVERLOADED);
+  assert.strictEqual(typeOf(500), ERROR_TYPES.SERVER);
+  assert.strictEqual(typeOf(503), ERROR_TYPES.SERVER);
+  
+  assert.ok(client.createApiError(429).retryable);
+  assert.ok(client.createApiError(529).retryable);
+  assert.ok(client.createApiError(502).retryable);
+  assert.ok(!client.createApiError(401).retryable);
+  assert.ok(!client.createApiError(400).retryable);
+});
+
+test('a rejected request keeps the API\'s explanation, other errors name the service', () => {
+  const client = createClient();
+  
+  const rejected = client.createApiError(400, 'invalid_request_error', 'max_tokens: too large');
+  assert.strictEqual(rejected.message, 'The request was rejected by the API. max_tokens: too large');
+  assert.strictEqual(rejected.status, 400);
+  assert.strictEqual(rejected.detail, 'max_tokens: too large');
+  
+  const server = client.createApiError(500, 'api_error', 'Internal error');
+  assert.strictEqual(server.message, 'The Example API encountered an internal error. Please try again.');
+  assert.strictEqual(server.detail, 'Internal error');
+  assert.strictEqual(client.createApiError(529).message, 'The Example API is currently overloaded. Please try again shortly.');
+});
+
+test('error responses that are not JSON still become typed errors', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const client = createClient();
+  
+  const gateway = await client.createErrorFromResponse(new Response('<html>502 Bad Gateway</html>', { status: 502 }));
+  assert.ok(gateway instanceof ApiError);
+  assert.strictEqual(gateway.type, ERROR_TYPES.SERVER);
+  assert.strictEqual(gateway.status, 502);
+  assert.strictEqual(gateway.detail, null);
+  
+  const proxy = await client.createErrorFromResponse(new Response('Forbidden', { status: 403 }));
+  assert.strictEqual(proxy.type, ERROR_TYPES.AUTHENTICATION);
+  
+  const json = await client.createErrorFromResponse(new Response(errorBody('rate_limit_error', 'Slow down'), { status: 429 }));
+  assert.strictEqual(json.type, ERROR_TYPES.RATE_LIMIT);
+  assert.strictEqual(json.detail, 'Slow down');
+});
+
+test('retry-after-ms and retry-after in seconds or as a date are read in milliseconds', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const client = createClient();
+  const retryAfter = async headers => (await client.createErrorFromResponse(new Response('', { status: 429, headers }))).retryAfterMs;
+  
+  assert.strictEqual(await retryAfter({ 'retry-after-ms': '150', 'retry-after': '9' }), 150);
+  assert.strictEqual(await retryAfter({ 'retry-after': '2' }), 2000);
+  assert.strictEqual(await retryAfter({ 'retry-after': new Date(Date.now() - 1000).toUTCString() }), 0);
+  assert.strictEqual(await retryAfter({ 'retry-after': 'soon' }), null);
+  assert.strictEqual(await retryAfter({}), null);
+});
+
+test('failed connections become network errors and aborts are passed on', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const client = createClient();
+  
+  t.mock.method(global, 'fetch', async () => {
+    throw new TypeError('fetch failed', { cause: new Error('connect ECONNREFUSED 127.0.0.1:443') });
+  });
+  await assert.rejects(client.request(client.getEndpoint(), {}), error => {
+    assert.strictEqual(error.type, ERROR_TYPES.NETWORK);
+    assert.strictEqual(error.message, 'Could not reach the Example API. Please check your internet connection.');
+    assert.strictEqual(error.detail, 'connect ECONNREFUSED 127.0.0.1:443');
+    assert.ok(!error.retryable);
+    return true;
+  });
+  
+  const abort = new DOMException('The operation was aborted.', 'AbortError');
+  global.fetch.mock.mockImplementation(async () => { throw abort; });
+  await assert.rejects(client.request(client.getEndpoint(), {}), error => error === abort);
+});
+
+test('transient errors are retried with exponential backoff until one succeeds', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const client = createClient();
+  const { run, calls } = failingThenDone(client, [
+    new Response(errorBody('overloaded_error', 'Overloaded'), { status: 529 }),
+    new Response('', { status: 500 }),
+    new Response('', { status: 503 })
+  ]);
+  
+  const retries = [];
+  const result = await client.withRetries(run, {
+    onRetry: retry => {
+      retries.push(retry);
+      // Let the wait end as soon as it has started
+      process.nextTick(() => t.mock.timers.tick(retry.delayMs));
+    }
+  });
+  
+  assert.strictEqual(result, 'done');
+  assert.strictEqual(calls(), 4);
+  assert.deepStrictEqual(retries.map(retry => [retry.attempt, retry.errorType]),
+    [[1, ERROR_TYPES.OVERLOADED], [2, ERROR_TYPES.SERVER], [3, ERROR_TYPES.SERVER]]);
+  // 1s, 2s and 4s, each with up to a quarter of jitter either way
+  retries.forEach((retry, index) => {
+    const backoff = 1000 * Math.pow(2, index);
+    assert.ok(retry.delayMs >= backoff * 0.75 && retry.delayMs <= backoff * 1.25, `retry ${index + 1} waited ${retry.delayMs}ms`);
+  });
+});
+
+test('a reasonable retry-after is waited for instead of the backoff', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const client = createClient();
+  const { run } = failingThenDone(client, [
+    new Response('', { status: 429, headers: { 'retry-after': '3' } }),
+    new Response('', { status: 429, headers: { 'retry-after': '3600' } })
+  ]);
+  
+  const delays = [];
+  await client.withRetries(run, {
+    onRetry: retry => {
+      delays.push(retry.delayMs);
+      process.nextTick(() => t.mock.timers.tick(retry.delayMs));
+    }
+  });
+  
+  assert.strictEqual(delays[0], 3000);
+  // An hour is too long to wait, so the backoff is used
+  assert.ok(delays[1] >= 1500 && delays[1] <= 2500);
+});
+
+test('retries stop at the limit, for errors that are not transient and when canRetry says so', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  const client = createClient({ maxRetries: 1 });
+  const overloaded = () => new Response('', { status: 529, headers: { 'retry-after-ms': '0' } });
+  
+  const limited = failingThenDone(client, [overloaded(), overloaded()]);
+  await assert.rejects(client.withRetries(limited.run), { type: ERROR_TYPES.OVERLOADED });
+  assert.strictEqual(limited.calls(), 2);
+  
+  const rejected = failingThenDone(client, [new Response('', { status: 400 })]);
+  await assert.rejects(client.withRetries(rejected.run), { type: ERROR_TYPES.INVALID_REQUEST });
+  assert.strictEqual(rejected.calls(), 1);
+  
+  const shown = failingThenDone(client, [overloaded()]);
+  await assert.rejects(client.withRetries(shown.run, { canRetry: () => false }), { type: ERROR_TYPES.OVERLOADED });
+  assert.strictEqual(shown.calls(), 1);
+});
+
+test('the auth header carries the saved key, and a missing key is an authentication error', async () => {
+  const client = createClient({ authHeader: 'Authorization: Bearer {apiKey}', getApiKey: async () => 'sk-test' });
+  assert.ok(client.needsApiKey);
+  assert.deepStrictEqual(await client.buildHeaders(), { 'Content-Type': 'application/json', Authorization: 'Bearer sk-test' });
+  
+  const withoutKey = createClient({ authHeader: 'x-api-key: {apiKey}', getApiKey: async () => null });
+  await assert.rejects(withoutKey.buildHeaders(), { type: ERROR_TYPES.AUTHENTICATION });
+  assert.ok(!createClient().needsApiKey);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Attachments = require('../src/attachments');
+const AttachmentStore = require('../src/attachment-store');
+
+test('getMediaType goes by the extension before the type the OS reported', () => {
+  assert.strictEqual(Attachments.getMediaType('photo.JPG'), 'image/jpeg');
+  assert.strictEqual(Attachments.getMediaType('notes.py', 'text/x-python'), 'text/plain');
+  assert.strictEqual(Attachments.getMediaType('scan', 'application/pdf'), 'application/pdf');
+  assert.strictEqual(Attachments.getMediaType('archive.zip', 'application/zip'), null);
+});
+
+test('validateFile and validateMessage enforce the size limits', () => {
+  assert.strictEqual(Attachments.validateFile({ name: 'a.png', size: 1024, mediaType: 'image/png' }), null);
+  assert.strictEqual(
+    Attachments.validateFile({ name: 'big.png', size: 6 * 1024 * 1024, mediaType: 'image/png' }),
+    'big.png is 6.0 MB; Images can be at most 5.0 MB.'
+  );
+  assert.match(Attachments.validateFile({ name: 'a.zip', size: 1, mediaType: null }), /not a supported file type/);
+  
+  const tooMany = Array.from({ length: Attachments.MAX_ATTACHMENTS + 1 }, () => ({ size: 1 }));
+  assert.match(Attachments.validateMessage(tooMany), /at most 20 attachments/);
+  assert.match(Attachments.validateMessage([{ size: Attachments.MAX_TOTAL_BYTES + 1 }]), /a message can carry at most/);
+});
+
+test('toContentBlock sends images and PDFs as base64 and text files as text', () => {
+  assert.deepStrictEqual(
+    Attachments.toContentBlock({ kind: 'image', mediaType: 'image/png', name: 'a.png' }, 'AAAA'),
+    { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAAA' } }
+  );
+  assert.strictEqual(Attachments.toContentBlock({ kind: 'document', mediaType: 'application/pdf', name: 'a.pdf' }, 'AAAA').title, 'a.pdf');
+  assert.deepStrictEqual(
+    Attachments.toContentBlock({ kind: 'text', mediaType: 'text/plain', name: 'a.txt' }, 'hello'),
+    { type: 'text', text: 'Contents of a.txt:\n\nhello' }
+  );
+});
+
+test('the attachment store keeps files by id and prunes the ones no message uses', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-test-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const store = new AttachmentStore(directory);
+  
+  const kept = store.save('kept.txt', 'text/plain', Buffer.from('kept'));
+  const unused = store.save('unused.txt', 'text/plain', Buffer.from('unused'));
+  assert.deepStrictEqual(store.toContentBlock(kept), { type: 'text', text: 'Contents of kept.txt:\n\nkept' });
+  assert.throws(() => store.read('../config.json'), /Invalid attachment id/);
+  
+  assert.strictEqual(store.prune(new Set([kept.id])), 1);
+  assert.ok(fs.existsSync(path.join(directory, kept.id)));
+  assert.ok(!fs.existsSync(path.join(directory, unused.id)));
+});
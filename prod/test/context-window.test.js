@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// context-window.js is a renderer script that finds models.js as a global
+global.Models = require('../src/models');
+const ContextWindow = require('../src/context-window');
+
+// A message estimated at exactly `tokens` tokens: four characters a token plus four for the role markers
+const message = (role, tokens, content) => ({ role, content: content || 'x'.repeat((tokens - 4) * 4) });
+
+test('estimateMessage counts text, images and attachments', () => {
+  assert.strictEqual(ContextWindow.estimateMessage(message('user', 10)), 10);
+  assert.strictEqual(ContextWindow.estimateMessage({
+    role: 'user',
+    content: [
+      { type: 'text', text: 'abcd' },
+      { type: 'image' },
+      { type: 'attachment', attachment: { kind: 'text', size: 400 } }
+    ]
+  }), 1 + 1600 + 100 + 4);
+});
+
+test('dropOldestMessages keeps everything that fits', () => {
+  const messages = [message('user', 10), message('assistant', 10)];
+  assert.deepStrictEqual(ContextWindow.dropOldestMessages(messages, 20), messages);
+});
+
+test('dropOldestMessages drops the oldest turns until the rest fit', () => {
+  const messages = [message('user', 10), message('assistant', 10), message('user', 10), message('assistant', 10)];
+  assert.deepStrictEqual(ContextWindow.dropOldestMessages(messages, 25), messages.slice(2));
+});
+
+test('dropOldestMessages starts the kept history with a user message', () => {
+  const messages = [message('user', 10), message('assistant', 10), message('assistant', 10), message('user', 10)];
+  assert.deepStrictEqual(ContextWindow.dropOldestMessages(messages, 30), messages.slice(3));
+});
+
+test('dropOldestMessages starts the kept history with a user message that is not tool results', () => {
+  const toolResults = { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call', content: 'done' }] };
+  const messages = [
+    message('user', 10),
+    message('assistant', 10),
+    toolResults,
+    message('assistant', 10),
+    message('user', 10)
+  ];
+  
+  assert.deepStrictEqual(ContextWindow.dropOldestMessages(messages, 30), messages.slice(4));
+});
+
+test('dropOldestMessages always keeps the last message', () => {
+  const messages = [message('user', 10), message('user', 500)];
+  assert.deepStrictEqual(ContextWindow.dropOldestMessages(messages, 20), messages.slice(1));
+});
+
+test('dropOldestMessages scales the estimates when an exact count is known', () => {
+  const messages = [message('user', 10), message('assistant', 10), message('user', 10)];
+  assert.strictEqual(ContextWindow.dropOldestMessages(messages, 30).length, 3);
+  assert.strictEqual(ContextWindow.dropOldestMessages(messages, 30, 2).length, 1);
+});
+
+test('getStatus warns close to the space left for input', () => {
+  const model = 'claude-sonnet-4-20250514';
+  const limit = ContextWindow.getInputLimit(model, 1000);
+  
+  assert.strictEqual(ContextWindow.getStatus(limit * 0.5, model, 1000), 'ok');
+  assert.strictEqual(ContextWindow.getStatus(limit * 0.9, model, 1000), 'warning');
+  assert.strictEqual(ContextWindow.getStatus(limit + 1, model, 1000), 'over');
+  assert.ok(!ContextWindow.needsExactCount(limit * 0.5, model, 1000));
+  assert.ok(ContextWindow.needsExactCount(limit * 0.6, model, 1000));
+});
+
+test('keepLastTokens keeps the end of a long text', () => {
+  assert.strictEqual(ContextWindow.keepLastTokens('abcdefghij', 2), 'cdefghij');
+  assert.strictEqual(ContextWindow.keepLastTokens('abc', 2), 'abc');
+});
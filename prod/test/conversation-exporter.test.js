@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EXPORT_FORMAT, EXPORT_VERSION, exportConversations, getFileName } = require('../src/conversation-exporter');
+
+const time = value => new Date(value).toLocaleString();
+
+// A question answered twice; the second answer, with a tool call, is the branch shown
+function createConversation() {
+  return {
+    id: 'c1',
+    title: 'Trip <plan>',
+    model: 'claude-3-haiku-20240307',
+    systemPrompt: 'Be brief.',
+    createdAt: '2025-01-01T10:00:00.000Z',
+    updatedAt: '2025-01-01T10:05:00.000Z',
+    usage: { 'claude-3-haiku-20240307': { inputTokens: 1000000, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, requests: 1 } },
+    activeLeafId: 'a2',
+    messages: [
+      {
+        id: 'q', parentId: null, role: 'user', content: 'Plan a <b>trip</b>',
+        attachments: [{ id: 'att_1', name: 'map.png', kind: 'image' }]
+      },
+      { id: 'a1', parentId: 'q', role: 'assistant', content: 'Old answer' },
+      {
+        id: 'a2', parentId: 'q', role: 'assistant', model: 'claude-3-haiku-20240307',
+        content: '**Day 1:** walk\n\n<script>alert(1)</script>',
+        toolCalls: [{ name: 'calculator', input: { expression: '2 + 2' }, status: 'done', result: 'Uses ``` fences' }]
+      }
+    ]
+  };
+}
+
+test('Markdown follows the branch shown, with attachments and tool calls', async () => {
+  const markdown = await exportConversations([createConversation()], 'markdown');
+  
+  assert.strictEqual(markdown, [
+    '# Trip <plan>',
+    '',
+    '---',
+    '',
+    '### User',
+    '',
+    'Plan a <b>trip</b>',
+    '',
+    '*Attached: map.png*',
+    '',
+    '---',
+    '',
+    '### Assistant',
+    '',
+    '**Day 1:** walk\n\n<script>alert(1)</script>',
+    '',
+    '**Tool call: calculator** (done)',
+    '',
+    '```json\n{\n  "expression": "2 + 2"\n}\n```',
+    '',
+    'Result:',
+    '',
+    '````\nUses ``` fences\n````',
+    ''
+  ].join('\n'));
+});
+
+test('metadata adds the model, times, usage, cost and system prompt', async () => {
+  const markdown = await exportConversations([createConversation()], 'markdown', { includeMetadata: true });
+  
+  assert.ok(markdown.includes([
+    '- **Model:** claude-3-haiku-20240307',
+    `- **Created:** ${time('2025-01-01T10:00:00.000Z')}`,
+    `- **Updated:** ${time('2025-01-01T10:05:00.000Z')}`,
+    '- **Token usage:** 1000000 input, 0 output, 0 cache read, 0 cache write over 1 requests',
+    '- **Estimated cost:** $0.25',
+    '- **System prompt:** Be brief.'
+  ].join('\n')));
+  assert.ok(markdown.includes('### Assistant · claude-3-haiku-20240307\n'));
+});
+
+test('each message shows when it was written, and with metadata how each reply was made', async () => {
+  const conversation = createConversation();
+  conversation.messages[0].createdAt = '2025-01-01T10:00:00.000Z';
+  Object.assign(conversation.messages[2], {
+    createdAt: '2025-01-01T10:00:05.000Z',
+    stopReason: 'end_turn',
+    latencyMs: 2345,
+    usage: { inputTokens: 10, outputTokens: 20, cacheReadTokens: 5, cacheCreationTokens: 1 }
+  });
+  
+  const markdown = await exportConversations([conversation], 'markdown', { includeMetadata: true });
+  assert.ok(markdown.includes(`### User · ${time('2025-01-01T10:00:00.000Z')}\n`));
+  assert.ok(markdown.includes(`### Assistant · ${time('2025-01-01T10:00:05.000Z')} · claude-3-haiku-20240307 · stop: end_turn · 2.3s · 16 in / 20 out tokens\n`));
+  
+  const plain = await exportConversations([conversation], 'markdown');
+  assert.ok(plain.includes(`### Assistant · ${time('2025-01-01T10:00:05.000Z')}\n`));
+});
+
+test('HTML escapes what the user typed and renders replies as safe Markdown', async () => {
+  const html = await exportConversations([createConversation()], 'html', { includeMetadata: true });
+  
+  assert.ok(html.startsWith('<!DOCTYPE html>\n'));
+  assert.ok(html.includes('<title>Trip &lt;plan&gt;</title>'));
+  assert.ok(html.includes('<h1>Trip &lt;plan&gt;</h1>'));
+  assert.ok(html.includes('<div class="message-text">Plan a &lt;b&gt;trip&lt;/b&gt;</div>'));
+  assert.ok(html.includes('<div class="markdown-content"><p><strong>Day 1:</strong> walk</p><p>&lt;script&gt;alert(1)&lt;/script&gt;</p></div>'));
+  assert.ok(html.includes('<dt>System prompt</dt><dd>Be brief.</dd>'));
+  assert.ok(!html.includes('<script>'));
+  assert.ok(!html.includes('Old answer'));
+});
+
+test('JSON wraps every branch of the conversations in a versioned envelope', async () => {
+  const exported = JSON.parse(await exportConversations([createConversation(), createConversation()], 'json'));
+  
+  assert.strictEqual(exported.format, EXPORT_FORMAT);
+  assert.strictEqual(exported.version, EXPORT_VERSION);
+  assert.strictEqual(exported.conversations.length, 2);
+  assert.strictEqual(exported.conversations[0].title, 'Trip <plan>');
+  assert.strictEqual(exported.conversations[0].activeLeafId, 'a2');
+  assert.deepStrictEqual(exported.conversations[0].messages.map(message => message.id), ['q', 'a1', 'a2']);
+  assert.strictEqual(exported.conversations[0].id, undefined);
+});
+
+test('file names come from a single conversation\'s title', async () => {
+  assert.strictEqual(getFileName([createConversation()], 'markdown'), 'Trip plan.md');
+  assert.strictEqual(getFileName([createConversation(), createConversation()], 'pdf'), 'claude-conversations.pdf');
+  await assert.rejects(exportConversations([], 'docx'), /Unknown export format/);
+});
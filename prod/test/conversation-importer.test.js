@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MessageTree = require('../src/message-tree');
+const ConversationImporter = require('../src/conversation-importer');
+const { exportConversations } = require('../src/conversation-exporter');
+
+const item = (sourceId, sourceParentId, content, role = 'user') => ({
+  sourceId,
+  sourceParentId,
+  message: content === null ? null : { role, content }
+});
+
+// The contents of the messages on the shown branch
+const shownContents = ({ messages, activeLeafId }) => MessageTree.getPath(messages, activeLeafId).map(message => message.content);
+
+test('buildTree gives messages new ids and links replies listed before their parents', () => {
+  const tree = ConversationImporter.buildTree([
+    item('b', 'a', 'reply', 'assistant'),
+    item('a', null, 'question')
+  ], 'b');
+  
+  assert.deepStrictEqual(tree.messages.map(message => message.content), ['question', 'reply']);
+  assert.ok(tree.messages.every(message => MessageTree.isTree([message]) && !['a', 'b'].includes(message.id)));
+  assert.strictEqual(tree.messages[1].parentId, tree.messages[0].id);
+  assert.strictEqual(tree.activeLeafId, tree.messages[1].id);
+  assert.strictEqual(tree.messages[0].createdAt, null);
+});
+
+test('buildTree attaches replies of left out messages to the nearest kept one', () => {
+  const tree = ConversationImporter.buildTree([
+    item('root', null, null),
+    item('a', 'root', 'question'),
+    item('hidden', 'a', null),
+    item('b', 'hidden', 'reply', 'assistant'),
+    item('c', 'a', 'other reply', 'assistant')
+  ], 'hidden');
+  
+  const [question, reply, otherReply] = tree.messages;
+  assert.strictEqual(question.parentId, null);
+  assert.strictEqual(reply.parentId, question.id);
+  assert.strictEqual(otherReply.parentId, question.id);
+  // The shown branch ends at the nearest kept message
+  assert.strictEqual(tree.activeLeafId, question.id);
+});
+
+test('buildTree makes messages whose parent is not in the file roots', () => {
+  const tree = ConversationImporter.buildTree([item('a', 'missing', 'question')]);
+  
+  assert.strictEqual(tree.messages[0].parentId, null);
+  assert.strictEqual(tree.activeLeafId, tree.messages[0].id);
+});
+
+test('buildTree rejects duplicate ids, loops and conversations with nothing kept', () => {
+  assert.throws(() => ConversationImporter.buildTree([item('a', null, 'one'), item('a', null, 'two')]), /same id: a/);
+  assert.throws(() => ConversationImporter.buildTree([item('a', 'b', 'one'), item('b', 'a', 'two')]), /loop/);
+  assert.throws(() => ConversationImporter.buildTree([item('a', null, null)]), /no user or assistant messages/);
+});
+
+test('getFingerprint depends on the roles and text of the shown branch only', () => {
+  const first = MessageTree.fromLinear([{ role: 'user', content: 'Hello  there' }, { role: 'assistant', content: 'Hi' }]);
+  const second = MessageTree.fromLinear([{ role: 'user', content: 'Hello there\n' }, { role: 'assistant', content: 'Hi' }]);
+  const swapped = MessageTree.fromLinear([{ role: 'assistant', content: 'Hello there' }, { role: 'user', content: 'Hi' }]);
+  const fingerprint = ({ nodes, leafId }) => ConversationImporter.getFingerprint(nodes, leafId);
+  
+  assert.strictEqual(fingerprint(first), fingerprint(second));
+  assert.notStrictEqual(fingerprint(first), fingerprint(swapped));
+  
+  // Another branch next to the shown one doesn't change it
+  const branch = { ...MessageTree.createNode('assistant', 'Another reply', first.nodes[0].id) };
+  assert.strictEqual(ConversationImporter.getFingerprint([...first.nodes, branch], first.leafId), fingerprint(first));
+  assert.notStrictEqual(ConversationImporter.getFingerprint([...first.nodes, branch], branch.id), fingerprint(first));
+});
+
+test('parseFile reads the app\'s own JSON export back with its branches', async () => {
+  const original = MessageTree.fromLinear([{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }]);
+  const branch = { ...MessageTree.createNode('assistant', 'Hey', original.nodes[0].id), stopReason: 'end_turn', usage: { inputTokens: 5, outputTokens: 'many' } };
+  const text = await exportConversations([{
+    title: 'Greeting',
+    model: 'claude-3-haiku-20240307',
+    messages: [...original.nodes, branch],
+    activeLeafId: branch.id
+  }], 'json');
+  
+  const { conversations, errors } = ConversationImporter.parseFile(text);
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(conversations[0].title, 'Greeting');
+  assert.strictEqual(conversations[0].model, 'claude-3-haiku-20240307');
+  assert.strictEqual(conversations[0].messages.length, 3);
+  assert.deepStrictEqual(conversations[0].messages.map(message => message.createdAt), [...original.nodes, branch].map(message => message.createdAt));
+  assert.deepStrictEqual(shownContents(conversations[0]), ['Hi', 'Hey']);
+  assert.strictEqual(conversations[0].messages[2].stopReason, 'end_turn');
+  assert.deepStrictEqual(conversations[0].messages[2].usage, { inputTokens: 5, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0 });
+  
+  assert.throws(() => ConversationImporter.parseFile(JSON.stringify({ format: 'claude-desktop-conversations', version: 99 })), /newer version/);
+});
+
+test('parseFile reads a ChatGPT export following its current node', () => {
+  const { conversations, errors } = ConversationImporter.parseFile(JSON.stringify([{
+    title: 'Trip',
+    create_time: 1700000000,
+    current_node: 'a2',
+    mapping: {
+      root: { id: 'root', parent: null, message: null },
+      u1: { id: 'u1', parent: 'root', message: { author: { role: 'user' }, content: { parts: ['Where to?'] }, create_time: 1700000001 } },
+      a1: { id: 'a1', parent: 'u1', message: { author: { role: 'assistant' }, content: { parts: ['Rome.'] } } },
+      a2: { id: 'a2', parent: 'u1', message: { author: { role: 'assistant' }, content: { parts: ['Lisbon.'] }, metadata: { model_slug: 'gpt-4o' } } }
+    }
+  }]));
+  
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(conversations[0].title, 'Trip');
+  assert.strictEqual(conversations[0].createdAt, new Date(1700000000 * 1000).toISOString());
+  assert.deepStrictEqual(shownContents(conversations[0]), ['Where to?', 'Lisbon.']);
+  assert.strictEqual(conversations[0].messages.length, 3);
+});
+
+test('ChatGPT messages keep the user and assistant roles and leave out the rest', () => {
+  const message = (role, text, extra = {}) => ({ author: { role }, content: { parts: [text] }, ...extra });
+  const { conversations } = ConversationImporter.parseFile(JSON.stringify([{
+    title: 'Roles',
+    mapping: {
+      s: { id: 's', parent: null, message: message('system', 'You are ChatGPT') },
+      u: { id: 'u', parent: 's', message: message('user', 'Search for this') },
+      c: { id: 'c', parent: 'u', message: message('assistant', 'search("this")', { recipient: 'browser' }) },
+      t: { id: 't', parent: 'c', message: message('tool', 'Results') },
+      h: { id: 'h', parent: 't', message: message('user', 'Hidden context', { metadata: { is_visually_hidden_from_conversation: true } }) },
+      a: { id: 'a', parent: 'h', message: { author: { role: 'assistant' }, content: { parts: ['Found it.', { content_type: 'image_asset_pointer' }] } } }
+    }
+  }]));
+  
+  const messages = conversations[0].messages;
+  assert.deepStrictEqual(messages.map(item => item.role), ['user', 'assistant']);
+  assert.strictEqual(messages[1].parentId, messages[0].id);
+  assert.strictEqual(messages[1].content, 'Found it.\n\n[An image was left out]');
+});
+
+test('Claude.ai senders become user and assistant messages with notes for their files', () => {
+  const { conversations } = ConversationImporter.parseFile(JSON.stringify([{
+    name: 'Claude chat',
+    created_at: '2024-05-01T10:00:00Z',
+    chat_messages: [
+      { uuid: 'm1', sender: 'human', text: 'Read this', attachments: [{ file_name: 'notes.txt' }] },
+      { uuid: 'm2', sender: 'assistant', text: '', content: [{ type: 'text', text: 'Done.' }] },
+      { uuid: 'm3', sender: 'system', text: 'Ignored' }
+    ]
+  }]));
+  
+  const [conversation] = conversations;
+  assert.strictEqual(conversation.title, 'Claude chat');
+  assert.strictEqual(conversation.createdAt, '2024-05-01T10:00:00.000Z');
+  assert.deepStrictEqual(conversation.messages.map(item => [item.role, item.content]), [
+    ['user', 'Read this\n\n[Attached file: notes.txt]'],
+    ['assistant', 'Done.']
+  ]);
+  assert.strictEqual(conversation.activeLeafId, conversation.messages[1].id);
+});
+
+test('parseFile reads Markdown transcripts and reports unreadable conversations', () => {
+  const { conversations } = ConversationImporter.parseFile('# Notes\n\n## User\n\nHi\n\n## Assistant\n\nHello!\n');
+  assert.strictEqual(conversations[0].title, 'Notes');
+  assert.deepStrictEqual(shownContents(conversations[0]), ['Hi', 'Hello!']);
+  
+  const { errors } = ConversationImporter.parseFile(JSON.stringify({ conversations: [{ title: 'Empty', messages: [] }] }));
+  assert.strictEqual(errors.length, 1);
+  assert.match(errors[0], /^Conversation "Empty": /);
+  
+  assert.throws(() => ConversationImporter.parseFile('  '), /empty/);
+  assert.throws(() => ConversationImporter.parseFile('{ not json'), /not valid JSON/);
+});
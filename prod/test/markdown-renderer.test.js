@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MarkdownRenderer = require('../src/markdown-renderer');
+
+const render = markdown => MarkdownRenderer.render(markdown);
+
+test('HTML in a reply is shown as text', () => {
+  assert.strictEqual(render('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+  assert.strictEqual(render('**<img src=x onerror=alert(1)>**'), '<p><strong>&lt;img src=x onerror=alert(1)&gt;</strong></p>');
+});
+
+test('HTML in a code block is escaped and highlighted as text', () => {
+  const html = render('```html\n<img src=x onerror="alert(1)">\n```');
+  
+  assert.ok(html.includes('<span class="code-block-language">html</span>'));
+  assert.ok(html.includes('<span class="hl-tag">&lt;img</span>'));
+  assert.ok(!html.includes('<img'));
+  assert.ok(!render('```\n</code></pre><script>\n```').includes('<script>'));
+});
+
+test('only http, https and mailto links are kept, and labels keep their formatting', () => {
+  assert.strictEqual(render('[a](javascript:alert(1))'), '<p>a</p>');
+  assert.strictEqual(render('[b](data:text/html,hi)'), '<p>b</p>');
+  assert.strictEqual(render('[c](JavaScript:alert(1) "title")'), '<p>c</p>');
+  assert.strictEqual(
+    render('[d](https://example.com/a_(b))'),
+    '<p><a href="https://example.com/a_(b)" target="_blank" rel="noopener noreferrer">d</a></p>'
+  );
+  assert.strictEqual(
+    render('[**see** `npm test` \\*](https://example.com)'),
+    '<p><a href="https://example.com" target="_blank" rel="noopener noreferrer"><strong>see</strong> <code>npm test</code> *</a></p>'
+  );
+  assert.strictEqual(
+    render('<mailto:me@example.com>'),
+    '<p><a href="mailto:me@example.com" target="_blank" rel="noopener noreferrer">mailto:me@example.com</a></p>'
+  );
+});
+
+test('nested lists keep their own kinds and a task list item gets a checkbox', () => {
+  assert.strictEqual(
+    render('- a\n  - b\n    1. c\n- d'),
+    '<ul><li>a<ul><li>b<ol><li>c</li></ol></li></ul></li><li>d</li></ul>'
+  );
+  assert.strictEqual(render('3. three\n4. four'), '<ol start="3"><li>three</li><li>four</li></ol>');
+  assert.strictEqual(
+    render('- [x] done'),
+    '<ul><li class="task-list-item"><input type="checkbox" disabled checked> done</li></ul>'
+  );
+});
+
+test('tables are aligned and their cells are escaped', () => {
+  assert.strictEqual(
+    render('| a | b |\n|:--|--:|\n| 1 | <b>2</b> |'),
+    '<div class="markdown-table"><table>' +
+      '<thead><tr><th style="text-align: left">a</th><th style="text-align: right">b</th></tr></thead>' +
+      '<tbody><tr><td style="text-align: left">1</td><td style="text-align: right">&lt;b&gt;2&lt;/b&gt;</td></tr></tbody>' +
+      '</table></div>'
+  );
+});
+
+test('placeholder characters written by the model do not bring back stashed HTML', () => {
+  assert.strictEqual(render('`x` then \u00000\u0000'), '<p><code>x</code> then 0</p>');
+  assert.strictEqual(render('[\u00000\u0000](https://example.com) `y`'),
+    '<p><a href="https://example.com" target="_blank" rel="noopener noreferrer">0</a> <code>y</code></p>');
+});
+
+test('an unclosed code fence runs to the end, as it does while streaming', () => {
+  const html = render('Before\n\n```js\nconst a = 1;');
+  
+  assert.ok(html.startsWith('<p>Before</p><div class="code-block">'));
+  assert.ok(html.includes('<span class="hl-keyword">const</span> a = <span class="hl-number">1</span>;'));
+});
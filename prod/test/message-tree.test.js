@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MessageTree = require('../src/message-tree');
+
+// question -> first answer, and a regenerated answer with its own follow-up
+function createBranches() {
+  const question = { id: 'q', parentId: null, role: 'user', content: 'Question' };
+  const first = { id: 'a1', parentId: 'q', role: 'assistant', content: 'First answer' };
+  const second = { id: 'a2', parentId: 'q', role: 'assistant', content: 'Second answer' };
+  const followUp = { id: 'f', parentId: 'a2', role: 'user', content: 'Follow-up' };
+  return [question, first, second, followUp];
+}
+
+test('createNode records when the message was written, and its id holds the same time', () => {
+  const before = Date.now();
+  const node = MessageTree.createNode('user', 'Hi', 'parent');
+  
+  assert.strictEqual(node.parentId, 'parent');
+  assert.ok(Date.parse(node.createdAt) >= before);
+  assert.ok(Math.abs(Date.parse(MessageTree.getIdTime(node.id)) - Date.parse(node.createdAt)) < 1000);
+  assert.strictEqual(MessageTree.getIdTime('not-a-message-id'), null);
+  assert.strictEqual(MessageTree.getIdTime(undefined), null);
+});
+
+test('fromLinear chains a plain history into one branch and keeps known times', () => {
+  const { nodes, leafId } = MessageTree.fromLinear([
+    { role: 'user', content: 'Hi', createdAt: '2025-01-01T00:00:00.000Z' },
+    { role: 'assistant', content: 'Hello' }
+  ]);
+  
+  assert.ok(MessageTree.isTree(nodes));
+  assert.strictEqual(nodes[0].parentId, null);
+  assert.strictEqual(nodes[1].parentId, nodes[0].id);
+  assert.strictEqual(leafId, nodes[1].id);
+  assert.deepStrictEqual(nodes.map(node => node.createdAt), ['2025-01-01T00:00:00.000Z', null]);
+  assert.ok(!MessageTree.isTree([{ role: 'user', content: 'Hi' }]));
+});
+
+test('getPath, getSiblings and getDefaultLeaf follow the branches', () => {
+  const nodes = createBranches();
+  
+  assert.deepStrictEqual(MessageTree.getPath(nodes, 'f').map(node => node.id), ['q', 'a2', 'f']);
+  assert.deepStrictEqual(MessageTree.getSiblings(nodes, nodes[1]).map(node => node.id), ['a1', 'a2']);
+  assert.strictEqual(MessageTree.getLatestLeaf(nodes, 'q'), 'f');
+  assert.strictEqual(MessageTree.getDefaultLeaf(nodes), 'f');
+  assert.strictEqual(MessageTree.getDefaultLeaf([]), null);
+});
+
+test('getPath stops at a cycle in corrupted data', () => {
+  const nodes = [
+    { id: 'a', parentId: 'b', role: 'user', content: '' },
+    { id: 'b', parentId: 'a', role: 'assistant', content: '' }
+  ];
+  assert.ok(MessageTree.getPath(nodes, 'a').length <= nodes.length + 1);
+});
+
+test('removeNode moves the replies of a removed message up to its parent', () => {
+  const nodes = MessageTree.removeNode(createBranches(), 'a2');
+  
+  assert.deepStrictEqual(nodes.map(node => node.id), ['q', 'a1', 'f']);
+  assert.strictEqual(MessageTree.findNode(nodes, 'f').parentId, 'q');
+  assert.strictEqual(MessageTree.removeNode(nodes, 'missing'), nodes);
+});
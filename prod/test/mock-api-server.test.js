@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockApiServer, getMockApiOptions, DEFAULT_PORT } = require('../src/mock-api-server');
+
+// A mock server on a free port that streams without delays
+async function startServer(t, options = {}) {
+  const server = new MockApiServer({ port: 0, chunkDelayMs: 0, log: () => {}, ...options });
+  await server.start();
+  t.after(() => server.stop());
+  return server;
+}
+
+function postMessage(server, body) {
+  return fetch(server.endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ model: 'claude-haiku-4-5-20251001', max_tokens: 100, ...body })
+  });
+}
+
+// The events of a server-sent event stream as { event, data }
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+}
+
+test('a streamed reply sends the Messages API events in order and echoes the last user message', async (t) => {
+  const server = await startServer(t);
+  const response = await postMessage(server, { stream: true, messages: [{ role: 'user', content: 'Hello there mock' }] });
+  
+  assert.strictEqual(response.headers.get('content-type'), 'text/event-stream');
+  const events = parseEvents(await response.text());
+  const names = events.map(entry => entry.event).filter(name => name !== 'content_block_delta');
+  assert.deepStrictEqual(names, ['message_start', 'content_block_start', 'content_block_stop', 'message_delta', 'message_stop']);
+  
+  const text = events.filter(entry => entry.event === 'content_block_delta').map(entry => entry.data.delta.text).join('');
+  assert.strictEqual(text, 'You said: Hello there mock');
+  assert.ok(events.every(entry => entry.data.type === entry.event));
+  assert.strictEqual(events[events.length - 2].data.delta.stop_reason, 'end_turn');
+});
+
+test('error directives answer with the status and error body of the Messages API', async (t) => {
+  const server = await startServer(t);
+  
+  const rateLimited = await postMessage(server, { messages: [{ role: 'user', content: '[mock:error=rate_limit] hi' }] });
+  assert.strictEqual(rateLimited.status, 429);
+  assert.strictEqual(rateLimited.headers.get('retry-after'), '2');
+  assert.strictEqual((await rateLimited.json()).error.type, 'rate_limit_error');
+  
+  const overloaded = await postMessage(server, { messages: [{ role: 'user', content: '[mock:error=overloaded]' }] });
+  assert.strictEqual(overloaded.status, 529);
+  await overloaded.text();
+  
+  const streamError = await postMessage(server, { stream: true, messages: [{ role: 'user', content: '[mock:error=stream_error] one two three four' }] });
+  const events = parseEvents(await streamError.text());
+  assert.strictEqual(events[events.length - 1].event, 'error');
+  assert.strictEqual(events[events.length - 1].data.error.type, 'overloaded_error');
+});
+
+test('scripted tool calls are streamed as tool_use blocks when the request offers tools', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-api-test-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const scriptPath = path.join(directory, 'script.json');
+  fs.writeFileSync(scriptPath, JSON.stringify({ responses: [{ match: 'time', text: '', toolCalls: [{ name: 'get_current_datetime' }] }] }));
+  const server = await startServer(t, { scriptPath });
+  
+  const response = await postMessage(server, {
+    stream: true,
+    tools: [{ name: 'get_current_datetime', input_schema: { type: 'object' } }],
+    messages: [{ role: 'user', content: 'What time is it?' }]
+  });
+  const events = parseEvents(await response.text());
+  const start = events.find(entry => entry.event === 'content_block_start');
+  assert.strictEqual(start.data.content_block.type, 'tool_use');
+  assert.strictEqual(start.data.content_block.name, 'get_current_datetime');
+  assert.strictEqual(events.find(entry => entry.event === 'message_delta').data.delta.stop_reason, 'tool_use');
+});
+
+test('requests with extended thinking get a signed thinking block before the text', async (t) => {
+  const server = await startServer(t);
+  const response = await postMessage(server, {
+    stream: true,
+    thinking: { type: 'enabled', budget_tokens: 1024 },
+    messages: [{ role: 'user', content: 'Think' }]
+  });
+  const events = parseEvents(await response.text());
+  const blocks = events.filter(entry => entry.event === 'content_block_start').map(entry => entry.data.content_block.type);
+  const deltas = events.filter(entry => entry.event === 'content_block_delta' && entry.data.index === 0).map(entry => entry.data.delta);
+  
+  assert.deepStrictEqual(blocks, ['thinking', 'text']);
+  assert.strictEqual(deltas.filter(item => item.type === 'thinking_delta').map(item => item.thinking).join(''),
+    'The message was "Think". I should repeat it back.');
+  assert.deepStrictEqual(deltas[deltas.length - 1], { type: 'signature_delta', signature: 'mock-signature' });
+});
+
+test('token counting, the model list and unknown paths', async (t) => {
+  const server = await startServer(t);
+  const base = server.endpoint.replace('/v1/messages', '');
+  
+  const count = await fetch(`${base}/v1/messages/count_tokens`, { method: 'POST', body: JSON.stringify({ messages: [] }) });
+  assert.ok((await count.json()).input_tokens > 0);
+  assert.ok((await (await fetch(`${base}/v1/models`)).json()).data.length > 0);
+  assert.strictEqual((await fetch(`${base}/v1/other`)).status, 404);
+});
+
+test('getMockApiOptions reads the port and script from the command line', () => {
+  assert.strictEqual(getMockApiOptions(['electron', 'main.js']), null);
+  assert.deepStrictEqual(getMockApiOptions(['--mock-api']), { port: DEFAULT_PORT, scriptPath: null });
+  assert.deepStrictEqual(getMockApiOptions(['--mock-api=9000', '--mock-api-script=a.json']), { port: 9000, scriptPath: 'a.json' });
+});
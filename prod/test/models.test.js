@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Models = require('../src/models');
+const ModelCatalog = require('../src/model-catalog');
+
+// electron-store stand-in that keeps values in memory
+function createMemoryStore(values = {}) {
+  return {
+    get: (key, fallback) => (key in values ? values[key] : fallback),
+    set: (key, value) => { values[key] = value; }
+  };
+}
+
+test('getLimits matches dated versions by the most specific family prefix', () => {
+  assert.deepStrictEqual(Models.getLimits('claude-opus-4-5-20251101'), { contextWindow: 200000, maxOutputTokens: 64000, supportsThinking: true });
+  assert.deepStrictEqual(Models.getLimits('claude-opus-4-1-20250805'), { contextWindow: 200000, maxOutputTokens: 32000, supportsThinking: true });
+  assert.deepStrictEqual(Models.getLimits('unknown-model'), { contextWindow: 200000, maxOutputTokens: 4096, supportsThinking: false });
+  assert.strictEqual(Models.find([], 'claude-3-5-haiku-20241022').displayName, 'claude-3-5-haiku-20241022');
+});
+
+test('clampMaxTokens keeps max tokens within what the model can produce', () => {
+  const model = Models.createEntry('claude-3-5-haiku-20241022');
+  
+  assert.strictEqual(Models.clampMaxTokens(20000, model), 8192);
+  assert.strictEqual(Models.clampMaxTokens('2000', model), 2000);
+  assert.strictEqual(Models.clampMaxTokens('none', model), 1024);
+});
+
+test('getThinkingLimits adds the thinking budget on top of max tokens, within the output limit', () => {
+  const sonnet = Models.createEntry('claude-sonnet-4-20250514');
+  const opus = Models.createEntry('claude-opus-4-1-20250805');
+  
+  assert.deepStrictEqual(Models.getThinkingLimits(4000, 8000, sonnet), { maxTokens: 12000, budgetTokens: 8000 });
+  assert.deepStrictEqual(Models.getThinkingLimits(30000, 8000, opus), { maxTokens: 32000, budgetTokens: 8000 });
+  // The budget has to stay below max tokens
+  assert.deepStrictEqual(Models.getThinkingLimits(32000, 40000, opus), { maxTokens: 32000, budgetTokens: 31999 });
+  // A missing budget or one under the minimum of 1024 is raised to the minimum
+  assert.deepStrictEqual(Models.getThinkingLimits(4000, 'none', sonnet), { maxTokens: 5024, budgetTokens: 1024 });
+  assert.deepStrictEqual(Models.getThinkingLimits(4000, 500, sonnet), { maxTokens: 5024, budgetTokens: 1024 });
+  assert.strictEqual(Models.getThinkingLimits(4000, 8000, Models.createEntry('claude-3-5-haiku-20241022')), null);
+});
+
+test('the catalog caches the list per provider and endpoint and falls back to the bundled list', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const values = {};
+  let calls = 0;
+  const provider = {
+    id: 'anthropic',
+    settings: { endpoint: 'https://api.anthropic.com/v1/messages', models: [] },
+    client: {
+      listModels: async () => {
+        calls++;
+        return [{ id: 'claude-sonnet-4-20250514', displayName: 'Claude Sonnet 4' }];
+      }
+    }
+  };
+  const catalog = new ModelCatalog(createMemoryStore(values), () => provider);
+  
+  assert.strictEqual((await catalog.getModels()).source, 'api');
+  assert.strictEqual((await catalog.getModels()).source, 'cache');
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(values.modelCatalog.models[0].maxOutputTokens, 64000);
+  
+  provider.settings.endpoint = 'http://127.0.0.1:8787/v1/messages';
+  assert.strictEqual((await catalog.getModels()).source, 'api');
+  assert.strictEqual(calls, 2);
+  
+  const offline = { ...provider, client: { listModels: async () => { throw new Error('offline'); } } };
+  const result = await new ModelCatalog(createMemoryStore(), () => offline).getModels();
+  assert.strictEqual(result.source, 'bundled');
+  assert.strictEqual(result.error, 'offline');
+  assert.deepStrictEqual(result.models, Models.BUNDLED_MODELS);
+  
+  const local = { id: 'openai-compatible', settings: { endpoint: '', models: [] }, client: offline.client };
+  assert.deepStrictEqual((await new ModelCatalog(createMemoryStore(), () => local).getModels()).models, []);
+});
+
+test('models listed in the provider settings are used without asking the provider', async () => {
+  const provider = { id: 'openai-compatible', settings: { endpoint: '', models: ['llama3'] }, client: null };
+  const result = await new ModelCatalog(createMemoryStore(), () => provider).getModels();
+  
+  assert.strictEqual(result.source, 'settings');
+  assert.deepStrictEqual(result.models.map(model => model.id), ['llama3']);
+});
@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OpenAICompatibleClient = require('../src/openai-compatible-client');
+const { ERROR_TYPES } = require('../src/api-client');
+
+const ENDPOINT = 'http://127.0.0.1:11434/v1/chat/completions';
+
+function createClient() {
+  return new OpenAICompatibleClient({ endpoint: ENDPOINT, maxRetries: 0 });
+}
+
+// A streaming response with one data line per chunk, ending with [DONE]
+function streamResponse(chunks) {
+  const body = chunks.map(chunk => `data: ${JSON.stringify(chunk)}\n\n`).join('') + 'data: [DONE]\n\n';
+  return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+const delta = (value, finishReason = null) => ({ model: 'llama3', choices: [{ index: 0, delta: value, finish_reason: finishReason }] });
+
+test('the system prompt becomes a system message and text messages keep their roles', () => {
+  const request = createClient().buildRequest({
+    model: 'llama3',
+    maxTokens: 100,
+    temperature: 0.5,
+    system: [{ type: 'text', text: 'Be brief.', cache_control: { type: 'ephemeral' } }, { type: 'text', text: 'Be kind.' }],
+    messages: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: [{ type: 'text', text: 'Hello' }] }]
+  });
+  
+  assert.deepStrictEqual(request, {
+    model: 'llama3',
+    max_tokens: 100,
+    temperature: 0.5,
+    stream: true,
+    stream_options: { include_usage: true },
+    messages: [
+      { role: 'system', content: 'Be brief.\n\nBe kind.' },
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello' }
+    ]
+  });
+  assert.deepStrictEqual(createClient().buildRequest({ model: 'llama3', system: 'Plain', messages: [] }, { stream: false }).messages,
+    [{ role: 'system', content: 'Plain' }]);
+});
+
+test('images, PDFs, tool calls and tool results are translated to Chat Completions messages', () => {
+  const request = createClient().buildRequest({
+    model: 'llama3',
+    tools: [{ name: 'calculator', description: 'Calculate', input_schema: { type: 'object' } }],
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAAA' } },
+          { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: 'BBBB' }, title: 'report.pdf' },
+          { type: 'text', text: 'What is 2 + 2?' }
+        ]
+      },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'call_1', name: 'calculator', input: { expression: '2 + 2' } }] },
+      {
+        role: 'user',
+        content: [
+          { type: 'tool_result', tool_use_id: 'call_1', content: [{ type: 'text', text: '4' }] },
+          { type: 'tool_result', tool_use_id: 'call_2', content: 'No such file', is_error: true },
+          { type: 'text', text: 'Thanks' }
+        ]
+      }
+    ]
+  });
+  
+  assert.deepStrictEqual(request.tools, [
+    { type: 'function', function: { name: 'calculator', description: 'Calculate', parameters: { type: 'object' } } }
+  ]);
+  assert.deepStrictEqual(request.messages, [
+    {
+      role: 'user',
+      content: [
+        { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } },
+        { type: 'text', text: '[The PDF report.pdf was left out; this provider can\'t read PDFs.]' },
+        { type: 'text', text: 'What is 2 + 2?' }
+      ]
+    },
+    {
+      role: 'assistant',
+      content: null,
+      tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'calculator', arguments: '{"expression":"2 + 2"}' } }]
+    },
+    { role: 'tool', tool_call_id: 'call_1', content: '4' },
+    { role: 'tool', tool_call_id: 'call_2', content: 'Error: No such file' },
+    { role: 'user', content: [{ type: 'text', text: 'Thanks' }] }
+  ]);
+});
+
+test('send reads the reply, tool calls, finish reason and usage of a completion', async (t) => {
+  t.mock.method(global, 'fetch', async () => new Response(JSON.stringify({
+    model: 'llama3:8b',
+    choices: [{
+      message: {
+        content: 'Let me check.',
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'calculator', arguments: '{"expression":"1+1"}' } }]
+      },
+      finish_reason: 'tool_calls'
+    }],
+    usage: { prompt_tokens: 12, completion_tokens: 5 }
+  }), { status: 200 }));
+  
+  const result = await createClient().send({ model: 'llama3', messages: [{ role: 'user', content: 'Hi' }] });
+  
+  assert.deepStrictEqual(result, {
+    text: 'Let me check.',
+    model: 'llama3:8b',
+    stopReason: 'tool_use',
+    usage: { input_tokens: 12, output_tokens: 5 },
+    toolCalls: [{ id: 'call_1', name: 'calculator', input: { expression: '1+1' } }]
+  });
+  assert.strictEqual(global.fetch.mock.calls[0].arguments[0], ENDPOINT);
+  assert.strictEqual(JSON.parse(global.fetch.mock.calls[0].arguments[1].body).stream, false);
+});
+
+test('stream puts text deltas and tool call fragments back together', async (t) => {
+  t.mock.method(global, 'fetch', async () => streamResponse([
+    delta({ role: 'assistant', content: '' }),
+    delta({ content: 'Two ' }),
+    delta({ content: 'calls.' }),
+    delta({ tool_calls: [{ index: 0, id: 'call_a', function: { name: 'calcu', arguments: '{"expr' } }] }),
+    delta({ tool_calls: [{ index: 0, function: { name: 'lator', arguments: 'ession":"1"}' } }] }),
+    delta({ tool_calls: [{ index: 1, id: 'call_b', function: { name: 'get_current_datetime', arguments: '' } }] }),
+    delta({}, 'tool_calls'),
+    { model: 'llama3', choices: [], usage: { prompt_tokens: 20, completion_tokens: 8 } }
+  ]));
+  
+  const texts = [];
+  const result = await createClient().stream({ model: 'llama3', messages: [] }, { onText: (text, fullText) => texts.push(fullText) });
+  
+  assert.deepStrictEqual(texts, ['Two ', 'Two calls.']);
+  assert.strictEqual(result.text, 'Two calls.');
+  assert.strictEqual(result.stopReason, 'tool_use');
+  assert.deepStrictEqual(result.usage, { input_tokens: 20, output_tokens: 8 });
+  assert.deepStrictEqual(result.toolCalls, [
+    { id: 'call_a', name: 'calculator', input: { expression: '1' } },
+    { id: 'call_b', name: 'get_current_datetime', input: {} }
+  ]);
+});
+
+test('finish reasons are given in Messages API terms', async (t) => {
+  const stopReason = async finishReason => {
+    global.fetch.mock.mockImplementation(async () => streamResponse([delta({ content: 'x' }, finishReason)]));
+    return (await createClient().stream({ model: 'llama3', messages: [] })).stopReason;
+  };
+  t.mock.method(global, 'fetch', async () => null);
+  
+  assert.strictEqual(await stopReason('stop'), 'end_turn');
+  assert.strictEqual(await stopReason('length'), 'max_tokens');
+  assert.strictEqual(await stopReason('content_filter'), 'refusal');
+  assert.strictEqual(await stopReason('eos'), 'eos');
+});
+
+test('an error sent in the stream and a failed request become typed errors', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(global, 'fetch', async () => streamResponse([
+    delta({ content: 'Partial' }),
+    { error: { type: 'server_error', message: 'model crashed' } }
+  ]));
+  await assert.rejects(createClient().stream({ model: 'llama3', messages: [] }), { type: ERROR_TYPES.SERVER, detail: 'model crashed' });
+  
+  global.fetch.mock.mockImplementation(async () => new Response('model "missing" not found', { status: 404 }));
+  await assert.rejects(createClient().send({ model: 'missing', messages: [] }), {
+    type: ERROR_TYPES.INVALID_REQUEST,
+    status: 404
+  });
+  await assert.rejects(createClient().countTokens(), { type: ERROR_TYPES.INVALID_REQUEST });
+});
+
+test('listModels asks the models endpoint next to the chat completions endpoint', async (t) => {
+  t.mock.method(global, 'fetch', async () => new Response(JSON.stringify({ data: [{ id: 'llama3' }, { id: 'mistral' }] })));
+  
+  assert.deepStrictEqual(await createClient().listModels(), [
+    { id: 'llama3', displayName: 'llama3' },
+    { id: 'mistral', displayName: 'mistral' }
+  ]);
+  assert.strictEqual(global.fetch.mock.calls[0].arguments[0], 'http://127.0.0.1:11434/v1/models');
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OutboxStore = require('../src/outbox-store');
+
+// electron-store stand-in that keeps values in memory
+function createMemoryStore(values = {}) {
+  return {
+    get: (key, fallback) => (key in values ? values[key] : fallback),
+    set: (key, value) => { values[key] = value; }
+  };
+}
+
+test('queued messages are kept in the order they were written and survive a restart', () => {
+  const values = {};
+  const outbox = new OutboxStore(createMemoryStore(values));
+  
+  const first = outbox.add({ conversationId: 'c1', text: '  first  ' });
+  const second = outbox.add({ conversationId: 'c2', text: '', attachments: [{ id: 'att_1' }] });
+  
+  assert.strictEqual(first.text, 'first');
+  assert.deepStrictEqual(new OutboxStore(createMemoryStore(values)).list().map(item => item.id), [first.id, second.id]);
+  assert.deepStrictEqual(outbox.getAttachmentIds(), new Set(['att_1']));
+});
+
+test('a queued message needs a conversation and something to send', () => {
+  const outbox = new OutboxStore(createMemoryStore({ outbox: 'not a list' }));
+  
+  assert.deepStrictEqual(outbox.list(), []);
+  assert.throws(() => outbox.add({ text: 'Hi' }), /needs a conversation/);
+  assert.throws(() => outbox.add({ conversationId: 'c1', text: '  ' }), /needs text or attachments/);
+});
+
+test('update changes the text in place and remove takes messages out of the queue', () => {
+  const outbox = new OutboxStore(createMemoryStore());
+  const first = outbox.add({ conversationId: 'c1', text: 'first' });
+  const second = outbox.add({ conversationId: 'c1', text: 'second' });
+  const other = outbox.add({ conversationId: 'c2', text: 'other' });
+  
+  outbox.update(first.id, { text: 'edited' });
+  assert.deepStrictEqual(outbox.list().map(item => item.text), ['edited', 'second', 'other']);
+  assert.throws(() => outbox.update(first.id, { text: '' }), /needs text or attachments/);
+  assert.throws(() => outbox.update('missing', { text: 'x' }), /not found/);
+  
+  assert.strictEqual(outbox.remove(second.id), true);
+  assert.strictEqual(outbox.remove(second.id), false);
+  assert.strictEqual(outbox.removeForConversation('c1'), 1);
+  assert.deepStrictEqual(outbox.list().map(item => item.id), [other.id]);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PersonaStore = require('../src/persona-store');
+
+// electron-store stand-in that keeps values in memory
+function createMemoryStore(values = {}) {
+  return {
+    get: (key, fallback) => (key in values ? values[key] : fallback),
+    set: (key, value) => { values[key] = value; }
+  };
+}
+
+test('save cleans up the fields and keeps built-in personas unchanged', () => {
+  const values = {};
+  const personas = new PersonaStore(createMemoryStore(values));
+  
+  const persona = personas.save({
+    name: '  Pirate  ',
+    temperature: 3,
+    faceOptions: { primaryColor: '#abc', eyeColor: 'red;background:url(x)' },
+    speechOptions: { rate: 0.1, pitch: 'high' }
+  });
+  
+  assert.strictEqual(persona.name, 'Pirate');
+  assert.strictEqual(persona.temperature, 1);
+  assert.strictEqual(persona.faceOptions.primaryColor, '#abc');
+  assert.strictEqual(persona.faceOptions.eyeColor, '#8A7CFF');
+  assert.deepStrictEqual(persona.speechOptions, { voiceURI: null, rate: 0.5, pitch: 1.0 });
+  assert.strictEqual(values.personas[persona.id].name, 'Pirate');
+  
+  assert.throws(() => personas.save({ name: ' ' }), /needs a name/);
+  assert.throws(() => personas.save({ id: 'tutor', name: 'Changed' }), /built in and can't be changed/);
+  assert.strictEqual(personas.delete('tutor'), false);
+  assert.deepStrictEqual(personas.list().map(entry => entry.name), ['Tutor', 'Support agent', 'Pirate']);
+});
+
+test('duplicate gives the copy a name no other persona uses', () => {
+  const personas = new PersonaStore(createMemoryStore());
+  
+  assert.strictEqual(personas.duplicate('tutor').name, 'Tutor copy');
+  assert.strictEqual(personas.duplicate('tutor').name, 'Tutor copy (2)');
+  assert.strictEqual(personas.duplicate('tutor').builtIn, false);
+});
+
+test('exported personas import as new personas, and bad entries are reported', () => {
+  const personas = new PersonaStore(createMemoryStore());
+  const saved = personas.save({ name: 'Pirate', systemPrompt: 'Arr' });
+  const exported = personas.exportJSON([saved.id]);
+  
+  assert.ok(!exported.includes(saved.id));
+  
+  const { imported, errors } = personas.importJSON(exported);
+  assert.strictEqual(imported.length, 1);
+  assert.notStrictEqual(imported[0].id, saved.id);
+  assert.strictEqual(imported[0].name, 'Pirate (2)');
+  assert.strictEqual(imported[0].systemPrompt, 'Arr');
+  assert.deepStrictEqual(errors, []);
+  
+  assert.deepStrictEqual(personas.importJSON('[{ "name": "Ok" }, { "name": "" }]').errors, ['Persona 2: A persona needs a name']);
+  assert.throws(() => personas.importJSON('not json'), /not valid JSON/);
+  assert.throws(() => personas.importJSON(JSON.stringify({ format: 'claude-desktop-personas', version: 99, personas: [] })), /newer version/);
+});
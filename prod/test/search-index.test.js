@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SearchIndex = require('../src/search-index');
+
+function createIndex() {
+  const index = new SearchIndex();
+  index.rebuild([
+    {
+      id: 'c1',
+      model: 'claude-sonnet-4-20250514',
+      createdAt: '2025-03-01T09:00:00.000Z',
+      messages: [
+        { id: 'm1', parentId: null, role: 'user', content: 'How do I plan a deployment?', createdAt: '2025-03-01T09:00:00.000Z' },
+        { id: 'm2', parentId: 'm1', role: 'assistant', content: 'Deploy in small steps and write a release plan.', model: 'claude-haiku-4-5-20251001', createdAt: '2025-03-01T09:00:05.000Z' },
+        { id: 'm3', parentId: 'm2', role: 'tool', content: 'deploy log' }
+      ]
+    },
+    {
+      id: 'c2',
+      model: 'claude-sonnet-4-20250514',
+      createdAt: '2025-04-10T12:00:00.000Z',
+      messages: [
+        { id: 'm4', parentId: null, role: 'user', content: 'Update my résumé', attachments: [{ id: 'a1', name: 'release-notes.txt' }], createdAt: null }
+      ]
+    }
+  ]);
+  return index;
+}
+
+const ids = ({ results }) => results.map(result => result.messageId).sort();
+
+test('words match the start of words, ignoring case and accents', () => {
+  const index = createIndex();
+  
+  assert.deepStrictEqual(ids(index.search('deploy')), ['m1', 'm2']);
+  assert.deepStrictEqual(ids(index.search('RESUME')), ['m4']);
+  assert.deepStrictEqual(ids(index.search('release')), ['m2', 'm4']);
+  assert.deepStrictEqual(index.search('   '), { results: [], total: 0 });
+});
+
+test('phrases match whole words in order', () => {
+  const index = createIndex();
+  
+  assert.deepStrictEqual(ids(index.search('"release plan"')), ['m2']);
+  assert.deepStrictEqual(ids(index.search('"plan release"')), []);
+  assert.deepStrictEqual(ids(index.search('"small step"')), []);
+});
+
+test('filters narrow by role, model and date', () => {
+  const index = createIndex();
+  
+  assert.deepStrictEqual(ids(index.search('deploy', { role: 'user' })), ['m1']);
+  assert.deepStrictEqual(ids(index.search('deploy', { model: 'claude-haiku-4-5-20251001' })), ['m2']);
+  // A message without a time is found by when its conversation started
+  assert.deepStrictEqual(ids(index.search('release', { from: '2025-04-01T00:00:00Z' })), ['m4']);
+  assert.deepStrictEqual(ids(index.search('release', { to: '2025-03-31T00:00:00Z' })), ['m2']);
+  assert.deepStrictEqual(index.getModels(), ['claude-haiku-4-5-20251001']);
+});
+
+test('snippets mark the matches', () => {
+  const [result] = createIndex().search('"release plan"').results;
+  
+  assert.deepStrictEqual(result.snippet, [
+    { text: 'Deploy in small steps and write a ', match: false },
+    { text: 'release plan', match: true },
+    { text: '.', match: false }
+  ]);
+});
+
+test('indexing a conversation again replaces its messages', () => {
+  const index = createIndex();
+  index.indexConversation({ id: 'c1', createdAt: '2025-03-01T09:00:00.000Z', messages: [] });
+  
+  assert.deepStrictEqual(ids(index.search('deploy')), []);
+  assert.deepStrictEqual(ids(index.search('release')), ['m4']);
+  
+  index.removeConversation('c2');
+  assert.strictEqual(index.search('release').total, 0);
+});
@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StoreSchema = require('../src/store-schema');
+const StoreBackups = require('../src/store-backups');
+const ConversationStore = require('../src/conversation-store');
+const MessageTree = require('../src/message-tree');
+
+// A store as saved before versions were recorded: the single message history, a
+// conversation from before branching, one from before message times and the old endpoint
+const readOldStore = () => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'store-v0.json'), 'utf8'));
+
+const DEFAULT_CONFIG = { model: 'claude-sonnet-4-20250514', systemPrompt: 'Default prompt' };
+
+// Run the pending migrations in order, as main.js does
+function migrate(data) {
+  StoreSchema.getPendingMigrations(StoreSchema.getVersion(data)).forEach(migration => {
+    migration.migrate(data, { defaultConfig: DEFAULT_CONFIG });
+    data.schemaVersion = migration.version;
+  });
+  return data;
+}
+
+// The part of electron-store the stores use, over a plain object
+function createMemoryStore(data) {
+  return {
+    get: (key, defaultValue) => (key in data ? data[key] : defaultValue),
+    set: (key, value) => { data[key] = value; },
+    has: (key) => key in data,
+    delete: (key) => { delete data[key]; }
+  };
+}
+
+test('an old store passes validation and is brought up to the current version', () => {
+  const data = readOldStore();
+  assert.deepStrictEqual(StoreSchema.validate(data), []);
+  assert.strictEqual(StoreSchema.getVersion(data), 0);
+  
+  migrate(data);
+  
+  assert.strictEqual(data.schemaVersion, StoreSchema.SCHEMA_VERSION);
+  assert.deepStrictEqual(StoreSchema.validate(data), []);
+  assert.deepStrictEqual(StoreSchema.getPendingMigrations(data.schemaVersion), []);
+});
+
+test('v1 moves the message history into its own active conversation', () => {
+  const data = migrate(readOldStore());
+  
+  assert.strictEqual(data.messageHistory, undefined);
+  const conversation = data.conversations[data.activeConversationId];
+  assert.strictEqual(conversation.title, 'Hello robot');
+  assert.strictEqual(conversation.model, 'claude-3-5-sonnet-20241022');
+  assert.strictEqual(conversation.systemPrompt, 'You are Claude, an AI assistant by Anthropic.');
+  assert.deepStrictEqual(MessageTree.getPath(conversation.messages, conversation.activeLeafId).map(message => message.content),
+    ['Hello robot', 'Hello! How can I help?']);
+});
+
+test('v2 turns linear histories into single-branch trees', () => {
+  const conversation = migrate(readOldStore()).conversations['linear-1'];
+  
+  assert.ok(MessageTree.isTree(conversation.messages));
+  assert.strictEqual(conversation.messages[1].parentId, conversation.messages[0].id);
+  assert.strictEqual(conversation.activeLeafId, conversation.messages[1].id);
+});
+
+test('v3 takes message times from ids only when they fall within the conversation', () => {
+  const data = migrate(readOldStore());
+  const [question, blue, green] = data.conversations['tree-1'].messages;
+  
+  assert.strictEqual(question.createdAt, '2025-03-01T10:00:00.000Z');
+  assert.strictEqual(blue.createdAt, '2025-03-01T10:00:04.000Z');
+  // This id was given long after the conversation was last updated
+  assert.strictEqual(green.createdAt, null);
+  // Histories converted from plain arrays never had times
+  assert.ok(data.conversations['linear-1'].messages.every(message => message.createdAt === null));
+});
+
+test('v4 gives old conversations empty usage and no persona, keeping existing usage', () => {
+  const data = migrate(readOldStore());
+  
+  assert.deepStrictEqual(data.conversations['linear-1'].usage, {});
+  assert.strictEqual(data.conversations['linear-1'].personaId, null);
+  assert.strictEqual(data.conversations['tree-1'].usage['claude-3-5-sonnet-20241022'].requests, 1);
+});
+
+test('v5 moves the API endpoint into the Anthropic provider settings', () => {
+  const { config } = migrate(readOldStore());
+  
+  assert.strictEqual(config.apiEndpoint, undefined);
+  assert.deepStrictEqual(config.providers, { anthropic: { endpoint: 'http://127.0.0.1:8787/v1/messages' } });
+  
+  // An endpoint already set for the provider wins
+  const data = { config: { apiEndpoint: 'http://old', providers: { anthropic: { endpoint: 'http://new' } } } };
+  migrate(data);
+  assert.deepStrictEqual(data.config, { providers: { anthropic: { endpoint: 'http://new' } } });
+});
+
+test('migrations leave an empty store empty', () => {
+  assert.deepStrictEqual(migrate({}), { schemaVersion: StoreSchema.SCHEMA_VERSION });
+});
+
+test('only a store nothing was saved to counts as new', () => {
+  assert.ok(StoreSchema.isNew({}));
+  assert.ok(!StoreSchema.isNew({ schemaVersion: StoreSchema.SCHEMA_VERSION }));
+  assert.ok(!StoreSchema.isNew(readOldStore()));
+  assert.ok(!StoreSchema.isNew([]));
+});
+
+test('the conversation store opens migrated data', () => {
+  const data = migrate(readOldStore());
+  const conversationStore = new ConversationStore(createMemoryStore(data));
+  
+  assert.strictEqual(conversationStore.list().length, 3);
+  assert.strictEqual(conversationStore.list()[0].id, 'linear-1', 'pinned conversations come first');
+  assert.strictEqual(conversationStore.getActive().title, 'Hello robot');
+  assert.deepStrictEqual(conversationStore.getActivePath('tree-1').map(message => message.content), ['Name a colour', 'Blue']);
+});
+
+test('validate reports data the stores could not use', () => {
+  assert.deepStrictEqual(StoreSchema.validate([]), ['the data is not an object']);
+  assert.deepStrictEqual(StoreSchema.validate({ schemaVersion: -1, config: [], apiKeys: 'key', trustedApiKeyHosts: {}, outbox: {}, activeConversationId: 3 }), [
+    'schemaVersion is not a version number',
+    'config is not an object',
+    'apiKeys is not an object',
+    'trustedApiKeyHosts is not a list',
+    'activeConversationId is not a conversation id',
+    'outbox is not a list'
+  ]);
+});
+
+test('removeInvalidConversations drops only the conversations that cannot be used', () => {
+  const data = readOldStore();
+  data.conversations.broken = { id: 'broken', title: 'Broken', createdAt: 'x', updatedAt: 'y', messages: [{ content: 'no role' }] };
+  data.conversations.misfiled = { id: 'elsewhere', createdAt: 'x', updatedAt: 'y', messages: [] };
+  data.conversations.undated = { id: 'undated', messages: [] };
+  
+  assert.deepStrictEqual(StoreSchema.removeInvalidConversations(data), [
+    'conversation broken "Broken": it has messages without a role',
+    'conversation misfiled: it is not stored under its own id',
+    'conversation undated: it has no created or updated time'
+  ]);
+  assert.deepStrictEqual(Object.keys(data.conversations), ['linear-1', 'tree-1']);
+  assert.deepStrictEqual(StoreSchema.removeInvalidConversations(data), []);
+});
+
+test('backups rotate, but copies kept before migrations are left out of the rotation', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'store-backups-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  
+  const storePath = path.join(directory, 'config.json');
+  const backups = new StoreBackups(path.join(directory, 'backups'));
+  assert.strictEqual(backups.create(storePath, 'v0'), null, 'there is nothing to back up before the store exists');
+  
+  fs.writeFileSync(storePath, 'version 0');
+  const kept = backups.create(storePath, 'v0-before-v1', { keep: true });
+  assert.match(path.basename(kept), /^config-.+-v0-before-v1-kept\.json$/);
+  
+  for (let i = 1; i <= 12; i++) {
+    fs.writeFileSync(storePath, `change ${i}`);
+    backups.create(storePath, 'v5');
+  }
+  // Unchanged data isn't copied again
+  assert.strictEqual(backups.create(storePath, 'v5'), backups.list()[0]);
+  
+  const remaining = backups.list();
+  assert.strictEqual(remaining.length, 11);
+  assert.ok(remaining.includes(kept));
+  assert.strictEqual(fs.readFileSync(remaining[0], 'utf8'), 'change 12');
+  
+  backups.restore(kept, storePath);
+  assert.strictEqual(fs.readFileSync(storePath, 'utf8'), 'version 0');
+});
+
+test('only the newest kept copies of each schema version are kept', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'store-backups-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  
+  const storePath = path.join(directory, 'config.json');
+  const backups = new StoreBackups(path.join(directory, 'backups'));
+  const keep = (contents, label) => {
+    fs.writeFileSync(storePath, contents);
+    return backups.create(storePath, label, { keep: true });
+  };
+  
+  const v0 = [1, 2, 3, 4, 5].map(i => keep(`v0 try ${i}`, 'v0-before-v1'));
+  const v1 = [keep('v1', 'v1-before-repair'), keep('v1 again', 'v1-before-v2')];
+  
+  const remaining = backups.list();
+  assert.deepStrictEqual(remaining.filter(backupPath => /Z-v0-/.test(backupPath)), v0.slice(2).reverse());
+  assert.deepStrictEqual(remaining.filter(backupPath => /Z-v1-/.test(backupPath)), v1.slice().reverse());
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ToolRegistry = require('../src/tool-registry');
+const { createBuiltinTools, evaluateExpression } = require('../src/builtin-tools');
+
+// The built-in tools by name, with dialogs that choose the given paths and allow every path given
+function createTools({ file = null, folder = null } = {}) {
+  const tools = createBuiltinTools({
+    chooseFile: async () => file,
+    chooseFolder: async () => folder,
+    confirmRead: async () => true,
+    confirmList: async () => true
+  });
+  return Object.fromEntries(tools.map(tool => [tool.name, tool]));
+}
+
+function createFolder(t) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'tools-test-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(folder, 'notes.txt'), 'hello');
+  fs.mkdirSync(path.join(folder, 'sub'));
+  return folder;
+}
+
+test('register only accepts tools with a valid name and a run function', () => {
+  const registry = new ToolRegistry();
+  
+  assert.throws(() => registry.register({ name: 'bad name', run() {} }), /Invalid tool name/);
+  assert.throws(() => registry.register({ name: 'no_run' }), /has no run function/);
+  
+  registry.register({ name: 'echo', description: 'Echo', inputSchema: { type: 'object' }, run: input => input.text });
+  assert.ok(registry.has('echo'));
+  assert.deepStrictEqual(registry.getDefinitions(), [{ name: 'echo', description: 'Echo', input_schema: { type: 'object' } }]);
+  assert.deepStrictEqual(registry.list(), [{ name: 'echo', title: 'echo', description: 'Echo' }]);
+});
+
+test('run reports results, errors and unknown tools, and cuts long results', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const registry = new ToolRegistry();
+  registry.register({ name: 'object', run: () => ({ answer: 42 }) });
+  registry.register({ name: 'fails', run: () => { throw new Error('broken'); } });
+  registry.register({ name: 'long', run: () => 'x'.repeat(100001) });
+  
+  assert.deepStrictEqual(await registry.run('object'), { success: true, result: '{\n  "answer": 42\n}' });
+  assert.deepStrictEqual(await registry.run('fails', {}), { success: false, error: 'broken' });
+  assert.deepStrictEqual(await registry.run('missing', {}), { success: false, error: 'Unknown tool: missing' });
+  assert.match((await registry.run('long')).result, /\[Output truncated after 100000 characters\]$/);
+});
+
+test('evaluateExpression follows precedence without eval', () => {
+  assert.strictEqual(evaluateExpression('(2 + 3) * sqrt(16)'), 20);
+  assert.strictEqual(evaluateExpression('-2^2'), -4);
+  assert.strictEqual(evaluateExpression('2^3^2'), 512);
+  assert.strictEqual(evaluateExpression('10 % 4 + log(100)'), 4);
+  assert.throws(() => evaluateExpression('process.exit()'), /Unexpected/);
+  assert.throws(() => evaluateExpression('1 / 0'), /not a finite number/);
+});
+
+test('read_file and list_folder use the path given, or the one the user chooses', async (t) => {
+  const folder = createFolder(t);
+  const filePath = path.join(folder, 'notes.txt');
+  
+  assert.strictEqual(await createTools().read_file.run({ path: filePath }), `Contents of ${filePath}:\n\nhello`);
+  assert.strictEqual(await createTools({ file: filePath }).read_file.run({}), `Contents of ${filePath}:\n\nhello`);
+  await assert.rejects(createTools().read_file.run({}), /did not choose a path/);
+  await assert.rejects(createTools().read_file.run({ path: folder }), /is not a file/);
+  
+  const listing = await createTools({ folder }).list_folder.run({});
+  assert.deepStrictEqual(listing.split('\n').sort(), [`${folder} (2 entries):`, 'notes.txt (5 bytes)', 'sub/'].sort());
+});
+
+test('a path Claude gives is only used once the user confirms it', async (t) => {
+  const folder = createFolder(t);
+  const filePath = path.join(folder, 'notes.txt');
+  const asked = [];
+  const tools = createBuiltinTools({
+    chooseFile: async () => filePath,
+    chooseFolder: async () => folder,
+    confirmRead: async (target) => { asked.push(['read', target]); return false; },
+    confirmList: async (target) => { asked.push(['list', target]); return false; }
+  });
+  const [readFile, listFolder] = ['read_file', 'list_folder'].map(name => tools.find(tool => tool.name === name));
+  
+  await assert.rejects(readFile.run({ path: `${folder}/sub/../notes.txt` }), { message: `The user did not allow access to ${filePath}.` });
+  await assert.rejects(listFolder.run({ path: folder }), { message: `The user did not allow access to ${folder}.` });
+  assert.deepStrictEqual(asked, [['read', filePath], ['list', folder]]);
+  
+  // A path the user chose in the dialog needs no confirmation
+  assert.strictEqual(await readFile.run({}), `Contents of ${filePath}:\n\nhello`);
+  assert.strictEqual(asked.length, 2);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Usage = require('../src/usage');
+const UsageStore = require('../src/usage-store');
+
+test('fromApiUsage reads the Messages API usage of one request', () => {
+  assert.deepStrictEqual(Usage.fromApiUsage({
+    input_tokens: 100,
+    output_tokens: 20,
+    cache_creation_input_tokens: 5,
+    cache_read_input_tokens: 50
+  }), { inputTokens: 100, outputTokens: 20, cacheCreationTokens: 5, cacheReadTokens: 50, requests: 1 });
+  assert.deepStrictEqual(Usage.fromApiUsage(null), { ...Usage.empty(), requests: 1 });
+});
+
+test('add sums totals and treats missing ones as zero', () => {
+  const once = Usage.add(undefined, Usage.fromApiUsage({ input_tokens: 10, output_tokens: 2 }));
+  const twice = Usage.add(once, Usage.fromApiUsage({ input_tokens: 5, output_tokens: 3 }));
+  
+  assert.deepStrictEqual(twice, { inputTokens: 15, outputTokens: 5, cacheCreationTokens: 0, cacheReadTokens: 0, requests: 2 });
+  assert.strictEqual(Usage.totalTokens(twice), 20);
+});
+
+test('estimateCost prices dated model versions by prefix and cache tokens relative to input', () => {
+  const usage = { inputTokens: 1000000, outputTokens: 1000000, cacheCreationTokens: 1000000, cacheReadTokens: 1000000 };
+  
+  // 3 input + 15 output + 3.75 cache writes + 0.3 cache reads
+  assert.strictEqual(Usage.estimateCost('claude-sonnet-4-20250514', usage).toFixed(2), '22.05');
+  assert.strictEqual(Usage.estimateCost('llama3', usage), null);
+});
+
+test('estimateCacheSavings weighs cheaper cache reads against dearer cache writes', () => {
+  const usage = { ...Usage.empty(), cacheCreationTokens: 1000000, cacheReadTokens: 1000000 };
+  
+  // 3 * 0.9 saved on reads, 3 * 0.25 extra on writes
+  assert.strictEqual(Usage.estimateCacheSavings('claude-sonnet-4-20250514', usage).toFixed(2), '1.95');
+  assert.strictEqual(Usage.estimateCacheSavings('llama3', usage), null);
+  assert.strictEqual(Usage.summarize({ 'claude-sonnet-4-20250514': usage }).cacheSavings.toFixed(2), '1.95');
+});
+
+test('summarize keeps models without a known price out of the cost', () => {
+  const summary = Usage.summarize({
+    'claude-3-haiku-20240307': { ...Usage.empty(), inputTokens: 1000000, requests: 1 },
+    'llama3': { ...Usage.empty(), inputTokens: 500, requests: 2 }
+  });
+  
+  assert.strictEqual(summary.totals.inputTokens, 1000500);
+  assert.strictEqual(summary.totals.requests, 3);
+  assert.strictEqual(summary.cost, 0.25);
+  assert.deepStrictEqual(summary.unpricedModels, ['llama3']);
+});
+
+test('formatTokens and formatCost shorten for display', () => {
+  assert.strictEqual(Usage.formatTokens(950), '950');
+  assert.strictEqual(Usage.formatTokens(12345), '12.3k');
+  assert.strictEqual(Usage.formatTokens(2500000), '2.5M');
+  assert.strictEqual(Usage.formatCost(null), 'unknown');
+  assert.strictEqual(Usage.formatCost(0.004), '<$0.01');
+  assert.strictEqual(Usage.formatCost(-1.5), '-$1.50');
+});
+
+test('the usage store totals requests by day and model', () => {
+  const saved = {};
+  const store = new UsageStore({ get: (key, fallback) => saved[key] || fallback, set: (key, value) => { saved[key] = value; } });
+  const day = new Date(2025, 0, 2, 12);
+  
+  store.record('claude-3-haiku-20240307', Usage.fromApiUsage({ input_tokens: 1000000, output_tokens: 0 }), day);
+  store.record('claude-3-haiku-20240307', Usage.fromApiUsage({ input_tokens: 1000000, output_tokens: 0 }), day);
+  store.record('llama3', Usage.fromApiUsage({ input_tokens: 10, output_tokens: 0 }), new Date(2025, 0, 3, 12));
+  
+  const report = new UsageStore({ get: key => saved[key] }).getReport();
+  assert.deepStrictEqual(report.days.map(entry => entry.date), ['2025-01-03', '2025-01-02']);
+  assert.strictEqual(report.days[1].totals.requests, 2);
+  assert.deepStrictEqual(report.models.map(entry => entry.model), ['claude-3-haiku-20240307', 'llama3']);
+  assert.strictEqual(report.cost, 0.5);
+});